@@ -334,6 +334,8 @@ return [
     'dashboard' => [
         'logLinesDefault' => 100,
         'logFileName' => 'web.log',
+        'executionMode' => 'sse',
+        'queueStallSeconds' => 60,
     ],
 
     'paths' => [
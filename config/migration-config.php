@@ -397,6 +397,14 @@ $dashboardSettings = [
     // Which log file to show in the dashboard
     // 💡 Typically 'web.log' for web requests
     'logFileName' => 'web.log',
+
+    // How the dashboard runs commands: 'sse' (streamed) or 'queue' (Craft queue)
+    // 💡 Use 'queue' when proxies buffer streamed responses or PHP-FPM ends long requests
+    'executionMode' => 'sse',
+
+    // Seconds a queued job may wait for a queue runner before the dashboard warns
+    // 💡 Raise it when the queue is processed by a cron job that runs every few minutes
+    'queueStallSeconds' => 60,
 ];
 
 // ═══════════════════════════════════════════════════════════════════════════
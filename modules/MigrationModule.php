@@ -46,18 +46,32 @@ class MigrationModule extends BaseModule
                     $event->rules['spaghetti-migrator/migration/get-status'] = 'spaghetti-migrator/migration/get-status';
                     $event->rules['spaghetti-migrator/migration/update-status'] = 'spaghetti-migrator/migration/update-status';
                     $event->rules['spaghetti-migrator/migration/update-module-status'] = 'spaghetti-migrator/migration/update-module-status';
+                    $event->rules['spaghetti-migrator/migration/reset-module-status'] = 'spaghetti-migrator/migration/reset-module-status';
+                    $event->rules['spaghetti-migrator/migration/update-pipeline'] = 'spaghetti-migrator/migration/update-pipeline';
                     $event->rules['spaghetti-migrator/migration/run-command'] = 'spaghetti-migrator/migration/run-command';
                     $event->rules['spaghetti-migrator/migration/run-command-queue'] = 'spaghetti-migrator/migration/run-command-queue';
                     $event->rules['spaghetti-migrator/migration/get-queue-status'] = 'spaghetti-migrator/migration/get-queue-status';
                     $event->rules['spaghetti-migrator/migration/get-queue-jobs'] = 'spaghetti-migrator/migration/get-queue-jobs';
+                    $event->rules['spaghetti-migrator/migration/retry-queue-job'] = 'spaghetti-migrator/migration/retry-queue-job';
+                    $event->rules['spaghetti-migrator/migration/release-queue-job'] = 'spaghetti-migrator/migration/release-queue-job';
                     $event->rules['spaghetti-migrator/migration/cancel-command'] = 'spaghetti-migrator/migration/cancel-command';
                     $event->rules['spaghetti-migrator/migration/get-checkpoint'] = 'spaghetti-migrator/migration/get-checkpoint';
+                    $event->rules['spaghetti-migrator/migration/delete-checkpoint'] = 'spaghetti-migrator/migration/delete-checkpoint';
                     $event->rules['spaghetti-migrator/migration/get-logs'] = 'spaghetti-migrator/migration/get-logs';
                     $event->rules['spaghetti-migrator/migration/test-connection'] = 'spaghetti-migrator/migration/test-connection';
+                    $event->rules['spaghetti-migrator/migration/run-connection-diagnostics'] = 'spaghetti-migrator/migration/run-connection-diagnostics';
                     $event->rules['spaghetti-migrator/migration/get-changelog'] = 'spaghetti-migrator/migration/get-changelog';
+                    $event->rules['spaghetti-migrator/migration/get-changelog-entry'] = 'spaghetti-migrator/migration/get-changelog-entry';
+                    $event->rules['spaghetti-migrator/migration/preview-changelog-rollback'] = 'spaghetti-migrator/migration/preview-changelog-rollback';
+                    $event->rules['spaghetti-migrator/migration/get-rollback-scopes'] = 'spaghetti-migrator/migration/get-rollback-scopes';
+                    $event->rules['spaghetti-migrator/migration/preview-rollback'] = 'spaghetti-migrator/migration/preview-rollback';
+                    $event->rules['spaghetti-migrator/migration/export-changelog'] = 'spaghetti-migrator/migration/export-changelog';
                     $event->rules['spaghetti-migrator/migration/get-running-migrations'] = 'spaghetti-migrator/migration/get-running-migrations';
+                    $event->rules['spaghetti-migrator/migration/get-run-coordination'] = 'spaghetti-migrator/migration/get-run-coordination';
+                    $event->rules['spaghetti-migrator/migration/get-preflight'] = 'spaghetti-migrator/migration/get-preflight';
                     $event->rules['spaghetti-migrator/migration/get-migration-progress'] = 'spaghetti-migrator/migration/get-migration-progress';
                     $event->rules['spaghetti-migrator/migration/get-live-monitor'] = 'spaghetti-migrator/migration/get-live-monitor';
+                    $event->rules['spaghetti-migrator/migration/get-progress-history'] = 'spaghetti-migrator/migration/get-progress-history';
                     $event->rules['spaghetti-migrator/migration/analyze-missing-files'] = 'spaghetti-migrator/migration/analyze-missing-files';
                     $event->rules['spaghetti-migrator/migration/fix-missing-files'] = 'spaghetti-migrator/migration/fix-missing-files';
                 }
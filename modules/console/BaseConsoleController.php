@@ -110,6 +110,14 @@ class BaseConsoleController extends Controller
         return parent::afterAction($action, $result);
     }
 
+    /**
+     * Progress reporter of a run launched from the dashboard, null otherwise
+     */
+    public function getProgressReporter(): ?ProgressReporter
+    {
+        return $this->progress;
+    }
+
     /**
      * Output helper that writes to both CLI and progress reporter
      *
@@ -130,9 +138,8 @@ class BaseConsoleController extends Controller
 
         // Also log to progress reporter if available (queue execution)
         if ($this->progress) {
-            // Strip ANSI color codes for database storage
-            $cleanMessage = preg_replace('/\033\[[0-9;]*m/', '', $message);
-            $this->progress->log($cleanMessage, false);
+            // Colours are kept as ANSI sequences whether or not the CLI shows them; the dashboard renders them
+            $this->progress->log($color !== null ? Console::ansiFormat($message, [$color]) : $message, false);
         }
     }
 }
@@ -7,12 +7,15 @@ use craft\elements\Asset;
 use craft\helpers\Console;
 use csabourin\spaghettiMigrator\helpers\MigrationConfig;
 use csabourin\spaghettiMigrator\services\CheckpointManager;
+use csabourin\spaghettiMigrator\services\ChangeLogExplorer;
 use csabourin\spaghettiMigrator\services\ChangeLogManager;
 use csabourin\spaghettiMigrator\services\ErrorRecoveryManager;
 use csabourin\spaghettiMigrator\services\RollbackEngine;
 use csabourin\spaghettiMigrator\services\MigrationLock;
 use csabourin\spaghettiMigrator\services\MigrationStateService;
 use csabourin\spaghettiMigrator\services\MigrationOrchestrator;
+use csabourin\spaghettiMigrator\services\ProgressEvent;
+use csabourin\spaghettiMigrator\services\ProgressTracker;
 use csabourin\spaghettiMigrator\services\migration\BackupService;
 use csabourin\spaghettiMigrator\services\migration\ConsolidationService;
 use csabourin\spaghettiMigrator\services\migration\DuplicateResolutionService;
@@ -66,6 +69,16 @@ class ImageMigrationController extends BaseConsoleController
     public $yes = false;
     public $olderThanHours = null;
 
+    /**
+     * @var string|null Roll back only the changes made by this dashboard run
+     */
+    public $runId = null;
+
+    /**
+     * @var string|null Roll back only these change log entries (comma-separated sequence numbers)
+     */
+    public $entries = null;
+
     // Service instances (for utility actions)
     private $checkpointManager;
     private $changeLogManager;
@@ -99,6 +112,8 @@ class ImageMigrationController extends BaseConsoleController
         if ($actionID === 'rollback') {
             $options[] = 'dryRun';
             $options[] = 'yes';
+            $options[] = 'runId';
+            $options[] = 'entries';
         }
 
         if ($actionID === 'cleanup') {
@@ -187,6 +202,9 @@ class ImageMigrationController extends BaseConsoleController
                 }
             }
 
+            // Stamp change log entries with the dashboard run, so that run can be rolled back on its own
+            $this->changeLogManager->setRunId($this->migrationId);
+
             // Instantiate all services
             $reporter = new MigrationReporter($this, $this->migrationTrackingId);
             $validationService = new ValidationService($this, $this->config, $reporter);
@@ -423,20 +441,63 @@ class ImageMigrationController extends BaseConsoleController
      * Rollback a migration
      *
      * Reverses changes made by the migration by applying the change log in reverse order.
+     * The scope can be narrowed to phases, to one dashboard run (--runId) or to
+     * selected change log entries (--entries). The database method instead
+     * restores the database backup taken before the migration.
+     *
+     * @param string|null $migrationId Migration whose change log is rolled back (prompted when omitted)
+     * @param string|null $phases Phase, or comma-separated phases, to roll back
+     * @param string $mode "from" rolls back the phase and every later one, "only" just the listed phases
+     * @param bool $dryRun Report what would be rolled back without changing anything (same as --dryRun)
+     * @param string $method "change-log" reverses the logged changes, "database" restores the backup
      */
-    public function actionRollback($migrationId = null, $phases = null, $mode = 'from', $dryRun = false, $method = null)
+    public function actionRollback($migrationId = null, $phases = null, $mode = 'from', $dryRun = false, $method = 'change-log')
     {
         $this->output("\n" . str_repeat("=", 80) . "\n", Console::FG_YELLOW);
         $this->output("ROLLBACK ENGINE\n", Console::FG_YELLOW);
         $this->output(str_repeat("=", 80) . "\n\n", Console::FG_YELLOW);
 
-        if ($this->dryRun || $dryRun) {
+        $dryRun = $this->dryRun || filter_var($dryRun, FILTER_VALIDATE_BOOLEAN);
+        $method = $method ?: 'change-log';
+
+        if ($dryRun) {
             $this->output("⚠ DRY RUN MODE - No changes will be made\n\n", Console::FG_YELLOW);
         }
 
+        if (!in_array($method, ['change-log', 'database'], true)) {
+            $this->stderr("Unknown rollback method \"{$method}\"; use change-log or database\n\n", Console::FG_RED);
+            $this->stderr("__CLI_EXIT_CODE_1__\n");
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        try {
+            $scope = RollbackEngine::parseScope([
+                'phases' => $phases,
+                'mode' => $mode,
+                'runId' => $this->runId,
+                'entries' => $this->entries,
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            $this->stderr("Invalid rollback scope: " . $e->getMessage() . "\n\n", Console::FG_RED);
+            $this->stderr("__CLI_EXIT_CODE_1__\n");
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        // A database restore always rolls back the whole migration
+        if ($method === 'database' && (!empty($scope['phases']) || $scope['runId'] !== null || !empty($scope['sequences']))) {
+            $this->stderr("The database method restores the whole migration; phases, --runId and --entries only apply to the change-log method\n\n", Console::FG_RED);
+            $this->stderr("__CLI_EXIT_CODE_1__\n");
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
         // Determine migration ID
         if (!$migrationId) {
-            $migrations = $this->checkpointManager->listMigrations();
+            // Every run starts an empty change log, which has nothing to roll back
+            $migrations = array_values(array_filter(
+                $this->changeLogManager->listMigrations(),
+                fn($migration) => $migration['change_count'] > 0
+            ));
+
             if (empty($migrations)) {
                 $this->output("No migrations found to rollback.\n\n");
                 $this->stdout("__CLI_EXIT_CODE_0__\n");
@@ -446,10 +507,10 @@ class ImageMigrationController extends BaseConsoleController
             $this->output("Available migrations:\n", Console::FG_CYAN);
             foreach ($migrations as $idx => $migration) {
                 $this->output(sprintf(
-                    "  [%d] %s - %s (%s)\n",
+                    "  [%d] %s - %d changes (%s)\n",
                     $idx + 1,
                     $migration['id'],
-                    $migration['phase'],
+                    $migration['change_count'],
                     $migration['timestamp']
                 ), Console::FG_GREY);
             }
@@ -470,31 +531,83 @@ class ImageMigrationController extends BaseConsoleController
             return ExitCode::UNSPECIFIED_ERROR;
         }
 
+        if ($method === 'database') {
+            return $this->rollbackDatabase((string)$migrationId, $dryRun);
+        }
+
+        // Opening the change log of an unknown ID would create it
+        $logFile = Craft::getAlias('@storage/migration-changelogs') . '/' . $migrationId . '.jsonl';
+        if (!ChangeLogExplorer::isValidMigrationId((string)$migrationId) || !is_file($logFile)) {
+            $this->stderr("No change log found for migration: {$migrationId}\n\n", Console::FG_RED);
+            $this->stderr("__CLI_EXIT_CODE_1__\n");
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        $this->output("Migration: {$migrationId}\n");
+        $this->output("Scope: " . RollbackEngine::describeScope($scope) . "\n\n");
+
         // Initialize rollback engine for the specific migration
         $changeLogManager = new ChangeLogManager($migrationId, $this->config->getChangelogFlushEvery());
         $rollbackEngine = new RollbackEngine($changeLogManager, $migrationId);
+        $extraScope = ['runId' => $scope['runId'], 'sequences' => $scope['sequences']];
 
         try {
-            $result = $rollbackEngine->rollback(
-                $phases,
-                $mode,
-                $this->dryRun || $dryRun,
-                $method,
-                $this
-            );
+            $changes = RollbackEngine::filterChanges($changeLogManager->loadChanges(), $scope);
+            if (empty($changes)) {
+                throw new \Exception("No changes of migration {$migrationId} match the rollback scope");
+            }
 
-            if ($result['success']) {
-                $this->output("\n✓ Rollback completed successfully\n", Console::FG_GREEN);
-                $this->output("  Operations reversed: {$result['operations_reversed']}\n");
-                $this->output("  Phases rolled back: " . implode(', ', $result['phases_rolled_back']) . "\n\n");
+            if ($dryRun) {
+                $this->printRollbackPreview($rollbackEngine->previewChanges($changes));
                 $this->stdout("__CLI_EXIT_CODE_0__\n");
                 return ExitCode::OK;
-            } else {
-                $this->stderr("\n✗ Rollback failed\n", Console::FG_RED);
-                $this->stderr("  Error: {$result['error']}\n\n");
+            }
+
+            $total = count($changes);
+            $progress = new ProgressTracker('Rolling back changes', $total);
+            $counter = 0;
+
+            $result = $rollbackEngine->rollback(
+                $migrationId,
+                $scope['phases'] ?: null,
+                $scope['mode'],
+                false,
+                $extraScope,
+                function(array $change, ?string $error, bool $skipped) use ($progress, $total, &$counter) {
+                    $counter++;
+                    $description = RollbackEngine::describeReversal($change)['description'];
+                    $sequence = $change['sequence'] ?? '?';
+
+                    if ($skipped) {
+                        $this->stdout("  [{$counter}/{$total}] - #{$sequence} Skipped: {$description}\n", Console::FG_YELLOW);
+                    } elseif ($error === null) {
+                        $this->stdout("  [{$counter}/{$total}] ✓ #{$sequence} {$description}\n", Console::FG_GREEN);
+                    } else {
+                        $this->stdout("  [{$counter}/{$total}] ✗ #{$sequence} {$description}: {$error}\n", Console::FG_RED);
+                        $progress->recordError();
+                    }
+
+                    if ($progress->increment()) {
+                        ProgressEvent::write($this, $progress->getEvent());
+                    }
+                }
+            );
+            ProgressEvent::write($this, $progress->getEvent());
+
+            $this->output("\n");
+            $this->output("  Changes reversed: {$result['reversed']}\n");
+            $this->output("  Changes skipped: {$result['skipped']} (nothing to undo or not supported)\n");
+            $this->output("  Errors: {$result['errors']}\n\n");
+
+            if ($result['errors'] > 0) {
+                $this->stderr("✗ Rollback finished with {$result['errors']} error(s); see the lines marked ✗ above\n\n", Console::FG_RED);
                 $this->stderr("__CLI_EXIT_CODE_1__\n");
                 return ExitCode::UNSPECIFIED_ERROR;
             }
+
+            $this->output("✓ Rollback completed successfully\n\n", Console::FG_GREEN);
+            $this->stdout("__CLI_EXIT_CODE_0__\n");
+            return ExitCode::OK;
         } catch (\Exception $e) {
             $this->stderr("\nFATAL ERROR during rollback: " . $e->getMessage() . "\n", Console::FG_RED);
             $this->stderr("__CLI_EXIT_CODE_1__\n");
@@ -689,4 +802,62 @@ class ImageMigrationController extends BaseConsoleController
 
         return null;
     }
+
+    /**
+     * Restore the database backup taken before a migration
+     */
+    private function rollbackDatabase(string $migrationId, bool $dryRun): int
+    {
+        $this->output("Migration: {$migrationId}\n");
+        $this->output("Method: database restore\n\n");
+
+        $rollbackEngine = new RollbackEngine($this->changeLogManager, $migrationId);
+
+        try {
+            $result = $rollbackEngine->rollbackViaDatabase($migrationId, $dryRun);
+        } catch (\Exception $e) {
+            $this->stderr("\nFATAL ERROR during rollback: " . $e->getMessage() . "\n", Console::FG_RED);
+            $this->stderr("__CLI_EXIT_CODE_1__\n");
+            return ExitCode::UNSPECIFIED_ERROR;
+        }
+
+        $this->output("Backup: {$result['backup_file']} ({$result['backup_size']})\n");
+
+        if ($dryRun) {
+            $this->output("Tables to restore: " . implode(', ', $result['tables']) . "\n");
+            $this->output("Estimated time: {$result['estimated_time']}\n\n");
+            $this->output("✓ Dry run complete - nothing was changed\n\n", Console::FG_GREEN);
+        } else {
+            $this->output("Tables restored: " . implode(', ', $result['tables_restored']) . "\n\n");
+            $this->output("✓ Database restored from the backup\n\n", Console::FG_GREEN);
+        }
+
+        $this->stdout("__CLI_EXIT_CODE_0__\n");
+        return ExitCode::OK;
+    }
+
+    /**
+     * Print a rollback dry-run report
+     */
+    private function printRollbackPreview(array $report): void
+    {
+        $this->output("Changes in scope: {$report['total_operations']}\n", Console::FG_CYAN);
+
+        $this->output("\nBy phase:\n");
+        foreach ($report['by_phase'] as $phase => $count) {
+            $this->output("  {$phase}: {$count}\n");
+        }
+
+        $this->output("\nBy type:\n");
+        foreach ($report['outcomes_by_type'] as $type => $outcomes) {
+            $parts = [];
+            foreach ($outcomes as $outcome => $count) {
+                $parts[] = "{$count} {$outcome}";
+            }
+            $this->output("  {$type}: " . implode(', ', $parts) . "\n");
+        }
+
+        $this->output("\nEstimated time: {$report['estimated_time']}\n\n");
+        $this->output("✓ Dry run complete - nothing was changed\n\n", Console::FG_GREEN);
+    }
 }
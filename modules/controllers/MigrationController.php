@@ -4,20 +4,30 @@ namespace csabourin\spaghettiMigrator\controllers;
 
 use Craft;
 use craft\web\Controller;
+use csabourin\spaghettiMigrator\helpers\DashboardTranslations;
 use csabourin\spaghettiMigrator\helpers\MigrationConfig;
+use csabourin\spaghettiMigrator\services\ChangeLogExplorer;
+use csabourin\spaghettiMigrator\services\CheckpointManager;
 use csabourin\spaghettiMigrator\services\CommandExecutionService;
+use csabourin\spaghettiMigrator\services\ConnectionDiagnostics;
+use csabourin\spaghettiMigrator\services\ConsoleOptionsInspector;
 use csabourin\spaghettiMigrator\services\MigrationAccessValidator;
 use csabourin\spaghettiMigrator\services\MigrationProgressService;
 use csabourin\spaghettiMigrator\services\MigrationStateManager;
 use csabourin\spaghettiMigrator\services\ModuleDefinitionProvider;
+use csabourin\spaghettiMigrator\services\PreflightService;
 use csabourin\spaghettiMigrator\services\ProcessManager;
+use csabourin\spaghettiMigrator\services\ProgressEvent;
+use csabourin\spaghettiMigrator\services\QueueJobService;
+use csabourin\spaghettiMigrator\services\RollbackEngine;
+use csabourin\spaghettiMigrator\services\RunCoordinator;
 use yii\base\Action;
 use yii\web\Response;
 
 /**
  * Migration Dashboard Controller
  *
- * Provides a Control Panel interface for orchestrating the AWS to DigitalOcean migration
+ * Provides a Control Panel interface for orchestrating the migration between the configured storage providers
  * with step-by-step guidance through all 14 migration modules.
  */
 class MigrationController extends Controller
@@ -41,8 +51,20 @@ class MigrationController extends Controller
 
     private ?ModuleDefinitionProvider $moduleProvider = null;
 
+    private ?ConsoleOptionsInspector $optionsInspector = null;
+
     private ?ProcessManager $processManager = null;
 
+    private ?QueueJobService $queueJobService = null;
+
+    private ?RunCoordinator $runCoordinator = null;
+
+    private ?PreflightService $preflightService = null;
+
+    private ?ChangeLogExplorer $changeLogExplorer = null;
+
+    private ?ConnectionDiagnostics $connectionDiagnostics = null;
+
     private ?MigrationStateManager $stateManager = null;
 
     private ?MigrationConfig $config = null;
@@ -78,11 +100,19 @@ class MigrationController extends Controller
     public function actionIndex(): Response
     {
         $stateManager = $this->getStateManager();
+        $modules = $this->getModuleProvider()->getModuleDefinitions();
+
+        DashboardTranslations::register($this->getView());
 
         return $this->renderTemplate('spaghetti-migrator/dashboard', [
             'state' => $stateManager->getMigrationState(),
             'config' => $stateManager->getConfigurationStatus(),
-            'modules' => $this->getModuleProvider()->getModuleDefinitions(),
+            'modules' => $modules,
+            'workflow' => $this->getModuleProvider()->getWorkflowGraph($modules),
+            'providers' => $this->getModuleProvider()->getProviderLabels(),
+            'moduleOptions' => $this->getOptionsInspector()->getModuleDefinitions($modules),
+            'executionMode' => $this->getConfig()->getDashboardExecutionMode(),
+            'queueStallSeconds' => $this->getConfig()->getDashboardQueueStallSeconds(),
         ]);
     }
 
@@ -185,7 +215,9 @@ class MigrationController extends Controller
     }
 
     /**
-     * API: Update module status (running, completed, failed)
+     * API: Update module status (running, completed, failed, cancelled, skipped)
+     *
+     * Modules go back to pending only through actionResetModuleStatus(), which records who reset them and why.
      */
     public function actionUpdateModuleStatus(): Response
     {
@@ -204,13 +236,27 @@ class MigrationController extends Controller
             ]);
         }
 
-        if (!$status || !in_array($status, ['running', 'completed', 'failed'])) {
+        if ($status === 'pending') {
             return $this->asJson([
                 'success' => false,
-                'error' => 'Valid status is required (running, completed, failed)',
+                'error' => 'Modules are reset to pending through reset-module-status, which records the reason',
             ]);
         }
 
+        $validStatuses = ['running', 'completed', 'failed', 'cancelled', 'skipped'];
+        if (!$status || !in_array($status, $validStatuses, true)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Valid status is required (' . implode(', ', $validStatuses) . ')',
+            ]);
+        }
+
+        if ($error !== null && !is_string($error)) {
+            $error = null;
+        } elseif ($error !== null && mb_strlen($error) > 2000) {
+            $error = mb_substr($error, 0, 2000) . '…';
+        }
+
         try {
             $result = $this->getProgressService()->updateModuleStatus($moduleId, $status, $error);
 
@@ -235,8 +281,149 @@ class MigrationController extends Controller
         }
     }
 
+    /**
+     * API: Reset a completed module so it can be re-run or marked incomplete.
+     * The reason and the acting user are kept in the dashboard audit trail.
+     */
+    public function actionResetModuleStatus(): Response
+    {
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        $request = Craft::$app->getRequest();
+        $moduleId = $request->getBodyParam('moduleId');
+        $action = $request->getBodyParam('resetAction', 'mark-incomplete');
+        $reason = trim((string)$request->getBodyParam('reason', ''));
+
+        if (!$moduleId || !is_string($moduleId)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Module ID is required',
+            ]);
+        }
+
+        if (!in_array($action, ['rerun', 'mark-incomplete'], true)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Reset action must be "rerun" or "mark-incomplete"',
+            ]);
+        }
+
+        if ($reason === '') {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'A reason is required',
+            ]);
+        }
+
+        if (mb_strlen($reason) > 500) {
+            $reason = mb_substr($reason, 0, 500);
+        }
+
+        $identity = Craft::$app->getUser()->getIdentity();
+        $actor = [
+            'id' => $identity->id ?? null,
+            'username' => $identity->username ?? null,
+        ];
+
+        try {
+            $entry = $this->getProgressService()->resetModule($moduleId, $action, $reason, $actor);
+
+            if ($entry === null) {
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'Failed to reset module status',
+                ]);
+            }
+
+            Craft::info(
+                "Module {$moduleId} reset ({$action}) by " . ($actor['username'] ?? 'unknown') . ": {$reason}",
+                __METHOD__
+            );
+
+            return $this->asJson([
+                'success' => true,
+                'entry' => $entry,
+                'state' => $this->getStateManager()->getMigrationState(),
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to reset module status: ' . $e->getMessage(), __METHOD__);
+
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Unable to reset module status',
+            ]);
+        }
+    }
+
+    /**
+     * API: Save (or clear) the pipeline run so the dashboard can resume it after a reload
+     */
+    public function actionUpdatePipeline(): Response
+    {
+        $this->requirePostRequest();
+        $this->requireAcceptsJson();
+
+        $pipelineParam = Craft::$app->getRequest()->getBodyParam('pipeline');
+
+        if ($pipelineParam === null || $pipelineParam === '' || $pipelineParam === 'null') {
+            $pipeline = null;
+        } else {
+            $pipeline = is_string($pipelineParam) ? json_decode($pipelineParam, true) : $pipelineParam;
+
+            if (!is_array($pipeline) || !is_array($pipeline['steps'] ?? null)) {
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'Invalid pipeline payload',
+                ]);
+            }
+
+            // Only modules flagged for pipeline runs may be scheduled
+            $modules = $this->getModuleProvider()->getWorkflowGraph()['modules'];
+            foreach ($pipeline['steps'] as $step) {
+                $moduleId = is_array($step) ? ($step['moduleId'] ?? null) : null;
+
+                if (!is_string($moduleId) || empty($modules[$moduleId]['pipeline'])) {
+                    return $this->asJson([
+                        'success' => false,
+                        'error' => 'Module cannot run in a pipeline: ' . htmlspecialchars((string)$moduleId, ENT_QUOTES, 'UTF-8'),
+                    ]);
+                }
+            }
+
+            if (empty($pipeline['startedBy'])) {
+                $pipeline['startedBy'] = Craft::$app->getUser()->getIdentity()->username ?? null;
+            }
+        }
+
+        try {
+            if (!$this->getProgressService()->savePipeline($pipeline)) {
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'Failed to save pipeline',
+                ]);
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'pipeline' => $this->getProgressService()->getState()['pipeline'],
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to save pipeline: ' . $e->getMessage(), __METHOD__);
+
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Unable to save pipeline',
+            ]);
+        }
+    }
+
     /**
      * API: Run a specific migration command
+     *
+     * Like the other run endpoints it refuses a command that is already running or held
+     * back by the migration lock. Critical runs are refused here: they need the typed
+     * confirmation that only run-command-queue and stream-migration check and record.
      */
     public function actionRunCommand(): Response
     {
@@ -245,7 +432,7 @@ class MigrationController extends Controller
         $request = Craft::$app->getRequest();
         $command = $request->getBodyParam('command');
         $argsParam = $request->getBodyParam('args', '[]');
-        $dryRun = $request->getBodyParam('dryRun', false);
+        $dryRun = filter_var($request->getBodyParam('dryRun', false), FILTER_VALIDATE_BOOLEAN);
         $stream = $request->getBodyParam('stream', false);
 
         // Only require JSON acceptance for non-streaming requests
@@ -352,6 +539,23 @@ class MigrationController extends Controller
             ]);
         }
 
+        $conflict = $this->findRunConflict($command, $dryRun);
+        if ($conflict !== null) {
+            return $this->asJson([
+                'success' => false,
+                'blocked' => true,
+                'error' => $conflict['message'],
+                'conflict' => $conflict,
+            ]);
+        }
+
+        if ($this->getPreflightService()->requiresConfirmation($command, $dryRun)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => "{$command} needs a typed confirmation; start it from its module card",
+            ]);
+        }
+
         try {
             // Build the full command
             $fullCommand = "spaghetti-migrator/{$command}";
@@ -393,6 +597,10 @@ class MigrationController extends Controller
 
     /**
      * API: Run a command via the queue system (survives page refresh)
+     *
+     * Takes the module's form values as JSON `arguments` and `options`. Any other
+     * parameter, such as the `args` string run-command takes, is rejected rather
+     * than queueing the command without it.
      */
     public function actionRunCommandQueue(): Response
     {
@@ -400,10 +608,26 @@ class MigrationController extends Controller
         $this->requireAcceptsJson();
 
         $request = Craft::$app->getRequest();
+        $accepted = ['command', 'moduleId', 'arguments', 'options', 'dryRun', 'confirmation', $request->csrfParam];
+        $unknown = array_values(array_diff(array_keys($request->getBodyParams()), $accepted));
+
+        if (in_array('args', $unknown, true)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'The args parameter is not supported here; send the values as JSON arguments and options',
+            ]);
+        }
+
+        if ($unknown) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Unknown parameters: ' . implode(', ', $unknown),
+            ]);
+        }
+
         $command = $request->getBodyParam('command');
-        $argsParam = $request->getBodyParam('args', '[]');
-        $args = is_string($argsParam) ? json_decode($argsParam, true) : $argsParam;
-        $args = $args ?: [];
+        $argumentValues = json_decode((string)$request->getBodyParam('arguments', '{}'), true);
+        $optionValues = json_decode((string)$request->getBodyParam('options', '{}'), true);
 
         // Convert dryRun to boolean (comes from JS as '0' or '1')
         $dryRunParam = $request->getBodyParam('dryRun', false);
@@ -424,16 +648,50 @@ class MigrationController extends Controller
             ]);
         }
 
+        // Values from the module's option form, checked the same way as streamed runs
+        $input = $this->getOptionsInspector()->validateInput(
+            (string)$command,
+            is_array($argumentValues) ? $argumentValues : [],
+            is_array($optionValues) ? $optionValues : []
+        );
+
+        if ($input['errors']) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Invalid options: ' . implode('; ', $input['errors']),
+            ]);
+        }
+
+        $conflict = $this->findRunConflict((string)$command, $dryRun);
+        if ($conflict !== null) {
+            return $this->asJson([
+                'success' => false,
+                'blocked' => true,
+                'error' => $conflict['message'],
+                'conflict' => $conflict,
+            ]);
+        }
+
+        $acknowledgement = $this->acknowledgeRun((string)$command, $dryRun, $request->getBodyParam('confirmation'));
+        if (is_string($acknowledgement)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => $acknowledgement,
+            ]);
+        }
+
         try {
             // Queue all commands (including dry runs) for real-time feedback via polling
             // Dry runs will execute with --dryRun=1 flag in the queue job
+            $args = $input['options'];
+            if ($dryRun) {
+                $args['dryRun'] = true;
+            }
 
             // Only add yes flag for commands that support it
             $fullCommand = "spaghetti-migrator/{$command}";
             if (\csabourin\spaghettiMigrator\services\CommandExecutionService::commandSupportsYes($fullCommand)) {
                 $args['yes'] = true;
-            } else {
-                unset($args['yes']);
             }
 
             // Generate migration ID
@@ -443,6 +701,7 @@ class MigrationController extends Controller
             $jobClass = null;
             $jobParams = [
                 'command' => $command,
+                'arguments' => $input['arguments'],
                 'args' => $args,
                 'migrationId' => $migrationId,
             ];
@@ -453,7 +712,7 @@ class MigrationController extends Controller
                 $jobParams = [
                     'migrationId' => $migrationId,
                     'dryRun' => $dryRun,
-                    // Convert string booleans from JS ('0'/'1') to proper PHP booleans
+                    // Convert string booleans from the option form ('0'/'1') to proper PHP booleans
                     'skipBackup' => filter_var($args['skipBackup'] ?? false, FILTER_VALIDATE_BOOLEAN),
                     'skipInlineDetection' => filter_var($args['skipInlineDetection'] ?? false, FILTER_VALIDATE_BOOLEAN),
                     'resume' => filter_var($args['resume'] ?? false, FILTER_VALIDATE_BOOLEAN),
@@ -475,6 +734,20 @@ class MigrationController extends Controller
 
             Craft::info("Queued command {$command} with job ID {$jobId}, migration ID {$migrationId}", __METHOD__);
 
+            // Visible to the dashboard (and after a reload) before a queue runner picks the job up
+            $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+            $stateService->ensureTableExists();
+            $stateService->saveMigrationState([
+                'migrationId' => $migrationId,
+                'status' => 'queued',
+                'phase' => 'queued',
+                'command' => $command,
+            ]);
+
+            if (!$dryRun) {
+                $this->attachModuleRun($request->getBodyParam('moduleId'), $migrationId, $command, $acknowledgement);
+            }
+
             return $this->asJson([
                 'success' => true,
                 'jobId' => $jobId,
@@ -602,54 +875,130 @@ class MigrationController extends Controller
     }
 
     /**
-     * API: Get all migration-related queue jobs
+     * API: Get the plugin's jobs in the Craft queue
      */
     public function actionGetQueueJobs(): Response
     {
         $this->requireAcceptsJson();
 
         try {
-            $db = Craft::$app->getDb();
+            $stallSeconds = $this->getConfig()->getDashboardQueueStallSeconds();
+            $jobs = $this->getQueueJobService()->getJobs($stallSeconds);
 
-            // Get all jobs (limited to recent ones)
-            $jobs = $db->createCommand('
-                SELECT id, description, progress, timePushed, ttr, attempt, fail, dateFailed, error
-                FROM {{%queue}}
-                ORDER BY timePushed DESC
-                LIMIT 50
-            ')->queryAll();
-
-            $result = [];
-            foreach ($jobs as $job) {
-                $status = 'pending';
-                $progressPercent = (float)($job['progress'] ?? 0);
-
-                if ($job['fail'] == 1) {
-                    $status = 'failed';
-                } elseif ($progressPercent > 0) {
-                    $status = 'running';
-                }
+            return $this->asJson([
+                'success' => true,
+                'jobs' => $jobs,
+                'stallSeconds' => $stallSeconds,
+                'stalledCount' => count(array_filter($jobs, fn(array $job) => $job['stalled'])),
+                'timestamp' => time(),
+            ]);
 
-                $result[] = [
-                    'id' => $job['id'],
-                    'description' => $job['description'],
-                    'status' => $status,
-                    'progress' => $progressPercent,
-                    'progressLabel' => round($progressPercent * 100, 1) . '%',
-                    'timePushed' => $job['timePushed'],
-                    'attempt' => $job['attempt'],
-                    'error' => $job['error'] ?? null,
-                ];
+        } catch (\Exception $e) {
+            Craft::error('Failed to get queue jobs: ' . $e->getMessage(), __METHOD__);
+
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * API: Put a failed or abandoned queue job back in line
+     *
+     * A job that a runner is still working on is refused; it has to be
+     * cancelled first so it does not run twice.
+     */
+    public function actionRetryQueueJob(): Response
+    {
+        $this->requireAcceptsJson();
+        $this->requirePostRequest();
+
+        $job = $this->findQueueJob();
+        if ($job instanceof Response) {
+            return $job;
+        }
+
+        if ($job['status'] !== 'failed' && !$job['overdue']) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Only failed jobs and jobs whose runner stopped responding can be retried',
+            ]);
+        }
+
+        try {
+            $this->getQueueJobService()->retry($job['id']);
+
+            if ($job['migrationId']) {
+                $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+                $stateService->ensureTableExists();
+                if ($stateService->getMigrationState($job['migrationId'])) {
+                    $stateService->updateMigrationStatus($job['migrationId'], 'queued');
+                }
             }
 
+            Craft::info("Retried queue job {$job['id']} ({$job['command']})", __METHOD__);
+
             return $this->asJson([
                 'success' => true,
-                'jobs' => $result,
+                'jobId' => $job['id'],
+                'migrationId' => $job['migrationId'],
+                'message' => 'Job queued again',
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to retry queue job: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
             ]);
+        }
+    }
 
-        } catch (\Exception $e) {
-            Craft::error('Failed to get queue jobs: ' . $e->getMessage(), __METHOD__);
+    /**
+     * API: Remove a queue job that is not being worked on
+     *
+     * Running jobs are stopped through cancel-streaming-migration instead, which
+     * also terminates the command.
+     */
+    public function actionReleaseQueueJob(): Response
+    {
+        $this->requireAcceptsJson();
+        $this->requirePostRequest();
+
+        $job = $this->findQueueJob();
+        if ($job instanceof Response) {
+            return $job;
+        }
+
+        if ($job['status'] === 'reserved' && !$job['overdue']) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'The job is running; cancel it instead',
+            ]);
+        }
+
+        try {
+            $this->getQueueJobService()->release($job['id']);
+
+            if ($job['migrationId']) {
+                $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+                $stateService->ensureTableExists();
+                $migration = $stateService->getMigrationState($job['migrationId']);
+                if ($migration && in_array($migration['status'], ['queued', 'running'], true)) {
+                    $stateService->updateMigrationStatus($job['migrationId'], 'cancelled', 'Released from the queue');
+                }
+            }
 
+            Craft::info("Released queue job {$job['id']} ({$job['command']})", __METHOD__);
+
+            return $this->asJson([
+                'success' => true,
+                'jobId' => $job['id'],
+                'migrationId' => $job['migrationId'],
+                'message' => 'Job removed from the queue',
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to release queue job: ' . $e->getMessage(), __METHOD__);
             return $this->asJson([
                 'success' => false,
                 'error' => $e->getMessage(),
@@ -694,6 +1043,9 @@ class MigrationController extends Controller
 
     /**
      * API: Get checkpoint information
+     *
+     * Each checkpoint is flagged `running` while its migration's process is
+     * alive, so the dashboard does not offer to resume or delete it.
      */
     public function actionGetCheckpoint(): Response
     {
@@ -701,41 +1053,161 @@ class MigrationController extends Controller
 
         $checkpoints = $this->getStateManager()->getCheckpoints();
 
+        try {
+            $running = $this->getRunningCheckpointMigrationIds();
+        } catch (\Throwable $e) {
+            Craft::warning('Could not check running migrations: ' . $e->getMessage(), __METHOD__);
+            $running = [];
+        }
+
+        foreach ($checkpoints as &$checkpoint) {
+            $checkpoint['running'] = in_array($checkpoint['migrationId'], $running, true);
+        }
+        unset($checkpoint);
+
         return $this->asJson([
             'success' => true,
             'checkpoints' => $checkpoints,
+            'staleAfterHours' => CheckpointManager::STALE_AFTER_HOURS,
         ]);
     }
 
     /**
-     * API: Get migration logs
+     * API: Delete a checkpoint and its quick-resume state
      */
-    public function actionGetLogs(): Response
+    public function actionDeleteCheckpoint(): Response
     {
         $this->requireAcceptsJson();
+        $this->requirePostRequest();
 
-        $config = $this->getConfig();
-        $request = Craft::$app->getRequest();
-        $lines = $request->getQueryParam('lines', $config->getDashboardLogLinesDefault());
+        $checkpointId = (string)Craft::$app->getRequest()->getBodyParam('checkpointId', '');
+        if (!preg_match('/^[a-zA-Z0-9_-]+$/', $checkpointId)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Invalid checkpoint ID',
+            ]);
+        }
 
-        $logs = [];
-        $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+        try {
+            if (in_array($checkpointId, $this->getRunningCheckpointMigrationIds(), true)) {
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'The migration of this checkpoint is still running',
+                ]);
+            }
+
+            if (!(new CheckpointManager($checkpointId))->deleteCheckpoint()) {
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'Checkpoint not found',
+                ]);
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'checkpointId' => $checkpointId,
+                'message' => "Checkpoint {$checkpointId} deleted",
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to delete checkpoint: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * IDs of migrations whose process is still alive
+     */
+    private function getRunningCheckpointMigrationIds(): array
+    {
+        $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+        $stateService->ensureTableExists();
+
+        $running = array_filter($stateService->getRunningMigrations(), fn($migration) => $migration['isProcessRunning']);
+
+        return array_column($running, 'migrationId');
+    }
+
+    /**
+     * API: Get recent log lines, or download the full log of a run
+     *
+     * With a migrationId the run's own log is used: its log file when the
+     * process wrote one, otherwise the output persisted in the migration state.
+     * Only IDs in the plugin's run format have a log file, so Craft's own logs
+     * cannot be requested by name. `download=1` sends the whole log as a text file instead of JSON.
+     */
+    public function actionGetLogs(): Response
+    {
+        $config = $this->getConfig();
+        $request = Craft::$app->getRequest();
+        $lines = (int)$request->getQueryParam('lines', $config->getDashboardLogLinesDefault());
+        $migrationId = $request->getQueryParam('migrationId');
+        $download = filter_var($request->getQueryParam('download', '0'), FILTER_VALIDATE_BOOLEAN);
+
+        if (!$download) {
+            $this->requireAcceptsJson();
+        }
+
+        $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
         $stateService->ensureTableExists();
 
+        if ($migrationId !== null) {
+            $migrationId = (string)$migrationId;
+            $logFile = $this->getStateManager()->getMigrationLogFile($migrationId);
+            $migration = $logFile === null ? $stateService->getMigrationState($migrationId) : null;
+
+            if ($logFile === null && $migration === null) {
+                if ($download) {
+                    throw new \yii\web\NotFoundHttpException('No log found for this run');
+                }
+
+                return $this->asJson([
+                    'success' => false,
+                    'error' => 'No log found for this run',
+                ]);
+            }
+
+            if ($download) {
+                $fileName = preg_replace('/[^\w.-]/', '_', $migrationId) . '.log';
+
+                return $logFile !== null
+                    ? $this->response->sendFile($logFile, $fileName, ['mimeType' => 'text/plain'])
+                    : $this->response->sendContentAsFile((string)($migration['output'] ?? ''), $fileName, ['mimeType' => 'text/plain']);
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'logs' => $logFile !== null
+                    ? $this->getStateManager()->getLogTail($logFile, $lines)
+                    : $this->getRecentOutputLines($migration['output'] ?? null, $lines),
+                'source' => $logFile !== null ? 'file' : 'state',
+            ]);
+        }
+
+        $logs = [];
+
         // Prefer persisted migration output if available so dashboard reflects command logs
         $latestMigration = $stateService->getLatestMigration();
         if ($latestMigration && !empty($latestMigration['output'])) {
-            $logs = $this->getRecentOutputLines($latestMigration['output'], (int)$lines);
+            $logs = $this->getRecentOutputLines($latestMigration['output'], $lines);
         }
 
         // Fallback to dashboard log file when no DB output exists
-        if (empty($logs)) {
-            $logDir = Craft::getAlias('@storage/logs');
-            $logFile = $logDir . '/' . $config->getDashboardLogFileName();
+        $logDir = Craft::getAlias('@storage/logs');
+        $logFile = $logDir . '/' . $config->getDashboardLogFileName();
 
-            if (file_exists($logFile)) {
-                $logs = $this->getStateManager()->getLogTail($logFile, $lines);
+        if ($download) {
+            if (!file_exists($logFile)) {
+                throw new \yii\web\NotFoundHttpException('Log file not found');
             }
+
+            return $this->response->sendFile($logFile, basename($logFile), ['mimeType' => 'text/plain']);
+        }
+
+        if (empty($logs) && file_exists($logFile)) {
+            $logs = $this->getStateManager()->getLogTail($logFile, $lines);
         }
 
         return $this->asJson([
@@ -745,38 +1217,321 @@ class MigrationController extends Controller
     }
 
     /**
-     * API: Get migration changelogs
+     * API: Browse the change logs
+     *
+     * Query params: the filters of ChangeLogExplorer::normalizeFilters()
+     * (`migrationId`, `type`, `phase`, `volume`, `assetId`, `dateFrom`, `dateTo`,
+     * `search`) plus `page` and `perPage`.
      */
     public function actionGetChangelog(): Response
     {
         $this->requireAcceptsJson();
 
-        $changelogData = $this->getStateManager()->getChangelogs();
+        $request = Craft::$app->getRequest();
+
+        try {
+            $filters = ChangeLogExplorer::normalizeFilters($request->getQueryParams());
+        } catch (\InvalidArgumentException $e) {
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+
+        try {
+            $explorer = $this->getChangeLogExplorer();
+            $result = $explorer->query(
+                $filters,
+                (int)$request->getQueryParam('page', 1),
+                (int)$request->getQueryParam('perPage', ChangeLogExplorer::DEFAULT_PER_PAGE)
+            );
+
+            return $this->asJson(array_merge([
+                'success' => true,
+                'migrations' => $explorer->getMigrations(),
+                'volumeNames' => $this->getVolumeNames(),
+            ], $result));
+        } catch (\Throwable $e) {
+            Craft::error('Failed to read change logs: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * API: A single change log entry with its before/after values and rollback preview
+     */
+    public function actionGetChangelogEntry(): Response
+    {
+        $this->requireAcceptsJson();
+
+        $request = Craft::$app->getRequest();
+        $migrationId = (string)$request->getQueryParam('migrationId', '');
+        $sequence = (int)$request->getQueryParam('sequence', 0);
+
+        $entry = $this->getChangeLogExplorer()->getEntry($migrationId, $sequence);
+        if ($entry === null) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Change log entry not found',
+            ]);
+        }
 
         return $this->asJson([
             'success' => true,
-            'changelogs' => $changelogData['changelogs'],
-            'directory' => $changelogData['directory'],
+            'entry' => ChangeLogExplorer::summarize($entry),
+            'changes' => ChangeLogExplorer::diff($entry),
+            'rollback' => RollbackEngine::describeReversal($entry),
         ]);
     }
 
     /**
-     * API: Get running migrations
+     * API: What a change-by-change rollback would do with the filtered entries
+     *
+     * Nothing is reverted; this is the RollbackEngine dry-run report of the
+     * entries matching the same filters as get-changelog.
      */
-    public function actionGetRunningMigrations(): Response
+    public function actionPreviewChangelogRollback(): Response
+    {
+        $this->requireAcceptsJson();
+
+        try {
+            $filters = ChangeLogExplorer::normalizeFilters(Craft::$app->getRequest()->getQueryParams());
+            $entries = $this->getChangeLogExplorer()->getMatchingEntries($filters);
+
+            $engine = new RollbackEngine(null, $filters['migrationId'] ?? null);
+
+            return $this->asJson([
+                'success' => true,
+                'report' => $engine->previewChanges($entries),
+                'migrations' => array_values(array_unique(array_column($entries, 'migrationId'))),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to preview change log rollback: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * API: Migrations that can be rolled back and, for `migrationId`, the phases
+     * and dashboard runs a rollback can be limited to
+     */
+    public function actionGetRollbackScopes(): Response
+    {
+        $this->requireAcceptsJson();
+
+        $migrationId = (string)Craft::$app->getRequest()->getQueryParam('migrationId', '');
+        $explorer = $this->getChangeLogExplorer();
+
+        try {
+            $migrations = array_values(array_filter($explorer->getMigrations(), fn($migration) => $migration['changeCount'] > 0));
+            $scopes = null;
+
+            if ($migrationId !== '') {
+                if (!ChangeLogExplorer::isValidMigrationId($migrationId)) {
+                    return $this->asJson([
+                        'success' => false,
+                        'error' => 'Invalid migration ID',
+                    ]);
+                }
+
+                $scopes = $explorer->getRollbackScopes($migrationId);
+
+                // Label runs with the command that made them, when the dashboard still knows it
+                $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+                $stateService->ensureTableExists();
+                foreach ($scopes['runs'] as &$run) {
+                    $state = $stateService->getMigrationState($run['id']);
+                    $run['command'] = $state['command'] ?? null;
+                    $run['status'] = $state['status'] ?? null;
+                }
+                unset($run);
+            }
+
+            return $this->asJson([
+                'success' => true,
+                'migrations' => $migrations,
+                'scopes' => $scopes,
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to list rollback scopes: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * API: Dry-run impact of a scoped rollback
+     *
+     * Takes the same scope as the image-migration/rollback command
+     * (`migrationId`, `phases`, `mode`, `runId`, `entries`). Nothing is reverted.
+     * `busy` lists live migration or rollback runs, which a rollback must not overlap.
+     */
+    public function actionPreviewRollback(): Response
     {
         $this->requireAcceptsJson();
 
+        $request = Craft::$app->getRequest();
+        $migrationId = (string)$request->getQueryParam('migrationId', '');
+
+        if (!ChangeLogExplorer::isValidMigrationId($migrationId)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Choose a migration to roll back',
+            ]);
+        }
+
         try {
+            $scope = RollbackEngine::parseScope($request->getQueryParams());
+        } catch (\InvalidArgumentException $e) {
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+
+        try {
+            $entries = $this->getChangeLogExplorer()->getMatchingEntries(['migrationId' => $migrationId]);
+            $changes = RollbackEngine::filterChanges($entries, $scope);
+            $engine = new RollbackEngine(null, $migrationId);
+
             $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
             $stateService->ensureTableExists();
-
-            $runningMigrations = $stateService->getRunningMigrations();
+            $busy = array_values(array_map(
+                fn($migration) => ['migrationId' => $migration['migrationId'], 'command' => $migration['command']],
+                array_filter(
+                    $stateService->getRunningMigrations(),
+                    fn($migration) => $migration['isProcessRunning']
+                        && in_array($migration['command'], ['image-migration/migrate', 'image-migration/rollback'], true)
+                )
+            ));
 
             return $this->asJson([
                 'success' => true,
-                'migrations' => $runningMigrations,
+                'migrationId' => $migrationId,
+                'scope' => $scope,
+                'description' => RollbackEngine::describeScope($scope),
+                'report' => $engine->previewChanges($changes),
+                'missingEntries' => array_values(array_diff($scope['sequences'], array_map('intval', array_column($changes, 'sequence')))),
+                'busy' => $busy,
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to preview rollback: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
             ]);
+        }
+    }
+
+    /**
+     * API: Download the filtered change log entries as CSV or JSON (`format=csv|json`)
+     */
+    public function actionExportChangelog(): Response
+    {
+        $request = Craft::$app->getRequest();
+        $format = $request->getQueryParam('format', 'csv') === 'json' ? 'json' : 'csv';
+
+        try {
+            $filters = ChangeLogExplorer::normalizeFilters($request->getQueryParams());
+        } catch (\InvalidArgumentException $e) {
+            throw new \yii\web\BadRequestHttpException($e->getMessage());
+        }
+
+        $entries = $this->getChangeLogExplorer()->getMatchingEntries($filters);
+        $fileName = 'changelog-' . ($filters['migrationId'] ?? 'all') . '-' . date('Ymd-His') . '.' . $format;
+
+        if ($format === 'json') {
+            $export = [
+                'exportedAt' => date('c'),
+                'exportedBy' => Craft::$app->getUser()->getIdentity()?->username,
+                'filters' => $filters,
+                'count' => count($entries),
+                'entries' => array_map(fn(array $entry) => $entry + [
+                    'rollback' => RollbackEngine::describeReversal($entry),
+                ], $entries),
+            ];
+
+            return $this->response->sendContentAsFile(
+                json_encode($export, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                $fileName,
+                ['mimeType' => 'application/json']
+            );
+        }
+
+        $handle = fopen('php://temp', 'r+');
+        fputcsv($handle, ChangeLogExplorer::CSV_COLUMNS);
+        foreach ($entries as $entry) {
+            fputcsv($handle, ChangeLogExplorer::toCsvRow($entry));
+        }
+
+        rewind($handle);
+        $csv = stream_get_contents($handle);
+        fclose($handle);
+
+        return $this->response->sendContentAsFile($csv, $fileName, ['mimeType' => 'text/csv']);
+    }
+
+    /**
+     * Volume names keyed by ID, to label the volume IDs stored in change logs
+     */
+    private function getVolumeNames(): array
+    {
+        $names = [];
+        foreach (Craft::$app->getVolumes()->getAllVolumes() as $volume) {
+            $names[$volume->id] = $volume->name;
+        }
+
+        return $names;
+    }
+
+    /**
+     * API: Get running migrations (and, with `recent=N`, the latest other runs) as summaries
+     */
+    public function actionGetRunningMigrations(): Response
+    {
+        $this->requireAcceptsJson();
+
+        $recentLimit = max(0, min(50, (int)Craft::$app->getRequest()->getQueryParam('recent', 0)));
+
+        try {
+            $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+            $stateService->ensureTableExists();
+
+            $summaries = $stateService->getMigrationSummaries($recentLimit);
+
+            // Runs started from a module card remember it in the module state
+            $moduleIds = [];
+            foreach ($this->getProgressService()->getState()['moduleStates'] ?? [] as $moduleId => $moduleState) {
+                if (!empty($moduleState['migrationId'])) {
+                    $moduleIds[$moduleState['migrationId']] = $moduleId;
+                }
+            }
+
+            $summarize = fn(array $row) => $this->summarizeMigration($row, $moduleIds[$row['migrationId']] ?? null);
+
+            $response = [
+                'success' => true,
+                'migrations' => array_map($summarize, $summaries['running']),
+            ];
+
+            if ($recentLimit > 0) {
+                $response['recent'] = array_map($summarize, $summaries['recent']);
+            }
+
+            return $this->asJson($response);
         } catch (\Exception $e) {
             Craft::error('Failed to get running migrations: ' . $e->getMessage(), __METHOD__);
             return $this->asJson([
@@ -786,6 +1541,66 @@ class MigrationController extends Controller
         }
     }
 
+    /**
+     * API: Runs active anywhere, the migration lock and the commands they keep from starting
+     *
+     * Polled by every open dashboard so a module running in another tab, for
+     * another admin, in the queue or in a terminal is not started twice.
+     */
+    public function actionGetRunCoordination(): Response
+    {
+        $this->requireAcceptsJson();
+
+        try {
+            $snapshot = $this->getRunCoordinator()->getSnapshot();
+
+            return $this->asJson([
+                'success' => true,
+                'runs' => $snapshot['runs'],
+                'lock' => $snapshot['lock'],
+                // An object even when empty, so the dashboard can look commands up
+                'blocked' => (object)$snapshot['blocked'],
+                'timestamp' => time(),
+            ]);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to get run coordination: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * API: Get the preflight summary shown before a critical command starts
+     *
+     * Lists the last pre-flight check and volume configuration runs, a
+     * read-only connection probe of the target storage and the latest database
+     * backup, and the phrase the operator types to confirm.
+     */
+    public function actionGetPreflight(): Response
+    {
+        $this->requireAcceptsJson();
+
+        $command = (string)Craft::$app->getRequest()->getQueryParam('command', '');
+        if (!in_array($command, $this->getPreflightService()->getConfirmedCommands(), true)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'This command does not need a preflight confirmation',
+            ]);
+        }
+
+        try {
+            return $this->asJson(['success' => true] + $this->getPreflightService()->getSummary($command));
+        } catch (\Throwable $e) {
+            Craft::error('Failed to gather the preflight summary: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
     /**
      * API: Get migration progress
      */
@@ -907,7 +1722,9 @@ class MigrationController extends Controller
                 if (file_exists($logFile)) {
                     // Read log file directly
                     $logContent = file_get_contents($logFile);
-                    $logLines = preg_split('/\r\n|\n|\r/', $logContent) ?: [];
+                    $progressEvent = ProgressEvent::findLatest($logContent);
+                    $logContent = ProgressEvent::strip($logContent);
+                    $logLines = preg_split('/\r?\n/', $logContent) ?: [];
                     $logLines = array_values(array_filter($logLines, function ($line) {
                         return trim($line) !== '';
                     }));
@@ -917,6 +1734,12 @@ class MigrationController extends Controller
                     if (preg_match('/__CLI_EXIT_CODE_(\d+)__/', $logContent, $matches)) {
                         $exitCode = (int)$matches[1];
                         $status = $exitCode === 0 ? 'completed' : 'failed';
+                    } else {
+                        // Killed processes never print an exit marker
+                        $process = $this->getProcessManager()->getMigrationProcess($migrationId);
+                        if (!empty($process['cancelledAt'])) {
+                            $status = 'cancelled';
+                        }
                     }
 
                     // Return log-based migration state
@@ -929,9 +1752,10 @@ class MigrationController extends Controller
                             'status' => $status,
                             'pid' => null,
                             'isProcessRunning' => false,
-                            'processedCount' => 0,
-                            'totalCount' => 0,
-                            'progressPercent' => $status === 'completed' ? 100 : 0,
+                            'processedCount' => $progressEvent['processed'] ?? 0,
+                            'totalCount' => $progressEvent['total'] ?? 0,
+                            'progressPercent' => $status === 'completed' ? 100 : ($progressEvent['percent'] ?? 0),
+                            'progressEvent' => $progressEvent,
                             'output' => $logContent,
                         ],
                         'logs' => $logLines,
@@ -976,7 +1800,8 @@ class MigrationController extends Controller
             $recentLogs = $this->getRecentOutputLines($migration['output'] ?? null, $logLines);
 
             // Fallback to dashboard log file when no output has been persisted yet
-            if (empty($recentLogs)) {
+            // (queued jobs have not produced any, and the web log is unrelated to them)
+            if (empty($recentLogs) && ($migration['status'] ?? null) !== 'queued') {
                 $logDir = Craft::getAlias('@storage/logs');
                 $logFile = $logDir . '/' . $config->getDashboardLogFileName();
 
@@ -1023,6 +1848,12 @@ class MigrationController extends Controller
                 $progressPercent = round(($migration['processedCount'] / $migration['totalCount']) * 100, 1);
             }
 
+            // Structured progress events are authoritative when the command emits them
+            $progressEvent = $this->getLatestProgressEvent($migration);
+            if ($progressEvent !== null && $progressEvent['percent'] !== null) {
+                $progressPercent = $progressEvent['percent'];
+            }
+
             // Get queue job if running via queue
             $queueJob = null;
             if (str_starts_with($migration['migrationId'] ?? '', 'queue-')) {
@@ -1058,10 +1889,12 @@ class MigrationController extends Controller
                     'processedCount' => $migration['processedCount'] ?? 0,
                     'totalCount' => $migration['totalCount'] ?? 0,
                     'progressPercent' => $progressPercent,
+                    'progressEvent' => $progressEvent,
                     'currentBatch' => $migration['currentBatch'] ?? 0,
-                    'stats' => $migration['stats'] ?? [],
+                    // The sample history is served by get-progress-history
+                    'stats' => array_diff_key($migration['stats'] ?? [], ['progressHistory' => true]),
                     'errorMessage' => $migration['errorMessage'] ?? null,
-                    'output' => $migration['output'] ?? null, // CRITICAL: Include output for real-time updates
+                    'output' => ProgressEvent::strip($migration['output'] ?? null), // CRITICAL: Include output for real-time updates
                     'startedAt' => $migration['startedAt'] ?? null,
                     'lastUpdatedAt' => $migration['lastUpdatedAt'] ?? null,
                     'command' => $migration['command'] ?? null,
@@ -1072,17 +1905,108 @@ class MigrationController extends Controller
                 'timestamp' => time(),
             ]);
         } catch (\Exception $e) {
-            Craft::error('Failed to get live monitoring data: ' . $e->getMessage(), __METHOD__);
+            Craft::error('Failed to get live monitoring data: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+                'hasMigration' => false,
+            ]);
+        }
+    }
+
+    /**
+     * API: Progress samples of a run, used to backfill the Live Monitor charts
+     */
+    public function actionGetProgressHistory(): Response
+    {
+        $this->requireAcceptsJson();
+
+        $migrationId = (string)Craft::$app->getRequest()->getQueryParam('migrationId', '');
+        if (!preg_match('/^[\w.-]+$/', $migrationId)) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'A valid migration ID is required',
+            ]);
+        }
+
+        try {
+            $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+            $migration = $stateService->getMigrationState($migrationId);
+
+            return $this->asJson([
+                'success' => true,
+                'migrationId' => $migrationId,
+                'samples' => $this->getStateManager()->getProgressHistory($migrationId, $migration['stats'] ?? []),
+                'timestamp' => time(),
+            ]);
+        } catch (\Exception $e) {
+            Craft::error('Failed to get progress history: ' . $e->getMessage(), __METHOD__);
             return $this->asJson([
                 'success' => false,
                 'error' => $e->getMessage(),
-                'hasMigration' => false,
             ]);
         }
     }
 
+    /**
+     * The fields of a migration state shown in the Live Monitor run list
+     */
+    private function summarizeMigration(array $migration, ?string $moduleId): array
+    {
+        $percent = $migration['stats']['progress']['percent'] ?? null;
+        if ($percent === null && (int)($migration['totalCount'] ?? 0) > 0) {
+            $percent = round((int)$migration['processedCount'] / (int)$migration['totalCount'] * 100, 1);
+        }
+
+        return [
+            'migrationId' => $migration['migrationId'],
+            'moduleId' => $moduleId,
+            'command' => $migration['command'] ?? null,
+            'phase' => $migration['phase'] ?? null,
+            'status' => $migration['status'] ?? null,
+            'isProcessRunning' => (bool)($migration['isProcessRunning'] ?? false),
+            'processedCount' => (int)($migration['processedCount'] ?? 0),
+            'totalCount' => (int)($migration['totalCount'] ?? 0),
+            'progressPercent' => $percent,
+            'errorMessage' => $migration['errorMessage'] ?? null,
+            'startedAt' => $migration['startedAt'] ?? null,
+            'lastUpdatedAt' => $migration['lastUpdatedAt'] ?? null,
+            'completedAt' => $migration['completedAt'] ?? null,
+        ];
+    }
+
+    /**
+     * Most recent structured progress event of a run
+     *
+     * Events come from the state saved by ProgressReporter or from marker lines
+     * in the persisted output and the run's log file; the newest one wins.
+     */
+    private function getLatestProgressEvent(array $migration): ?array
+    {
+        $candidates = [
+            is_array($migration['stats']['progress'] ?? null) ? ProgressEvent::normalize($migration['stats']['progress']) : null,
+            ProgressEvent::findLatest($migration['output'] ?? null),
+        ];
+
+        $logFile = $this->getStateManager()->getMigrationLogFile((string)($migration['migrationId'] ?? ''));
+        if ($logFile !== null) {
+            $candidates[] = ProgressEvent::findLatest(implode('', $this->getStateManager()->getLogTail($logFile, 200)));
+        }
+
+        $latest = null;
+        foreach (array_filter($candidates) as $event) {
+            if ($latest === null || $event['at'] > $latest['at']) {
+                $latest = $event;
+            }
+        }
+
+        return $latest;
+    }
+
     /**
      * Extract the last N lines from persisted migration output.
+     *
+     * Lines keep their "\r" progress updates and ANSI colours for the dashboard's renderer.
      */
     private function getRecentOutputLines(?string $output, int $lines = 50): array
     {
@@ -1090,9 +2014,9 @@ class MigrationController extends Controller
             return [];
         }
 
-        $logLines = preg_split('/\r\n|\n|\r/', $output) ?: [];
+        $logLines = preg_split('/\r?\n/', $output) ?: [];
         $logLines = array_values(array_filter($logLines, function ($line) {
-            return trim($line) !== '';
+            return trim($line) !== '' && !ProgressEvent::isEventLine($line);
         }));
 
         if ($lines > 0 && count($logLines) > $lines) {
@@ -1103,7 +2027,10 @@ class MigrationController extends Controller
     }
 
     /**
-     * API: Test DO Spaces connection
+     * API: Check that the target storage is configured
+     *
+     * See MigrationStateManager::testConnection(); Connection Diagnostics probes
+     * the source and target storage themselves.
      */
     public function actionTestConnection(): Response
     {
@@ -1114,6 +2041,34 @@ class MigrationController extends Controller
         return $this->asJson($result);
     }
 
+    /**
+     * API: Probe the source and target providers and the migration's volumes
+     *
+     * Write probes (a small file written, read back and deleted on the target
+     * and the volumes) only run when `writeProbes` is set, and need admin
+     * changes to be allowed.
+     */
+    public function actionRunConnectionDiagnostics(): Response
+    {
+        $this->requireAcceptsJson();
+        $this->requirePostRequest();
+
+        $writeProbes = (bool)Craft::$app->getRequest()->getBodyParam('writeProbes', false);
+        if ($writeProbes) {
+            $this->getAccessValidator()->requireAdminChangesEnabled();
+        }
+
+        try {
+            return $this->asJson(['success' => true] + $this->getConnectionDiagnostics()->run($writeProbes));
+        } catch (\Throwable $e) {
+            Craft::error('Connection diagnostics failed: ' . $e->getMessage(), __METHOD__);
+            return $this->asJson([
+                'success' => false,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
     /**
      * API: Test if routes are working (non-SSE JSON response for debugging)
      */
@@ -1214,32 +2169,69 @@ class MigrationController extends Controller
         $dryRun = filter_var($request->getQueryParam('dryRun', '0'), FILTER_VALIDATE_BOOLEAN);
         $skipBackup = filter_var($request->getQueryParam('skipBackup', '0'), FILTER_VALIDATE_BOOLEAN);
         $skipInlineDetection = filter_var($request->getQueryParam('skipInlineDetection', '0'), FILTER_VALIDATE_BOOLEAN);
+        $moduleId = $request->getQueryParam('moduleId');
+        $argumentValues = json_decode((string)$request->getQueryParam('arguments', '{}'), true);
+        $optionValues = json_decode((string)$request->getQueryParam('options', '{}'), true);
 
         Craft::info("SSE streaming request - command: {$command}, dryRun: " . ($dryRun ? 'yes' : 'no'), __METHOD__);
 
+        // Reconnecting clients resume an existing run instead of spawning a new one
+        $resumeMigrationId = $request->getQueryParam('resumeMigrationId');
+        if ($resumeMigrationId !== null) {
+            $this->resumeMigrationStream((string)$resumeMigrationId, $this->getLastEventId());
+            exit();
+        }
+
         if (!$command) {
             Craft::error('SSE streaming: No command provided', __METHOD__);
             $this->sendSSEMessage(['error' => 'Command parameter required']);
             exit();
         }
 
-        try {
-            // Generate migration ID for progress tracking
-            $migrationId = 'sse-' . time() . '-' . uniqid();
+        // Values from the module's option form, checked against the console action's definition
+        $input = $this->getOptionsInspector()->validateInput(
+            (string)$command,
+            is_array($argumentValues) ? $argumentValues : [],
+            is_array($optionValues) ? $optionValues : []
+        );
 
-            // Send initial status
+        if ($input['errors']) {
             $this->sendSSEMessage([
-                'status' => 'starting',
-                'message' => "Starting command: {$command}",
-                'migrationId' => $migrationId,
+                'status' => 'error',
+                'error' => 'Invalid options: ' . implode('; ', $input['errors']),
+            ]);
+            exit();
+        }
+
+        $conflict = $this->findRunConflict((string)$command, $dryRun);
+        if ($conflict !== null) {
+            $this->sendSSEMessage([
+                'status' => 'blocked',
+                'error' => $conflict['message'],
+                'conflict' => $conflict,
+            ]);
+            exit();
+        }
+
+        $acknowledgement = $this->acknowledgeRun((string)$command, $dryRun, $request->getQueryParam('confirmation'));
+        if (is_string($acknowledgement)) {
+            $this->sendSSEMessage([
+                'status' => 'error',
+                'error' => $acknowledgement,
             ]);
+            exit();
+        }
+
+        try {
+            // Generate migration ID for progress tracking
+            $migrationId = 'sse-' . time() . '-' . uniqid();
 
             // Build command with craft CLI script
             $craftPath = CRAFT_BASE_PATH . '/craft';
             $fullCommand = "spaghetti-migrator/{$command}";
 
-            // Build arguments (escape individually when constructing command)
-            $args = ["--migrationId={$migrationId}"];
+            // Positional arguments first, then options
+            $args = $input['arguments'];
 
             // Add --yes flag if command requires it (for non-interactive execution)
             $commandService = $this->getCommandService();
@@ -1250,13 +2242,30 @@ class MigrationController extends Controller
             if ($dryRun) {
                 $args[] = '--dryRun=1';
             }
-            if ($skipBackup) {
+            if ($skipBackup && !isset($input['options']['skipBackup'])) {
                 $args[] = '--skipBackup=1';
             }
-            if ($skipInlineDetection) {
+            if ($skipInlineDetection && !isset($input['options']['skipInlineDetection'])) {
                 $args[] = '--skipInlineDetection=1';
             }
 
+            foreach ($input['options'] as $name => $value) {
+                $args[] = "--{$name}={$value}";
+            }
+
+            // Shown in the dashboard so the same run can be repeated from a terminal
+            $cliCommand = $this->getOptionsInspector()->formatCommandLine((string)$command, $args);
+
+            // Send initial status
+            $this->sendSSEMessage([
+                'status' => 'starting',
+                'message' => "Starting command: {$command}",
+                'migrationId' => $migrationId,
+                'cliCommand' => $cliCommand,
+            ]);
+
+            $args[] = "--migrationId={$migrationId}";
+
             $escapedArgs = array_map('escapeshellarg', $args);
             $argsStr = implode(' ', $escapedArgs);
 
@@ -1285,6 +2294,13 @@ class MigrationController extends Controller
 
             Craft::info("Background process started with PID: {$pid}", __METHOD__);
 
+            // Remember the PID so the dashboard can terminate this run later
+            $this->getProcessManager()->registerMigrationProcess($migrationId, (int)$pid, $command);
+
+            if (!$dryRun) {
+                $this->attachModuleRun($moduleId, $migrationId, $command, $acknowledgement);
+            }
+
             $this->sendSSEMessage([
                 'status' => 'running',
                 'message' => "Process started (PID: {$pid}), monitoring progress...",
@@ -1504,6 +2520,9 @@ class MigrationController extends Controller
 
     /**
      * API: Cancel a streaming migration
+     *
+     * Terminates the detached process (or removes/stops the queue job) behind a
+     * migration ID and only reports `cancelled` once nothing is running anymore.
      */
     public function actionCancelStreamingMigration(): Response
     {
@@ -1512,22 +2531,68 @@ class MigrationController extends Controller
 
         $request = Craft::$app->getRequest();
         $migrationId = $request->getBodyParam('migrationId');
+        $jobId = $request->getBodyParam('jobId');
 
-        if (!$migrationId) {
+        if (!$migrationId || !is_string($migrationId)) {
             return $this->asJson([
                 'success' => false,
                 'error' => 'Migration ID required',
             ]);
         }
 
+        if (!preg_match('/^[a-z0-9_.-]+$/i', $migrationId) || strlen($migrationId) > 100) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Invalid migration ID format',
+            ]);
+        }
+
         try {
-            // Create cancel flag file
-            $cancelFile = Craft::$app->getPath()->getTempPath() . "/migration-cancel-{$migrationId}";
-            file_put_contents($cancelFile, time());
+            $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+            $stateService->ensureTableExists();
+
+            $result = $this->getProcessManager()->terminateMigration($migrationId);
+            $terminated = $result['terminated'];
+
+            // Queue jobs that no worker has reserved yet can simply be removed
+            if ($jobId && is_numeric($jobId)) {
+                $job = Craft::$app->getDb()->createCommand('
+                    SELECT id, dateReserved
+                    FROM {{%queue}}
+                    WHERE id = :jobId
+                    LIMIT 1
+                ', [':jobId' => (int)$jobId])->queryOne();
+
+                if (!$job) {
+                    $terminated = true;
+                } elseif (empty($job['dateReserved'])) {
+                    Craft::$app->getQueue()->release((string)$job['id']);
+                    $terminated = true;
+                }
+            }
+
+            if (!$result['success']) {
+                return $this->asJson([
+                    'success' => false,
+                    'status' => 'cancelling',
+                    'terminated' => false,
+                    'error' => $result['error'] ?? 'Unable to terminate process',
+                ]);
+            }
+
+            if ($terminated) {
+                $stateService->updateMigrationStatus($migrationId, 'cancelled', 'Cancelled by user');
+            }
+
+            Craft::info("Cancellation requested for migration {$migrationId}, terminated: " . ($terminated ? 'yes' : 'no'), __METHOD__);
 
             return $this->asJson([
                 'success' => true,
-                'message' => 'Cancel signal sent',
+                'migrationId' => $migrationId,
+                'status' => $terminated ? 'cancelled' : 'cancelling',
+                'terminated' => $terminated,
+                'pid' => $result['pid'],
+                'message' => $terminated ? 'Process terminated' : 'Cancel signal sent, waiting for the job to stop',
             ]);
         } catch (\Throwable $e) {
             Craft::error('Failed to cancel migration: ' . $e->getMessage(), __METHOD__);
@@ -1612,8 +2677,12 @@ class MigrationController extends Controller
      *
      * @param array $data Data to send
      */
-    private function sendSSEMessage(array $data): void
+    private function sendSSEMessage(array $data, ?int $eventId = null): void
     {
+        if ($eventId !== null) {
+            echo "id: {$eventId}\n";
+        }
+
         echo "data: " . json_encode($data) . "\n\n";
 
         if (ob_get_level() > 0) {
@@ -1622,6 +2691,80 @@ class MigrationController extends Controller
         flush();
     }
 
+    /**
+     * Replay output a reconnecting SSE client missed, then hand it back to polling.
+     * Event IDs are byte offsets into the run's log file, which unlike the persisted
+     * output is never cut down, so they stay valid however long the run gets.
+     */
+    private function resumeMigrationStream(string $migrationId, int $offset): void
+    {
+        if (!preg_match('/^[a-z0-9_.-]{1,100}$/i', $migrationId)) {
+            $this->sendSSEMessage(['status' => 'error', 'error' => 'Invalid migration ID', 'resumable' => false]);
+            return;
+        }
+
+        $stateService = new \csabourin\spaghettiMigrator\services\MigrationStateService();
+        $stateService->ensureTableExists();
+
+        $migration = $stateService->getMigrationState($migrationId);
+        $logFile = $this->getStateManager()->getMigrationLogFile($migrationId);
+
+        if (!$migration && $logFile === null && $this->getProcessManager()->getMigrationProcess($migrationId) === null) {
+            $this->sendSSEMessage([
+                'status' => 'error',
+                'error' => 'Migration not found',
+                'migrationId' => $migrationId,
+                'resumable' => false,
+            ]);
+            return;
+        }
+
+        $this->sendSSEMessage([
+            'status' => 'resumed',
+            'migrationId' => $migrationId,
+            'message' => "Reconnected to {$migrationId}",
+        ]);
+
+        // Without a log file there is nothing to replay from; polling shows the persisted output
+        foreach ($logFile !== null ? $this->getStateManager()->readLogLinesFrom($logFile, $offset) : [] as $entry) {
+            $this->sendSSEMessage([
+                'status' => 'output',
+                'line' => $entry['line'],
+                'migrationId' => $migrationId,
+            ], $entry['offset']);
+        }
+
+        // Polling lists the persisted output, or the log file while there is none; it
+        // continues after the lines it would otherwise show again
+        if ($migration) {
+            $lineOffset = count($this->getRecentOutputLines($migration['output'] ?? null, 0));
+        } else {
+            $lineOffset = count(array_filter(
+                $logFile !== null ? $this->getStateManager()->readLogLinesFrom($logFile, 0) : [],
+                fn(array $entry) => !ProgressEvent::isEventLine($entry['line'])
+            ));
+        }
+
+        $this->sendSSEMessage([
+            'status' => 'detached',
+            'message' => 'Process running in background. Poll for progress updates.',
+            'migrationId' => $migrationId,
+            'lineOffset' => $lineOffset,
+            'pollEndpoint' => '/admin/spaghetti-migrator/migration/get-live-monitor?migrationId=' . urlencode($migrationId),
+        ]);
+    }
+
+    /**
+     * Log file offset sent by a reconnecting EventSource (header) or by the dashboard (query param)
+     */
+    private function getLastEventId(): int
+    {
+        $request = Craft::$app->getRequest();
+        $lastEventId = $request->getHeaders()->get('Last-Event-ID') ?? $request->getQueryParam('lastEventId', 0);
+
+        return max(0, (int)$lastEventId);
+    }
+
     /**
      * Get CommandExecutionService instance
      */
@@ -1646,6 +2789,18 @@ class MigrationController extends Controller
         return $this->moduleProvider;
     }
 
+    /**
+     * Get ConsoleOptionsInspector instance
+     */
+    private function getOptionsInspector(): ConsoleOptionsInspector
+    {
+        if ($this->optionsInspector === null) {
+            $this->optionsInspector = new ConsoleOptionsInspector();
+        }
+
+        return $this->optionsInspector;
+    }
+
     /**
      * Get ProcessManager instance
      */
@@ -1658,6 +2813,142 @@ class MigrationController extends Controller
         return $this->processManager;
     }
 
+    /**
+     * The active run or migration lock that keeps a command from starting, or null
+     *
+     * A failed check never blocks a run; MigrationLock still guards the migration itself.
+     */
+    private function findRunConflict(string $command, bool $dryRun): ?array
+    {
+        try {
+            return RunCoordinator::findConflict($this->getRunCoordinator()->getSnapshot(), $command, $dryRun);
+        } catch (\Throwable $e) {
+            Craft::warning('Failed to check for conflicting runs: ' . $e->getMessage(), __METHOD__);
+            return null;
+        }
+    }
+
+    private function getRunCoordinator(): RunCoordinator
+    {
+        if ($this->runCoordinator === null) {
+            $this->runCoordinator = new RunCoordinator();
+        }
+
+        return $this->runCoordinator;
+    }
+
+    /**
+     * The operator's acknowledgement of a critical run, null when the run needs none,
+     * or an error message when the typed confirmation is missing or wrong
+     *
+     * @return array|string|null
+     */
+    private function acknowledgeRun(string $command, bool $dryRun, $typed)
+    {
+        if (!$this->getPreflightService()->requiresConfirmation($command, $dryRun)) {
+            return null;
+        }
+
+        if (!is_string($typed) || trim($typed) === '') {
+            return "{$command} needs a typed confirmation; start it from its module card";
+        }
+
+        $identity = Craft::$app->getUser()->getIdentity();
+        $actor = [
+            'id' => $identity->id ?? null,
+            'username' => $identity->username ?? null,
+        ];
+
+        try {
+            $acknowledgement = $this->getPreflightService()->acknowledge($command, $typed, $actor);
+        } catch (\Throwable $e) {
+            Craft::error('Failed to check the preflight confirmation: ' . $e->getMessage(), __METHOD__);
+            return 'The preflight confirmation could not be checked: ' . $e->getMessage();
+        }
+
+        if ($acknowledgement === null) {
+            return 'The typed confirmation does not match; open the confirmation again and type the phrase it shows';
+        }
+
+        Craft::info("{$command} acknowledged by " . ($actor['username'] ?? 'unknown user') . ' (checks: ' . json_encode($acknowledgement['checks']) . ')', __METHOD__);
+
+        return $acknowledgement;
+    }
+
+    private function getPreflightService(): PreflightService
+    {
+        if ($this->preflightService === null) {
+            $this->preflightService = new PreflightService(
+                $this->getProgressService(),
+                $this->getModuleProvider(),
+                $this->getConnectionDiagnostics(),
+                $this->getConfig()
+            );
+        }
+
+        return $this->preflightService;
+    }
+
+    private function getConnectionDiagnostics(): ConnectionDiagnostics
+    {
+        if ($this->connectionDiagnostics === null) {
+            $this->connectionDiagnostics = new ConnectionDiagnostics(null, $this->getConfig());
+        }
+
+        return $this->connectionDiagnostics;
+    }
+
+    /**
+     * Get QueueJobService instance
+     */
+    private function getQueueJobService(): QueueJobService
+    {
+        if ($this->queueJobService === null) {
+            $this->queueJobService = new QueueJobService();
+        }
+
+        return $this->queueJobService;
+    }
+
+    /**
+     * Get ChangeLogExplorer instance
+     */
+    private function getChangeLogExplorer(): ChangeLogExplorer
+    {
+        if ($this->changeLogExplorer === null) {
+            $this->changeLogExplorer = new ChangeLogExplorer();
+        }
+
+        return $this->changeLogExplorer;
+    }
+
+    /**
+     * The plugin queue job named by the `jobId` body param, or an error response
+     *
+     * @return array|Response
+     */
+    private function findQueueJob()
+    {
+        $jobId = Craft::$app->getRequest()->getBodyParam('jobId');
+
+        if (!is_numeric($jobId) || (int)$jobId <= 0) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Job ID is required',
+            ]);
+        }
+
+        $job = $this->getQueueJobService()->getJob((int)$jobId, $this->getConfig()->getDashboardQueueStallSeconds());
+        if ($job === null) {
+            return $this->asJson([
+                'success' => false,
+                'error' => 'Job not found (it may have finished or been removed)',
+            ]);
+        }
+
+        return $job;
+    }
+
     /**
      * Get MigrationStateManager instance
      */
@@ -1670,6 +2961,23 @@ class MigrationController extends Controller
         return $this->stateManager;
     }
 
+    /**
+     * Record which migration runs a dashboard module so a reloaded page can re-attach
+     */
+    private function attachModuleRun($moduleId, string $migrationId, string $command, ?array $acknowledgement = null): void
+    {
+        if (!is_string($moduleId) || !preg_match('/^[a-z0-9_-]{1,100}$/i', $moduleId)) {
+            return;
+        }
+
+        try {
+            $startedBy = Craft::$app->getUser()->getIdentity()->username ?? null;
+            $this->getProgressService()->attachMigration($moduleId, $migrationId, $command, $startedBy, $acknowledgement);
+        } catch (\Throwable $e) {
+            Craft::warning("Failed to attach migration {$migrationId} to module {$moduleId}: " . $e->getMessage(), __METHOD__);
+        }
+    }
+
     private function getProgressService(): MigrationProgressService
     {
         if ($this->progressService === null) {
@@ -1703,8 +3011,14 @@ class MigrationController extends Controller
             'run-command',
             'run-command-queue',
             'update-module-status',
+            'reset-module-status',
+            'update-pipeline',
             'update-status',
             'cancel-command',
+            'cancel-streaming-migration',
+            'retry-queue-job',
+            'release-queue-job',
+            'delete-checkpoint',
         ], true);
     }
 }
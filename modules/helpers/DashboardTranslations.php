@@ -0,0 +1,48 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\helpers;
+
+use craft\web\View;
+
+/**
+ * Dashboard Translations
+ *
+ * The plugin's message category and its source messages. Craft loads the
+ * catalogues from translations/<language>/spaghetti-migrator.php for Twig's
+ * `|t` filter and `Craft::t()`; the dashboard script translates through
+ * `Craft.t()`, which only knows the messages registered for the page.
+ */
+class DashboardTranslations
+{
+    public const CATEGORY = 'spaghetti-migrator';
+
+    /**
+     * Source messages of the category, from the English catalogue
+     *
+     * @return string[]
+     */
+    public static function getMessages(): array
+    {
+        return array_keys(self::loadCatalogue('en'));
+    }
+
+    /**
+     * Messages of a language's catalogue, or an empty array when there is none
+     *
+     * @return array<string, string>
+     */
+    public static function loadCatalogue(string $language): array
+    {
+        $path = dirname(__DIR__) . '/translations/' . $language . '/' . self::CATEGORY . '.php';
+
+        return is_file($path) ? require $path : [];
+    }
+
+    /**
+     * Register the messages for `Craft.t()` in the current site language
+     */
+    public static function register(View $view): void
+    {
+        $view->registerTranslations(self::CATEGORY, self::getMessages());
+    }
+}
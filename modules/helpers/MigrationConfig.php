@@ -1101,6 +1101,25 @@ class MigrationConfig
         return $this->get('dashboard.logFileName', 'web.log', 'dashboardLogFileName');
     }
 
+    /**
+     * Get the default dashboard execution mode
+     * 'sse' streams command output, 'queue' runs commands through the Craft queue
+     */
+    public function getDashboardExecutionMode(): string
+    {
+        $mode = $this->get('dashboard.executionMode', 'sse', 'dashboardExecutionMode');
+
+        return in_array($mode, ['sse', 'queue'], true) ? $mode : 'sse';
+    }
+
+    /**
+     * Get how long a queued job may wait for a queue runner before the dashboard warns (seconds)
+     */
+    public function getDashboardQueueStallSeconds(): int
+    {
+        return max(10, (int) $this->get('dashboard.queueStallSeconds', 60, 'dashboardQueueStallSeconds'));
+    }
+
     // ============================================================================
     // Progress Reporting Settings
     // ============================================================================
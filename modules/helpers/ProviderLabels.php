@@ -0,0 +1,135 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\helpers;
+
+/**
+ * Provider Labels
+ *
+ * Display names of the storage provider types registered in ProviderRegistry,
+ * the Craft filesystem plugin each one needs and the configuration keys of its
+ * bucket and credentials, so the dashboard can name the configured source and target instead
+ * of assuming AWS S3 → DigitalOcean Spaces.
+ */
+class ProviderLabels
+{
+    /**
+     * Provider type => [name, short name]
+     */
+    private const NAMES = [
+        's3' => ['AWS S3', 'AWS'],
+        'do-spaces' => ['DigitalOcean Spaces', 'DO Spaces'],
+        'gcs' => ['Google Cloud Storage', 'GCS'],
+        'azure-blob' => ['Azure Blob Storage', 'Azure'],
+        'backblaze-b2' => ['Backblaze B2', 'B2'],
+        'wasabi' => ['Wasabi', 'Wasabi'],
+        'cloudflare-r2' => ['Cloudflare R2', 'R2'],
+        'local' => ['Local filesystem', 'local storage'],
+    ];
+
+    /**
+     * Craft filesystem plugin (Composer package and plugin handle) used for each provider type
+     *
+     * S3-compatible providers use the AWS S3 filesystem with a custom endpoint;
+     * local storage uses Craft's own Local Folder filesystem.
+     */
+    private const FS_PLUGINS = [
+        's3' => ['craftcms/aws-s3', 'aws-s3'],
+        'do-spaces' => ['vaersaagod/dospaces', 'dospaces'],
+        'gcs' => ['craftcms/google-cloud', 'google-cloud'],
+        'backblaze-b2' => ['craftcms/aws-s3', 'aws-s3'],
+        'wasabi' => ['craftcms/aws-s3', 'aws-s3'],
+        'cloudflare-r2' => ['craftcms/aws-s3', 'aws-s3'],
+    ];
+
+    /**
+     * Configuration key naming the bucket of provider types that do not call it `bucket`
+     */
+    private const BUCKET_KEYS = [
+        'azure-blob' => 'container',
+        'local' => 'basePath',
+    ];
+
+    /**
+     * Configuration keys holding the credentials of provider types that do not use an access key pair
+     */
+    private const CREDENTIAL_KEYS = [
+        'azure-blob' => ['accountName', 'accountKey'],
+        'gcs' => ['projectId', 'keyFilePath'],
+        'local' => [],
+    ];
+
+    /**
+     * Plugin settings fields of the provider types the settings page configures
+     * (the AWS S3 source and the DigitalOcean Spaces target), with an example value
+     */
+    private const SETTINGS_FIELDS = [
+        's3' => ['Source Bucket' => null, 'Source Region' => null, 'Access Key' => null, 'Secret Key' => null],
+        'do-spaces' => [
+            'Access Key' => null,
+            'Secret Key' => null,
+            'Bucket' => null,
+            'Base URL' => 'https://your-bucket.tor1.digitaloceanspaces.com',
+            'Base Endpoint' => 'tor1.digitaloceanspaces.com',
+            'Region' => 'tor1',
+        ],
+    ];
+
+    /**
+     * Provider types whose filesystems `filesystem-fix/fix-endpoints` repairs
+     */
+    private const ENDPOINT_FIX_TYPES = ['do-spaces'];
+
+    /**
+     * Labels of a provider type
+     *
+     * Unknown types (adapters registered by other plugins) are named after their type.
+     *
+     * @return array{type: string, name: string, short: string, fsPlugin: array{package: string, handle: string}|null}
+     */
+    public static function describe(string $type): array
+    {
+        [$name, $short] = self::NAMES[$type] ?? array_fill(0, 2, ucwords(str_replace(['-', '_'], ' ', $type)));
+        $plugin = self::FS_PLUGINS[$type] ?? null;
+
+        return [
+            'type' => $type,
+            'name' => $name,
+            'short' => $short,
+            'fsPlugin' => $plugin !== null ? ['package' => $plugin[0], 'handle' => $plugin[1]] : null,
+        ];
+    }
+
+    /**
+     * Configuration key of the bucket (container, base path) of a provider type
+     */
+    public static function bucketKey(string $type): string
+    {
+        return self::BUCKET_KEYS[$type] ?? 'bucket';
+    }
+
+    /**
+     * Configuration keys of the credentials of a provider type
+     */
+    public static function credentialKeys(string $type): array
+    {
+        return self::CREDENTIAL_KEYS[$type] ?? ['accessKey', 'secretKey'];
+    }
+
+    /**
+     * Plugin settings fields of a provider type (field label => example value or null)
+     *
+     * @return array<string, string|null>
+     */
+    public static function settingsFields(string $type): array
+    {
+        return self::SETTINGS_FIELDS[$type] ?? [];
+    }
+
+    /**
+     * Whether the endpoint fix applies to the filesystems of a provider type
+     */
+    public static function hasEndpointFix(string $type): bool
+    {
+        return in_array($type, self::ENDPOINT_FIX_TYPES, true);
+    }
+}
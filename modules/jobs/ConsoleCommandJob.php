@@ -6,6 +6,8 @@ use Craft;
 use craft\queue\BaseJob;
 use csabourin\spaghettiMigrator\services\CommandExecutionService;
 use csabourin\spaghettiMigrator\services\MigrationStateService;
+use csabourin\spaghettiMigrator\services\ProcessManager;
+use csabourin\spaghettiMigrator\services\ProgressEvent;
 use yii\base\Exception;
 
 /**
@@ -25,7 +27,12 @@ class ConsoleCommandJob extends BaseJob
     public $command;
 
     /**
-     * @var array Command arguments
+     * @var array Positional arguments, in the action's parameter order
+     */
+    public $arguments = [];
+
+    /**
+     * @var array Command options (name => value)
      */
     public $args = [];
 
@@ -49,11 +56,21 @@ class ConsoleCommandJob extends BaseJob
      */
     private $currentProgress = 0.0;
 
+    /**
+     * @var bool Whether the command emits structured progress events (text patterns are then ignored)
+     */
+    private $hasProgressEvents = false;
+
     /**
      * @var MigrationStateService
      */
     private $stateService;
 
+    /**
+     * @var string|null Full output log, kept on disk because the state only holds the tail
+     */
+    private $logFile;
+
     /**
      * @inheritdoc
      */
@@ -93,6 +110,10 @@ class ConsoleCommandJob extends BaseJob
             $craftPath = Craft::getAlias('@root/craft');
             $fullCommand = "{$craftPath} spaghetti-migrator/{$this->command}";
 
+            foreach ($this->arguments as $argument) {
+                $fullCommand .= ' ' . escapeshellarg((string)$argument);
+            }
+
             // Add migrationId argument for progress tracking
             // Don't use escapeshellarg here - Yii handles the parsing
             if ($this->migrationId) {
@@ -101,12 +122,15 @@ class ConsoleCommandJob extends BaseJob
 
             // Add arguments
             foreach ($this->args as $key => $value) {
-                if ($value === false || $value === '' || $value === '0' || $value === 0) {
+                if ($value === false || $value === '' || $value === null) {
                     continue;
                 }
 
                 if ($value === true || $value === '1' || $value === 1) {
                     $fullCommand .= " --{$key}";
+                } elseif ($value === '0' || $value === 0) {
+                    // Only sent for options whose default is true
+                    $fullCommand .= " --{$key}=0";
                 } else {
                     $fullCommand .= " --{$key}=" . escapeshellarg($value);
                 }
@@ -122,7 +146,10 @@ class ConsoleCommandJob extends BaseJob
             $this->setProgress($queue, 0.01, 'Starting command...');
 
             // Execute with progress tracking
-            $this->executeWithProgress($queue, $fullCommand);
+            if (!$this->executeWithProgress($queue, $fullCommand)) {
+                Craft::info("Command cancelled from the dashboard: {$this->command}", __METHOD__);
+                return;
+            }
 
             // Mark as completed
             if ($this->trackState) {
@@ -154,16 +181,20 @@ class ConsoleCommandJob extends BaseJob
 
     /**
      * Execute command with real-time progress tracking
+     *
+     * @return bool False when the command was cancelled from the dashboard
      */
-    private function executeWithProgress($queue, string $command): void
+    private function executeWithProgress($queue, string $command): bool
     {
+        $processManager = new ProcessManager();
         $descriptorSpec = [
             0 => ['pipe', 'r'],
             1 => ['pipe', 'w'],
             2 => ['pipe', 'w'],
         ];
 
-        $process = proc_open($command . ' 2>&1', $descriptorSpec, $pipes);
+        // "exec" replaces the wrapping shell so proc_terminate() reaches the craft process itself
+        $process = proc_open('exec ' . $command . ' 2>&1', $descriptorSpec, $pipes);
 
         if (!is_resource($process)) {
             throw new Exception('Failed to start process');
@@ -174,6 +205,7 @@ class ConsoleCommandJob extends BaseJob
         stream_set_blocking($pipes[2], false);
 
         $output = '';
+        $this->logFile = $this->migrationId ? Craft::getAlias('@storage/logs') . "/{$this->migrationId}.log" : null;
         $lastProgressUpdate = microtime(true);
         $lastOutputUpdate = microtime(true);
         $progressValue = 0.01;
@@ -186,6 +218,7 @@ class ConsoleCommandJob extends BaseJob
                 $chunk = fread($pipes[1], 8192);
                 if ($chunk !== false && $chunk !== '') {
                     $output .= $chunk;
+                    $this->appendToLog($chunk);
 
                     // Parse and update progress
                     $this->parseProgress($queue, $chunk, $progressValue);
@@ -211,6 +244,7 @@ class ConsoleCommandJob extends BaseJob
                 $chunk = fread($pipes[2], 8192);
                 if ($chunk !== false && $chunk !== '') {
                     $output .= $chunk;
+                    $this->appendToLog($chunk);
                     Craft::warning("Command stderr: {$chunk}", __METHOD__);
 
                     // Note: Output saving disabled - ProgressReporter handles this now
@@ -252,12 +286,28 @@ class ConsoleCommandJob extends BaseJob
                 break;
             }
 
+            // Stop the child process when the dashboard requested cancellation
+            if ($this->migrationId && $processManager->isMigrationCancelled($this->migrationId)) {
+                proc_terminate($process);
+                fclose($pipes[1]);
+                fclose($pipes[2]);
+                proc_close($process);
+
+                $this->saveState('cancelled', [
+                    'phase' => 'cancelled',
+                    'errorMessage' => 'Cancelled by user',
+                ]);
+
+                return false;
+            }
+
             usleep(100000); // 100ms
         }
 
         // Get remaining output
-        $output .= stream_get_contents($pipes[1]);
-        $output .= stream_get_contents($pipes[2]);
+        $remaining = stream_get_contents($pipes[1]) . stream_get_contents($pipes[2]);
+        $output .= $remaining;
+        $this->appendToLog($remaining);
 
         fclose($pipes[1]);
         fclose($pipes[2]);
@@ -297,6 +347,8 @@ class ConsoleCommandJob extends BaseJob
 
             throw new Exception("Command failed with exit code {$exitCode}. Error: {$errorMessage}");
         }
+
+        return true;
     }
 
     /**
@@ -304,7 +356,25 @@ class ConsoleCommandJob extends BaseJob
      */
     private function parseProgress($queue, string $output, &$currentProgress): void
     {
-        // Common progress patterns
+        $event = ProgressEvent::findLatest($output);
+        if ($event !== null) {
+            $this->hasProgressEvents = true;
+
+            if ($event['percent'] !== null) {
+                $currentProgress = max($currentProgress, min($event['percent'] / 100, 0.99));
+                $this->currentProgress = $currentProgress;
+            }
+
+            $label = $event['total'] ? "{$event['processed']}/{$event['total']}" : (string)$event['processed'];
+            $this->setProgress($queue, $this->currentProgress, trim("{$event['phase']} {$label}"));
+            return;
+        }
+
+        if ($this->hasProgressEvents) {
+            return;
+        }
+
+        // Common progress patterns (fallback for commands without progress events)
         $patterns = [
             // "Processing 50/100"
             '/Processing\s+(\d+)\s*\/\s*(\d+)/i' => function($matches) use ($queue, &$currentProgress) {
@@ -349,6 +419,21 @@ class ConsoleCommandJob extends BaseJob
         }
     }
 
+    /**
+     * Append command output to the run's log file
+     */
+    private function appendToLog(string $chunk): void
+    {
+        if ($this->logFile === null || $chunk === '') {
+            return;
+        }
+
+        if (@file_put_contents($this->logFile, $chunk, FILE_APPEND) === false) {
+            Craft::warning("Unable to write command log {$this->logFile}", __METHOD__);
+            $this->logFile = null;
+        }
+    }
+
     /**
      * Save migration state
      */
@@ -329,6 +329,17 @@ class Settings extends Model
      */
     public string $dashboardLogFileName = 'web.log';
 
+    /**
+     * @var string How the dashboard runs commands: 'sse' streams output from a detached process,
+     * 'queue' hands the command to the Craft queue (for hosts where proxies buffer SSE or PHP-FPM ends long requests)
+     */
+    public string $dashboardExecutionMode = 'sse';
+
+    /**
+     * @var int Seconds a queued job may wait for a queue runner before the dashboard warns about it
+     */
+    public int $dashboardQueueStallSeconds = 60;
+
     // ──────────────────────────────────────────────────────────────────────────
     // Progress Reporting Settings
     // ──────────────────────────────────────────────────────────────────────────
@@ -464,6 +475,7 @@ class Settings extends Model
             [['sampleUrlLimit'], 'integer', 'min' => 1, 'max' => 50],
             [['fileListLimit'], 'integer', 'min' => 1, 'max' => 500],
             [['dashboardLogLinesDefault'], 'integer', 'min' => 10, 'max' => 10000],
+            [['dashboardQueueStallSeconds'], 'integer', 'min' => 10, 'max' => 86400],
             [['progressReportInterval'], 'integer', 'min' => 1, 'max' => 1000],
             [['lockRefreshIntervalSeconds'], 'integer', 'min' => 10, 'max' => 3600],
             [['verificationSampleSize'], 'integer', 'min' => 10, 'max' => 1000],
@@ -478,6 +490,7 @@ class Settings extends Model
 
             // String fields
             [['templateBackupSuffix', 'templateEnvVarName', 'fieldColumnPattern', 'dashboardLogFileName'], 'string'],
+            [['dashboardExecutionMode'], 'in', 'range' => ['sse', 'queue']],
 
             // Array fields (will be JSON encoded)
             [['filesystemMappings', 'sourceVolumeHandles', 'volumesAtBucketRoot', 'volumesWithSubfolders', 'volumesFlatStructure', 'filesystemDefinitions', 'templateExtensions', 'contentTablePatterns', 'additionalTables', 'columnTypes', 'priorityFolderPatterns'], 'safe'],
@@ -555,6 +568,8 @@ class Settings extends Model
             // Dashboard
             'dashboardLogLinesDefault' => 'Dashboard Log Lines',
             'dashboardLogFileName' => 'Dashboard Log File',
+            'dashboardExecutionMode' => 'Dashboard Execution Mode',
+            'dashboardQueueStallSeconds' => 'Queue Runner Warning',
 
             // Progress Reporting
             'progressReportInterval' => 'Progress Report Interval',
@@ -697,6 +712,8 @@ class Settings extends Model
             // Dashboard
             'dashboardLogLinesDefault' => 'Default number of log lines to display in dashboard.',
             'dashboardLogFileName' => 'Log file to display in dashboard.',
+            'dashboardExecutionMode' => 'Default way the dashboard runs commands. Use the queue when proxies buffer streamed responses or PHP-FPM ends long requests.',
+            'dashboardQueueStallSeconds' => 'Seconds a queued job may wait for a queue runner before the dashboard warns that nothing is processing the queue.',
 
             // Progress Reporting
             'progressReportInterval' => 'Report progress after processing this many items. Lower = more frequent updates (slower), Higher = less frequent (faster).',
@@ -870,6 +887,12 @@ class Settings extends Model
         if (isset($config['dashboard']['logFileName'])) {
             $this->dashboardLogFileName = $config['dashboard']['logFileName'];
         }
+        if (isset($config['dashboard']['executionMode'])) {
+            $this->dashboardExecutionMode = $config['dashboard']['executionMode'];
+        }
+        if (isset($config['dashboard']['queueStallSeconds'])) {
+            $this->dashboardQueueStallSeconds = (int) $config['dashboard']['queueStallSeconds'];
+        }
 
         return $this;
     }
@@ -945,6 +968,8 @@ class Settings extends Model
             // Dashboard
             'dashboardLogLinesDefault' => $this->dashboardLogLinesDefault,
             'dashboardLogFileName' => $this->dashboardLogFileName,
+            'dashboardExecutionMode' => $this->dashboardExecutionMode,
+            'dashboardQueueStallSeconds' => $this->dashboardQueueStallSeconds,
 
             // Progress Reporting
             'progressReportInterval' => $this->progressReportInterval,
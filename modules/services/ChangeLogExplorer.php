@@ -0,0 +1,500 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+use Craft;
+
+/**
+ * Change Log Explorer
+ *
+ * Read-only access to the change logs written by ChangeLogManager
+ * (`@storage/migration-changelogs/{migrationId}.jsonl`) for the dashboard:
+ * filtering, paging, single entries with their before/after values, and the
+ * full matching set for rollback previews and exports. Logs are read line by
+ * line, so only the requested page is held in memory when browsing.
+ */
+class ChangeLogExplorer
+{
+    public const DEFAULT_PER_PAGE = 50;
+    public const MAX_PER_PAGE = 200;
+
+    /**
+     * Header of the CSV export (see toCsvRow())
+     */
+    public const CSV_COLUMNS = ['migrationId', 'sequence', 'timestamp', 'phase', 'type', 'assetId', 'filename', 'before', 'after', 'details', 'rollback', 'rollbackDescription'];
+
+    /**
+     * Fields added by ChangeLogManager (or the explorer) rather than describing the change
+     */
+    private const META_FIELDS = ['sequence', 'timestamp', 'phase', 'type', 'action', 'migrationId', 'runId'];
+
+    /**
+     * Fields naming a volume or filesystem (by ID, name or handle)
+     */
+    private const VOLUME_FIELDS = ['fromVolume', 'toVolume', 'sourceVolume', 'newVolume', 'originalVolumeId', 'filesystem'];
+
+    /**
+     * Fields searched by the free-text filter
+     */
+    private const SEARCH_FIELDS = ['filename', 'originalFilename', 'currentFilename', 'matchedFile', 'path', 'fromPath', 'toPath', 'sourcePath', 'targetPath', 'newPath', 'originalPath', 'quarantinePath'];
+
+    /**
+     * Before and after fields of the logged change types; other types fall
+     * back to the `from`/`original`/`old` and `to`/`new` naming conventions
+     */
+    private const CHANGE_FIELDS = [
+        'moved_asset' => [['fromVolume', 'fromFolder'], ['toVolume', 'toFolder']],
+        'moved_from_optimised' => [['fromVolume', 'fromLocation', 'fromPath'], ['toVolume', 'toPath']],
+        'volumeId_updated_missing_file' => [['fromVolume'], ['toVolume']],
+        'volumeId_updated_file_already_in_target' => [['fromVolume'], ['toVolume', 'path']],
+        'quarantined_orphaned_file' => [['sourceVolume', 'sourcePath'], ['targetPath']],
+        'quarantined_unused_asset' => [['fromVolume', 'fromFolder', 'originalFilename', 'originalPath'], ['currentFilename', 'quarantinePath']],
+        'fixed_broken_link' => [['originalVolumeId', 'originalFolderId'], ['matchedFile', 'sourceVolume', 'sourcePath']],
+        'updated_asset_path' => [['originalVolumeId'], ['newVolume', 'newPath']],
+        'inline_image_linked' => [['originalContent'], ['newContent']],
+        'filesystem_update' => [['old_value'], ['new_value']],
+        'upgrade_asset_file' => [['oldSize'], ['newSize']],
+    ];
+
+    /**
+     * Migrations that have a change log, newest first
+     *
+     * @return array<int, array{id: string, changeCount: int, modifiedAt: int, size: int}>
+     */
+    public function getMigrations(): array
+    {
+        $migrations = [];
+
+        foreach ($this->getLogFiles(null) as $migrationId => $file) {
+            $changeCount = 0;
+            $handle = fopen($file, 'r');
+            if ($handle) {
+                while (($line = fgets($handle)) !== false) {
+                    if (trim($line) !== '') {
+                        $changeCount++;
+                    }
+                }
+                fclose($handle);
+            }
+
+            $migrations[] = [
+                'id' => $migrationId,
+                'changeCount' => $changeCount,
+                'modifiedAt' => (int)filemtime($file),
+                'size' => (int)filesize($file),
+            ];
+        }
+
+        usort($migrations, fn($a, $b) => $b['modifiedAt'] <=> $a['modifiedAt']);
+
+        return $migrations;
+    }
+
+    /**
+     * One page of summarized entries matching the filters
+     *
+     * Facets (types, phases, volumes) cover every entry in the filtered
+     * migration, so the filter menus keep offering values the other filters hide.
+     *
+     * @param array $filters Output of normalizeFilters()
+     */
+    public function query(array $filters, int $page = 1, int $perPage = self::DEFAULT_PER_PAGE): array
+    {
+        $perPage = max(1, min(self::MAX_PER_PAGE, $perPage));
+        $page = max(1, $page);
+        $offset = ($page - 1) * $perPage;
+
+        $total = 0;
+        $entries = [];
+        $facets = ['types' => [], 'phases' => [], 'volumes' => []];
+
+        foreach ($this->eachEntry($filters['migrationId'] ?? null) as $entry) {
+            $facets['types'][self::getType($entry)] = true;
+            $facets['phases'][$entry['phase'] ?? 'unknown'] = true;
+            foreach (self::getVolumes($entry) as $volume) {
+                $facets['volumes'][$volume] = true;
+            }
+
+            if (!self::matches($entry, $filters)) {
+                continue;
+            }
+
+            if ($total >= $offset && $total < $offset + $perPage) {
+                $entries[] = self::summarize($entry);
+            }
+            $total++;
+        }
+
+        foreach ($facets as &$values) {
+            $values = array_map('strval', array_keys($values));
+            sort($values, SORT_NATURAL);
+        }
+        unset($values);
+
+        return [
+            'entries' => $entries,
+            'total' => $total,
+            'page' => $page,
+            'perPage' => $perPage,
+            'pageCount' => max(1, (int)ceil($total / $perPage)),
+            'facets' => $facets,
+        ];
+    }
+
+    /**
+     * Every entry matching the filters, in log order
+     *
+     * @param array $filters Output of normalizeFilters()
+     */
+    public function getMatchingEntries(array $filters): array
+    {
+        $entries = [];
+
+        foreach ($this->eachEntry($filters['migrationId'] ?? null) as $entry) {
+            if (self::matches($entry, $filters)) {
+                $entries[] = $entry;
+            }
+        }
+
+        return $entries;
+    }
+
+    /**
+     * What a migration's change log can be rolled back by: its phases and the
+     * dashboard runs that made changes (older entries carry no run)
+     *
+     * @return array{changeCount: int, phases: array<int, array{phase: string, changeCount: int}>, runs: array<int, array{id: string, changeCount: int, firstAt: string|null, lastAt: string|null}>}
+     */
+    public function getRollbackScopes(string $migrationId): array
+    {
+        $changeCount = 0;
+        $phases = [];
+        $runs = [];
+
+        foreach ($this->eachEntry($migrationId) as $entry) {
+            $changeCount++;
+
+            $phase = (string)($entry['phase'] ?? 'unknown');
+            $phases[$phase] = ($phases[$phase] ?? 0) + 1;
+
+            if (empty($entry['runId'])) {
+                continue;
+            }
+
+            $runId = (string)$entry['runId'];
+            $runs[$runId] ??= ['id' => $runId, 'changeCount' => 0, 'firstAt' => $entry['timestamp'] ?? null, 'lastAt' => null];
+            $runs[$runId]['changeCount']++;
+            $runs[$runId]['lastAt'] = $entry['timestamp'] ?? $runs[$runId]['lastAt'];
+        }
+
+        // Phases in the order they run; phases unknown to the engine go last
+        $order = array_flip(RollbackEngine::PHASE_ORDER);
+        uksort($phases, fn($a, $b) => [$order[$a] ?? PHP_INT_MAX, $a] <=> [$order[$b] ?? PHP_INT_MAX, $b]);
+
+        $runs = array_values($runs);
+        usort($runs, fn($a, $b) => strcmp((string)$b['firstAt'], (string)$a['firstAt']));
+
+        return [
+            'changeCount' => $changeCount,
+            'phases' => array_map(
+                fn($phase, $count) => ['phase' => (string)$phase, 'changeCount' => $count],
+                array_keys($phases),
+                $phases
+            ),
+            'runs' => $runs,
+        ];
+    }
+
+    /**
+     * A single entry, or null when the migration has no entry with this sequence number
+     */
+    public function getEntry(string $migrationId, int $sequence): ?array
+    {
+        if (!self::isValidMigrationId($migrationId)) {
+            return null;
+        }
+
+        foreach ($this->eachEntry($migrationId) as $entry) {
+            if ((int)($entry['sequence'] ?? 0) === $sequence) {
+                return $entry;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Filters from request parameters; empty values are dropped
+     *
+     * @return array{migrationId?: string, type?: string, phase?: string, volume?: string, assetId?: int, dateFrom?: string, dateTo?: string, search?: string}
+     * @throws \InvalidArgumentException when a value is malformed
+     */
+    public static function normalizeFilters(array $input): array
+    {
+        $filters = [];
+
+        foreach (['migrationId', 'type', 'phase', 'volume', 'assetId', 'dateFrom', 'dateTo', 'search'] as $name) {
+            $value = is_scalar($input[$name] ?? null) ? trim((string)$input[$name]) : '';
+            if ($value !== '') {
+                $filters[$name] = $value;
+            }
+        }
+
+        if (isset($filters['migrationId']) && !self::isValidMigrationId($filters['migrationId'])) {
+            throw new \InvalidArgumentException('Invalid migration ID');
+        }
+
+        if (isset($filters['assetId'])) {
+            if (!ctype_digit($filters['assetId'])) {
+                throw new \InvalidArgumentException('Asset ID must be a whole number');
+            }
+            $filters['assetId'] = (int)$filters['assetId'];
+        }
+
+        foreach (['dateFrom', 'dateTo'] as $name) {
+            if (isset($filters[$name]) && !preg_match('/^\d{4}-\d{2}-\d{2}$/', $filters[$name])) {
+                throw new \InvalidArgumentException('Dates must use the YYYY-MM-DD format');
+            }
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Whether an entry passes the filters
+     *
+     * Volumes match any volume field by value (IDs, names and handles are
+     * compared as text); dates are inclusive and compared by day.
+     */
+    public static function matches(array $entry, array $filters): bool
+    {
+        if (isset($filters['migrationId']) && ($entry['migrationId'] ?? null) !== $filters['migrationId']) {
+            return false;
+        }
+
+        if (isset($filters['type']) && self::getType($entry) !== $filters['type']) {
+            return false;
+        }
+
+        if (isset($filters['phase']) && ($entry['phase'] ?? 'unknown') !== $filters['phase']) {
+            return false;
+        }
+
+        if (isset($filters['volume']) && !in_array(strtolower($filters['volume']), array_map('strtolower', self::getVolumes($entry)), true)) {
+            return false;
+        }
+
+        if (isset($filters['assetId']) && (int)($entry['assetId'] ?? 0) !== $filters['assetId']) {
+            return false;
+        }
+
+        $day = substr((string)($entry['timestamp'] ?? ''), 0, 10);
+        if (isset($filters['dateFrom']) && ($day === '' || $day < $filters['dateFrom'])) {
+            return false;
+        }
+        if (isset($filters['dateTo']) && ($day === '' || $day > $filters['dateTo'])) {
+            return false;
+        }
+
+        if (isset($filters['search'])) {
+            $haystack = [];
+            foreach (self::SEARCH_FIELDS as $field) {
+                if (isset($entry[$field]) && is_scalar($entry[$field])) {
+                    $haystack[] = (string)$entry[$field];
+                }
+            }
+
+            if (mb_stripos(implode("\n", $haystack), $filters['search']) === false) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Table row of an entry (large fields such as HTML content are left out)
+     */
+    public static function summarize(array $entry): array
+    {
+        $diff = self::diff($entry);
+        $volumes = fn(array $values) => array_values(array_intersect_key($values, array_flip(self::VOLUME_FIELDS)));
+
+        return [
+            'migrationId' => $entry['migrationId'] ?? null,
+            'sequence' => (int)($entry['sequence'] ?? 0),
+            'runId' => $entry['runId'] ?? null,
+            'timestamp' => $entry['timestamp'] ?? null,
+            'phase' => $entry['phase'] ?? 'unknown',
+            'type' => self::getType($entry),
+            'assetId' => isset($entry['assetId']) ? (int)$entry['assetId'] : null,
+            'filename' => $entry['filename'] ?? $entry['originalFilename'] ?? $entry['matchedFile'] ?? null,
+            'fromVolumes' => $volumes($diff['before']),
+            'toVolumes' => $volumes($diff['after']),
+            'rollback' => RollbackEngine::describeReversal($entry)['outcome'],
+        ];
+    }
+
+    /**
+     * Split an entry into what it changed from (`before`), what it changed to
+     * (`after`) and the remaining fields (`details`)
+     *
+     * @return array{before: array, after: array, details: array}
+     */
+    public static function diff(array $entry): array
+    {
+        $fields = array_diff_key($entry, array_flip(self::META_FIELDS));
+        $known = self::CHANGE_FIELDS[self::getType($entry)] ?? null;
+
+        $before = [];
+        $after = [];
+        foreach ($fields as $field => $value) {
+            if ($known !== null) {
+                $side = in_array($field, $known[0], true) ? 'before' : (in_array($field, $known[1], true) ? 'after' : null);
+            } elseif (preg_match('/^(from|original|old)[A-Z_]/', $field)) {
+                $side = 'before';
+            } elseif (preg_match('/^(to|new)[A-Z_]/', $field)) {
+                $side = 'after';
+            } else {
+                $side = null;
+            }
+
+            if ($side === 'before') {
+                $before[$field] = $value;
+                unset($fields[$field]);
+            } elseif ($side === 'after') {
+                $after[$field] = $value;
+                unset($fields[$field]);
+            }
+        }
+
+        return [
+            'before' => $before,
+            'after' => $after,
+            'details' => $fields,
+        ];
+    }
+
+    /**
+     * CSV export row of an entry; before/after/details are JSON-encoded
+     *
+     * Text starting like a spreadsheet formula is prefixed with a quote so
+     * opening the export never evaluates logged file names or paths.
+     */
+    public static function toCsvRow(array $entry): array
+    {
+        $summary = self::summarize($entry);
+        $changes = self::diff($entry);
+        $reversal = RollbackEngine::describeReversal($entry);
+        $json = fn(array $values) => json_encode($values, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        $row = [
+            $summary['migrationId'],
+            $summary['sequence'],
+            $summary['timestamp'],
+            $summary['phase'],
+            $summary['type'],
+            $summary['assetId'],
+            $summary['filename'],
+            $json($changes['before']),
+            $json($changes['after']),
+            $json($changes['details']),
+            $reversal['outcome'],
+            $reversal['description'],
+        ];
+
+        return array_map(
+            fn($value) => is_string($value) && preg_match('/^[=+\-@\t\r]/', $value) ? "'" . $value : $value,
+            $row
+        );
+    }
+
+    /**
+     * Change type of an entry (a few services log it as `action`)
+     */
+    public static function getType(array $entry): string
+    {
+        return (string)($entry['type'] ?? $entry['action'] ?? 'unknown');
+    }
+
+    public static function isValidMigrationId(string $migrationId): bool
+    {
+        return (bool)preg_match('/^[a-zA-Z0-9_-]+$/', $migrationId);
+    }
+
+    /**
+     * Volume values named by an entry
+     *
+     * @return string[]
+     */
+    private static function getVolumes(array $entry): array
+    {
+        $volumes = [];
+        foreach (self::VOLUME_FIELDS as $field) {
+            if (isset($entry[$field]) && is_scalar($entry[$field]) && (string)$entry[$field] !== '') {
+                $volumes[] = (string)$entry[$field];
+            }
+        }
+
+        return array_values(array_unique($volumes));
+    }
+
+    /**
+     * Decoded entries of one migration's log, or of all logs (newest log first)
+     *
+     * @return \Generator<array> Entries with their `migrationId`
+     */
+    private function eachEntry(?string $migrationId): \Generator
+    {
+        $files = $this->getLogFiles($migrationId);
+        uasort($files, fn($a, $b) => filemtime($b) <=> filemtime($a));
+
+        foreach ($files as $id => $file) {
+            $handle = fopen($file, 'r');
+            if (!$handle) {
+                continue;
+            }
+
+            try {
+                while (($line = fgets($handle)) !== false) {
+                    $entry = json_decode($line, true);
+                    if (is_array($entry)) {
+                        $entry['migrationId'] = (string)$id;
+                        yield $entry;
+                    }
+                }
+            } finally {
+                fclose($handle);
+            }
+        }
+    }
+
+    /**
+     * Change log files keyed by migration ID
+     *
+     * @return array<string, string>
+     */
+    private function getLogFiles(?string $migrationId): array
+    {
+        $logDir = Craft::getAlias('@storage/migration-changelogs');
+        if (!is_dir($logDir)) {
+            return [];
+        }
+
+        if ($migrationId !== null) {
+            $file = $logDir . '/' . $migrationId . '.jsonl';
+
+            return self::isValidMigrationId($migrationId) && is_file($file) ? [$migrationId => $file] : [];
+        }
+
+        $files = [];
+        foreach (glob($logDir . '/*.jsonl') ?: [] as $file) {
+            $id = basename($file, '.jsonl');
+            if (self::isValidMigrationId($id)) {
+                $files[$id] = $file;
+            }
+        }
+
+        return $files;
+    }
+}
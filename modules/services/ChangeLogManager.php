@@ -18,6 +18,7 @@ class ChangeLogManager
     private $bufferSize = 0;
     private $flushThreshold;
     private $currentPhase = 'unknown';
+    private $runId = null;
 
     public function __construct($migrationId, $flushThreshold = 5)
     {
@@ -54,6 +55,19 @@ class ChangeLogManager
         $this->flush();
     }
 
+    /**
+     * Set the dashboard run that makes the following changes
+     *
+     * Entries are stamped with it, so a single run of a migration that was
+     * resumed several times can be rolled back on its own.
+     *
+     * @param string|null $runId Dashboard migration ID (null for terminal runs)
+     */
+    public function setRunId($runId)
+    {
+        $this->runId = $runId ?: null;
+    }
+
     /**
      * Log a change entry
      */
@@ -63,6 +77,10 @@ class ChangeLogManager
         $change['timestamp'] = date('Y-m-d H:i:s');
         $change['phase'] = $this->currentPhase; // Add phase tracking
 
+        if ($this->runId !== null) {
+            $change['runId'] = $this->runId;
+        }
+
         $this->buffer[] = $change;
         $this->bufferSize++;
 
@@ -11,6 +11,11 @@ use yii\helpers\FileHelper;
  */
 class CheckpointManager
 {
+    /**
+     * Age after which a checkpoint counts as stale (and is removed by cleanupOldCheckpoints())
+     */
+    public const STALE_AFTER_HOURS = 72;
+
     private $migrationId;
     private $checkpointDir;
     private $stateFile; // Separate state file for quick resume
@@ -233,7 +238,7 @@ class CheckpointManager
         return $checkpoints;
     }
 
-    public function cleanupOldCheckpoints($olderThanHours = 72)
+    public function cleanupOldCheckpoints($olderThanHours = self::STALE_AFTER_HOURS)
     {
         $cutoff = time() - ($olderThanHours * 3600);
         $files = glob($this->checkpointDir . '/*.json');
@@ -270,6 +275,114 @@ class CheckpointManager
         return $removed;
     }
 
+    /**
+     * Delete this migration's checkpoint and quick-resume state
+     *
+     * @return bool False when there was no checkpoint to delete
+     */
+    public function deleteCheckpoint(): bool
+    {
+        $deleted = false;
+
+        foreach ([$this->getCheckpointPath(), $this->stateFile] as $file) {
+            $this->validatePathWithinCheckpointDir($file);
+
+            if (!file_exists($file)) {
+                continue;
+            }
+
+            if (!unlink($file)) {
+                throw new \Exception('Failed to delete checkpoint file: ' . basename($file));
+            }
+
+            $deleted = true;
+        }
+
+        if ($deleted) {
+            Craft::info("Deleted checkpoint for migration {$this->migrationId}", __METHOD__);
+        }
+
+        return $deleted;
+    }
+
+    /**
+     * Describe every checkpoint on disk, newest first
+     *
+     * Static so the dashboard can list checkpoints without binding a manager
+     * to a migration (the constructor touches the database).
+     */
+    public static function describeCheckpoints(): array
+    {
+        $checkpointDir = Craft::getAlias('@storage/migration-checkpoints');
+        if (!is_dir($checkpointDir)) {
+            return [];
+        }
+
+        $files = glob($checkpointDir . '/*.json') ?: [];
+        // Exclude .state.json files
+        $files = array_filter($files, fn($f) => !str_ends_with($f, '.state.json') && !is_link($f));
+
+        $checkpoints = [];
+        foreach ($files as $file) {
+            $data = json_decode((string)file_get_contents($file), true);
+            if (!is_array($data)) {
+                continue;
+            }
+
+            $id = basename($file, '.json');
+            $checkpoints[] = self::describe($id, $data, (int)filemtime($file), time()) + [
+                'size' => (int)filesize($file),
+                'hasQuickState' => file_exists($checkpointDir . '/' . $id . '.state.json'),
+            ];
+        }
+
+        usort($checkpoints, fn($a, $b) => $b['savedAt'] <=> $a['savedAt']);
+
+        return $checkpoints;
+    }
+
+    /**
+     * Dashboard view of a checkpoint
+     *
+     * `remaining` is only known when the checkpoint recorded a total; `ageSeconds`
+     * is measured from when the checkpoint was written (file time as a fallback).
+     *
+     * @param string $id Checkpoint ID (file name without `.json`)
+     * @param array $data Decoded checkpoint file
+     * @param int $modifiedAt Modification time of the checkpoint file
+     */
+    public static function describe(string $id, array $data, int $modifiedAt, int $now): array
+    {
+        $processed = count($data['processed_ids'] ?? []);
+        $total = $data['total_count'] ?? $data['assetCount'] ?? null;
+        $total = is_numeric($total) && (int)$total > 0 ? (int)$total : null;
+
+        if (isset($data['created_at']) && is_numeric($data['created_at'])) {
+            $savedAt = (int)$data['created_at'];
+        } else {
+            $savedAt = !empty($data['timestamp']) ? (strtotime($data['timestamp']) ?: $modifiedAt) : $modifiedAt;
+        }
+        $ageSeconds = max(0, $now - $savedAt);
+        $completed = !empty($data['completed']) || ($data['phase'] ?? null) === 'complete';
+
+        return [
+            'id' => $id,
+            'migrationId' => $data['migration_id'] ?? $id,
+            'phase' => $data['phase'] ?? 'unknown',
+            'batch' => (int)($data['batch'] ?? 0),
+            'processed' => $processed,
+            'total' => $total,
+            'remaining' => $total !== null ? max(0, $total - $processed) : null,
+            'stats' => is_array($data['stats'] ?? null) ? $data['stats'] : [],
+            'timestamp' => $data['timestamp'] ?? date('Y-m-d H:i:s', $savedAt),
+            'savedAt' => $savedAt,
+            'ageSeconds' => $ageSeconds,
+            'stale' => $ageSeconds > self::STALE_AFTER_HOURS * 3600,
+            'completed' => $completed,
+            'version' => $data['checkpoint_version'] ?? null,
+        ];
+    }
+
     private function getCheckpointPath()
     {
         return $this->checkpointDir . '/' . $this->migrationId . '.json';
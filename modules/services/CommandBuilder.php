@@ -275,8 +275,9 @@ class CommandBuilder
             return 'unknown';
         }
 
-        // Modules requiring arguments must be run manually via CLI
-        if ($module['requiresArgs'] ?? false) {
+        // Modules requiring arguments without a command must be run manually via CLI;
+        // the others collect their arguments from the module options form
+        if (($module['requiresArgs'] ?? false) && empty($module['command'])) {
             return 'manual';
         }
 
@@ -305,7 +306,7 @@ class CommandBuilder
         }
 
         // Check if module requires manual execution
-        if ($module['requiresArgs'] ?? false) {
+        if (($module['requiresArgs'] ?? false) && empty($module['command'])) {
             return [
                 'valid' => false,
                 'error' => 'This module requires arguments and must be run manually via CLI'
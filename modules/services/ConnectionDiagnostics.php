@@ -0,0 +1,510 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+use Craft;
+use craft\helpers\App;
+use csabourin\spaghettiMigrator\helpers\MigrationConfig;
+use csabourin\spaghettiMigrator\interfaces\StorageProviderInterface;
+use csabourin\spaghettiMigrator\models\ProviderCapabilities;
+use csabourin\spaghettiMigrator\Plugin;
+
+/**
+ * Connection Diagnostics
+ *
+ * Probes the source and target storage providers and the volumes the
+ * migration uses, one operation at a time (list, write, read back, delete),
+ * and reports each probe's outcome and latency with the region, endpoint and
+ * capabilities of the storage, plus a hint for the usual failures. The report
+ * is shown on the dashboard and can be downloaded for a support ticket.
+ *
+ * The source provider and the source volumes are never written to. Write
+ * probes on the target and its volumes only run when asked for; they write a
+ * small file next to the storage root and delete it again.
+ */
+class ConnectionDiagnostics
+{
+    /**
+     * Name prefix of the files written by the write probes
+     */
+    public const PROBE_PREFIX = '.spaghetti-migrator-probe';
+
+    /**
+     * Objects larger than this are checked through their metadata instead of downloaded
+     */
+    private const READ_LIMIT = 1048576;
+
+    /**
+     * Objects listed by the list probe
+     */
+    private const LIST_LIMIT = 5;
+
+    private ?ProviderRegistry $registry;
+
+    private ?MigrationConfig $config;
+
+    public function __construct(?ProviderRegistry $registry = null, ?MigrationConfig $config = null)
+    {
+        $this->registry = $registry;
+        $this->config = $config;
+    }
+
+    /**
+     * Diagnose both providers and every volume of the migration
+     *
+     * @return array{providers: array, volumes: array, writeProbes: bool, generatedAt: string}
+     */
+    public function run(bool $writeProbes): array
+    {
+        $providers = [
+            $this->diagnoseConfiguredProvider('source', $writeProbes),
+            $this->diagnoseConfiguredProvider('target', $writeProbes),
+        ];
+
+        $sourceHandles = $this->getConfig()->getSourceVolumeHandles();
+        $volumes = [];
+        foreach ($this->getVolumeHandles() as $handle) {
+            $volumes[] = $this->diagnoseVolume($handle, $providers, $sourceHandles, $writeProbes);
+        }
+
+        return [
+            'providers' => $providers,
+            'volumes' => $volumes,
+            'writeProbes' => $writeProbes,
+            'generatedAt' => date(DATE_ATOM),
+        ];
+    }
+
+    /**
+     * Diagnose one storage provider
+     *
+     * @param string $role "source" or "target"; the source is only read
+     * @param array $config Provider configuration, for the endpoint
+     */
+    public static function diagnoseProvider(string $role, StorageProviderInterface $provider, array $config, bool $writeProbes): array
+    {
+        $operations = [
+            'list' => function() use ($provider) {
+                $paths = [];
+                foreach ($provider->listObjects('', ['maxKeys' => self::LIST_LIMIT, 'recursive' => true]) as $object) {
+                    $paths[] = $object->path;
+                    if (count($paths) >= self::LIST_LIMIT) {
+                        break;
+                    }
+                }
+
+                return $paths;
+            },
+            'read' => function(string $path) use ($provider) {
+                if ($provider->getObjectMetadata($path)->size > self::READ_LIMIT) {
+                    return null;
+                }
+
+                $content = $provider->readObject($path);
+
+                return is_resource($content) ? (string)stream_get_contents($content) : (string)$content;
+            },
+        ];
+
+        if ($role !== 'source' && $writeProbes) {
+            $operations['write'] = function(string $path, string $content) use ($provider) {
+                if (!$provider->writeObject($path, $content, ['contentType' => 'text/plain'])) {
+                    throw new \RuntimeException('The storage refused the write');
+                }
+            };
+            $operations['delete'] = function(string $path) use ($provider) {
+                if (!$provider->deleteObject($path)) {
+                    throw new \RuntimeException("The storage refused to delete {$path}");
+                }
+            };
+        }
+
+        $probes = self::runProbes(
+            $operations,
+            self::probePath(''),
+            $role === 'source' ? 'The source is never written to' : 'Write probes were not requested'
+        );
+
+        try {
+            $capabilities = self::describeCapabilities($provider->getCapabilities());
+        } catch (\Throwable $e) {
+            $capabilities = null;
+        }
+
+        return [
+            'role' => $role,
+            'type' => $provider->getProviderName(),
+            'bucket' => $provider->getBucket(),
+            'region' => $provider->getRegion(),
+            'endpoint' => $config['endpoint'] ?? $config['baseUrl'] ?? null,
+            'status' => self::overallStatus($probes),
+            'probes' => $probes,
+            'capabilities' => $capabilities,
+        ];
+    }
+
+    /**
+     * Run the list, write, read and delete probes against one storage
+     *
+     * The read probe reads the probe file back when it was written, otherwise
+     * the first listed object. A read operation returning null means the
+     * object was too large to download and only its metadata was read.
+     *
+     * @param array{list: callable, read: callable, write?: callable, delete?: callable} $operations
+     *   Without `write` and `delete` the storage is only read; they report a failure by throwing
+     * @param string $skipReason Shown on the write and delete probes when they are left out
+     */
+    public static function runProbes(array $operations, string $probePath, string $skipReason): array
+    {
+        $listed = [];
+        $probes = [
+            'list' => self::probe(function() use ($operations, &$listed) {
+                $listed = $operations['list']();
+
+                return count($listed) . ' object(s) listed' . (empty($listed) ? ' (the storage root is empty)' : '');
+            }),
+        ];
+
+        $written = false;
+        $content = 'Connection probe written at ' . date(DATE_ATOM);
+
+        if (isset($operations['write'])) {
+            $probes['write'] = self::probe(function() use ($operations, $probePath, $content, &$written) {
+                $operations['write']($probePath, $content);
+                $written = true;
+
+                return "Wrote {$probePath}";
+            });
+        } else {
+            $probes['write'] = self::skipped($skipReason);
+        }
+
+        if ($written) {
+            $probes['read'] = self::probe(function() use ($operations, $probePath, $content) {
+                if ($operations['read']($probePath) !== $content) {
+                    throw new \RuntimeException('The probe file read back differs from what was written');
+                }
+
+                return "Read back {$probePath}";
+            });
+        } elseif (!empty($listed)) {
+            $path = (string)$listed[0];
+            $probes['read'] = self::probe(function() use ($operations, $path) {
+                return $operations['read']($path) === null
+                    ? "Read the metadata of {$path} (too large to download)"
+                    : "Read {$path}";
+            });
+        } else {
+            $probes['read'] = self::skipped('Nothing to read: no object was listed or written');
+        }
+
+        if ($written && isset($operations['delete'])) {
+            $probes['delete'] = self::probe(function() use ($operations, $probePath) {
+                $operations['delete']($probePath);
+
+                return "Deleted {$probePath}";
+            });
+        } else {
+            $probes['delete'] = self::skipped(isset($operations['delete']) ? 'Nothing was written to delete' : $skipReason);
+        }
+
+        return $probes;
+    }
+
+    /**
+     * Capabilities the migration relies on
+     */
+    public static function describeCapabilities(ProviderCapabilities $capabilities): array
+    {
+        return [
+            'multipartUpload' => $capabilities->supportsMultipartUpload,
+            'serverSideCopy' => $capabilities->supportsServerSideCopy,
+            'acls' => $capabilities->supportsACLs,
+            'versioning' => $capabilities->supportsVersioning,
+            'presignedUrls' => $capabilities->supportsPresignedUrls,
+            'maxFileSize' => $capabilities->maxFileSize === PHP_INT_MAX ? null : $capabilities->maxFileSize,
+        ];
+    }
+
+    /**
+     * What to check for a failed probe, or null when the error is not recognised
+     */
+    public static function hintFor(string $message): ?string
+    {
+        $hints = [
+            '/InvalidAccessKeyId|SignatureDoesNotMatch|AccessDenied|403 Forbidden|credentials/i'
+                => 'Check the access key and secret, and that the key may access this bucket',
+            '/NoSuchBucket|bucket does not exist/i'
+                => 'Check the bucket name; it may be misspelled or in another account',
+            '/PermanentRedirect|AuthorizationHeaderMalformed|IllegalLocationConstraint/i'
+                => 'Check the region: the bucket lives in a different region than the one configured',
+            '/RequestTimeTooSkewed/i'
+                => 'Sync the server clock (NTP); signed requests are refused when it drifts',
+            '/cURL error 6|Could not resolve host|getaddrinfo/i'
+                => 'Check the endpoint host name and the server\'s DNS',
+            '/cURL error 28|timed out|timeout/i'
+                => 'Check the network path to the endpoint (firewall, proxy); the request timed out',
+            '/cURL error (35|51|60)|SSL|certificate/i'
+                => 'Check the endpoint URL and the server\'s CA certificates',
+            '/not configured|is not set/i'
+                => 'Complete the storage settings in the .env file',
+            '/differs from what was written/i'
+                => 'Check for a CDN or cache in front of the bucket serving stale content',
+        ];
+
+        foreach ($hints as $pattern => $hint) {
+            if (preg_match($pattern, $message)) {
+                return $hint;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * "failed" when a probe failed, "warning" when only the list probe ran, "ok" otherwise
+     */
+    public static function overallStatus(array $probes): string
+    {
+        $statuses = array_column($probes, 'status');
+
+        if (in_array('failed', $statuses, true)) {
+            return 'failed';
+        }
+
+        return count(array_keys($statuses, 'ok', true)) > 1 ? 'ok' : 'warning';
+    }
+
+    /**
+     * Path of a write probe file under a prefix
+     */
+    public static function probePath(string $prefix): string
+    {
+        $prefix = trim($prefix, '/');
+
+        return ($prefix !== '' ? $prefix . '/' : '') . self::PROBE_PREFIX . '-' . bin2hex(random_bytes(4)) . '.txt';
+    }
+
+    /**
+     * Diagnose the configured source or target provider
+     *
+     * A provider that cannot be set up is reported as failed rather than thrown.
+     */
+    public function diagnoseConfiguredProvider(string $role, bool $writeProbes): array
+    {
+        $providerConfig = ['type' => null, 'config' => []];
+
+        try {
+            $providerConfig = $role === 'source'
+                ? $this->getConfig()->getSourceProvider()
+                : $this->getConfig()->getTargetProvider();
+
+            $provider = $this->getRegistry()->createProvider($providerConfig['type'], $providerConfig['config']);
+
+            return self::diagnoseProvider($role, $provider, $providerConfig['config'], $writeProbes);
+        } catch (\Throwable $e) {
+            Craft::warning("Failed to set up the {$role} provider: " . $e->getMessage(), __METHOD__);
+
+            $failure = self::failed($e->getMessage());
+            $skipped = self::skipped('The provider could not be set up');
+
+            return [
+                'role' => $role,
+                'type' => $providerConfig['type'],
+                'bucket' => $providerConfig['config']['bucket'] ?? null,
+                'region' => $providerConfig['config']['region'] ?? null,
+                'endpoint' => $providerConfig['config']['endpoint'] ?? $providerConfig['config']['baseUrl'] ?? null,
+                'status' => 'failed',
+                'probes' => ['list' => $failure, 'write' => $skipped, 'read' => $skipped, 'delete' => $skipped],
+                'capabilities' => null,
+            ];
+        }
+    }
+
+    /**
+     * Diagnose a volume through its Craft filesystem
+     *
+     * Source volumes, and volumes on the source provider's bucket, are only read.
+     *
+     * @param array $providers Provider reports, matched to the volume by bucket
+     * @param string[] $sourceHandles Handles of the source volumes
+     */
+    private function diagnoseVolume(string $handle, array $providers, array $sourceHandles, bool $writeProbes): array
+    {
+        $volume = Craft::$app->getVolumes()->getVolumeByHandle($handle);
+
+        if ($volume === null) {
+            $skipped = self::skipped('The volume does not exist');
+
+            return [
+                'handle' => $handle,
+                'name' => null,
+                'filesystem' => null,
+                'fsType' => null,
+                'bucket' => null,
+                'subfolder' => null,
+                'region' => null,
+                'endpoint' => null,
+                'storage' => null,
+                'status' => 'failed',
+                'probes' => [
+                    'list' => self::failed("Volume \"{$handle}\" is not configured", 'Create the volume or run the volume configuration step'),
+                    'write' => $skipped,
+                    'read' => $skipped,
+                    'delete' => $skipped,
+                ],
+                'capabilities' => null,
+            ];
+        }
+
+        $fs = $volume->getFs();
+        $bucket = $this->fsSetting($fs, 'bucket');
+        $subfolder = $this->fsSetting($fs, 'subfolder');
+
+        // A volume on a provider's bucket shares its capabilities
+        $storage = null;
+        foreach ($providers as $provider) {
+            if ($bucket !== null && $bucket === ($provider['bucket'] ?? null)) {
+                $storage = $provider;
+                break;
+            }
+        }
+
+        $readOnly = in_array($handle, $sourceHandles, true) || ($storage['role'] ?? null) === 'source';
+
+        $operations = [
+            'list' => function() use ($fs, $subfolder) {
+                $paths = [];
+                foreach ($fs->getFileList(trim((string)$subfolder, '/'), true) as $listing) {
+                    if (!$listing->getIsDir()) {
+                        $paths[] = $listing->getUri();
+                        if (count($paths) >= self::LIST_LIMIT) {
+                            break;
+                        }
+                    }
+                }
+
+                return $paths;
+            },
+            'read' => function(string $path) use ($fs) {
+                if ($fs->getFileSize($path) > self::READ_LIMIT) {
+                    return null;
+                }
+
+                return $fs->read($path);
+            },
+        ];
+
+        if ($writeProbes && !$readOnly) {
+            $operations['write'] = fn(string $path, string $content) => $fs->write($path, $content, []);
+            $operations['delete'] = fn(string $path) => $fs->deleteFile($path);
+        }
+
+        $probes = self::runProbes(
+            $operations,
+            self::probePath((string)$subfolder),
+            $readOnly ? 'Source volumes are never written to' : 'Write probes were not requested'
+        );
+
+        return [
+            'handle' => $handle,
+            'name' => $volume->name,
+            'filesystem' => $fs->handle ?? null,
+            'fsType' => get_class($fs),
+            'bucket' => $bucket,
+            'subfolder' => $subfolder,
+            'region' => $this->fsSetting($fs, 'region'),
+            'endpoint' => $this->fsSetting($fs, 'endpoint'),
+            'storage' => $storage['role'] ?? null,
+            'status' => self::overallStatus($probes),
+            'probes' => $probes,
+            'capabilities' => $storage['capabilities'] ?? null,
+        ];
+    }
+
+    private static function probe(callable $operation): array
+    {
+        $start = microtime(true);
+
+        try {
+            $detail = $operation();
+
+            return [
+                'status' => 'ok',
+                'latencyMs' => (int)round((microtime(true) - $start) * 1000),
+                'detail' => $detail,
+                'hint' => null,
+            ];
+        } catch (\Throwable $e) {
+            $failure = self::failed($e->getMessage());
+            $failure['latencyMs'] = (int)round((microtime(true) - $start) * 1000);
+
+            return $failure;
+        }
+    }
+
+    private static function failed(string $message, ?string $hint = null): array
+    {
+        return [
+            'status' => 'failed',
+            'latencyMs' => null,
+            'detail' => $message,
+            'hint' => $hint ?? self::hintFor($message),
+        ];
+    }
+
+    private static function skipped(string $reason): array
+    {
+        return [
+            'status' => 'skipped',
+            'latencyMs' => null,
+            'detail' => $reason,
+            'hint' => null,
+        ];
+    }
+
+    /**
+     * A setting of an S3-style filesystem (bucket, region, ...) with environment variables resolved
+     */
+    private function fsSetting(object $fs, string $name): ?string
+    {
+        if (!method_exists($fs, 'canGetProperty') || !$fs->canGetProperty($name)) {
+            return null;
+        }
+
+        $value = App::parseEnv((string)$fs->$name);
+
+        return $value !== '' ? $value : null;
+    }
+
+    /**
+     * Source volumes, the target volume and the quarantine volume, each once
+     */
+    private function getVolumeHandles(): array
+    {
+        $config = $this->getConfig();
+
+        return array_values(array_unique(array_filter(array_merge(
+            $config->getSourceVolumeHandles(),
+            [$config->getTargetVolumeHandle(), $config->getQuarantineVolumeHandle()]
+        ))));
+    }
+
+    private function getRegistry(): ProviderRegistry
+    {
+        if ($this->registry === null) {
+            $this->registry = Plugin::getInstance()->providerRegistry;
+        }
+
+        return $this->registry;
+    }
+
+    private function getConfig(): MigrationConfig
+    {
+        if ($this->config === null) {
+            $this->config = MigrationConfig::getInstance();
+        }
+
+        return $this->config;
+    }
+}
@@ -0,0 +1,371 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+use Craft;
+
+/**
+ * Console Options Inspector
+ *
+ * Reads the positional arguments and `--options` of the plugin's console
+ * actions through reflection so the dashboard can render option forms and
+ * validate submitted values before a command is spawned.
+ *
+ * Controllers are never constructed: their init() may load configuration or
+ * open connections, which must not happen while rendering the dashboard.
+ */
+class ConsoleOptionsInspector
+{
+    private const CONTROLLER_NAMESPACE = 'csabourin\\spaghettiMigrator\\console\\controllers\\';
+
+    /**
+     * Options handled by the framework or set by the dashboard itself
+     * (migration tracking, confirmations and the Dry Run button)
+     */
+    private const MANAGED_OPTIONS = [
+        'color',
+        'interactive',
+        'help',
+        'silentExitOnException',
+        'migrationId',
+        'yes',
+        'dryRun',
+    ];
+
+    /**
+     * Longest accepted string value
+     */
+    private const MAX_VALUE_LENGTH = 1000;
+
+    /**
+     * @var array<string, array|null> Inspected commands
+     */
+    private array $cache = [];
+
+    /**
+     * Describe the arguments and options of a console command ("controller/action")
+     *
+     * @return array{arguments: array, options: array}|null Null when the command cannot be inspected
+     */
+    public function getCommandDefinition(string $command): ?array
+    {
+        if (array_key_exists($command, $this->cache)) {
+            return $this->cache[$command];
+        }
+
+        $definition = null;
+
+        try {
+            $definition = $this->inspect($command);
+        } catch (\Throwable $e) {
+            Craft::warning("Unable to inspect console options for {$command}: " . $e->getMessage(), __METHOD__);
+        }
+
+        return $this->cache[$command] = $definition;
+    }
+
+    /**
+     * Option definitions for every dashboard module that has a command, keyed by module ID
+     */
+    public function getModuleDefinitions(array $phases): array
+    {
+        $definitions = [];
+
+        foreach ($phases as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                if (empty($module['command'])) {
+                    continue;
+                }
+
+                $definition = $this->getCommandDefinition($module['command']);
+                if ($definition !== null && ($definition['arguments'] || $definition['options'])) {
+                    $definitions[$module['id']] = $definition;
+                }
+            }
+        }
+
+        return $definitions;
+    }
+
+    /**
+     * Validate submitted values against the command definition
+     *
+     * Arguments come back in positional order (skipped optional arguments are
+     * filled with their defaults); options equal to their default are dropped.
+     *
+     * @param array<string, mixed> $arguments Argument name => value
+     * @param array<string, mixed> $options Option name => value
+     * @return array{arguments: string[], options: array<string, string>, errors: string[]}
+     */
+    public function validateInput(string $command, array $arguments, array $options): array
+    {
+        $result = ['arguments' => [], 'options' => [], 'errors' => []];
+        $definition = $this->getCommandDefinition($command);
+
+        if ($definition === null) {
+            if ($arguments || $options) {
+                $result['errors'][] = "Options cannot be set for {$command}";
+            }
+            return $result;
+        }
+
+        $pending = [];
+        foreach ($definition['arguments'] as $field) {
+            $value = $arguments[$field['name']] ?? null;
+
+            if ($value === null || $value === '') {
+                if ($field['required']) {
+                    $result['errors'][] = "{$field['label']} is required";
+                }
+                // Keep the position in case a later argument is given
+                $pending[] = $this->formatValue($field['default'], $field['type']);
+                continue;
+            }
+
+            $normalized = $this->normalizeValue($field, $value, $result['errors']);
+            if ($normalized !== null) {
+                array_push($result['arguments'], ...$pending);
+                $pending = [];
+                $result['arguments'][] = $normalized;
+            }
+        }
+
+        foreach (array_diff(array_keys($arguments), array_column($definition['arguments'], 'name')) as $name) {
+            $result['errors'][] = "Unknown argument: {$name}";
+        }
+
+        $fields = array_column($definition['options'], null, 'name');
+        foreach ($options as $name => $value) {
+            if (!isset($fields[$name])) {
+                $result['errors'][] = "Unknown option: {$name}";
+                continue;
+            }
+
+            if ($value === null || $value === '') {
+                continue;
+            }
+
+            $normalized = $this->normalizeValue($fields[$name], $value, $result['errors']);
+            if ($normalized !== null && $normalized !== $this->formatValue($fields[$name]['default'], $fields[$name]['type'])) {
+                $result['options'][$name] = $normalized;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Human-readable CLI invocation, quoted so it can be pasted into a shell
+     */
+    public function formatCommandLine(string $command, array $args): string
+    {
+        $parts = ['./craft', 'spaghetti-migrator/' . $command];
+
+        foreach ($args as $arg) {
+            $arg = (string)$arg;
+            $parts[] = preg_match('/^[\w.\/:@=,+-]+$/', $arg) ? $arg : escapeshellarg($arg);
+        }
+
+        return implode(' ', $parts);
+    }
+
+    private function inspect(string $command): ?array
+    {
+        if (!preg_match('/^([a-z0-9-]+)\/([a-z0-9-]+)$/', $command, $matches)) {
+            return null;
+        }
+
+        $class = self::CONTROLLER_NAMESPACE . $this->toCamel($matches[1]) . 'Controller';
+        $methodName = 'action' . $this->toCamel($matches[2]);
+
+        if (!class_exists($class) || !method_exists($class, $methodName)) {
+            return null;
+        }
+
+        $reflection = new \ReflectionClass($class);
+        $controller = $reflection->newInstanceWithoutConstructor();
+        $method = $reflection->getMethod($methodName);
+        $paramTags = $this->parseParamTags((string)$method->getDocComment());
+
+        $arguments = [];
+        foreach ($method->getParameters() as $parameter) {
+            $default = $parameter->isDefaultValueAvailable() ? $parameter->getDefaultValue() : null;
+            $tag = $paramTags[$parameter->getName()] ?? null;
+
+            $arguments[] = [
+                'kind' => 'argument',
+                'name' => $parameter->getName(),
+                'label' => $this->toLabel($parameter->getName()),
+                'type' => $this->resolveType($tag['type'] ?? $this->nativeType($parameter->getType()), $default),
+                'default' => $default,
+                'required' => !$parameter->isOptional(),
+                'description' => $tag['description'] ?? null,
+            ];
+        }
+
+        // An option named like an action parameter is shadowed by the positional argument
+        $shadowed = array_column($arguments, 'name');
+
+        $options = [];
+        foreach (array_unique($controller->options($matches[2])) as $name) {
+            if (in_array($name, self::MANAGED_OPTIONS, true) || in_array($name, $shadowed, true) || !$reflection->hasProperty($name)) {
+                continue;
+            }
+
+            $property = $reflection->getProperty($name);
+            $default = $property->hasDefaultValue() ? $property->getDefaultValue() : null;
+            [$type, $description] = $this->parseVarTag((string)$property->getDocComment());
+            $type = $type ?? $this->nativeType($property->getType());
+
+            $options[] = [
+                'kind' => 'option',
+                'name' => $name,
+                'label' => $this->toLabel($name),
+                'type' => $this->resolveType($type, $default),
+                'default' => $default,
+                'required' => false,
+                'description' => $description,
+            ];
+        }
+
+        return [
+            'arguments' => $arguments,
+            'options' => $options,
+        ];
+    }
+
+    /**
+     * Coerce a submitted value to its CLI representation, recording an error when it does not fit the type
+     */
+    private function normalizeValue(array $field, $value, array &$errors): ?string
+    {
+        if (!is_scalar($value)) {
+            $errors[] = "{$field['label']} must be a single value";
+            return null;
+        }
+
+        switch ($field['type']) {
+            case 'boolean':
+                $bool = filter_var($value, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE);
+                if ($bool === null) {
+                    $errors[] = "{$field['label']} must be yes or no";
+                    return null;
+                }
+                return $bool ? '1' : '0';
+
+            case 'integer':
+                $int = filter_var($value, FILTER_VALIDATE_INT);
+                if ($int === false) {
+                    $errors[] = "{$field['label']} must be a whole number";
+                    return null;
+                }
+                return (string)$int;
+
+            case 'number':
+                if (!is_numeric($value)) {
+                    $errors[] = "{$field['label']} must be a number";
+                    return null;
+                }
+                return (string)$value;
+
+            default:
+                $value = trim((string)$value);
+                if (mb_strlen($value) > self::MAX_VALUE_LENGTH || preg_match('/[\x00-\x1F\x7F]/', $value)) {
+                    $errors[] = "{$field['label']} contains invalid characters or is too long";
+                    return null;
+                }
+                return $value;
+        }
+    }
+
+    private function formatValue($value, string $type): ?string
+    {
+        if ($value === null) {
+            return null;
+        }
+
+        if ($type === 'boolean') {
+            return $value ? '1' : '0';
+        }
+
+        return is_scalar($value) ? (string)$value : null;
+    }
+
+    private function resolveType(?string $docType, $default): string
+    {
+        $types = $docType !== null ? array_diff(explode('|', strtolower($docType)), ['null']) : [];
+        $docType = reset($types) ?: null;
+
+        switch ($docType) {
+            case 'bool':
+            case 'boolean':
+                return 'boolean';
+            case 'int':
+            case 'integer':
+                return 'integer';
+            case 'float':
+            case 'double':
+                return 'number';
+            case 'string':
+                return 'string';
+        }
+
+        if (is_bool($default)) {
+            return 'boolean';
+        }
+
+        if (is_int($default)) {
+            return 'integer';
+        }
+
+        return is_float($default) ? 'number' : 'string';
+    }
+
+    private function nativeType(?\ReflectionType $type): ?string
+    {
+        return $type instanceof \ReflectionNamedType ? $type->getName() : null;
+    }
+
+    /**
+     * @return array{0: string|null, 1: string|null} Type and description from an `@var` tag
+     */
+    private function parseVarTag(string $docComment): array
+    {
+        if (!preg_match('/@var\s+(\S+)(?:[ \t]+([^\r\n*]+))?/', $docComment, $matches)) {
+            return [null, null];
+        }
+
+        $description = isset($matches[2]) ? trim($matches[2]) : '';
+
+        return [$matches[1], $description !== '' ? $description : null];
+    }
+
+    /**
+     * @return array<string, array{type: string, description: string|null}> `@param` tags by parameter name
+     */
+    private function parseParamTags(string $docComment): array
+    {
+        preg_match_all('/@param\s+(\S+)\s+\$(\w+)(?:[ \t]+([^\r\n*]+))?/', $docComment, $matches, PREG_SET_ORDER);
+
+        $tags = [];
+        foreach ($matches as $match) {
+            $description = isset($match[3]) ? trim($match[3]) : '';
+            $tags[$match[2]] = [
+                'type' => $match[1],
+                'description' => $description !== '' ? $description : null,
+            ];
+        }
+
+        return $tags;
+    }
+
+    private function toCamel(string $id): string
+    {
+        return str_replace(' ', '', ucwords(str_replace('-', ' ', $id)));
+    }
+
+    private function toLabel(string $name): string
+    {
+        return ucfirst(strtolower(trim(preg_replace('/(?<!^)[A-Z]/', ' $0', $name))));
+    }
+}
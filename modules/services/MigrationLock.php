@@ -10,6 +10,11 @@ use Craft;
  */
 class MigrationLock
 {
+    /**
+     * The single lock row shared by every migration
+     */
+    public const LOCK_NAME = 'migration_lock';
+
     private $lockName;
     private $migrationId;
     private $isLocked = false;
@@ -18,7 +23,7 @@ class MigrationLock
     public function __construct($migrationId)
     {
         $this->migrationId = $migrationId;
-        $this->lockName = 'migration_lock';
+        $this->lockName = self::LOCK_NAME;
     }
 
     /**
@@ -189,6 +194,30 @@ class MigrationLock
         }
     }
 
+    /**
+     * The lock currently held, if any (expired locks are ignored)
+     *
+     * @return array{migrationId: string, lockedAt: string, lockedBy: string, expiresAt: string}|null
+     */
+    public static function getActiveLock(): ?array
+    {
+        try {
+            $lock = Craft::$app->getDb()->createCommand('
+                SELECT migrationId, lockedAt, lockedBy, expiresAt
+                FROM {{%migrationlocks}}
+                WHERE lockName = :lockName AND expiresAt >= :now
+            ', [
+                ':lockName' => self::LOCK_NAME,
+                ':now' => date('Y-m-d H:i:s'),
+            ])->queryOne();
+        } catch (\Exception $e) {
+            // The table only exists once a migration has taken the lock
+            return null;
+        }
+
+        return $lock ?: null;
+    }
+
     private function cleanStaleLocks($db): void
     {
         try {
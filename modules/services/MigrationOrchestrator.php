@@ -497,6 +497,7 @@ class MigrationOrchestrator
 
         if ($needsReinit) {
             $this->changeLogManager = new ChangeLogManager($this->migrationId, $this->config->getChangelogFlushEvery());
+            $this->changeLogManager->setRunId($this->controller->migrationId ?? null);
             $this->checkpointManager = new CheckpointManager($this->migrationId);
             $this->rollbackEngine = new RollbackEngine($this->changeLogManager, $this->migrationId);
         }
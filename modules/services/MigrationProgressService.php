@@ -12,6 +12,15 @@ class MigrationProgressService
 {
     private const STATE_FILENAME = 'migration-dashboard-progress.json';
 
+    /**
+     * Maximum number of audit entries kept in the state file
+     */
+    private const HISTORY_LIMIT = 200;
+
+    private const PIPELINE_STATUSES = ['running', 'paused', 'failed', 'stopped', 'completed'];
+
+    private const PIPELINE_STEP_STATUSES = ['queued', 'dry-run', 'running', 'completed', 'failed', 'cancelled'];
+
     private string $storageDirectory;
 
     public function __construct(?string $storageDirectory = null)
@@ -33,6 +42,8 @@ class MigrationProgressService
                 'runningModules' => [],
                 'failedModules' => [],
                 'moduleStates' => [],
+                'history' => [],
+                'pipeline' => null,
                 'updatedAt' => null,
             ];
         }
@@ -46,6 +57,7 @@ class MigrationProgressService
                     'runningModules' => [],
                     'failedModules' => [],
                     'moduleStates' => [],
+                    'history' => [],
                     'updatedAt' => null,
                 ];
             }
@@ -56,6 +68,8 @@ class MigrationProgressService
                 'runningModules' => [],
                 'failedModules' => [],
                 'moduleStates' => [],
+                'history' => [],
+                'pipeline' => null,
                 'updatedAt' => null,
             ];
         }
@@ -67,6 +81,8 @@ class MigrationProgressService
                 'runningModules' => [],
                 'failedModules' => [],
                 'moduleStates' => [],
+                'history' => [],
+                'pipeline' => null,
                 'updatedAt' => null,
             ];
         }
@@ -91,11 +107,23 @@ class MigrationProgressService
             $moduleStates = [];
         }
 
+        $history = $data['history'] ?? [];
+        if (!is_array($history)) {
+            $history = [];
+        }
+
+        $pipeline = $data['pipeline'] ?? null;
+        if (!is_array($pipeline)) {
+            $pipeline = null;
+        }
+
         return [
             'completedModules' => array_values(array_unique(array_map('strval', $completedModules))),
             'runningModules' => array_values(array_unique(array_map('strval', $runningModules))),
             'failedModules' => array_values(array_unique(array_map('strval', $failedModules))),
             'moduleStates' => $moduleStates,
+            'history' => array_values($history),
+            'pipeline' => $pipeline,
             'updatedAt' => $data['updatedAt'] ?? null,
         ];
     }
@@ -141,39 +169,86 @@ class MigrationProgressService
     /**
      * Persist module state (running, completed, failed)
      */
-    public function persistModuleState(array $completedModules, array $runningModules, array $failedModules, array $moduleStates = []): bool
+    public function persistModuleState(array $completedModules, array $runningModules, array $failedModules, array $moduleStates = [], ?array $history = null): bool
     {
         $this->ensureStorageDirectory();
 
-        $state = [
+        $currentState = $this->getState();
+
+        // Audit entries are append-only; keep the stored ones unless new ones are given
+        if ($history === null) {
+            $history = $currentState['history'];
+        }
+
+        return $this->writeState([
             'completedModules' => array_values(array_unique(array_filter($completedModules, 'is_string'))),
             'runningModules' => array_values(array_unique(array_filter($runningModules, 'is_string'))),
             'failedModules' => array_values(array_unique(array_filter($failedModules, 'is_string'))),
             'moduleStates' => $moduleStates,
+            'history' => array_slice(array_values($history), -self::HISTORY_LIMIT),
+            'pipeline' => $currentState['pipeline'],
             'updatedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
-        ];
+        ]);
+    }
 
-        $json = json_encode($state, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
-        if ($json === false) {
-            Craft::error("Failed to encode migration state to JSON", __METHOD__);
-            return false;
-        }
+    /**
+     * Persist the pipeline run (phase or full workflow) so it can be resumed after a reload.
+     * Pass null to clear it.
+     */
+    public function savePipeline(?array $pipeline): bool
+    {
+        $this->ensureStorageDirectory();
 
-        try {
-            $result = file_put_contents($this->getStateFilePath(), $json, LOCK_EX);
-            if ($result === false) {
-                Craft::error("Failed to write migration state file", __METHOD__);
-                return false;
+        $state = $this->getState();
+        $state['pipeline'] = $pipeline === null ? null : $this->normalizePipeline($pipeline);
+        $state['updatedAt'] = (new \DateTimeImmutable())->format(DATE_ATOM);
+
+        return $this->writeState($state);
+    }
+
+    /**
+     * Keep only the known pipeline fields and coerce them to their expected types
+     */
+    public function normalizePipeline(array $pipeline): array
+    {
+        $steps = [];
+        foreach (array_values($pipeline['steps'] ?? []) as $step) {
+            if (!is_array($step) || !is_string($step['moduleId'] ?? null) || $step['moduleId'] === '') {
+                continue;
             }
-            return true;
-        } catch (\Exception $e) {
-            Craft::error("Exception writing migration state file: " . $e->getMessage(), __METHOD__);
-            return false;
+
+            $error = isset($step['error']) && is_string($step['error']) ? mb_substr($step['error'], 0, 2000) : null;
+
+            $steps[] = [
+                'moduleId' => $step['moduleId'],
+                'command' => is_string($step['command'] ?? null) ? $step['command'] : null,
+                'status' => in_array($step['status'] ?? null, self::PIPELINE_STEP_STATUSES, true) ? $step['status'] : 'queued',
+                'dryRunPassed' => (bool)($step['dryRunPassed'] ?? false),
+                'confirmed' => (bool)($step['confirmed'] ?? false),
+                'error' => $error,
+            ];
         }
+
+        $currentStep = (int)($pipeline['currentStep'] ?? 0);
+
+        return [
+            'id' => is_string($pipeline['id'] ?? null) ? $pipeline['id'] : uniqid('pipeline-'),
+            'scope' => ($pipeline['scope'] ?? null) === 'phase' ? 'phase' : 'workflow',
+            'phase' => isset($pipeline['phase']) && is_numeric($pipeline['phase']) ? (int)$pipeline['phase'] : null,
+            'dryRunFirst' => (bool)($pipeline['dryRunFirst'] ?? false),
+            'status' => in_array($pipeline['status'] ?? null, self::PIPELINE_STATUSES, true) ? $pipeline['status'] : 'stopped',
+            'currentStep' => max(0, min($currentStep, count($steps))),
+            'steps' => $steps,
+            'startedAt' => is_string($pipeline['startedAt'] ?? null) ? $pipeline['startedAt'] : null,
+            'startedBy' => is_string($pipeline['startedBy'] ?? null) ? $pipeline['startedBy'] : null,
+            'updatedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
+        ];
     }
 
     /**
      * Update module state for a specific module
+     *
+     * Supported statuses: pending, running, completed, failed, cancelled, skipped
      */
     public function updateModuleStatus(string $moduleId, string $status, ?string $error = null): bool
     {
@@ -192,10 +267,19 @@ class MigrationProgressService
         switch ($status) {
             case 'running':
                 $runningModules[] = $moduleId;
+                $previous = $moduleStates[$moduleId] ?? [];
                 $moduleStates[$moduleId] = [
                     'status' => 'running',
                     'startedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
                 ];
+
+                // Keep a run that was already attached by the stream endpoint
+                if (($previous['status'] ?? null) === 'running' && !empty($previous['migrationId'])) {
+                    $moduleStates[$moduleId]['migrationId'] = $previous['migrationId'];
+                    $moduleStates[$moduleId]['command'] = $previous['command'] ?? null;
+                    $moduleStates[$moduleId]['startedBy'] = $previous['startedBy'] ?? null;
+                    $moduleStates[$moduleId]['acknowledgement'] = $previous['acknowledgement'] ?? null;
+                }
                 break;
             case 'completed':
                 $completedModules[] = $moduleId;
@@ -212,10 +296,31 @@ class MigrationProgressService
                     'error' => $error,
                 ];
                 break;
+            case 'cancelled':
+                $moduleStates[$moduleId] = [
+                    'status' => 'cancelled',
+                    'cancelledAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
+                    'error' => $error,
+                ];
+                break;
+            case 'skipped':
+                $moduleStates[$moduleId] = [
+                    'status' => 'skipped',
+                    'skippedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
+                    'error' => $error,
+                ];
+                break;
+            case 'pending':
+                $moduleStates[$moduleId] = [
+                    'status' => 'pending',
+                ];
+                break;
             default:
                 return false;
         }
 
+        $moduleStates[$moduleId]['updatedAt'] = (new \DateTimeImmutable())->format(DATE_ATOM);
+
         return $this->persistModuleState(
             array_values($completedModules),
             array_values($runningModules),
@@ -224,6 +329,123 @@ class MigrationProgressService
         );
     }
 
+    /**
+     * Reset a module back to pending (re-run or "mark incomplete") and record who did it and why
+     *
+     * @param array{id?: int|null, username?: string|null} $actor
+     * @return array|null The audit entry, or null when the state could not be saved
+     */
+    public function resetModule(string $moduleId, string $action, string $reason, array $actor = []): ?array
+    {
+        $this->ensureStorageDirectory();
+
+        $currentState = $this->getState();
+        $now = (new \DateTimeImmutable())->format(DATE_ATOM);
+
+        $entry = [
+            'moduleId' => $moduleId,
+            'action' => $action,
+            'reason' => $reason,
+            'previousStatus' => $currentState['moduleStates'][$moduleId]['status']
+                ?? (in_array($moduleId, $currentState['completedModules'], true) ? 'completed' : null),
+            'userId' => $actor['id'] ?? null,
+            'username' => $actor['username'] ?? null,
+            'at' => $now,
+        ];
+
+        $moduleStates = $currentState['moduleStates'];
+        $moduleStates[$moduleId] = [
+            'status' => 'pending',
+            'resetAt' => $now,
+            'resetAction' => $action,
+            'resetBy' => $entry['username'],
+            'resetReason' => $reason,
+            'updatedAt' => $now,
+        ];
+
+        $history = $currentState['history'];
+        $history[] = $entry;
+
+        $saved = $this->persistModuleState(
+            array_values(array_diff($currentState['completedModules'], [$moduleId])),
+            array_values(array_diff($currentState['runningModules'], [$moduleId])),
+            array_values(array_diff($currentState['failedModules'], [$moduleId])),
+            $moduleStates,
+            $history
+        );
+
+        return $saved ? $entry : null;
+    }
+
+    /**
+     * Audit entries, newest first, optionally limited to one module
+     */
+    public function getHistory(?string $moduleId = null): array
+    {
+        $history = $this->getState()['history'];
+
+        if ($moduleId !== null) {
+            $history = array_filter($history, fn($entry) => ($entry['moduleId'] ?? null) === $moduleId);
+        }
+
+        return array_reverse(array_values($history));
+    }
+
+    /**
+     * Link a running module to the migration that executes it so the dashboard
+     * can re-attach to the run after a page reload
+     *
+     * @param string|null $startedBy Username of the admin who started the run, shown to other dashboards
+     * @param array|null $acknowledgement The operator's typed confirmation of a critical run (PreflightService::acknowledge()),
+     * kept with the run and in the audit history
+     */
+    public function attachMigration(
+        string $moduleId,
+        string $migrationId,
+        ?string $command = null,
+        ?string $startedBy = null,
+        ?array $acknowledgement = null
+    ): bool {
+        $this->ensureStorageDirectory();
+
+        $currentState = $this->getState();
+
+        $completedModules = array_diff($currentState['completedModules'], [$moduleId]);
+        $failedModules = array_diff($currentState['failedModules'], [$moduleId]);
+        $runningModules = array_diff($currentState['runningModules'], [$moduleId]);
+        $runningModules[] = $moduleId;
+
+        $moduleStates = $currentState['moduleStates'];
+        $moduleStates[$moduleId] = [
+            'status' => 'running',
+            'startedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
+            'migrationId' => $migrationId,
+            'command' => $command,
+            'startedBy' => $startedBy,
+            'acknowledgement' => $acknowledgement,
+            'updatedAt' => (new \DateTimeImmutable())->format(DATE_ATOM),
+        ];
+
+        $history = null;
+        if ($acknowledgement !== null) {
+            $history = $currentState['history'];
+            $history[] = array_merge([
+                'moduleId' => $moduleId,
+                'action' => 'acknowledge',
+                'migrationId' => $migrationId,
+                'command' => $command,
+            ], $acknowledgement);
+        }
+
+        return $this->persistModuleState(
+            array_values($completedModules),
+            array_values($runningModules),
+            array_values($failedModules),
+            $moduleStates,
+            $history
+        );
+    }
+
     /**
      * Remove persisted state if older than the provided age
      */
@@ -271,6 +493,27 @@ class MigrationProgressService
         }
     }
 
+    private function writeState(array $state): bool
+    {
+        $json = json_encode($state, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+        if ($json === false) {
+            Craft::error("Failed to encode migration state to JSON", __METHOD__);
+            return false;
+        }
+
+        try {
+            $result = file_put_contents($this->getStateFilePath(), $json, LOCK_EX);
+            if ($result === false) {
+                Craft::error("Failed to write migration state file", __METHOD__);
+                return false;
+            }
+            return true;
+        } catch (\Exception $e) {
+            Craft::error("Exception writing migration state file: " . $e->getMessage(), __METHOD__);
+            return false;
+        }
+    }
+
     private function ensureStorageDirectory(): void
     {
         try {
@@ -4,6 +4,7 @@ namespace csabourin\spaghettiMigrator\services;
 
 use Craft;
 use csabourin\spaghettiMigrator\helpers\MigrationConfig;
+use csabourin\spaghettiMigrator\helpers\ProviderLabels;
 
 /**
  * Migration State Manager
@@ -13,6 +14,14 @@ use csabourin\spaghettiMigrator\helpers\MigrationConfig;
  */
 class MigrationStateManager
 {
+    /**
+     * IDs the dashboard and the queue jobs give their runs: a prefix, time() and uniqid()
+     *
+     * Only these have a log file of their own; the other files in storage/logs
+     * (web.log, queue-2024-01-01.log...) are Craft's.
+     */
+    public const RUN_ID_PATTERN = '/^(?:sse|queue|job|migration)-\d+-[0-9a-f]{13}$/';
+
     private MigrationProgressService $progressService;
 
     public function __construct(?MigrationProgressService $progressService = null)
@@ -73,6 +82,9 @@ class MigrationStateManager
             'hasActiveLock' => $hasActiveLock,
             'currentPhase' => $currentPhase,
             'completedModules' => $completedModules,
+            'runningModules' => $state['runningModules'] ?? [],
+            'moduleStates' => $state['moduleStates'] ?? [],
+            'pipeline' => $state['pipeline'] ?? null,
             'canResume' => $hasCheckpoint || $hasActiveLock, // Resume if checkpoints OR active lock exists
             'lastUpdated' => $state['updatedAt'] ?? null,
         ];
@@ -103,12 +115,20 @@ class MigrationStateManager
 
     /**
      * Get configuration status
+     *
+     * The `do*` keys describe the target and the `aws*` keys the source, whichever providers they are.
      */
     public function getConfigurationStatus(): array
     {
         try {
             $config = MigrationConfig::getInstance();
 
+            $source = $config->getSourceProvider();
+            $target = $config->getTargetProvider();
+            if ($source['type'] !== 's3' || $target['type'] !== 'do-spaces') {
+                return self::describeProviderConfiguration($source, $target);
+            }
+
             // Use getter methods which properly handle both plugin settings and config file
             $doAccessKey = $config->getDoAccessKey();
             $doSecretKey = $config->getDoSecretKey();
@@ -151,70 +171,47 @@ class MigrationStateManager
     }
 
     /**
-     * Get checkpoint information
+     * Configuration status of a source and target other than AWS S3 → DigitalOcean Spaces
+     *
+     * @param array{type: string, config: array} $source Output of MigrationConfig::getSourceProvider()
+     * @param array{type: string, config: array} $target Output of MigrationConfig::getTargetProvider()
      */
-    public function getCheckpoints(): array
+    public static function describeProviderConfiguration(array $source, array $target): array
     {
-        $checkpointDir = Craft::getAlias('@storage/migration-checkpoints');
-        $checkpoints = [];
-
-        if (is_dir($checkpointDir)) {
-            $files = glob($checkpointDir . '/checkpoint-*.json');
-            foreach ($files as $file) {
-                $data = json_decode(file_get_contents($file), true);
-                if ($data) {
-                    $checkpoints[] = [
-                        'filename' => basename($file),
-                        'timestamp' => $data['checkpoint']['timestamp'] ?? null,
-                        'progress' => $data['checkpoint']['progress'] ?? [],
-                        'phase' => $data['checkpoint']['phase'] ?? null,
-                    ];
+        $value = fn(array $provider, string $key) => (string)($provider['config'][$key] ?? '');
+        $hasCredentials = function(array $provider) use ($value) {
+            foreach (ProviderLabels::credentialKeys($provider['type']) as $key) {
+                if ($value($provider, $key) === '') {
+                    return false;
                 }
             }
 
-            // Sort by timestamp descending
-            usort($checkpoints, function($a, $b) {
-                return ($b['timestamp'] ?? 0) <=> ($a['timestamp'] ?? 0);
-            });
-        }
+            return true;
+        };
 
-        return $checkpoints;
+        $sourceBucket = $value($source, ProviderLabels::bucketKey($source['type']));
+        $targetBucket = $value($target, ProviderLabels::bucketKey($target['type']));
+
+        return [
+            'isConfigured' => true,
+            'hasDoCredentials' => $hasCredentials($target),
+            'hasDoUrl' => $value($target, 'baseUrl') !== '',
+            'hasDoBucket' => $targetBucket !== '',
+            'hasAwsConfig' => $sourceBucket !== '',
+            'hasAwsCredentials' => $hasCredentials($source),
+            'doRegion' => $value($target, 'region'),
+            'doBucket' => $targetBucket,
+            'awsBucket' => $sourceBucket,
+            'awsRegion' => $value($source, 'region'),
+        ];
     }
 
     /**
-     * Get migration changelogs
+     * Get checkpoint information
      */
-    public function getChangelogs(): array
+    public function getCheckpoints(): array
     {
-        $changelogDir = Craft::getAlias('@storage/migration-logs');
-        $changelogs = [];
-
-        if (is_dir($changelogDir)) {
-            $files = glob($changelogDir . '/changelog-*.json');
-            foreach ($files as $file) {
-                $data = json_decode(file_get_contents($file), true);
-                if ($data) {
-                    $changelogs[] = [
-                        'filename' => basename($file),
-                        'filepath' => $file,
-                        'timestamp' => $data['timestamp'] ?? filemtime($file),
-                        'operation' => $data['operation'] ?? 'unknown',
-                        'summary' => $data['summary'] ?? [],
-                        'changes' => $data['changes'] ?? [],
-                    ];
-                }
-            }
-
-            // Sort by timestamp descending
-            usort($changelogs, function($a, $b) {
-                return ($b['timestamp'] ?? 0) <=> ($a['timestamp'] ?? 0);
-            });
-        }
-
-        return [
-            'changelogs' => $changelogs,
-            'directory' => $changelogDir,
-        ];
+        return CheckpointManager::describeCheckpoints();
     }
 
     /**
@@ -244,24 +241,133 @@ class MigrationStateManager
     }
 
     /**
-     * Test DO Spaces connection
+     * Complete lines written to a log file after a byte offset
+     *
+     * The log file is never truncated, so an offset into it keeps pointing at the
+     * same place while the run writes on. A line still being written is left for
+     * the next read.
+     *
+     * @return array<int, array{line: string, offset: int}> Each line with the offset just past it
+     */
+    public function readLogLinesFrom(string $filepath, int $offset): array
+    {
+        $handle = @fopen($filepath, 'r');
+        if (!$handle) {
+            return [];
+        }
+
+        $result = [];
+        if (fseek($handle, max(0, $offset)) === 0) {
+            $position = max(0, $offset);
+
+            while (($raw = fgets($handle)) !== false && str_ends_with($raw, "\n")) {
+                $position += strlen($raw);
+                $line = substr($raw, 0, str_ends_with($raw, "\r\n") ? -2 : -1);
+
+                if (trim($line) !== '') {
+                    $result[] = ['line' => $line, 'offset' => $position];
+                }
+            }
+        }
+        fclose($handle);
+
+        return $result;
+    }
+
+    /**
+     * Full output log of a dashboard run, when one was written to disk
+     *
+     * Streamed runs redirect the spawned process to sse-{migrationId}.log,
+     * queued runs append to {migrationId}.log. Other IDs have no log file.
+     */
+    public function getMigrationLogFile(string $migrationId): ?string
+    {
+        if (!preg_match(self::RUN_ID_PATTERN, $migrationId)) {
+            return null;
+        }
+
+        $logDir = Craft::getAlias('@storage/logs');
+
+        foreach (["sse-{$migrationId}.log", "{$migrationId}.log"] as $fileName) {
+            if (is_file($logDir . '/' . $fileName)) {
+                return $logDir . '/' . $fileName;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Progress samples of a run for the Live Monitor charts
+     *
+     * Combines the marker lines in the run's log file with the history kept by
+     * ProgressReporter in the migration state, oldest first.
+     *
+     * @param array $stats Decoded `stats` of the migration state
+     */
+    public function getProgressHistory(string $migrationId, array $stats = []): array
+    {
+        $samples = [];
+
+        foreach ($stats['progressHistory'] ?? [] as $sample) {
+            $event = is_array($sample) ? ProgressEvent::normalize($sample) : null;
+            if ($event !== null) {
+                $samples[] = ProgressEvent::toSample($event);
+            }
+        }
+
+        $logFile = $this->getMigrationLogFile($migrationId);
+        $handle = $logFile !== null ? @fopen($logFile, 'r') : false;
+        if ($handle) {
+            while (($line = fgets($handle)) !== false) {
+                $event = str_contains($line, ProgressEvent::MARKER) ? ProgressEvent::parseLine($line) : null;
+                if ($event !== null) {
+                    $samples[] = ProgressEvent::toSample($event);
+
+                    // Long runs: thin out while reading instead of holding every sample
+                    if (count($samples) > ProgressEvent::HISTORY_LIMIT * 4) {
+                        $samples = ProgressEvent::downsample($samples, ProgressEvent::HISTORY_LIMIT * 2);
+                    }
+                }
+            }
+            fclose($handle);
+        }
+
+        return ProgressEvent::downsample($samples);
+    }
+
+    /**
+     * Check that the target storage is configured
+     *
+     * DigitalOcean Spaces targets are read from the plugin settings; other
+     * targets need their bucket in `targetProvider`. Connection Diagnostics
+     * probes the storage itself.
      */
     public function testConnection(): array
     {
         try {
             $config = MigrationConfig::getInstance();
-            $doConfig = $config->get('digitalocean');
+            $target = $config->getTargetProvider();
 
             // Simple validation
             $errors = [];
-            if (empty($doConfig['accessKey'])) {
-                $errors[] = 'DO_S3_ACCESS_KEY is not configured';
-            }
-            if (empty($doConfig['secretKey'])) {
-                $errors[] = 'DO_S3_SECRET_KEY is not configured';
-            }
-            if (empty($doConfig['bucket'])) {
-                $errors[] = 'DO_S3_BUCKET is not configured';
+            if ($target['type'] === 'do-spaces') {
+                $doConfig = $config->get('digitalocean');
+
+                if (empty($doConfig['accessKey'])) {
+                    $errors[] = 'DO_S3_ACCESS_KEY is not configured';
+                }
+                if (empty($doConfig['secretKey'])) {
+                    $errors[] = 'DO_S3_SECRET_KEY is not configured';
+                }
+                if (empty($doConfig['bucket'])) {
+                    $errors[] = 'DO_S3_BUCKET is not configured';
+                }
+            } else {
+                $bucketKey = ProviderLabels::bucketKey($target['type']);
+                if (empty($target['config'][$bucketKey])) {
+                    $errors[] = "targetProvider.config.{$bucketKey} is not configured";
+                }
             }
 
             if (!empty($errors)) {
@@ -241,6 +241,77 @@ class MigrationStateService
         return $results;
     }
 
+    /**
+     * Get every running migration plus the most recently updated other ones,
+     * without their output or processed IDs (used by the Live Monitor run list)
+     *
+     * @return array{running: array, recent: array}
+     */
+    public function getMigrationSummaries(int $recentLimit = 10): array
+    {
+        $columns = [
+            'migrationId', 'phase', 'status', 'pid', 'command', 'processedCount', 'totalCount',
+            'stats', 'errorMessage', 'startedAt', 'lastUpdatedAt', 'completedAt',
+        ];
+
+        $rows = Craft::$app->getDb()->noCache(function() use ($columns, $recentLimit) {
+            $running = (new Query())
+                ->select($columns)
+                ->from('{{%migration_state}}')
+                ->where(['status' => 'running'])
+                ->orderBy(['lastUpdatedAt' => SORT_DESC])
+                ->all();
+
+            $recent = $recentLimit > 0 ? (new Query())
+                ->select($columns)
+                ->from('{{%migration_state}}')
+                ->where(['not', ['status' => 'running']])
+                ->orderBy(['lastUpdatedAt' => SORT_DESC])
+                ->limit($recentLimit)
+                ->all() : [];
+
+            return ['running' => $running, 'recent' => $recent];
+        });
+
+        foreach ($rows as &$group) {
+            foreach ($group as &$row) {
+                $row['stats'] = !empty($row['stats']) ? (json_decode($row['stats'], true) ?? []) : [];
+                $row['isProcessRunning'] = $this->isProcessRunning($row['pid'] ?? null);
+            }
+            unset($row);
+        }
+        unset($group);
+
+        return $rows;
+    }
+
+    /**
+     * Get running and queued migrations, without their output or processed IDs
+     * (used to coordinate runs between dashboards)
+     */
+    public function getActiveMigrations(): array
+    {
+        $rows = Craft::$app->getDb()->noCache(function() {
+            return (new Query())
+                ->select([
+                    'migrationId', 'phase', 'status', 'pid', 'command', 'processedCount', 'totalCount',
+                    'stats', 'startedAt', 'lastUpdatedAt',
+                ])
+                ->from('{{%migration_state}}')
+                ->where(['status' => ['running', 'queued']])
+                ->orderBy(['startedAt' => SORT_DESC])
+                ->all();
+        });
+
+        foreach ($rows as &$row) {
+            $row['stats'] = !empty($row['stats']) ? (json_decode($row['stats'], true) ?? []) : [];
+            $row['isProcessRunning'] = $this->isProcessRunning($row['pid'] ?? null);
+        }
+        unset($row);
+
+        return $rows;
+    }
+
     /**
      * Update migration status
      */
@@ -258,7 +329,7 @@ class MigrationStateService
             $data['errorMessage'] = $errorMessage;
         }
 
-        if ($status === 'completed' || $status === 'failed') {
+        if ($status === 'completed' || $status === 'failed' || $status === 'cancelled') {
             $data['completedAt'] = $now;
         }
 
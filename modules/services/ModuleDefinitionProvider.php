@@ -3,6 +3,7 @@
 namespace csabourin\spaghettiMigrator\services;
 
 use csabourin\spaghettiMigrator\helpers\MigrationConfig;
+use csabourin\spaghettiMigrator\helpers\ProviderLabels;
 
 /**
  * Module Definition Provider
@@ -18,6 +19,11 @@ class ModuleDefinitionProvider
      */
     private $config = null;
 
+    /**
+     * @var array|null Labels of the configured providers (see getProviderLabels())
+     */
+    private ?array $providerLabels = null;
+
     /**
      * @param MigrationConfig|object|null $config Configuration object (accepts test doubles)
      */
@@ -32,18 +38,19 @@ class ModuleDefinitionProvider
     public function getModuleDefinitions(): array
     {
         $configData = $this->getConfigurationData();
+        $providers = $this->getProviderLabels();
 
         $definitions = [
-            $this->getPrerequisitesPhase($configData),
-            $this->getSetupPhase(),
-            $this->getPreflightPhase(),
-            $this->getUrlReplacementPhase(),
-            $this->getTemplatesPhase(),
-            $this->getSwitchPhase($configData),
-            $this->getMigrationPhase(),
+            $this->getPrerequisitesPhase($configData, $providers),
+            $this->getSetupPhase($providers),
+            $this->getPreflightPhase($providers),
+            $this->getUrlReplacementPhase($providers),
+            $this->getTemplatesPhase($providers),
+            $this->getSwitchPhase($configData, $providers),
+            $this->getMigrationPhase($providers),
             $this->getValidationPhase(),
             $this->getTransformsPhase(),
-            $this->getAuditPhase(),
+            $this->getAuditPhase($providers),
         ];
 
         // Ensure all modules have consistent keys
@@ -55,6 +62,10 @@ class ModuleDefinitionProvider
                     $module['supportsResume'] = $module['supportsResume'] ?? false;
                     $module['requiresArgs'] = $module['requiresArgs'] ?? false;
                     $module['requiresYes'] = $module['requiresYes'] ?? false;
+                    $module['requires'] = $module['requires'] ?? [];
+                    $module['recommendedAfter'] = $module['recommendedAfter'] ?? [];
+                    $module['pipeline'] = $module['pipeline'] ?? false;
+                    $module['confirmation'] = $module['confirmation'] ?? null;
                 }
             }
         }
@@ -62,6 +73,206 @@ class ModuleDefinitionProvider
         return $definitions;
     }
 
+    /**
+     * Commands of the modules with a confirmation; their real runs need a typed acknowledgement
+     *
+     * @return string[]
+     */
+    public function getConfirmedCommands(): array
+    {
+        $commands = [];
+
+        foreach ($this->getModuleDefinitions() as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                if ($module['confirmation'] !== null && !empty($module['command'])) {
+                    $commands[] = $module['command'];
+                }
+            }
+        }
+
+        return array_values(array_unique($commands));
+    }
+
+    /**
+     * Build the workflow graph shipped to the dashboard: module relations,
+     * stepper phases and an execution order that respects the relations.
+     *
+     * @throws \InvalidArgumentException When a module references an unknown module
+     * @throws \LogicException When the relations contain a cycle
+     */
+    public function getWorkflowGraph(?array $definitions = null): array
+    {
+        $definitions = $definitions ?? $this->getModuleDefinitions();
+
+        $modules = [];
+        $phases = [];
+
+        foreach ($definitions as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                $modules[$module['id']] = [
+                    'title' => $module['title'],
+                    'phase' => $phase['phase'],
+                    'critical' => (bool)($module['critical'] ?? false),
+                    'command' => $module['command'] ?? null,
+                    'requires' => array_values($module['requires'] ?? []),
+                    'recommendedAfter' => array_values($module['recommendedAfter'] ?? []),
+                    'requiresReason' => $module['requiresReason'] ?? null,
+                    'pipeline' => (bool)($module['pipeline'] ?? false),
+                    'confirmation' => $module['confirmation'] ?? null,
+                ];
+            }
+
+            if (!empty($phase['stepLabel'])) {
+                $phases[] = [
+                    'id' => $phase['id'],
+                    'phase' => $phase['phase'],
+                    'label' => $phase['stepLabel'],
+                    'critical' => (bool)($phase['stepCritical'] ?? false),
+                    'icon' => $phase['stepIcon'] ?? null,
+                    'milestones' => array_values($phase['milestones'] ?? []),
+                ];
+            }
+        }
+
+        $edges = [];
+        foreach ($modules as $id => $module) {
+            $edges[$id] = array_values(array_unique(array_merge($module['requires'], $module['recommendedAfter'])));
+
+            foreach ($edges[$id] as $dependency) {
+                if (!isset($modules[$dependency])) {
+                    throw new \InvalidArgumentException("Module '{$id}' depends on unknown module '{$dependency}'");
+                }
+            }
+        }
+
+        foreach ($phases as $phase) {
+            foreach ($phase['milestones'] as $milestone) {
+                if (!isset($modules[$milestone])) {
+                    throw new \InvalidArgumentException("Phase '{$phase['id']}' uses unknown milestone '{$milestone}'");
+                }
+            }
+        }
+
+        $cycle = $this->findDependencyCycle($edges);
+        if ($cycle !== null) {
+            throw new \LogicException('Workflow dependency cycle: ' . implode(' → ', $cycle));
+        }
+
+        return [
+            'modules' => $modules,
+            'phases' => $phases,
+            'order' => $this->sortByDependencies($edges),
+            'providers' => $this->getProviderLabels(),
+        ];
+    }
+
+    /**
+     * Labels of the configured source and target providers
+     *
+     * Falls back to AWS S3 → DigitalOcean Spaces, the legacy configuration,
+     * when the provider configuration cannot be read.
+     *
+     * @return array{source: array, target: array} Output of ProviderLabels::describe() for each side
+     */
+    public function getProviderLabels(): array
+    {
+        if ($this->providerLabels !== null) {
+            return $this->providerLabels;
+        }
+
+        $source = 's3';
+        $target = 'do-spaces';
+
+        try {
+            $source = (string)($this->config->getSourceProvider()['type'] ?? $source);
+            $target = (string)($this->config->getTargetProvider()['type'] ?? $target);
+        } catch (\Throwable $e) {
+            // Use the legacy pair when configuration is unavailable
+        }
+
+        return $this->providerLabels = [
+            'source' => ProviderLabels::describe($source),
+            'target' => ProviderLabels::describe($target),
+        ];
+    }
+
+    /**
+     * Depth-first search for a dependency cycle
+     *
+     * @param array<string, string[]> $edges Module id => ids it must come after
+     * @return string[]|null The cycle path (first id repeated at the end) or null
+     */
+    public function findDependencyCycle(array $edges): ?array
+    {
+        $visited = [];
+        $stack = [];
+
+        $visit = function (string $id) use (&$visit, &$visited, &$stack, $edges): ?array {
+            if (isset($visited[$id])) {
+                return null;
+            }
+
+            $position = array_search($id, $stack, true);
+            if ($position !== false) {
+                return array_merge(array_slice($stack, $position), [$id]);
+            }
+
+            $stack[] = $id;
+
+            foreach ($edges[$id] ?? [] as $dependency) {
+                $cycle = $visit((string)$dependency);
+                if ($cycle !== null) {
+                    return $cycle;
+                }
+            }
+
+            array_pop($stack);
+            $visited[$id] = true;
+
+            return null;
+        };
+
+        foreach (array_keys($edges) as $id) {
+            $cycle = $visit((string)$id);
+            if ($cycle !== null) {
+                return $cycle;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Topological order that keeps definition order wherever relations allow it
+     *
+     * @param array<string, string[]> $edges Module id => ids it must come after (acyclic)
+     */
+    private function sortByDependencies(array $edges): array
+    {
+        $order = [];
+        $placed = [];
+
+        while (count($order) < count($edges)) {
+            foreach ($edges as $id => $dependencies) {
+                $id = (string)$id;
+                if (isset($placed[$id])) {
+                    continue;
+                }
+
+                if (array_diff($dependencies, $order) === []) {
+                    $order[] = $id;
+                    $placed[$id] = true;
+                    // Rescan from the top so earlier definitions win ties
+                    continue 2;
+                }
+            }
+
+            break;
+        }
+
+        return $order;
+    }
+
     /**
      * Get configuration data for placeholders
      */
@@ -109,6 +320,13 @@ class ModuleDefinitionProvider
             // Use defaults when configuration is unavailable
         }
 
+        // Other source providers name their bucket in the provider configuration
+        try {
+            $awsBucket = (string)($this->config->getSourceProvider()['config']['bucket'] ?? '') ?: $awsBucket;
+        } catch (\Throwable $e) {
+            // Keep the AWS bucket
+        }
+
         return [
             'aws' => [
                 'bucket' => $awsBucket,
@@ -254,19 +472,75 @@ class ModuleDefinitionProvider
         );
 
         return [
-            'awsConfig' => $rcloneAwsConfigCommand,
-            'doConfig' => $rcloneDoConfigCommand,
+            'sourceConfig' => $rcloneAwsConfigCommand,
+            'targetConfig' => $rcloneDoConfigCommand,
             'copy' => $rcloneCopyCommand,
             'check' => $rcloneCheckCommand,
         ];
     }
 
+    /**
+     * Provider labels for module descriptions and confirmation messages, which are rendered as markup
+     *
+     * Titles and reasons are shown as text and use the labels as they are.
+     */
+    private static function markupLabels(array $labels): array
+    {
+        foreach (['type', 'name', 'short'] as $key) {
+            $labels[$key] = htmlspecialchars($labels[$key], ENT_QUOTES);
+        }
+
+        return $labels;
+    }
+
+    /**
+     * Whether the providers are the AWS S3 → DigitalOcean Spaces pair configured in the plugin settings
+     */
+    private function isLegacyPair(array $providers): bool
+    {
+        return $providers['source']['type'] === 's3' && $providers['target']['type'] === 'do-spaces';
+    }
+
+    /**
+     * Plugin settings fields of the source and target providers, one bullet each
+     */
+    private function describeSettingsFields(array $source, array $target): string
+    {
+        $lines = [];
+
+        foreach ([$source, $target] as $provider) {
+            foreach (ProviderLabels::settingsFields($provider['type']) as $field => $example) {
+                $lines[] = "• {$provider['short']} {$field}" . ($example !== null ? " (e.g., {$example})" : '');
+            }
+        }
+
+        return implode('<br>', $lines);
+    }
+
+    /**
+     * Install instructions for the Craft filesystem plugin of the target provider
+     */
+    private function describeFsPluginInstall(array $target): string
+    {
+        if ($target['type'] === 'local') {
+            return "No plugin needed: {$target['name']} uses Craft's built-in Local Folder filesystem.<br><br>Check that the target folder exists and is writable by the web server.";
+        }
+
+        if ($target['fsPlugin'] === null) {
+            return "CRITICAL: Install a Craft filesystem plugin for {$target['name']} FIRST.<br><br>Find one in the Plugin Store (Settings → Plugins), then verify that it appears in Settings → Plugins and offers a {$target['name']} filesystem type.";
+        }
+
+        return "CRITICAL: Install the {$target['name']} filesystem plugin FIRST.<br><br>Run these commands in your terminal:<br><code>composer require {$target['fsPlugin']['package']}<br>./craft plugin/install {$target['fsPlugin']['handle']}</code><br><br>Verify installation: Check that the plugin appears in Settings → Plugins";
+    }
+
     /**
      * Prerequisites phase definition
      */
-    private function getPrerequisitesPhase(array $configData): array
+    private function getPrerequisitesPhase(array $configData, array $providers): array
     {
         $rclone = $this->getRcloneCommands($configData);
+        $source = self::markupLabels($providers['source']);
+        $target = self::markupLabels($providers['target']);
 
         return [
             'id' => 'prerequisites',
@@ -276,8 +550,8 @@ class ModuleDefinitionProvider
             'modules' => [
                 [
                     'id' => 'install-plugin',
-                    'title' => '1. Install DO Spaces Plugin (REQUIRED)',
-                    'description' => 'CRITICAL: Install the DigitalOcean Spaces plugin FIRST.<br><br>Run these commands in your terminal:<br><code>composer require vaersaagod/dospaces<br>./craft plugin/install dospaces</code><br><br>Verify installation: Check that the plugin appears in Settings → Plugins',
+                    'title' => "1. Install {$providers['target']['short']} Filesystem Plugin (REQUIRED)",
+                    'description' => $this->describeFsPluginInstall($target),
                     'command' => null,
                     'duration' => '5-10 min',
                     'critical' => true,
@@ -286,7 +560,9 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'env-config',
                     'title' => '2. Configure Plugin Settings (REQUIRED)',
-                    'description' => 'CRITICAL: Configure plugin settings via the Control Panel BEFORE rclone setup.<br><br>Go to: <strong>Settings → Plugins → S3 Spaces Migration → Plugin Settings</strong><br><br>Configure the following:<br>• AWS Source Bucket<br>• AWS Source Region<br>• AWS Access Key<br>• AWS Secret Key<br>• DO Access Key<br>• DO Secret Key<br>• DO Bucket<br>• DO Base URL (e.g., https://your-bucket.tor1.digitaloceanspaces.com)<br>• DO Base Endpoint (e.g., tor1.digitaloceanspaces.com)<br>• DO Region (e.g., tor1)<br><br>All settings are stored in the Craft database and can be imported/exported via the plugin settings page.<br><br>⚠️ This MUST be done before the next steps!',
+                    'description' => $this->isLegacyPair($providers)
+                        ? 'CRITICAL: Configure plugin settings via the Control Panel BEFORE rclone setup.<br><br>Go to: <strong>Settings → Plugins → Spaghetti Migrator → Plugin Settings</strong><br><br>Configure the following:<br>' . $this->describeSettingsFields($source, $target) . '<br><br>All settings are stored in the Craft database and can be imported/exported via the plugin settings page.<br><br>⚠️ This MUST be done before the next steps!'
+                        : "CRITICAL: Configure both storage providers BEFORE rclone setup.<br><br>In <code>config/migration-config.php</code>, set:<br>• <code>sourceProvider</code>: type <code>{$source['type']}</code> ({$source['name']}) with its bucket, region and credentials<br>• <code>targetProvider</code>: type <code>{$target['type']}</code> ({$target['name']}) with its bucket, region, endpoint and credentials<br><br>Reference credentials through environment variables (<code>\$MY_VAR</code>) rather than writing them in the file. Connection Diagnostics on this page checks both providers once they are configured.<br><br>⚠️ This MUST be done before the next steps!",
                     'command' => null,
                     'duration' => '5 min',
                     'critical' => true,
@@ -295,7 +571,9 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'install-rclone',
                     'title' => '3. Install & Configure rclone (REQUIRED)',
-                    'description' => 'CRITICAL: Install rclone for efficient file synchronization.<br><br>Install: Visit https://rclone.org/install/<br>Verify: <code>which rclone</code><br><br>Configure AWS remote:<br><code>' . $rclone['awsConfig'] . '</code><br><br>Configure DO remote:<br><code>' . $rclone['doConfig'] . '</code><br><br>⚠️ The commands above use environment variables from step 2!',
+                    'description' => $this->isLegacyPair($providers)
+                        ? 'CRITICAL: Install rclone for efficient file synchronization.<br><br>Install: Visit https://rclone.org/install/<br>Verify: <code>which rclone</code><br><br>Configure the ' . $source['short'] . ' remote:<br><code>' . $rclone['sourceConfig'] . '</code><br><br>Configure the ' . $target['short'] . ' remote:<br><code>' . $rclone['targetConfig'] . '</code><br><br>⚠️ The commands above use environment variables from step 2!'
+                        : "CRITICAL: Install rclone for efficient file synchronization.<br><br>Install: Visit https://rclone.org/install/<br>Verify: <code>which rclone</code><br><br>Create two remotes with <code>rclone config</code> (see https://rclone.org/overview/ for each provider's options):<br>• <code>aws-s3</code> for the source, {$source['name']}<br>• <code>prod-medias</code> for the target, {$target['name']}<br><br>The sync commands in the next step use these remote names.",
                     'command' => null,
                     'duration' => '10-15 min',
                     'critical' => true,
@@ -303,8 +581,8 @@ class ModuleDefinitionProvider
                 ],
                 [
                     'id' => 'sync-files',
-                    'title' => '4. Sync AWS → DO Files (REQUIRED)',
-                    'description' => '📦 <strong>THIS IS THE ACTUAL DATA TRANSFER</strong> - Bulk copy ALL files from AWS to DO using rclone.<br><br>Initial sync (run this now):<br><code>' . $rclone['copy'] . '</code><br><br>Verify sync completed:<br><code>' . $rclone['check'] . '</code><br><br>⚠️ <strong>IMPORTANT:</strong> You will run a SECOND sync just before the filesystem switch in Phase 4 to catch any new files uploaded during URL replacement phases.<br><br>The "File Migration" phase (Phase 5) will NOT copy files - it just organizes the files already on DO.',
+                    'title' => "4. Sync {$providers['source']['short']} → {$providers['target']['short']} Files (REQUIRED)",
+                    'description' => "📦 <strong>THIS IS THE ACTUAL DATA TRANSFER</strong> - Bulk copy ALL files from {$source['name']} to {$target['name']} using rclone.<br><br>Initial sync (run this now):<br><code>{$rclone['copy']}</code><br><br>Verify sync completed:<br><code>{$rclone['check']}</code><br><br>⚠️ <strong>IMPORTANT:</strong> You will run a SECOND sync just before the filesystem switch in Phase 4 to catch any new files uploaded during URL replacement phases.<br><br>The \"File Migration\" phase (Phase 5) will NOT copy files - it just organizes the files already on {$target['short']}.",
                     'command' => null,
                     'duration' => '1-4 hours',
                     'critical' => true,
@@ -335,19 +613,24 @@ class ModuleDefinitionProvider
     /**
      * Setup phase definition
      */
-    private function getSetupPhase(): array
+    private function getSetupPhase(array $providers): array
     {
+        $target = self::markupLabels($providers['target']);
+
         return [
             'id' => 'setup',
             'title' => 'Setup & Configuration',
             'phase' => 0,
+            'stepLabel' => 'Setup',
+            'milestones' => ['filesystem', 'volume-config'],
             'icon' => 'settings',
             'modules' => [
                 [
                     'id' => 'filesystem',
-                    'title' => 'Create DO Filesystems',
-                    'description' => 'Create new DigitalOcean Spaces filesystem configurations in Craft CMS.',
+                    'title' => "Create {$providers['target']['short']} Filesystems",
+                    'description' => "Create new {$target['name']} filesystem configurations in Craft CMS.",
                     'command' => 'filesystem/create',
+                    'pipeline' => true,
                     'duration' => '15-30 min',
                     'critical' => true,
                 ],
@@ -359,14 +642,15 @@ class ModuleDefinitionProvider
                     'duration' => '1-2 min',
                     'critical' => false,
                 ],
-                [
+                // Only some providers' filesystems have an endpoint fix
+                ...(ProviderLabels::hasEndpointFix($target['type']) ? [[
                     'id' => 'filesystem-fix',
-                    'title' => 'Fix DO Spaces Endpoints',
-                    'description' => 'Fix endpoint configurations for DigitalOcean Spaces filesystems.',
+                    'title' => "Fix {$providers['target']['short']} Endpoints",
+                    'description' => "Fix endpoint configurations for {$target['name']} filesystems.",
                     'command' => 'filesystem-fix/fix-endpoints',
                     'duration' => '2-5 min',
                     'critical' => false,
-                ],
+                ]] : []),
                 [
                     'id' => 'filesystem-show',
                     'title' => 'Show Filesystem Config',
@@ -388,6 +672,7 @@ class ModuleDefinitionProvider
                     'title' => 'Configure All Volumes',
                     'description' => 'CRITICAL: Configure transform filesystem for ALL volumes. This prevents transform pollution and ensures proper file organization.<br><br>This will set the transform filesystem for all volumes to use the dedicated transform volume.',
                     'command' => 'volume-config/configure-all',
+                    'pipeline' => true,
                     'duration' => '5-10 min',
                     'critical' => true,
                     'supportsDryRun' => true,
@@ -410,20 +695,27 @@ class ModuleDefinitionProvider
     /**
      * Pre-flight phase definition
      */
-    private function getPreflightPhase(): array
+    private function getPreflightPhase(array $providers): array
     {
+        $source = self::markupLabels($providers['source']);
+        $target = self::markupLabels($providers['target']);
+
         return [
             'id' => 'preflight',
             'title' => 'Pre-Flight Checks',
             'phase' => 1,
+            'stepLabel' => 'Checks',
+            'milestones' => ['migration-check'],
             'icon' => 'check',
             'modules' => [
                 [
                     'id' => 'migration-check',
                     'title' => 'Run Pre-Flight Checks',
-                    'description' => 'Validate configuration and environment with 10 automated checks:<br>• DO Spaces plugin installed<br>• rclone available<br>• Fresh AWS → DO sync completed<br>• Transform filesystem configured<br>• Volume field layouts<br>• DO credentials valid<br>• AWS connectivity<br>• Database schema<br>• PHP environment<br>• File permissions',
+                    'description' => "Validate configuration and environment with 10 automated checks:<br>• {$target['short']} filesystem plugin installed<br>• rclone available<br>• Fresh {$source['short']} → {$target['short']} sync completed<br>• Transform filesystem configured<br>• Volume field layouts<br>• {$target['short']} credentials valid<br>• {$source['short']} connectivity<br>• Database schema<br>• PHP environment<br>• File permissions",
                     'command' => 'migration-check/check',
+                    'pipeline' => true,
                     'duration' => '5-10 min',
+                    'recommendedAfter' => ['filesystem', 'volume-config'],
                     'critical' => true,
                 ],
                 [
@@ -441,12 +733,17 @@ class ModuleDefinitionProvider
     /**
      * URL replacement phase definition
      */
-    private function getUrlReplacementPhase(): array
+    private function getUrlReplacementPhase(array $providers): array
     {
+        $source = self::markupLabels($providers['source']);
+        $target = self::markupLabels($providers['target']);
+
         return [
             'id' => 'url-replacement',
             'title' => 'URL Replacement',
             'phase' => 2,
+            'stepLabel' => 'URLs',
+            'milestones' => ['url-replacement'],
             'icon' => 'refresh',
             'modules' => [
                 [
@@ -460,9 +757,11 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'url-replacement',
                     'title' => 'Replace Database URLs',
-                    'description' => 'Replace AWS URLs in content tables with DO URLs',
+                    'description' => "Replace {$source['name']} URLs in content tables with {$target['name']} URLs",
                     'command' => 'url-replacement/replace-s3-urls',
+                    'pipeline' => true,
                     'duration' => '10-60 min',
+                    'recommendedAfter' => ['migration-check'],
                     'critical' => true,
                     'supportsDryRun' => true,
                     'requiresYes' => true,
@@ -470,15 +769,17 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'url-replacement-verify',
                     'title' => 'Verify URL Replacement',
-                    'description' => 'Verify that no AWS S3 URLs remain in the database.',
+                    'description' => "Verify that no {$source['name']} URLs remain in the database.",
                     'command' => 'url-replacement/verify',
+                    'pipeline' => true,
                     'duration' => '5-10 min',
+                    'recommendedAfter' => ['url-replacement'],
                     'critical' => false,
                 ],
                 [
                     'id' => 'extended-url-scan',
                     'title' => 'Scan Additional Tables',
-                    'description' => 'Scan additional database tables for AWS S3 URLs.',
+                    'description' => "Scan additional database tables for {$source['name']} URLs.",
                     'command' => 'extended-url-replacement/scan-additional',
                     'duration' => '5-10 min',
                     'critical' => false,
@@ -509,18 +810,22 @@ class ModuleDefinitionProvider
     /**
      * Templates phase definition
      */
-    private function getTemplatesPhase(): array
+    private function getTemplatesPhase(array $providers): array
     {
+        $source = self::markupLabels($providers['source']);
+
         return [
             'id' => 'templates',
             'title' => 'Template Updates',
             'phase' => 3,
+            'stepLabel' => 'Templates',
+            'milestones' => ['template-replace'],
             'icon' => 'code',
             'modules' => [
                 [
                     'id' => 'template-scan',
                     'title' => 'Scan Templates',
-                    'description' => 'Scan Twig templates for hardcoded AWS URLs',
+                    'description' => "Scan Twig templates for hardcoded {$source['name']} URLs",
                     'command' => 'template-url-replacement/scan',
                     'duration' => '5-10 min',
                     'critical' => false,
@@ -530,7 +835,9 @@ class ModuleDefinitionProvider
                     'title' => 'Replace Template URLs',
                     'description' => 'Replace hardcoded URLs with environment variables',
                     'command' => 'template-url-replacement/replace',
+                    'pipeline' => true,
                     'duration' => '5-15 min',
+                    'recommendedAfter' => ['template-scan'],
                     'critical' => false,
                     'supportsDryRun' => true,
                     'requiresYes' => true,
@@ -538,9 +845,11 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'template-verify',
                     'title' => 'Verify Template Updates',
-                    'description' => 'Verify that no AWS URLs remain in templates.',
+                    'description' => "Verify that no {$source['name']} URLs remain in templates.",
                     'command' => 'template-url-replacement/verify',
+                    'pipeline' => true,
                     'duration' => '2-5 min',
+                    'recommendedAfter' => ['template-replace'],
                     'critical' => false,
                 ],
                 [
@@ -559,16 +868,22 @@ class ModuleDefinitionProvider
     /**
      * Filesystem switch phase definition
      */
-    private function getSwitchPhase(array $configData): array
+    private function getSwitchPhase(array $configData, array $providers): array
     {
         $rclone = $this->getRcloneCommands($configData);
+        $source = self::markupLabels($providers['source']);
+        $target = self::markupLabels($providers['target']);
 
         return [
             'id' => 'switch',
             'title' => 'Filesystem Switch',
             'phase' => 4,
+            'stepLabel' => 'Switch FS',
+            'milestones' => ['switch-to-do'],
+            'stepCritical' => true,
+            'stepIcon' => '⚠️',
             'icon' => 'transfer',
-            'description' => '🔒 <strong>BEFORE STARTING THIS PHASE:</strong> Run a SECOND rclone sync to catch any new files uploaded during URL replacement:<br><code>' . $rclone['copy'] . '</code><br><br>Then switch volumes to DigitalOcean to:<br><br>1️⃣ <strong>FREEZE AWS STATE</strong> - Prevents new writes to AWS S3 (preserves backup)<br>2️⃣ <strong>ENABLE INSTANT ROLLBACK</strong> - If migration fails, switch back to unchanged AWS<br>3️⃣ <strong>POINT TO DO SPACES</strong> - Next phase will organize files WITHIN DO (already synced via rclone)<br><br>⚠️ This is NOT the data transfer (rclone already copied files). This switches Craft CMS to read from DO Spaces.',
+            'description' => "🔒 <strong>BEFORE STARTING THIS PHASE:</strong> Run a SECOND rclone sync to catch any new files uploaded during URL replacement:<br><code>{$rclone['copy']}</code><br><br>Then switch volumes to {$target['name']} to:<br><br>1️⃣ <strong>FREEZE {$source['short']} STATE</strong> - Prevents new writes to {$source['name']} (preserves backup)<br>2️⃣ <strong>ENABLE INSTANT ROLLBACK</strong> - If migration fails, switch back to unchanged {$source['short']}<br>3️⃣ <strong>POINT TO {$target['short']}</strong> - Next phase will organize files WITHIN {$target['short']} (already synced via rclone)<br><br>⚠️ This is NOT the data transfer (rclone already copied files). This switches Craft CMS to read from {$target['name']}.",
             'modules' => [
                 [
                     'id' => 'switch-list',
@@ -596,25 +911,35 @@ class ModuleDefinitionProvider
                 ],
                 [
                     'id' => 'switch-to-do',
-                    'title' => 'Switch to DO Spaces',
-                    'description' => '🔒 CRITICAL: Switch all Craft CMS volumes to point to DigitalOcean Spaces.<br><br><strong>WHY THIS HAPPENS FIRST:</strong><br>• Freezes AWS S3 (no new files written = pristine backup)<br>• Enables instant rollback if migration fails<br>• Files are ALREADY on DO via rclone sync<br>• Next phase just cleans up/organizes within DO<br><br>⚠️ This is a database-only operation - changes volume configs to point to DO filesystem.',
+                    'title' => "Switch to {$providers['target']['name']}",
+                    'description' => "🔒 CRITICAL: Switch all Craft CMS volumes to point to {$target['name']}.<br><br><strong>WHY THIS HAPPENS FIRST:</strong><br>• Freezes {$source['name']} (no new files written = pristine backup)<br>• Enables instant rollback if migration fails<br>• Files are ALREADY on {$target['short']} via rclone sync<br>• Next phase just cleans up/organizes within {$target['short']}<br><br>⚠️ This is a database-only operation - changes volume configs to point to the {$target['short']} filesystem.",
                     'command' => 'filesystem-switch/to-do',
+                    'pipeline' => true,
                     'duration' => '2-5 min',
+                    'requires' => ['migration-check'],
+                    'requiresReason' => "You must run Pre-Flight Checks (Phase 1) before switching filesystems to {$providers['target']['name']}.",
+                    'recommendedAfter' => ['url-replacement', 'template-replace'],
                     'critical' => true,
                     'requiresYes' => true,
+                    'confirmation' => [
+                        'title' => 'Confirm Filesystem Switch',
+                        'message' => "<strong>CRITICAL OPERATION:</strong> This will switch all volumes to use {$target['name']}. Ensure you have:<br/><br/>• Completed all previous phases<br/>• Synced files from {$source['short']} to {$target['short']} using rclone<br/>• Created a database backup<br/><br/>This operation is reversible, but should be done carefully.",
+                    ],
                 ],
                 [
                     'id' => 'switch-verify',
                     'title' => 'Verify Filesystem Setup',
                     'description' => 'Verify current filesystem setup after switching.',
                     'command' => 'filesystem-switch/verify',
+                    'pipeline' => true,
                     'duration' => '2-5 min',
+                    'recommendedAfter' => ['switch-to-do'],
                     'critical' => false,
                 ],
                 [
                     'id' => 'switch-to-aws',
-                    'title' => '🔙 Emergency Rollback to AWS',
-                    'description' => '⚠️ <strong>EMERGENCY USE ONLY</strong> - Instantly switches volumes back to AWS S3.<br><br>Use this if:<br>• File migration fails and cannot be fixed<br>• Need to restore service immediately<br>• AWS is still intact (frozen during migration)<br><br><strong>WARNING:</strong> Any new files uploaded to DO AFTER the switch will be lost when rolling back to AWS!',
+                    'title' => "🔙 Emergency Rollback to {$providers['source']['short']}",
+                    'description' => "⚠️ <strong>EMERGENCY USE ONLY</strong> - Instantly switches volumes back to {$source['name']}.<br><br>Use this if:<br>• File migration fails and cannot be fixed<br>• Need to restore service immediately<br>• {$source['short']} is still intact (frozen during migration)<br><br><strong>WARNING:</strong> Any new files uploaded to {$target['short']} AFTER the switch will be lost when rolling back to {$source['short']}!",
                     'command' => 'filesystem-switch/to-aws',
                     'duration' => '2-5 min',
                     'critical' => false,
@@ -627,14 +952,21 @@ class ModuleDefinitionProvider
     /**
      * Migration phase definition
      */
-    private function getMigrationPhase(): array
+    private function getMigrationPhase(array $providers): array
     {
+        $source = self::markupLabels($providers['source']);
+        $target = self::markupLabels($providers['target']);
+
         return [
             'id' => 'migration',
             'title' => 'File Organization & Cleanup',
             'phase' => 5,
+            'stepLabel' => 'Migrate',
+            'milestones' => ['image-migration'],
+            'stepCritical' => true,
+            'stepIcon' => '📦',
             'icon' => 'upload',
-            'description' => '🧹 <strong>DO-to-DO CLEANUP (NOT data transfer)</strong><br><br>Files are already on DigitalOcean Spaces via rclone sync. This phase:<br><br>1️⃣ <strong>Links inline images</strong> - Creates asset relations for RTE images<br>2️⃣ <strong>Fixes broken links</strong> - Updates asset paths to match actual files<br>3️⃣ <strong>Consolidates files</strong> - Moves files to correct folder structure within DO<br>4️⃣ <strong>Quarantines unused</strong> - Safely archives orphaned files for review<br>5️⃣ <strong>Resolves duplicates</strong> - Merges duplicate asset records<br><br>✅ All operations happen WITHIN DigitalOcean Spaces (reorganization, not copying)',
+            'description' => "🧹 <strong>{$target['short']}-to-{$target['short']} CLEANUP (NOT data transfer)</strong><br><br>Files are already on {$target['name']} via rclone sync. This phase:<br><br>1️⃣ <strong>Links inline images</strong> - Creates asset relations for RTE images<br>2️⃣ <strong>Fixes broken links</strong> - Updates asset paths to match actual files<br>3️⃣ <strong>Consolidates files</strong> - Moves files to correct folder structure within {$target['short']}<br>4️⃣ <strong>Quarantines unused</strong> - Safely archives orphaned files for review<br>5️⃣ <strong>Resolves duplicates</strong> - Merges duplicate asset records<br><br>✅ All operations happen WITHIN {$target['name']} (reorganization, not copying)",
             'modules' => [
                 [
                     'id' => 'transform-cleanup',
@@ -655,14 +987,21 @@ class ModuleDefinitionProvider
                 ],
                 [
                     'id' => 'image-migration',
-                    'title' => 'Organize & Clean Files (DO-to-DO)',
-                    'description' => '🧹 <strong>CLEANUP WITHIN DO SPACES (NOT AWS-to-DO transfer)</strong><br><br>Files are already on DO via rclone. This command:<br>• Links inline RTE images to assets<br>• Fixes broken asset-file paths<br>• Consolidates files to proper locations<br>• Quarantines unused/orphaned files<br>• Resolves duplicate asset records<br><br>✅ All operations within DO Spaces<br>✅ Checkpoint/resume support<br>✅ Full rollback capability<br><br>Duration: 1-48 hours (depends on asset count)',
+                    'title' => "Organize & Clean Files ({$providers['target']['short']}-to-{$providers['target']['short']})",
+                    'description' => "🧹 <strong>CLEANUP WITHIN {$target['name']} (NOT {$source['short']}-to-{$target['short']} transfer)</strong><br><br>Files are already on {$target['short']} via rclone. This command:<br>• Links inline RTE images to assets<br>• Fixes broken asset-file paths<br>• Consolidates files to proper locations<br>• Quarantines unused/orphaned files<br>• Resolves duplicate asset records<br><br>✅ All operations within {$target['name']}<br>✅ Checkpoint/resume support<br>✅ Full rollback capability<br><br>Duration: 1-48 hours (depends on asset count)",
                     'command' => 'image-migration/migrate',
+                    'pipeline' => true,
                     'duration' => '1-48 hours',
+                    'requires' => ['switch-to-do'],
+                    'requiresReason' => "You must complete the Filesystem Switch (Phase 4) before running File Migration (Phase 5). Switching filesystems first ensures volumes point to {$providers['target']['name']} during migration.",
                     'critical' => true,
                     'supportsDryRun' => true,
                     'supportsResume' => true,
                     'requiresYes' => true,
+                    'confirmation' => [
+                        'title' => 'Confirm File Migration',
+                        'message' => "<strong>IMPORTANT:</strong> This will organize all asset files on {$target['name']}. Ensure you have:<br/><br/>• Completed Filesystem Switch (Phase 4)<br/>• Sufficient disk space<br/>• Created a database backup<br/><br/>This process may take several hours and creates automatic backups.",
+                    ],
                 ],
                 [
                     'id' => 'image-migration-monitor',
@@ -703,6 +1042,8 @@ class ModuleDefinitionProvider
             'id' => 'validation',
             'title' => 'Post-Migration Validation',
             'phase' => 6,
+            'stepLabel' => 'Validate',
+            'milestones' => ['migration-diag'],
             'icon' => 'check-circle',
             'modules' => [
                 [
@@ -710,7 +1051,9 @@ class ModuleDefinitionProvider
                     'title' => 'Analyze Migration State',
                     'description' => 'Analyze current state after migration.',
                     'command' => 'migration-diag/analyze',
+                    'pipeline' => true,
                     'duration' => '10-30 min',
+                    'recommendedAfter' => ['image-migration'],
                     'critical' => true,
                 ],
                 [
@@ -780,6 +1123,8 @@ class ModuleDefinitionProvider
             'id' => 'transforms',
             'title' => 'Image Transforms',
             'phase' => 7,
+            'stepLabel' => 'Transforms',
+            'milestones' => ['transform-discovery-all'],
             'icon' => 'image',
             'description' => '📸 <strong>TRANSFORM WORKFLOW:</strong><br><br>1️⃣ <strong>Discovery</strong> - Scan database AND templates for all transform usage<br>2️⃣ <strong>Generation</strong> - Pre-generate all discovered transforms<br>3️⃣ <strong>Verification</strong> - Confirm all transforms exist<br>4️⃣ <strong>Optional: Warmup</strong> - Crawl pages to trigger additional transforms<br><br>This prevents broken images during migration.',
             'modules' => [
@@ -797,7 +1142,9 @@ class ModuleDefinitionProvider
                     'title' => '1️⃣ Discover ALL Transforms (Database + Templates)',
                     'description' => '🔍 <strong>COMPREHENSIVE DISCOVERY</strong> - Scans BOTH database content AND Twig templates for transform usage.<br><br><strong>Scans for:</strong><br>• Background-image URLs in database fields<br>• ImageOptimize transform references<br>• Inline img src with transform parameters<br>• Twig .getUrl() calls<br>• srcset() references<br>• Named transform handles<br><br>Generates a report for the next step.<br><br>⚠️ Run this ONCE to get complete coverage.',
                     'command' => 'transform-discovery/discover',
+                    'pipeline' => true,
                     'duration' => '10-30 min',
+                    'recommendedAfter' => ['add-optimised-field', 'migration-diag'],
                     'critical' => true,
                 ],
                 [
@@ -822,6 +1169,7 @@ class ModuleDefinitionProvider
                     'description' => '⚙️ <strong>PRE-GENERATE TRANSFORMS</strong> - Uses the discovery report to pre-generate all image transforms.<br><br><strong>What it does:</strong><br>• Loads latest discovery report automatically<br>• Pre-generates transforms in batches<br>• Supports checkpointing for large datasets<br>• Can be resumed if interrupted<br><br><strong>Performance:</strong><br>• Batch size configurable<br>• Concurrent generation supported<br>• Progress tracking with visual feedback<br><br>Run this AFTER discovery completes.',
                     'command' => 'transform-pre-generation/generate',
                     'duration' => '30 min - 6 hours',
+                    'recommendedAfter' => ['transform-discovery-all'],
                     'critical' => true,
                     'supportsDryRun' => true,
                     'requiresYes' => true,
@@ -832,6 +1180,7 @@ class ModuleDefinitionProvider
                     'description' => '✅ <strong>VERIFY ALL TRANSFORMS EXIST</strong> - Confirms that all discovered transforms have been successfully generated.<br><br>Checks:<br>• All transforms from discovery report<br>• Reports missing transforms<br>• Shows coverage percentage<br><br>Run this AFTER generation to ensure completeness.',
                     'command' => 'transform-pre-generation/verify',
                     'duration' => '10-30 min',
+                    'recommendedAfter' => ['transform-pregeneration'],
                     'critical' => true,
                 ],
                 [
@@ -851,12 +1200,16 @@ class ModuleDefinitionProvider
     /**
      * Audit phase definition
      */
-    private function getAuditPhase(): array
+    private function getAuditPhase(array $providers): array
     {
+        $source = self::markupLabels($providers['source']);
+
         return [
             'id' => 'audit',
             'title' => 'Audit & Diagnostics',
             'phase' => 8,
+            'stepLabel' => 'Audit',
+            'milestones' => ['missing-file-fix-analyze'],
             'icon' => 'search',
             'modules' => [
                 [
@@ -864,6 +1217,7 @@ class ModuleDefinitionProvider
                     'title' => '🔍 Analyze Missing Files',
                     'description' => '<strong>SCAN FOR MISSING FILES</strong> - Analyzes assets with missing physical files and searches quarantine for matches.<br><br><strong>What it does:</strong><br>• Finds all assets with missing files<br>• Searches quarantine for orphaned files<br>• Identifies files in wrong volumes<br>• Shows detailed statistics<br><br><strong>File Type Mapping:</strong><br>• PDFs, DOCX, ZIP, TXT → Documents volume<br>• Images (JPG, PNG, etc.) → Images volume<br><br>Run this FIRST to understand the scope of missing files.',
                     'command' => 'missing-file-fix/analyze',
+                    'pipeline' => true,
                     'duration' => '5-10 min',
                     'critical' => true,
                 ],
@@ -873,6 +1227,7 @@ class ModuleDefinitionProvider
                     'description' => '<strong>RECONNECT QUARANTINED FILES</strong> - Moves files from quarantine to correct locations and updates database records.<br><br><strong>What it does:</strong><br>• Finds orphaned files in quarantine<br>• Matches them to asset records<br>• Moves files to correct volumes<br>• Updates database records<br>• Shows summary of fixed files<br><br><strong>⚠️ IMPORTANT:</strong><br>• Always run "Analyze" first<br>• Test with dry-run mode first (default)<br>• Turn off dry-run to apply changes<br><br>This fixes the link between database records and physical files.',
                     'command' => 'missing-file-fix/fix',
                     'duration' => '10-30 min',
+                    'recommendedAfter' => ['missing-file-fix-analyze'],
                     'critical' => true,
                     'supportsDryRun' => true,
                     'requiresYes' => true,
@@ -888,7 +1243,7 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'plugin-config-audit',
                     'title' => 'Scan Plugin Configurations',
-                    'description' => 'Scan plugin configurations for hardcoded AWS S3 URLs.',
+                    'description' => "Scan plugin configurations for hardcoded {$source['name']} URLs.",
                     'command' => 'plugin-config-audit/scan',
                     'duration' => '5-15 min',
                     'critical' => false,
@@ -896,7 +1251,7 @@ class ModuleDefinitionProvider
                 [
                     'id' => 'static-asset-scan',
                     'title' => 'Scan Static Assets',
-                    'description' => 'Scan JS/CSS/SCSS files for hardcoded AWS S3 URLs.',
+                    'description' => "Scan JS/CSS/SCSS files for hardcoded {$source['name']} URLs.",
                     'command' => 'static-asset-scan/scan',
                     'duration' => '5-15 min',
                     'critical' => false,
@@ -0,0 +1,341 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+use Craft;
+use csabourin\spaghettiMigrator\helpers\MigrationConfig;
+use csabourin\spaghettiMigrator\helpers\ProviderLabels;
+
+/**
+ * Preflight Service
+ *
+ * Gathers the facts an operator should see before starting a critical
+ * operation from the dashboard (the modules ModuleDefinitionProvider gives a
+ * confirmation: the filesystem switch and the file migration): the last
+ * pre-flight check and volume configuration runs, a read-only connection probe
+ * of the target storage and the age of the latest database backup. The
+ * operator confirms by typing the target bucket (or the environment name when
+ * no bucket is configured); the stream and queue endpoints refuse a critical
+ * run without it and record the acknowledgement with the run, and run-command
+ * refuses critical runs outright.
+ */
+class PreflightService
+{
+    /**
+     * A database backup older than this is reported as a warning
+     */
+    public const BACKUP_MAX_AGE = 86400;
+
+    private MigrationProgressService $progressService;
+
+    private ?ModuleDefinitionProvider $moduleProvider;
+
+    private ?ConnectionDiagnostics $diagnostics;
+
+    private ?MigrationConfig $config;
+
+    public function __construct(
+        ?MigrationProgressService $progressService = null,
+        ?ModuleDefinitionProvider $moduleProvider = null,
+        ?ConnectionDiagnostics $diagnostics = null,
+        ?MigrationConfig $config = null
+    ) {
+        $this->progressService = $progressService ?? new MigrationProgressService();
+        $this->moduleProvider = $moduleProvider;
+        $this->diagnostics = $diagnostics;
+        $this->config = $config;
+    }
+
+    /**
+     * Commands that need a typed acknowledgement before a real (non dry) run
+     *
+     * @return string[]
+     */
+    public function getConfirmedCommands(): array
+    {
+        return $this->getModuleProvider()->getConfirmedCommands();
+    }
+
+    public function requiresConfirmation(string $command, bool $dryRun): bool
+    {
+        return !$dryRun && in_array($command, $this->getConfirmedCommands(), true);
+    }
+
+    /**
+     * Live preflight facts and the phrase to type for a critical command
+     *
+     * @return array{command: string, phrase: string, phraseLabel: string, checks: array, generatedAt: string}
+     */
+    public function getSummary(string $command): array
+    {
+        $now = time();
+        $state = $this->progressService->getState();
+        $moduleStates = $state['moduleStates'] ?? [];
+        $completedModules = $state['completedModules'] ?? [];
+
+        $connection = $this->getDiagnostics()->diagnoseConfiguredProvider('target', false);
+        $target = $this->getTarget();
+
+        return [
+            'command' => $command,
+            'phrase' => $target['phrase'],
+            'phraseLabel' => $target['label'],
+            'checks' => [
+                self::evaluateModuleRun(
+                    'migration-check',
+                    Craft::t('spaghetti-migrator', 'Pre-flight checks'),
+                    $moduleStates['migration-check'] ?? null,
+                    in_array('migration-check', $completedModules, true)
+                ),
+                self::evaluateConnection($connection),
+                self::evaluateModuleRun(
+                    'volume-config',
+                    Craft::t('spaghetti-migrator', 'Volume configuration'),
+                    $moduleStates['volume-config'] ?? null,
+                    in_array('volume-config', $completedModules, true)
+                ),
+                self::evaluateBackup(self::findLatestBackup($this->getBackupDirectories()), $now),
+            ],
+            'generatedAt' => date(DATE_ATOM, $now),
+        ];
+    }
+
+    /**
+     * The acknowledgement to record with a critical run, or null when the typed phrase is wrong
+     *
+     * The checks are gathered again so the record shows what was true when the run started.
+     *
+     * @param array{id?: int|null, username?: string|null} $actor
+     */
+    public function acknowledge(string $command, string $typed, array $actor = []): ?array
+    {
+        $summary = $this->getSummary($command);
+
+        if (!self::matchesPhrase($summary['phrase'], $typed)) {
+            return null;
+        }
+
+        return [
+            'phrase' => $summary['phrase'],
+            'userId' => $actor['id'] ?? null,
+            'username' => $actor['username'] ?? null,
+            'at' => $summary['generatedAt'],
+            'checks' => array_column($summary['checks'], 'status', 'id'),
+        ];
+    }
+
+    public static function matchesPhrase(string $phrase, string $typed): bool
+    {
+        return $phrase !== '' && trim($typed) === $phrase;
+    }
+
+    /**
+     * State of the last dashboard run of a module
+     *
+     * @param array|null $moduleState The module's entry in MigrationProgressService::getState()['moduleStates']
+     */
+    public static function evaluateModuleRun(string $moduleId, string $label, ?array $moduleState, bool $completed): array
+    {
+        $status = $moduleState['status'] ?? ($completed ? 'completed' : null);
+
+        switch ($status) {
+            case 'completed':
+                $result = ['ok', Craft::t('spaghetti-migrator', 'Completed'), $moduleState['completedAt'] ?? null];
+                break;
+            case 'failed':
+                $detail = !empty($moduleState['error'])
+                    ? Craft::t('spaghetti-migrator', 'Failed: {error}', ['error' => $moduleState['error']])
+                    : Craft::t('spaghetti-migrator', 'Failed');
+                $result = ['error', $detail, $moduleState['failedAt'] ?? null];
+                break;
+            case 'running':
+                $result = ['warning', Craft::t('spaghetti-migrator', 'Still running'), $moduleState['startedAt'] ?? null];
+                break;
+            case 'skipped':
+                $result = ['warning', Craft::t('spaghetti-migrator', 'Skipped'), $moduleState['skippedAt'] ?? null];
+                break;
+            default:
+                $result = ['warning', Craft::t('spaghetti-migrator', 'Not run from the dashboard (or reset since)'), null];
+        }
+
+        return [
+            'id' => $moduleId,
+            'label' => $label,
+            'status' => $result[0],
+            'detail' => $result[1],
+            'at' => $result[2],
+        ];
+    }
+
+    /**
+     * Outcome of the read-only probes of the target storage
+     *
+     * @param array $report Output of ConnectionDiagnostics::diagnoseConfiguredProvider()
+     */
+    public static function evaluateConnection(array $report): array
+    {
+        $probes = $report['probes'] ?? [];
+        $failed = array_values(array_filter($probes, fn(array $probe) => $probe['status'] === 'failed'));
+
+        if (!empty($failed)) {
+            $status = 'error';
+            $detail = $failed[0]['detail'] . (!empty($failed[0]['hint']) ? " ({$failed[0]['hint']})" : '');
+        } else {
+            // Only the list probe ran when the bucket is empty, which is unexpected once files were synced
+            $status = ($report['status'] ?? 'warning') === 'ok' ? 'ok' : 'warning';
+            $detail = implode('; ', array_column(
+                array_filter($probes, fn(array $probe) => $probe['status'] === 'ok'),
+                'detail'
+            )) ?: Craft::t('spaghetti-migrator', 'No probe ran');
+        }
+
+        return [
+            'id' => 'connection',
+            'label' => Craft::t('spaghetti-migrator', 'Target storage connection'),
+            'status' => $status,
+            'detail' => $detail,
+            'at' => null,
+        ];
+    }
+
+    /**
+     * @param array{path: string, modifiedAt: int}|null $backup Output of findLatestBackup()
+     */
+    public static function evaluateBackup(?array $backup, int $now): array
+    {
+        if ($backup === null) {
+            return [
+                'id' => 'backup',
+                'label' => Craft::t('spaghetti-migrator', 'Database backup'),
+                'status' => 'error',
+                'detail' => Craft::t('spaghetti-migrator', 'No database backup found (run ./craft db/backup)'),
+                'at' => null,
+            ];
+        }
+
+        $age = max(0, $now - $backup['modifiedAt']);
+
+        return [
+            'id' => 'backup',
+            'label' => Craft::t('spaghetti-migrator', 'Database backup'),
+            'status' => $age <= self::BACKUP_MAX_AGE ? 'ok' : 'warning',
+            'detail' => Craft::t('spaghetti-migrator', '{file}, {age} old', [
+                'file' => basename($backup['path']),
+                'age' => self::formatAge($age),
+            ]),
+            'at' => date(DATE_ATOM, $backup['modifiedAt']),
+        ];
+    }
+
+    /**
+     * Newest database backup in the given directories
+     *
+     * @return array{path: string, modifiedAt: int}|null
+     */
+    public static function findLatestBackup(array $directories): ?array
+    {
+        $latest = null;
+
+        foreach ($directories as $directory) {
+            if (!is_dir($directory)) {
+                continue;
+            }
+
+            $files = array_merge(
+                glob($directory . '/*.sql') ?: [],
+                glob($directory . '/*.sql.gz') ?: [],
+                glob($directory . '/*.zip') ?: []
+            );
+
+            foreach ($files as $file) {
+                $modifiedAt = filemtime($file);
+                if ($modifiedAt !== false && ($latest === null || $modifiedAt > $latest['modifiedAt'])) {
+                    $latest = ['path' => $file, 'modifiedAt' => $modifiedAt];
+                }
+            }
+        }
+
+        return $latest;
+    }
+
+    /**
+     * The bucket the critical commands act on, or the environment name when none is configured
+     *
+     * @return array{phrase: string, label: string}
+     */
+    private function getTarget(): array
+    {
+        try {
+            $target = $this->getConfig()->getTargetProvider();
+            $bucket = (string)($target['config'][ProviderLabels::bucketKey($target['type'])] ?? '');
+        } catch (\Throwable $e) {
+            Craft::warning('Failed to read the target bucket: ' . $e->getMessage(), __METHOD__);
+            $bucket = '';
+        }
+
+        if ($bucket !== '') {
+            return ['phrase' => $bucket, 'label' => Craft::t('spaghetti-migrator', 'the target bucket')];
+        }
+
+        return [
+            'phrase' => defined('CRAFT_ENVIRONMENT') ? (string)CRAFT_ENVIRONMENT : '',
+            'label' => Craft::t('spaghetti-migrator', 'the environment name'),
+        ];
+    }
+
+    /**
+     * Craft's `db/backup` directory and the migration's own backups
+     */
+    private function getBackupDirectories(): array
+    {
+        $directories = [Craft::getAlias('@storage/migration-backups')];
+
+        try {
+            array_unshift($directories, $this->getConfig()->getBackupsPath());
+        } catch (\Throwable $e) {
+            Craft::warning('Failed to read the backups path: ' . $e->getMessage(), __METHOD__);
+        }
+
+        return array_values(array_unique(array_filter($directories)));
+    }
+
+    private function getModuleProvider(): ModuleDefinitionProvider
+    {
+        if ($this->moduleProvider === null) {
+            $this->moduleProvider = new ModuleDefinitionProvider($this->config);
+        }
+
+        return $this->moduleProvider;
+    }
+
+    private function getDiagnostics(): ConnectionDiagnostics
+    {
+        if ($this->diagnostics === null) {
+            $this->diagnostics = new ConnectionDiagnostics(null, $this->config);
+        }
+
+        return $this->diagnostics;
+    }
+
+    private function getConfig(): MigrationConfig
+    {
+        if ($this->config === null) {
+            $this->config = MigrationConfig::getInstance();
+        }
+
+        return $this->config;
+    }
+
+    private static function formatAge(int $seconds): string
+    {
+        if ($seconds < 3600) {
+            return Craft::t('spaghetti-migrator', '{count} min', ['count' => max(1, intdiv($seconds, 60))]);
+        }
+
+        if ($seconds < 172800) {
+            return Craft::t('spaghetti-migrator', '{count} h', ['count' => intdiv($seconds, 3600)]);
+        }
+
+        return Craft::t('spaghetti-migrator', '{count} days', ['count' => intdiv($seconds, 86400)]);
+    }
+}
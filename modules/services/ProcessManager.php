@@ -14,6 +14,10 @@ class ProcessManager
 {
     private const CACHE_TTL = 3600; // 1 hour
 
+    private const MIGRATION_PROCESS_TTL = 172800; // 48 hours, matches the longest job TTR
+
+    private const TERMINATION_GRACE_SECONDS = 5;
+
     /**
      * Get session identifier for process tracking
      */
@@ -106,6 +110,148 @@ class ProcessManager
         ];
     }
 
+    /**
+     * Register a detached migration process so any admin session can cancel it
+     */
+    public function registerMigrationProcess(string $migrationId, int $pid, ?string $command = null): void
+    {
+        $cache = Craft::$app->getCache();
+
+        if ($cache === null) {
+            return;
+        }
+
+        $cache->set($this->getMigrationProcessKey($migrationId), [
+            'migrationId' => $migrationId,
+            'pid' => $pid,
+            'command' => $command,
+            'startTime' => time(),
+            'cancelRequestedAt' => null,
+            'cancelledAt' => null,
+        ], self::MIGRATION_PROCESS_TTL);
+    }
+
+    /**
+     * Get the registered process for a migration, if any
+     */
+    public function getMigrationProcess(string $migrationId): ?array
+    {
+        $cache = Craft::$app->getCache();
+
+        if ($cache === null) {
+            return null;
+        }
+
+        $data = $cache->get($this->getMigrationProcessKey($migrationId));
+
+        return is_array($data) ? $data : null;
+    }
+
+    /**
+     * Request cancellation of a migration and terminate its process
+     *
+     * Writes the cancel flag (honoured by queue jobs), sends SIGTERM to the
+     * registered PID and escalates to SIGKILL if it outlives the grace period.
+     *
+     * @return array{success: bool, terminated: bool, pid: int|null, error?: string}
+     */
+    public function terminateMigration(string $migrationId, int $graceSeconds = self::TERMINATION_GRACE_SECONDS): array
+    {
+        $this->writeCancelFlag($migrationId);
+
+        $process = $this->getMigrationProcess($migrationId);
+        $pid = isset($process['pid']) ? (int) $process['pid'] : 0;
+
+        if ($process !== null) {
+            $process['cancelRequestedAt'] = $process['cancelRequestedAt'] ?? time();
+            $this->storeMigrationProcess($migrationId, $process);
+        }
+
+        if ($pid <= 0) {
+            return [
+                'success' => true,
+                'terminated' => false,
+                'pid' => null,
+            ];
+        }
+
+        Craft::info("Terminating migration {$migrationId} (PID: {$pid})", __METHOD__);
+
+        if ($this->isPidRunning($pid)) {
+            $this->signal($pid, 15);
+
+            $deadline = microtime(true) + $graceSeconds;
+            while ($this->isPidRunning($pid) && microtime(true) < $deadline) {
+                usleep(250000);
+            }
+
+            if ($this->isPidRunning($pid)) {
+                Craft::warning("Migration {$migrationId} ignored SIGTERM, sending SIGKILL (PID: {$pid})", __METHOD__);
+                $this->signal($pid, 9);
+                usleep(250000);
+            }
+        }
+
+        $terminated = !$this->isPidRunning($pid);
+
+        if ($terminated) {
+            $process['cancelledAt'] = time();
+            $this->storeMigrationProcess($migrationId, $process);
+        }
+
+        if (!$terminated) {
+            return [
+                'success' => false,
+                'terminated' => false,
+                'pid' => $pid,
+                'error' => 'Process is still running after SIGKILL',
+            ];
+        }
+
+        return [
+            'success' => true,
+            'terminated' => true,
+            'pid' => $pid,
+        ];
+    }
+
+    /**
+     * Check whether cancellation was requested for a migration
+     */
+    public function isMigrationCancelled(string $migrationId): bool
+    {
+        return is_file($this->getCancelFlagPath($migrationId));
+    }
+
+    /**
+     * Path of the flag file that signals a migration to stop
+     */
+    public function getCancelFlagPath(string $migrationId): string
+    {
+        return Craft::$app->getPath()->getTempPath() . '/migration-cancel-' . basename($migrationId);
+    }
+
+    /**
+     * Check whether a PID is alive
+     */
+    public function isPidRunning(int $pid): bool
+    {
+        if ($pid <= 0) {
+            return false;
+        }
+
+        if (function_exists('posix_kill')) {
+            return @posix_kill($pid, 0);
+        }
+
+        if (file_exists("/proc/{$pid}")) {
+            return true;
+        }
+
+        exec('ps -p ' . escapeshellarg((string) $pid), $output, $returnCode);
+        return $returnCode === 0;
+    }
+
     /**
      * Get all running processes for a session
      */
@@ -151,6 +297,53 @@ class ProcessManager
         $cache->set($key, $processes, self::CACHE_TTL);
     }
 
+    /**
+     * Send a signal to a process
+     */
+    private function signal(int $pid, int $signal): void
+    {
+        if (function_exists('posix_kill')) {
+            @posix_kill($pid, $signal);
+            return;
+        }
+
+        exec('kill -' . $signal . ' ' . escapeshellarg((string) $pid));
+    }
+
+    /**
+     * Write the cancel flag file for a migration
+     */
+    private function writeCancelFlag(string $migrationId): void
+    {
+        try {
+            file_put_contents($this->getCancelFlagPath($migrationId), (string) time());
+        } catch (\Throwable $e) {
+            Craft::warning("Failed to write cancel flag for {$migrationId}: {$e->getMessage()}", __METHOD__);
+        }
+    }
+
+    /**
+     * Persist a migration process record
+     */
+    private function storeMigrationProcess(string $migrationId, array $process): void
+    {
+        $cache = Craft::$app->getCache();
+
+        if ($cache === null) {
+            return;
+        }
+
+        $cache->set($this->getMigrationProcessKey($migrationId), $process, self::MIGRATION_PROCESS_TTL);
+    }
+
+    /**
+     * Get cache key for a migration process record
+     */
+    private function getMigrationProcessKey(string $migrationId): string
+    {
+        return 'spaghetti-migrator:migration-process:' . $migrationId;
+    }
+
     /**
      * Get cache key for process storage
      */
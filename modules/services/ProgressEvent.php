@@ -0,0 +1,225 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+/**
+ * Progress Event
+ *
+ * Versioned, machine-readable progress protocol shared by the console commands
+ * and the dashboard. Commands launched from the dashboard write one marker line
+ * per progress report to stdout:
+ *
+ *     __SM_PROGRESS__{"v":1,"phase":"Consolidating Files","processed":50,"total":200,...}
+ *
+ * The marker lines are removed from the output shown to users and the latest
+ * event is served as data, so the progress bar no longer depends on guessing
+ * numbers from free-form output. Fields of version 1:
+ *
+ * - `phase` (string), `processed` (int), `total` (int|null), `percent` (float|null)
+ * - `bytesProcessed` / `bytesTotal` (int|null)
+ * - `itemsPerSecond` / `bytesPerSecond` (float|null)
+ * - `etaSeconds` (int|null), `elapsedSeconds` (float|null)
+ * - `errors` (int), `at` (float, Unix time of the report)
+ */
+class ProgressEvent
+{
+    public const VERSION = 1;
+    public const MARKER = '__SM_PROGRESS__';
+
+    /**
+     * Most samples kept in a progress history (older ones are thinned out)
+     */
+    public const HISTORY_LIMIT = 500;
+
+    /**
+     * Longest phase label kept in an event
+     */
+    private const MAX_PHASE_LENGTH = 200;
+
+    /**
+     * Build a version 1 event from loosely typed data
+     *
+     * @return array|null Null when `processed` is missing or not numeric
+     */
+    public static function normalize(array $data): ?array
+    {
+        if (!isset($data['processed']) || !is_numeric($data['processed'])) {
+            return null;
+        }
+
+        $processed = max(0, (int)$data['processed']);
+        $total = self::toInt($data['total'] ?? null);
+
+        $percent = isset($data['percent']) && is_numeric($data['percent']) ? (float)$data['percent'] : null;
+        if ($percent === null && $total) {
+            $percent = $processed / $total * 100;
+        }
+
+        $phase = preg_replace(['/\x1b\[[0-9;]*m/', '/[\x00-\x1F\x7F]+/'], ['', ' '], (string)($data['phase'] ?? ''));
+
+        return [
+            'v' => self::VERSION,
+            'phase' => mb_substr(trim($phase), 0, self::MAX_PHASE_LENGTH),
+            'processed' => $processed,
+            'total' => $total,
+            'percent' => $percent !== null ? round(min(100, max(0, $percent)), 1) : null,
+            'bytesProcessed' => self::toInt($data['bytesProcessed'] ?? null),
+            'bytesTotal' => self::toInt($data['bytesTotal'] ?? null),
+            'itemsPerSecond' => self::toFloat($data['itemsPerSecond'] ?? null),
+            'bytesPerSecond' => self::toFloat($data['bytesPerSecond'] ?? null),
+            'etaSeconds' => self::toInt($data['etaSeconds'] ?? null),
+            'elapsedSeconds' => self::toFloat($data['elapsedSeconds'] ?? null),
+            'errors' => self::toInt($data['errors'] ?? null) ?? 0,
+            'at' => self::toFloat($data['at'] ?? null) ?? round(microtime(true), 3),
+        ];
+    }
+
+    /**
+     * Encode an event as a marker line (newline-terminated)
+     */
+    public static function toLine(array $event): string
+    {
+        $event = self::normalize($event) ?? ['v' => self::VERSION];
+
+        return self::MARKER . json_encode($event, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n";
+    }
+
+    /**
+     * Write an event to a console controller's stdout and its progress reporter
+     *
+     * Only runs launched from the dashboard (which always pass `--migrationId`)
+     * get marker lines; a terminal user never sees them. The reporter keeps the
+     * event and the chart history in the migration state.
+     *
+     * @param \yii\console\Controller $controller
+     */
+    public static function write($controller, array $event): void
+    {
+        if (empty($controller->migrationId ?? null)) {
+            return;
+        }
+
+        try {
+            $controller->stdout(self::toLine($event));
+
+            $reporter = method_exists($controller, 'getProgressReporter') ? $controller->getProgressReporter() : null;
+            if ($reporter !== null) {
+                $reporter->reportEvent($event);
+            }
+        } catch (\Throwable $e) {
+            // Progress reporting must never break the command
+        }
+    }
+
+    /**
+     * Decode a marker line
+     *
+     * @return array|null Null for ordinary output, malformed JSON or another protocol version
+     */
+    public static function parseLine(string $line): ?array
+    {
+        $line = trim($line);
+        if (!str_starts_with($line, self::MARKER)) {
+            return null;
+        }
+
+        $data = json_decode(substr($line, strlen(self::MARKER)), true);
+        if (!is_array($data) || ($data['v'] ?? null) !== self::VERSION) {
+            return null;
+        }
+
+        return self::normalize($data);
+    }
+
+    public static function isEventLine(string $line): bool
+    {
+        return str_starts_with(ltrim($line), self::MARKER);
+    }
+
+    /**
+     * The most recent valid event in a block of output
+     */
+    public static function findLatest(?string $output): ?array
+    {
+        if ($output === null || !str_contains($output, self::MARKER)) {
+            return null;
+        }
+
+        preg_match_all('/^[ \t]*' . self::MARKER . '.*$/m', $output, $matches);
+
+        foreach (array_reverse($matches[0]) as $line) {
+            $event = self::parseLine($line);
+            if ($event !== null) {
+                return $event;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Remove marker lines from output meant for people
+     */
+    public static function strip(?string $output): ?string
+    {
+        if ($output === null || !str_contains($output, self::MARKER)) {
+            return $output;
+        }
+
+        return preg_replace('/^[ \t]*' . self::MARKER . '.*(?:\r?\n|$)/m', '', $output);
+    }
+
+    /**
+     * Reduce an event to the values charted over time
+     *
+     * @return array{at: float, processed: int, total: int|null, bytesProcessed: int|null, errors: int}
+     */
+    public static function toSample(array $event): array
+    {
+        return [
+            'at' => $event['at'],
+            'processed' => $event['processed'],
+            'total' => $event['total'],
+            'bytesProcessed' => $event['bytesProcessed'],
+            'errors' => $event['errors'],
+        ];
+    }
+
+    /**
+     * Sort samples by time, drop duplicates and thin them out to at most $limit
+     * evenly spaced samples (the first and last are always kept)
+     */
+    public static function downsample(array $samples, int $limit = self::HISTORY_LIMIT): array
+    {
+        usort($samples, fn($a, $b) => $a['at'] <=> $b['at']);
+
+        $unique = [];
+        foreach ($samples as $sample) {
+            $unique[(string)$sample['at']] = $sample;
+        }
+        $samples = array_values($unique);
+
+        $count = count($samples);
+        if ($count <= $limit || $limit < 2) {
+            return $samples;
+        }
+
+        $kept = [];
+        $step = ($count - 1) / ($limit - 1);
+        for ($i = 0; $i < $limit; $i++) {
+            $kept[] = $samples[(int)round($i * $step)];
+        }
+
+        return $kept;
+    }
+
+    private static function toInt($value): ?int
+    {
+        return is_numeric($value) ? max(0, (int)$value) : null;
+    }
+
+    private static function toFloat($value): ?float
+    {
+        return is_numeric($value) ? round(max(0, (float)$value), 3) : null;
+    }
+}
@@ -19,6 +19,11 @@ use Craft;
  */
 class ProgressReporter
 {
+    /**
+     * Progress samples kept in the state's stats column (a TEXT column, so well below 64KB)
+     */
+    private const HISTORY_LIMIT = 200;
+
     private ?string $migrationId = null;
     private ?MigrationStateService $stateService = null;
     private string $outputBuffer = '';
@@ -31,14 +36,16 @@ class ProgressReporter
     private string $phase = 'unknown';
     private string $status = 'running';
     private ?string $errorMessage = null;
+    private ?array $progressEvent = null;
+    private array $progressHistory = [];
 
     /**
      * Initialize progress reporter with migration ID
      */
-    public function __construct(?string $migrationId = null)
+    public function __construct(?string $migrationId = null, ?MigrationStateService $stateService = null)
     {
         $this->migrationId = $migrationId;
-        $this->stateService = new MigrationStateService();
+        $this->stateService = $stateService ?? new MigrationStateService();
         $this->stateService->ensureTableExists();
         $this->lastFlushTime = time();
     }
@@ -131,14 +138,61 @@ class ProgressReporter
         $percentage = $total > 0 ? round(($processed / $total) * 100) : 0;
         $this->log("Progress: {$processed}/{$total} ({$percentage}%)");
 
+        $this->recordEvent(ProgressEvent::normalize([
+            'phase' => $this->phase,
+            'processed' => $processed,
+            'total' => $total ?: null,
+            'errors' => $this->progressEvent['errors'] ?? 0,
+        ]));
+
         // Flush will save all tracked state including progress
         $this->flush();
     }
 
+    /**
+     * Report a structured progress event (see ProgressEvent); ProgressEvent::write() calls
+     * this for every event a dashboard run emits
+     *
+     * Unlike updateProgress() nothing is added to the output; the event is
+     * stored with the migration state for the dashboard.
+     */
+    public function reportEvent(array $event): void
+    {
+        $event = ProgressEvent::normalize($event);
+        if ($event === null || !$this->migrationId || !$this->stateService) {
+            return;
+        }
+
+        $this->recordEvent($event);
+        $this->processedCount = $event['processed'];
+        $this->totalCount = $event['total'] ?? 0;
+        if ($event['phase'] !== '') {
+            $this->phase = $event['phase'];
+        }
+
+        $this->flush(true);
+    }
+
+    /**
+     * Keep the latest event and a bounded history of samples for the dashboard charts
+     */
+    private function recordEvent(array $event): void
+    {
+        $this->progressEvent = $event;
+        $this->progressHistory[] = ProgressEvent::toSample($event);
+
+        // Thin out in one go instead of on every report
+        if (count($this->progressHistory) > self::HISTORY_LIMIT * 2) {
+            $this->progressHistory = ProgressEvent::downsample($this->progressHistory, self::HISTORY_LIMIT);
+        }
+    }
+
     /**
      * Flush output buffer to migration state
+     *
+     * @param bool $force Save even when there is no buffered output (progress-only updates)
      */
-    public function flush(): void
+    public function flush(bool $force = false): void
     {
         if (!$this->migrationId) {
             Craft::error('ProgressReporter::flush() called but migrationId is not set', __METHOD__);
@@ -150,7 +204,7 @@ class ProgressReporter
             return;
         }
 
-        if (empty($this->outputBuffer)) {
+        if (empty($this->outputBuffer) && !$force) {
             Craft::info('ProgressReporter::flush() called but outputBuffer is empty (migrationId: ' . $this->migrationId . ')', __METHOD__);
             return;
         }
@@ -174,6 +228,26 @@ class ProgressReporter
                 'phase' => $this->phase,
             ];
 
+            // Progress-only flushes must not wipe output persisted by someone else
+            if ($output === '') {
+                unset($state['output']);
+            }
+
+            // saveMigrationState() resets what it is not given, so the stats and the
+            // fields the orchestrator and checkpoint manager own are carried over
+            $existing = $this->stateService->getMigrationState($this->migrationId) ?? [];
+            foreach (['sessionId', 'pid', 'command', 'currentBatch', 'processedIds', 'checkpointFile'] as $key) {
+                if (isset($existing[$key])) {
+                    $state[$key] = $existing[$key];
+                }
+            }
+
+            $state['stats'] = is_array($existing['stats'] ?? null) ? $existing['stats'] : [];
+            if ($this->progressEvent !== null) {
+                $state['stats']['progress'] = $this->progressEvent;
+                $state['stats']['progressHistory'] = $this->progressHistory;
+            }
+
             // Include error message if set
             if ($this->errorMessage !== null) {
                 $state['errorMessage'] = $this->errorMessage;
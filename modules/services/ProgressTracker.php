@@ -18,6 +18,9 @@ class ProgressTracker
     private $reportInterval;
     private $itemsPerSecond = 0;
     private $estimatedTimeRemaining = 0;
+    private $processedBytes = 0;
+    private $totalBytes = null;
+    private $errorCount = 0;
 
     public function __construct($phaseName, $totalItems, $reportInterval = null)
     {
@@ -41,10 +44,14 @@ class ProgressTracker
 
     /**
      * Update progress and return whether to report
+     *
+     * @param int $count Items processed
+     * @param int $bytes Bytes transferred for those items
      */
-    public function increment($count = 1): bool
+    public function increment($count = 1, int $bytes = 0): bool
     {
         $this->processedItems += $count;
+        $this->processedBytes += max(0, $bytes);
 
         // Calculate performance metrics
         $elapsed = microtime(true) - $this->startTime;
@@ -62,6 +69,22 @@ class ProgressTracker
             || $this->processedItems >= $this->totalItems;
     }
 
+    /**
+     * Set the expected number of bytes, when known
+     */
+    public function setTotalBytes(?int $bytes): void
+    {
+        $this->totalBytes = $bytes;
+    }
+
+    /**
+     * Count failed items (reported in progress events)
+     */
+    public function recordError(int $count = 1): void
+    {
+        $this->errorCount += $count;
+    }
+
     /**
      * Get progress report
      */
@@ -82,6 +105,35 @@ class ProgressTracker
         ];
     }
 
+    /**
+     * Structured progress event for the dashboard (see ProgressEvent)
+     */
+    public function getEvent(): array
+    {
+        $elapsed = microtime(true) - $this->startTime;
+
+        return ProgressEvent::normalize([
+            'phase' => $this->phaseName,
+            'processed' => $this->processedItems,
+            'total' => $this->totalItems,
+            'bytesProcessed' => $this->processedBytes ?: null,
+            'bytesTotal' => $this->totalBytes,
+            'itemsPerSecond' => $this->itemsPerSecond,
+            'bytesPerSecond' => $this->processedBytes && $elapsed > 0 ? $this->processedBytes / $elapsed : null,
+            'etaSeconds' => $this->processedItems > 0 ? round($this->estimatedTimeRemaining) : null,
+            'elapsedSeconds' => $elapsed,
+            'errors' => $this->errorCount,
+        ]);
+    }
+
+    /**
+     * Progress event encoded as a stdout marker line
+     */
+    public function getEventLine(): string
+    {
+        return ProgressEvent::toLine($this->getEvent());
+    }
+
     /**
      * Format seconds into human-readable time
      */
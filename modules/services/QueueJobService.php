@@ -0,0 +1,196 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+use Craft;
+use csabourin\spaghettiMigrator\jobs\ConsoleCommandJob;
+use csabourin\spaghettiMigrator\jobs\MigrationJob;
+
+/**
+ * Queue Job Service
+ *
+ * Lists the plugin's jobs (ConsoleCommandJob and MigrationJob) in the Craft
+ * queue and retries or releases them, so stuck and failed runs can be handled
+ * from the dashboard. Jobs of other plugins are never returned or touched.
+ */
+class QueueJobService
+{
+    /**
+     * Rows of the queue table inspected when listing jobs (newest first)
+     */
+    private const SCAN_LIMIT = 200;
+
+    /**
+     * List the plugin's jobs, newest first
+     *
+     * @param int $stallSeconds Time a waiting job may go without a runner before it is flagged as stalled
+     */
+    public function getJobs(int $stallSeconds, int $limit = 50): array
+    {
+        $rows = Craft::$app->getDb()->createCommand('
+            SELECT id, job, description, timePushed, ttr, delay, dateReserved, timeUpdated, progress, progressLabel, attempt, fail, dateFailed, error
+            FROM {{%queue}}
+            ORDER BY timePushed DESC, id DESC
+            LIMIT ' . self::SCAN_LIMIT
+        )->queryAll();
+
+        $jobs = [];
+        foreach ($rows as $row) {
+            $identity = $this->identify($row['job']);
+            if ($identity === null) {
+                continue;
+            }
+
+            $jobs[] = self::summarize($row, $identity, time(), $stallSeconds);
+            if (count($jobs) >= $limit) {
+                break;
+            }
+        }
+
+        return $jobs;
+    }
+
+    /**
+     * A single plugin job, or null when the ID is unknown or belongs to another plugin
+     */
+    public function getJob(int $id, int $stallSeconds): ?array
+    {
+        $row = Craft::$app->getDb()->createCommand('
+            SELECT id, job, description, timePushed, ttr, delay, dateReserved, timeUpdated, progress, progressLabel, attempt, fail, dateFailed, error
+            FROM {{%queue}}
+            WHERE id = :id
+            LIMIT 1
+        ', [':id' => $id])->queryOne();
+
+        if (!$row) {
+            return null;
+        }
+
+        $identity = $this->identify($row['job']);
+
+        return $identity !== null ? self::summarize($row, $identity, time(), $stallSeconds) : null;
+    }
+
+    /**
+     * Put a failed or abandoned job back in line (attempts and progress are reset)
+     */
+    public function retry(int $id): void
+    {
+        Craft::$app->getQueue()->retry((string)$id);
+    }
+
+    /**
+     * Remove a job from the queue
+     */
+    public function release(int $id): void
+    {
+        Craft::$app->getQueue()->release((string)$id);
+    }
+
+    /**
+     * Dashboard view of a queue row
+     *
+     * `stalled` marks a job no runner has reserved within $stallSeconds;
+     * `overdue` marks a reserved job that outlived its TTR (its runner most
+     * likely died, and the job is retried only when the queue runs again).
+     *
+     * @param array $row Row of the queue table
+     * @param array{type: string, command: string|null, migrationId: string|null} $identity
+     */
+    public static function summarize(array $row, array $identity, int $now, int $stallSeconds): array
+    {
+        $pushedAt = (int)$row['timePushed'];
+        $availableAt = $pushedAt + (int)($row['delay'] ?? 0);
+        $reservedAt = self::toTimestamp($row['dateReserved'] ?? null);
+        $ttr = (int)($row['ttr'] ?? 0);
+
+        if (!empty($row['fail'])) {
+            $status = 'failed';
+        } elseif ($reservedAt !== null) {
+            $status = 'reserved';
+        } elseif ($availableAt > $now) {
+            $status = 'delayed';
+        } else {
+            $status = 'waiting';
+        }
+
+        $waitingSeconds = $status === 'waiting' ? max(0, $now - $availableAt) : null;
+        $runningSeconds = $status === 'reserved' ? max(0, $now - $reservedAt) : null;
+
+        return [
+            'id' => (int)$row['id'],
+            'type' => $identity['type'],
+            'command' => $identity['command'],
+            'migrationId' => $identity['migrationId'],
+            'description' => $row['description'] ?? null,
+            'status' => $status,
+            'progress' => (int)($row['progress'] ?? 0),
+            'progressLabel' => $row['progressLabel'] ?? null,
+            'attempt' => (int)($row['attempt'] ?? 0),
+            'ttr' => $ttr,
+            'pushedAt' => $pushedAt,
+            'reservedAt' => $reservedAt,
+            'failedAt' => self::toTimestamp($row['dateFailed'] ?? null),
+            'waitingSeconds' => $waitingSeconds,
+            'runningSeconds' => $runningSeconds,
+            'stalled' => $waitingSeconds !== null && $waitingSeconds >= $stallSeconds,
+            'overdue' => $runningSeconds !== null && $ttr > 0 && $runningSeconds > $ttr,
+            'error' => $row['error'] ?? null,
+        ];
+    }
+
+    /**
+     * Which plugin job a serialized queue message holds
+     *
+     * @param string|resource|null $message
+     * @return array{type: string, command: string|null, migrationId: string|null}|null
+     */
+    private function identify($message): ?array
+    {
+        if (is_resource($message)) {
+            $message = stream_get_contents($message);
+        }
+
+        if (!is_string($message) || $message === '') {
+            return null;
+        }
+
+        try {
+            $job = Craft::$app->getQueue()->serializer->unserialize($message);
+        } catch (\Throwable $e) {
+            return null;
+        }
+
+        if ($job instanceof MigrationJob) {
+            return [
+                'type' => 'migration',
+                'command' => $job->command,
+                'migrationId' => $job->migrationId,
+            ];
+        }
+
+        if ($job instanceof ConsoleCommandJob) {
+            return [
+                'type' => 'command',
+                'command' => $job->command,
+                'migrationId' => $job->migrationId,
+            ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Unix time of a queue date column (stored in UTC)
+     */
+    private static function toTimestamp($value): ?int
+    {
+        if (empty($value)) {
+            return null;
+        }
+
+        $timestamp = strtotime($value . ' UTC');
+
+        return $timestamp !== false ? $timestamp : null;
+    }
+}
@@ -19,6 +19,28 @@ use yii\db\Transaction;
  */
 class RollbackEngine
 {
+    /**
+     * Phases of an image migration in the order they run
+     */
+    public const PHASE_ORDER = [
+        'preparation',
+        'optimised_root',
+        'discovery',
+        'link_inline',
+        'safe_duplicates',
+        'resolve_duplicates',
+        'fix_links',
+        'consolidate',
+        'quarantine',
+        'cleanup',
+        'complete',
+    ];
+
+    /**
+     * Most change log entries that can be selected one by one
+     */
+    public const MAX_SELECTED_ENTRIES = 500;
+
     /**
      * @var ChangeLogManager
      */
@@ -311,9 +333,13 @@ class RollbackEngine
      * @param string|array|null $phases Phase(s) to rollback
      * @param string $mode 'from' (rollback from phase onwards) or 'only' (rollback specific phases)
      * @param bool $dryRun Show what would be done without executing
-     * @return array Results of rollback operation
+     * @param array $scope Further narrowing: `runId` (changes of one dashboard run) and `sequences` (selected entries)
+     * @param callable|null $onChange Called after each change with the change, the error message (null when it was
+     *                                reversed or skipped) and whether it was skipped
+     * @return array Results of rollback operation; `skipped` counts the changes with nothing to undo and the
+     *               unsupported ones (see describeReversal())
      */
-    public function rollback($migrationId, $phases = null, $mode = 'from', $dryRun = false)
+    public function rollback($migrationId, $phases = null, $mode = 'from', $dryRun = false, array $scope = [], ?callable $onChange = null)
     {
         // Load all changes
         $changes = $this->changeLogManager->loadChanges();
@@ -322,41 +348,12 @@ class RollbackEngine
             throw new \Exception("No changes found for migration: {$migrationId}");
         }
 
-        // Filter by phase if specified
-        if ($phases !== null) {
-            $phasesToRollback = is_array($phases) ? $phases : [$phases];
-
-            if ($mode === 'only') {
-                // Rollback ONLY specified phases
-                $changes = array_filter($changes, function($c) use ($phasesToRollback) {
-                    $phase = $c['phase'] ?? 'unknown';
-                    return in_array($phase, $phasesToRollback);
-                });
-            } else if ($mode === 'from') {
-                // Rollback FROM specified phase onwards (in reverse order)
-                $phaseOrder = [
-                    'preparation',
-                    'optimised_root',
-                    'discovery',
-                    'link_inline',
-                    'fix_links',
-                    'consolidate',
-                    'quarantine',
-                    'cleanup',
-                    'complete'
-                ];
+        $scope['phases'] = $phases === null ? [] : (array)$phases;
+        $scope['mode'] = $mode;
+        $changes = self::filterChanges($changes, $scope);
 
-                $fromPhase = is_array($phases) ? $phases[0] : $phases;
-                $fromIndex = array_search($fromPhase, $phaseOrder);
-
-                if ($fromIndex !== false) {
-                    $phasesToInclude = array_slice($phaseOrder, $fromIndex);
-                    $changes = array_filter($changes, function($c) use ($phasesToInclude) {
-                        $phase = $c['phase'] ?? 'unknown';
-                        return in_array($phase, $phasesToInclude);
-                    });
-                }
-            }
+        if (empty($changes) && (!empty($scope['runId']) || !empty($scope['sequences']))) {
+            throw new \Exception("No changes of migration {$migrationId} match the rollback scope");
         }
 
         if ($dryRun) {
@@ -374,9 +371,12 @@ class RollbackEngine
 
         // Reverse in reverse order
         foreach (array_reverse($changes) as $change) {
+            $error = null;
+            $skipped = in_array(self::describeReversal($change)['outcome'], ['none', 'unsupported'], true);
+
             try {
                 $this->reverseChange($change);
-                $stats['reversed']++;
+                $stats[$skipped ? 'skipped' : 'reversed']++;
                 $current++;
 
                 // Progress reporting every 50 operations
@@ -387,13 +387,141 @@ class RollbackEngine
 
             } catch (\Exception $e) {
                 $stats['errors']++;
-                Craft::error("Rollback error: " . $e->getMessage(), __METHOD__);
+                $error = $e->getMessage();
+                Craft::error("Rollback error: " . $error, __METHOD__);
+            }
+
+            if ($onChange !== null) {
+                $onChange($change, $error, $skipped && $error === null);
             }
         }
 
         return $stats;
     }
 
+    /**
+     * Rollback scope from loosely typed input (console arguments or request parameters)
+     *
+     * `phases` is a phase name or a comma-separated list, `entries` a
+     * comma-separated list of change log sequence numbers.
+     *
+     * @return array{phases: string[], mode: string, runId: string|null, sequences: int[]}
+     * @throws \InvalidArgumentException when a value is malformed
+     */
+    public static function parseScope(array $input)
+    {
+        $phases = $input['phases'] ?? [];
+        if (is_string($phases)) {
+            $phases = explode(',', $phases);
+        }
+        $phases = array_values(array_filter(array_map('trim', is_array($phases) ? $phases : []), 'strlen'));
+
+        $mode = is_string($input['mode'] ?? null) && $input['mode'] !== '' ? $input['mode'] : 'from';
+        if (!in_array($mode, ['from', 'only'], true)) {
+            throw new \InvalidArgumentException("Invalid mode \"{$mode}\" (expected \"from\" or \"only\")");
+        }
+
+        // A phase unknown to "from" would otherwise select every change
+        $knownPhases = $mode === 'from' ? self::PHASE_ORDER : array_merge(self::PHASE_ORDER, ['unknown']);
+        foreach ($phases as $phase) {
+            if (!in_array($phase, $knownPhases, true)) {
+                throw new \InvalidArgumentException("Unknown phase: {$phase}");
+            }
+        }
+
+        $runId = is_scalar($input['runId'] ?? null) ? trim((string)$input['runId']) : '';
+        if ($runId !== '' && !preg_match('/^[A-Za-z0-9._-]{1,100}$/', $runId)) {
+            throw new \InvalidArgumentException('Invalid run ID');
+        }
+
+        $sequences = [];
+        $entries = is_scalar($input['entries'] ?? null) ? trim((string)$input['entries']) : '';
+        if ($entries !== '') {
+            foreach (explode(',', $entries) as $value) {
+                $value = trim($value);
+                if (!ctype_digit($value) || (int)$value < 1) {
+                    throw new \InvalidArgumentException("Invalid entry number: {$value}");
+                }
+                $sequences[(int)$value] = (int)$value;
+            }
+
+            if (count($sequences) > self::MAX_SELECTED_ENTRIES) {
+                throw new \InvalidArgumentException('Too many entries selected (max ' . self::MAX_SELECTED_ENTRIES . ')');
+            }
+        }
+
+        return [
+            'phases' => $phases,
+            'mode' => $mode,
+            'runId' => $runId !== '' ? $runId : null,
+            'sequences' => array_values($sequences),
+        ];
+    }
+
+    /**
+     * One-line description of a rollback scope, for confirmations and output
+     *
+     * @param array $scope Output of parseScope()
+     */
+    public static function describeScope(array $scope)
+    {
+        $parts = [];
+
+        if (!empty($scope['phases'])) {
+            $parts[] = ($scope['mode'] ?? 'from') === 'only'
+                ? 'only phase ' . implode(', ', $scope['phases'])
+                : "phase {$scope['phases'][0]} and every later phase";
+        }
+
+        if (!empty($scope['runId'])) {
+            $parts[] = "changes of run {$scope['runId']}";
+        }
+
+        if (!empty($scope['sequences'])) {
+            $count = count($scope['sequences']);
+            $parts[] = $count === 1 ? "entry #{$scope['sequences'][0]}" : "{$count} selected entries";
+        }
+
+        return $parts ? implode('; ', $parts) : 'the whole migration';
+    }
+
+    /**
+     * Changes within a rollback scope, in log order
+     *
+     * With `mode` "from", the first of `phases` and every later phase are
+     * included; with "only", just the listed phases. `runId` and `sequences`
+     * narrow the selection further.
+     *
+     * @param array $changes Change log entries
+     * @param array $scope Output of parseScope()
+     */
+    public static function filterChanges(array $changes, array $scope)
+    {
+        $phases = $scope['phases'] ?? [];
+
+        if ($phases && ($scope['mode'] ?? 'from') === 'from') {
+            $fromIndex = array_search($phases[0], self::PHASE_ORDER, true);
+            if ($fromIndex !== false) {
+                $phases = array_slice(self::PHASE_ORDER, $fromIndex);
+            }
+        }
+
+        $runId = $scope['runId'] ?? null;
+        $sequences = array_flip($scope['sequences'] ?? []);
+
+        return array_values(array_filter($changes, function($change) use ($phases, $runId, $sequences) {
+            if ($phases && !in_array($change['phase'] ?? 'unknown', $phases, true)) {
+                return false;
+            }
+
+            if ($runId !== null && ($change['runId'] ?? null) !== $runId) {
+                return false;
+            }
+
+            return !$sequences || isset($sequences[(int)($change['sequence'] ?? 0)]);
+        }));
+    }
+
     /**
      * Generate dry-run report showing what would be rolled back
      *
@@ -406,7 +534,7 @@ class RollbackEngine
         $byPhase = [];
 
         foreach ($changes as $change) {
-            $type = $change['type'];
+            $type = $change['type'] ?? $change['action'] ?? 'unknown';
             $phase = $change['phase'] ?? 'unknown';
 
             if (!isset($byType[$type])) {
@@ -434,6 +562,120 @@ class RollbackEngine
         ];
     }
 
+    /**
+     * Dry-run report for a given set of changes, such as a filtered change log view
+     *
+     * Adds how many of the changes would actually be reversed, overall
+     * (`by_outcome`) and per change type (`outcomes_by_type`), keyed by the
+     * outcomes of describeReversal().
+     *
+     * @param array $changes Change log entries
+     * @return array Dry-run report
+     */
+    public function previewChanges(array $changes)
+    {
+        $report = $this->generateDryRunReport($changes);
+        $report['by_outcome'] = [];
+        $report['outcomes_by_type'] = [];
+
+        foreach ($changes as $change) {
+            $type = $change['type'] ?? $change['action'] ?? 'unknown';
+            $outcome = self::describeReversal($change)['outcome'];
+            $report['by_outcome'][$outcome] = ($report['by_outcome'][$outcome] ?? 0) + 1;
+            $report['outcomes_by_type'][$type][$outcome] = ($report['outcomes_by_type'][$type][$outcome] ?? 0) + 1;
+        }
+
+        return $report;
+    }
+
+    /**
+     * What reverseChange() would do with a change, without doing it
+     *
+     * Outcomes: `reverse` (the change is undone), `partial` (the entry lacks the
+     * data needed to undo it), `none` (nothing to undo) and `unsupported`
+     * (the change type is not reversed by a change-by-change rollback).
+     *
+     * @param array $change Change log entry
+     * @return array{outcome: string, description: string}
+     */
+    public static function describeReversal(array $change)
+    {
+        $type = $change['type'] ?? $change['action'] ?? 'unknown';
+        // Fields missing from an entry show as "?"
+        $change += array_fill_keys(['table', 'column', 'rowId', 'assetId', 'fromVolume', 'fromFolder', 'sourcePath', 'sourceVolume', 'targetPath'], '?');
+
+        switch ($type) {
+            case 'inline_image_linked':
+                return [
+                    'outcome' => 'reverse',
+                    'description' => "Restore the original HTML of {$change['table']}.{$change['column']} in row {$change['rowId']}",
+                ];
+
+            case 'moved_asset':
+            case 'quarantined_unused_asset':
+                return [
+                    'outcome' => 'reverse',
+                    'description' => "Move asset {$change['assetId']} back to volume {$change['fromVolume']}, folder {$change['fromFolder']}",
+                ];
+
+            case 'fixed_broken_link':
+                if (isset($change['originalVolumeId']) && isset($change['originalFolderId'])) {
+                    return [
+                        'outcome' => 'reverse',
+                        'description' => "Move asset {$change['assetId']} back to volume {$change['originalVolumeId']}, folder {$change['originalFolderId']} (its broken state)",
+                    ];
+                }
+
+                return [
+                    'outcome' => 'partial',
+                    'description' => "Asset {$change['assetId']} is left as is: the entry has no original location",
+                ];
+
+            case 'quarantined_orphaned_file':
+                return [
+                    'outcome' => 'reverse',
+                    'description' => "Move file {$change['targetPath']} from the quarantine volume back to {$change['sourcePath']} in {$change['sourceVolume']}",
+                ];
+
+            case 'moved_from_optimised':
+                return [
+                    'outcome' => 'reverse',
+                    'description' => "Move asset {$change['assetId']} back to the root folder of volume {$change['fromVolume']}",
+                ];
+
+            case 'updated_asset_path':
+                if (isset($change['originalVolumeId'])) {
+                    return [
+                        'outcome' => 'reverse',
+                        'description' => "Move asset {$change['assetId']} back to volume {$change['originalVolumeId']}",
+                    ];
+                }
+
+                return [
+                    'outcome' => 'partial',
+                    'description' => "Asset {$change['assetId']} is left as is: the entry has no original volume",
+                ];
+
+            case 'deleted_transform':
+                return [
+                    'outcome' => 'none',
+                    'description' => 'Nothing to undo: Craft regenerates the transform',
+                ];
+
+            case 'broken_link_not_fixed':
+                return [
+                    'outcome' => 'none',
+                    'description' => 'Nothing to undo: the entry is informational',
+                ];
+
+            default:
+                return [
+                    'outcome' => 'unsupported',
+                    'description' => "Not reversed: \"{$type}\" changes are not handled by a change-by-change rollback",
+                ];
+        }
+    }
+
     /**
      * Get summary of phases in a migration
      *
@@ -569,7 +811,7 @@ class RollbackEngine
                 }
                 break;
 
-            case 'moved_from_optimised_root':
+            case 'moved_from_optimised':
                 // Move asset back to optimisedImages root
                 $asset = Asset::findOne($change['assetId']);
                 if ($asset) {
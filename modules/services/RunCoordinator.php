@@ -0,0 +1,318 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\services;
+
+/**
+ * Run Coordinator
+ *
+ * Tells every open dashboard which commands are running anywhere (another
+ * tab, another admin, the queue or a terminal) and whether an image migration
+ * holds the migration lock, so the same module is not started twice. The
+ * dashboard shows the snapshot in a banner and disables Run on the affected
+ * cards; the run endpoints refuse a start that conflicts with it.
+ *
+ * Runs are read from the migration state table (running rows whose process is
+ * alive, and queued rows) and from the module state, which also knows streamed
+ * runs of commands that never write a state row.
+ */
+class RunCoordinator
+{
+    /**
+     * Commands that must not start while the migration lock is held
+     */
+    public const LOCK_GUARDED_COMMANDS = [
+        'image-migration/migrate',
+        'image-migration/rollback',
+        'filesystem-switch/to-do',
+        'filesystem-switch/to-aws',
+    ];
+
+    /**
+     * The only command that takes the migration lock
+     */
+    public const LOCK_COMMAND = 'image-migration/migrate';
+
+    /**
+     * Queued runs older than this are assumed lost (their job never ran)
+     */
+    private const QUEUED_MAX_AGE = 86400;
+
+    private MigrationStateService $stateService;
+
+    private MigrationProgressService $progressService;
+
+    private ProcessManager $processManager;
+
+    public function __construct(
+        ?MigrationStateService $stateService = null,
+        ?MigrationProgressService $progressService = null,
+        ?ProcessManager $processManager = null
+    ) {
+        $this->stateService = $stateService ?? new MigrationStateService();
+        $this->progressService = $progressService ?? new MigrationProgressService();
+        $this->processManager = $processManager ?? new ProcessManager();
+    }
+
+    /**
+     * Active runs, the migration lock and the commands they block
+     *
+     * @return array{runs: array, lock: array|null, blocked: array<string, array>}
+     */
+    public function getSnapshot(): array
+    {
+        $this->stateService->ensureTableExists();
+
+        $moduleStates = $this->progressService->getState()['moduleStates'] ?? [];
+        $rows = $this->stateService->getActiveMigrations();
+
+        $runs = self::collectRuns($rows, $moduleStates, time(), function(string $migrationId) {
+            $process = $this->processManager->getMigrationProcess($migrationId);
+
+            return $process !== null
+                && empty($process['cancelledAt'])
+                && $this->processManager->isPidRunning((int)($process['pid'] ?? 0));
+        });
+
+        $lock = MigrationLock::getActiveLock();
+        if ($lock !== null) {
+            $lock = self::describeLock($lock, $rows, $runs, gethostname() ?: '', fn(int $pid) => $this->processManager->isPidRunning($pid));
+        }
+
+        return [
+            'runs' => $runs,
+            'lock' => $lock,
+            'blocked' => self::blockedCommands($runs, $lock),
+        ];
+    }
+
+    /**
+     * Dashboard view of the active runs, newest first
+     *
+     * @param array $rows Rows of MigrationStateService::getActiveMigrations()
+     * @param array $moduleStates Module states of MigrationProgressService
+     * @param callable $isStreamAlive Whether the streamed run with this migration ID still has a live process
+     */
+    public static function collectRuns(array $rows, array $moduleStates, int $now, callable $isStreamAlive): array
+    {
+        // Runs started from a module card remember the module and who started them
+        $modules = [];
+        foreach ($moduleStates as $moduleId => $moduleState) {
+            if (!empty($moduleState['migrationId'])) {
+                $modules[$moduleState['migrationId']] = [
+                    'moduleId' => (string)$moduleId,
+                    'startedBy' => $moduleState['startedBy'] ?? null,
+                ];
+            }
+        }
+
+        $runs = [];
+        foreach ($rows as $row) {
+            $status = $row['status'] ?? null;
+            $active = $status === 'running'
+                ? !empty($row['isProcessRunning'])
+                : $status === 'queued' && self::age($row['startedAt'] ?? null, $now) <= self::QUEUED_MAX_AGE;
+
+            if (!$active) {
+                continue;
+            }
+
+            $percent = $row['stats']['progress']['percent'] ?? null;
+            if ($percent === null && (int)($row['totalCount'] ?? 0) > 0) {
+                $percent = round((int)$row['processedCount'] / (int)$row['totalCount'] * 100, 1);
+            }
+
+            $migrationId = (string)$row['migrationId'];
+            $runs[$migrationId] = [
+                'migrationId' => $migrationId,
+                'command' => $row['command'] ?? null,
+                'moduleId' => $modules[$migrationId]['moduleId'] ?? null,
+                'status' => $status,
+                'phase' => $row['phase'] ?? null,
+                'progressPercent' => $percent,
+                'startedAt' => $row['startedAt'] ?? null,
+                'startedBy' => $modules[$migrationId]['startedBy'] ?? null,
+            ];
+        }
+
+        // Streamed runs of commands without progress reporting only appear in the module state
+        foreach ($moduleStates as $moduleId => $moduleState) {
+            $migrationId = $moduleState['migrationId'] ?? null;
+            if (($moduleState['status'] ?? null) !== 'running' || empty($migrationId) || isset($runs[$migrationId])) {
+                continue;
+            }
+
+            if (!$isStreamAlive((string)$migrationId)) {
+                continue;
+            }
+
+            $runs[$migrationId] = [
+                'migrationId' => (string)$migrationId,
+                'command' => $moduleState['command'] ?? null,
+                'moduleId' => (string)$moduleId,
+                'status' => 'running',
+                'phase' => null,
+                'progressPercent' => null,
+                'startedAt' => $moduleState['startedAt'] ?? null,
+                'startedBy' => $moduleState['startedBy'] ?? null,
+            ];
+        }
+
+        $runs = array_values($runs);
+        usort($runs, fn($a, $b) => self::age($a['startedAt'], $now) <=> self::age($b['startedAt'], $now));
+
+        return $runs;
+    }
+
+    /**
+     * Dashboard view of the migration lock
+     *
+     * The lock records the host and PID of the process holding it; a lock
+     * whose process is gone on this host is reported as stale and blocks
+     * nothing (Force Cleanup removes it).
+     *
+     * @param array $lock Row of MigrationLock::getActiveLock()
+     * @param array $rows Rows of MigrationStateService::getActiveMigrations(), matched to the lock by PID
+     * @param array $runs Output of collectRuns()
+     * @param callable $isPidRunning Whether a PID is alive on this host
+     */
+    public static function describeLock(array $lock, array $rows, array $runs, string $hostname, callable $isPidRunning): array
+    {
+        $lockedBy = (string)($lock['lockedBy'] ?? '');
+        $separator = strrpos($lockedBy, ':');
+        $host = $separator !== false ? substr($lockedBy, 0, $separator) : $lockedBy;
+        $pid = $separator !== false ? (int)substr($lockedBy, $separator + 1) : 0;
+
+        $stale = $host === $hostname && $pid > 0 && !$isPidRunning($pid);
+
+        // The process holding the lock also writes the state of its run
+        $run = null;
+        foreach ($rows as $row) {
+            if ($pid > 0 && (int)($row['pid'] ?? 0) === $pid) {
+                foreach ($runs as $candidate) {
+                    if ($candidate['migrationId'] === (string)$row['migrationId']) {
+                        $run = $candidate;
+                        break 2;
+                    }
+                }
+            }
+        }
+
+        return [
+            'migrationId' => (string)($lock['migrationId'] ?? ''),
+            'lockedBy' => $lockedBy,
+            'lockedAt' => self::toAtom($lock['lockedAt'] ?? null),
+            'expiresAt' => self::toAtom($lock['expiresAt'] ?? null),
+            'stale' => $stale,
+            'command' => $run['command'] ?? self::LOCK_COMMAND,
+            'runId' => $run['migrationId'] ?? null,
+            'startedBy' => $run['startedBy'] ?? null,
+        ];
+    }
+
+    /**
+     * Commands that cannot start now, keyed by command
+     *
+     * A command is blocked by its own active run (`reason` "running") or, for
+     * LOCK_GUARDED_COMMANDS, by a migration lock that is not stale (`reason` "locked").
+     */
+    public static function blockedCommands(array $runs, ?array $lock): array
+    {
+        $blocked = [];
+
+        foreach ($runs as $run) {
+            if (empty($run['command']) || isset($blocked[$run['command']])) {
+                continue;
+            }
+
+            $blocked[$run['command']] = [
+                'command' => $run['command'],
+                'reason' => 'running',
+                'migrationId' => $run['migrationId'],
+                'status' => $run['status'],
+                'startedAt' => $run['startedAt'],
+                'startedBy' => $run['startedBy'],
+                'message' => self::describeRun($run),
+            ];
+        }
+
+        if ($lock !== null && !$lock['stale']) {
+            foreach (self::LOCK_GUARDED_COMMANDS as $command) {
+                if (isset($blocked[$command])) {
+                    continue;
+                }
+
+                $blocked[$command] = [
+                    'command' => $command,
+                    'reason' => 'locked',
+                    'migrationId' => $lock['runId'] ?? $lock['migrationId'],
+                    'status' => 'running',
+                    'startedAt' => $lock['lockedAt'],
+                    'startedBy' => $lock['startedBy'],
+                    'message' => "{$command} cannot start while {$lock['command']} holds the migration lock ("
+                        . ($lock['startedBy'] ? "started by {$lock['startedBy']}, " : '')
+                        . "process {$lock['lockedBy']})",
+                ];
+            }
+        }
+
+        return $blocked;
+    }
+
+    /**
+     * What keeps a command from starting, or null when it may start
+     *
+     * Dry runs are only kept from starting by a run of the same command; the
+     * migration lock guards real changes.
+     *
+     * @param array $snapshot Output of getSnapshot()
+     */
+    public static function findConflict(array $snapshot, string $command, bool $dryRun): ?array
+    {
+        $conflict = $snapshot['blocked'][$command] ?? null;
+
+        if ($conflict === null || ($dryRun && $conflict['reason'] === 'locked')) {
+            return null;
+        }
+
+        return $conflict;
+    }
+
+    private static function describeRun(array $run): string
+    {
+        $state = $run['status'] === 'queued' ? 'queued' : 'running';
+
+        return "{$run['command']} is already {$state} (run {$run['migrationId']}"
+            . ($run['startedBy'] ? ", started by {$run['startedBy']}" : '')
+            . ')';
+    }
+
+    /**
+     * Seconds since a date (state rows are stored in UTC), or 0 when unknown
+     */
+    private static function age(?string $date, int $now): int
+    {
+        if (empty($date)) {
+            return 0;
+        }
+
+        $timestamp = strtotime(strlen($date) === 19 ? "{$date} UTC" : $date);
+
+        return $timestamp !== false ? max(0, $now - $timestamp) : 0;
+    }
+
+    /**
+     * Lock dates are written in the server's timezone; the dashboard gets them with their offset
+     */
+    private static function toAtom(?string $date): ?string
+    {
+        if (empty($date)) {
+            return null;
+        }
+
+        try {
+            return (new \DateTimeImmutable($date))->format(DATE_ATOM);
+        } catch (\Exception $e) {
+            return null;
+        }
+    }
+}
@@ -206,7 +206,7 @@ class ConsolidationService
                 $processedBatch[] = $asset->id; // Mark as processed even if skipped
 
                 if ($progress->increment()) {
-                    $this->reporter->safeStdout(" " . $progress->getProgressString() . "\n  ");
+                    $this->reporter->printProgress($progress);
                 }
                 continue;
             }
@@ -223,11 +223,12 @@ class ConsolidationService
                 $processedBatch[] = $asset->id;
             } else {
                 $this->reporter->safeStdout("x", Console::FG_RED);
+                $progress->recordError();
             }
 
             // Update progress
-            if ($progress->increment()) {
-                $this->reporter->safeStdout(" " . $progress->getProgressString() . "\n  ");
+            if ($progress->increment(1, $result['success'] ? (int)$asset->size : 0)) {
+                $this->reporter->printProgress($progress);
 
                 // Update quick state
                 if (!empty($processedBatch)) {
@@ -266,7 +266,7 @@ class InlineLinkingService
 
                 // Update progress
                 if ($progress->increment(count($rows))) {
-                    $this->reporter->safeStdout(" " . $progress->getProgressString() . "\n  ");
+                    $this->reporter->printProgress($progress);
                 } else {
                     $this->reporter->safeStdout(".", Console::FG_GREEN);
                 }
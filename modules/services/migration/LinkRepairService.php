@@ -10,6 +10,7 @@ use csabourin\spaghettiMigrator\helpers\MigrationConfig;
 use csabourin\spaghettiMigrator\services\ChangeLogManager;
 use csabourin\spaghettiMigrator\services\CheckpointManager;
 use csabourin\spaghettiMigrator\services\ErrorRecoveryManager;
+use csabourin\spaghettiMigrator\services\ProgressEvent;
 use csabourin\spaghettiMigrator\services\ProgressTracker;
 use csabourin\spaghettiMigrator\services\migration\FileOperationsService;
 use csabourin\spaghettiMigrator\services\migration\InventoryBuilder;
@@ -242,10 +243,13 @@ class LinkRepairService
                 }
                 $this->controller->stdout("\n");
                 $notFound++;
+                $progress->recordError();
             }
 
             // Update progress
             if ($progress->increment()) {
+                ProgressEvent::write($this->controller, $progress->getEvent());
+
                 if (!empty($processedBatch)) {
                     $this->checkpointManager->updateProcessedIds($processedBatch);
                     $this->processedAssetIds = array_merge($this->processedAssetIds, $processedBatch);
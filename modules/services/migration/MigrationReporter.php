@@ -5,6 +5,8 @@ namespace csabourin\spaghettiMigrator\services\migration;
 use Craft;
 use craft\console\Controller;
 use craft\helpers\Console;
+use csabourin\spaghettiMigrator\services\ProgressEvent;
+use csabourin\spaghettiMigrator\services\ProgressTracker;
 
 /**
  * Migration Reporter
@@ -107,6 +109,18 @@ class MigrationReporter
         $this->controller->stdout("= quarantine error\n", Console::FG_GREY);
     }
 
+    /**
+     * End a batch progress line with the tracker summary and its structured event
+     *
+     * Continues the indented dot line afterwards.
+     */
+    public function printProgress(ProgressTracker $progress): void
+    {
+        $this->safeStdout(" " . $progress->getProgressString() . "\n");
+        ProgressEvent::write($this->controller, $progress->getEvent());
+        $this->safeStdout("  ");
+    }
+
     /**
      * Print analysis report
      *
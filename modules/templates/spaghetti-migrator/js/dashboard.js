@@ -1,5 +1,5 @@
 /**
- * AWS to DigitalOcean Migration Dashboard
+ * Storage Migration Dashboard
  * Interactive dashboard for orchestrating the complete migration
  *
  * Architecture:
@@ -11,6 +11,69 @@
 (function() {
     'use strict';
 
+    // ============================================================================
+    // TRANSLATIONS
+    // ============================================================================
+    // Strings go through the plugin's message catalogue (translations/<language>/spaghetti-migrator.php),
+    // which MigrationController::actionIndex() registers for the page. Counts use ICU plural messages.
+    const t = (message, params) => Craft.t('spaghetti-migrator', message, params);
+
+    // ============================================================================
+    // HTML
+    // ============================================================================
+    // Markup is only built with the html`` tag: every interpolated value is escaped unless it is
+    // trusted markup, i.e. another html`` result or content passed through Html.trusted() on purpose.
+    const Html = {
+        entities: { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' },
+        trustedMarkup: new WeakSet(),
+
+        escape(value) {
+            return String(value ?? '').replace(/[&<>"']/g, char => this.entities[char]);
+        },
+
+        // Only for markup the dashboard or the plugin itself wrote, never for server-reported values
+        trusted(markup) {
+            const safe = Object.freeze({
+                markup: String(markup ?? ''),
+                toString() {
+                    return this.markup;
+                }
+            });
+            this.trustedMarkup.add(safe);
+            return safe;
+        },
+
+        isTrusted(value) {
+            return typeof value === 'object' && value !== null && this.trustedMarkup.has(value);
+        },
+
+        // Trusted markup as is, arrays item by item, anything else as escaped text
+        render(value) {
+            if (Array.isArray(value)) {
+                return value.map(item => this.render(item)).join('');
+            }
+            return this.isTrusted(value) ? value.markup : this.escape(value);
+        },
+
+        template(strings, ...values) {
+            return this.trusted(strings.reduce((markup, string, index) => markup + this.render(values[index - 1]) + string));
+        },
+
+        // A translated message whose parameters may be markup: text parameters are escaped, numbers kept for plurals
+        translate(message, params = {}) {
+            const escaped = Object.fromEntries(Object.entries(params).map(([name, value]) => [
+                name,
+                typeof value === 'number' ? value : this.render(value)
+            ]));
+            return this.trusted(t(message, escaped));
+        },
+
+        setContent(element, content) {
+            element.innerHTML = this.render(content);
+        }
+    };
+    const html = (strings, ...values) => Html.template(strings, ...values);
+
     // ============================================================================
     // STATE MANAGER
     // ============================================================================
@@ -37,6 +100,10 @@
             this.completedModules.add(moduleId);
         },
 
+        removeCompleted(moduleId) {
+            this.completedModules.delete(moduleId);
+        },
+
         isCompleted(moduleId) {
             return this.completedModules.has(moduleId);
         },
@@ -73,6 +140,22 @@
             return this.data.csrfToken;
         },
 
+        // The token rendered with the page stops working when the session ends; SessionGuard swaps in a fresh one
+        setCsrfToken(token) {
+            this.data.csrfToken = token;
+            if (window.Craft) {
+                Craft.csrfTokenValue = token;
+            }
+        },
+
+        get sessionInfoUrl() {
+            return this.data.sessionInfoUrl;
+        },
+
+        get loginUrl() {
+            return this.data.loginUrl;
+        },
+
         get statusUrl() {
             return this.data.statusUrl;
         },
@@ -89,6 +172,59 @@
             return this.data.runCommandQueueUrl;
         },
 
+        get queueStatusUrl() {
+            return this.data.getQueueStatusUrl;
+        },
+
+        get queueJobsUrl() {
+            return this.data.getQueueJobsUrl;
+        },
+
+        get retryQueueJobUrl() {
+            return this.data.retryQueueJobUrl;
+        },
+
+        get releaseQueueJobUrl() {
+            return this.data.releaseQueueJobUrl;
+        },
+
+        get checkpointsUrl() {
+            return this.data.checkpointsUrl || this.data.checkpointUrl;
+        },
+
+        get deleteCheckpointUrl() {
+            return this.data.deleteCheckpointUrl;
+        },
+
+        get changelogUrl() {
+            return this.data.changelogUrl;
+        },
+
+        get changelogEntryUrl() {
+            return this.data.changelogEntryUrl;
+        },
+
+        get previewChangelogRollbackUrl() {
+            return this.data.previewChangelogRollbackUrl;
+        },
+
+        get exportChangelogUrl() {
+            return this.data.exportChangelogUrl;
+        },
+
+        get rollbackScopesUrl() {
+            return this.data.rollbackScopesUrl;
+        },
+
+        get previewRollbackUrl() {
+            return this.data.previewRollbackUrl;
+        },
+
+        // Seconds a queued job may wait for a runner before the dashboard warns (plugin setting)
+        get queueStallSeconds() {
+            return Number(this.data.queueStallSeconds) || 60;
+        },
+
         get streamMigrationUrl() {
             return this.data.streamMigrationUrl;
         },
@@ -97,9 +233,53 @@
             return this.data.liveMonitorUrl || this.data.getLiveMonitorUrl;
         },
 
+        get runningMigrationsUrl() {
+            return this.data.getRunningMigrationsUrl;
+        },
+
+        get runCoordinationUrl() {
+            return this.data.getRunCoordinationUrl;
+        },
+
+        get preflightUrl() {
+            return this.data.getPreflightUrl;
+        },
+
+        get connectionDiagnosticsUrl() {
+            return this.data.connectionDiagnosticsUrl;
+        },
+
+        get progressHistoryUrl() {
+            return this.data.getProgressHistoryUrl;
+        },
+
+        get resetModuleStatusUrl() {
+            return this.data.resetModuleStatusUrl;
+        },
+
+        get updatePipelineUrl() {
+            return this.data.updatePipelineUrl;
+        },
+
+        get workflow() {
+            return this.data.workflow || { modules: {}, phases: [], order: [] };
+        },
+
+        get logsUrl() {
+            return this.data.logsUrl;
+        },
+
+        get cancelCommandUrl() {
+            return this.data.cancelCommandUrl;
+        },
+
+        get cancelStreamingMigrationUrl() {
+            return this.data.cancelStreamingMigrationUrl;
+        },
+
+        // Default from plugin settings; cards can override it (see CommandExecutor.getExecutionMode)
         get executionMode() {
-            // Always use SSE (hybrid) mode
-            return 'sse';
+            return this.data.executionMode === 'queue' ? 'queue' : 'sse';
         },
 
         // Check if dev mode is enabled (via Craft's devMode setting)
@@ -108,13 +288,249 @@
         }
     };
 
+    // ============================================================================
+    // SESSION GUARD
+    // ============================================================================
+    // Overnight runs outlive the Craft session and the CSRF token rendered with the page.
+    // Requests that come back unauthorised are checked against users/session-info: a live
+    // session gets a fresh token and the request is sent again; an ended one opens the
+    // re-login modal, and status writes wait there until the session is back.
+    const SessionGuard = {
+        checkRate: 5000,
+        expired: false,
+        checkTimer: null,
+        sessionCheck: null,
+
+        // Writes to replay once logged in again, keyed so only the latest per module is kept
+        pendingWrites: new Map(),
+
+        init() {
+            const modal = document.getElementById('session-modal');
+            if (!modal) {
+                return;
+            }
+
+            const checkBtn = document.getElementById('session-check-btn');
+            if (checkBtn) {
+                checkBtn.addEventListener('click', () => this.checkNow());
+            }
+
+            const loginLink = document.getElementById('session-login-link');
+            if (loginLink && Config.loginUrl) {
+                loginLink.href = Config.loginUrl;
+            }
+
+            // Coming back from the login tab is the usual way out
+            window.addEventListener('focus', () => {
+                if (this.expired) {
+                    this.checkNow();
+                }
+            });
+        },
+
+        // 400 is how Yii rejects a CSRF token; 401/403 and a redirect to the login page mean no session
+        isAuthFailure(response) {
+            if ([400, 401, 403].includes(response.status)) {
+                return true;
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            return response.redirected && !contentType.includes('application/json');
+        },
+
+        // Resolves to true when the session is still valid (refreshing the CSRF token), false when it ended
+        checkSession() {
+            if (!this.sessionCheck) {
+                this.sessionCheck = this.fetchSessionInfo().finally(() => {
+                    this.sessionCheck = null;
+                });
+            }
+
+            return this.sessionCheck;
+        },
+
+        async fetchSessionInfo() {
+            if (!Config.sessionInfoUrl) {
+                throw new Error(t('Session info URL is not configured'));
+            }
+
+            const response = await fetch(Config.sessionInfoUrl, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const info = await response.json();
+            if (info.isGuest) {
+                return false;
+            }
+
+            if (info.csrfTokenValue) {
+                Config.setCsrfToken(info.csrfTokenValue);
+            }
+
+            return true;
+        },
+
+        sessionExpiredError() {
+            const error = new Error(t('Your session has expired. Log in again to continue.'));
+            error.sessionExpired = true;
+            return error;
+        },
+
+        markExpired() {
+            if (this.expired) {
+                return;
+            }
+
+            this.expired = true;
+            this.openModal();
+            this.checkTimer = setInterval(() => this.checkNow(), this.checkRate);
+            AccessibilityManager.announceToScreenReader(t('Your session has expired. Log in again to continue.'));
+        },
+
+        // Resolves with the write's response once it has been replayed
+        queueWrite(key, label, replay) {
+            return new Promise((resolve, reject) => {
+                const pending = this.pendingWrites.get(key);
+                const waiters = pending ? pending.waiters : [];
+                waiters.push({ resolve, reject });
+
+                // Re-inserted so replays keep the order the writes were made in
+                this.pendingWrites.delete(key);
+                this.pendingWrites.set(key, { label, replay, waiters });
+                this.renderPending();
+            });
+        },
+
+        async checkNow() {
+            let valid;
+            try {
+                valid = await this.checkSession();
+            } catch (error) {
+                console.error('Failed to check the session:', error);
+                return;
+            }
+
+            if (valid && this.expired) {
+                await this.restore();
+            }
+        },
+
+        async restore() {
+            this.expired = false;
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+
+            const modal = document.getElementById('session-modal');
+            if (modal && modal.style.display !== 'none') {
+                UIManager.closeModal(modal);
+            }
+
+            const writes = [...this.pendingWrites.values()];
+            this.pendingWrites.clear();
+            this.renderPending();
+
+            let failed = 0;
+            for (const write of writes) {
+                try {
+                    const result = await write.replay();
+                    write.waiters.forEach(waiter => waiter.resolve(result));
+                } catch (error) {
+                    failed++;
+                    write.waiters.forEach(waiter => waiter.reject(error));
+                }
+            }
+
+            if (failed > 0) {
+                Craft.cp.displayError(t('Session restored, but {count, plural, =1{# pending update} other{# pending updates}} could not be saved', { count: failed }));
+            } else if (writes.length > 0) {
+                Craft.cp.displayNotice(t('Session restored: {count, plural, =1{# pending update} other{# pending updates}} saved', { count: writes.length }));
+            } else {
+                Craft.cp.displayNotice(t('Session restored'));
+            }
+
+            RunCoordinator.refresh();
+        },
+
+        openModal() {
+            const modal = document.getElementById('session-modal');
+            if (!modal) {
+                Craft.cp.displayError(t('Your session has expired. Log in again in another tab to continue.'));
+                return;
+            }
+
+            this.renderPending();
+            UIManager.openModal(modal);
+        },
+
+        renderPending() {
+            const list = document.getElementById('session-pending-list');
+            const summary = document.getElementById('session-pending-summary');
+            if (!list || !summary) {
+                return;
+            }
+
+            const writes = [...this.pendingWrites.values()];
+            summary.textContent = writes.length > 0
+                ? t('{count, plural, =1{# update} other{# updates}} will be saved once you are logged in again:', { count: writes.length })
+                : t('No changes are waiting to be saved.');
+
+            list.replaceChildren();
+            writes.forEach(write => {
+                const item = document.createElement('li');
+                item.textContent = write.label;
+                list.appendChild(item);
+            });
+            list.hidden = writes.length === 0;
+        }
+    };
+
     // ============================================================================
     // API CLIENT
     // ============================================================================
     const APIClient = {
+        // fetch() that survives an expired CSRF token and reports an ended session (see SessionGuard)
+        async request(url, options = {}) {
+            if (SessionGuard.expired) {
+                throw SessionGuard.sessionExpiredError();
+            }
+
+            const response = await fetch(url, options);
+            if (!SessionGuard.isAuthFailure(response)) {
+                return response;
+            }
+
+            let valid;
+            try {
+                valid = await SessionGuard.checkSession();
+            } catch (error) {
+                // The session could not be checked; let the caller handle the original response
+                return response;
+            }
+
+            if (!valid) {
+                SessionGuard.markExpired();
+                throw SessionGuard.sessionExpiredError();
+            }
+
+            // The session is fine, so a rejected POST was refused for its token: send it once more with the new one
+            if (options.body instanceof FormData && options.body.has(Craft.csrfTokenName)) {
+                options.body.set(Craft.csrfTokenName, Config.csrfToken);
+                return fetch(url, options);
+            }
+
+            return response;
+        },
+
         async checkStatus() {
             try {
-                const response = await fetch(Config.statusUrl, {
+                const response = await this.request(Config.statusUrl, {
                     method: 'GET',
                     headers: {
                         'X-Requested-With': 'XMLHttpRequest',
@@ -137,8 +553,10 @@
                 formData.append('error', error);
             }
 
+            const replay = () => this.updateModuleStatus(moduleId, status, error);
+
             try {
-                const response = await fetch(Config.updateModuleStatusUrl, {
+                const response = await this.request(Config.updateModuleStatusUrl, {
                     method: 'POST',
                     headers: {
                         'X-Requested-With': 'XMLHttpRequest',
@@ -148,20 +566,24 @@
                 });
                 return await response.json();
             } catch (error) {
+                if (error.sessionExpired) {
+                    return SessionGuard.queueWrite(`module-status:${moduleId}`, t('{module} marked {status}', { module: moduleId, status }), replay);
+                }
+
                 console.error('Error updating module status:', error);
                 throw error;
             }
         },
 
-        async queueCommand(command, args = {}) {
+        async resetModuleStatus(moduleId, resetAction, reason) {
             const formData = new FormData();
             formData.append(Craft.csrfTokenName, Config.csrfToken);
-            formData.append('command', command);
-            formData.append('args', JSON.stringify(args));
-            formData.append('dryRun', args.dryRun ? '1' : '0');
+            formData.append('moduleId', moduleId);
+            formData.append('resetAction', resetAction);
+            formData.append('reason', reason);
 
             try {
-                const response = await fetch(Config.runCommandQueueUrl, {
+                const response = await this.request(Config.resetModuleStatusUrl, {
                     method: 'POST',
                     headers: {
                         'X-Requested-With': 'XMLHttpRequest',
@@ -171,1196 +593,6499 @@
                 });
                 return await response.json();
             } catch (error) {
-                console.error('Failed to queue command:', error);
+                console.error('Failed to reset module status:', error);
                 throw error;
             }
-        }
-    };
-
-    // ============================================================================
-    // ACCESSIBILITY MANAGER
-    // ============================================================================
-    const AccessibilityManager = {
-        init() {
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' || e.keyCode === 27) {
-                    this.handleEscapeKey();
-                }
-            });
         },
 
-        handleEscapeKey() {
-            const openModal = document.querySelector('.modal[style*="display: flex"]');
-            if (openModal) {
-                UIManager.closeModal(openModal);
-                return;
-            }
+        async updatePipeline(pipeline) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('pipeline', pipeline ? JSON.stringify(pipeline) : '');
 
-            const openDialog = document.querySelector('.confirmation-dialog');
-            if (openDialog) {
-                openDialog.remove();
-                if (StateManager.lastFocusedElement) {
-                    StateManager.lastFocusedElement.focus();
-                    StateManager.lastFocusedElement = null;
+            try {
+                const response = await this.request(Config.updatePipelineUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
+                });
+                return await response.json();
+            } catch (error) {
+                if (error.sessionExpired) {
+                    return SessionGuard.queueWrite('pipeline', t('Pipeline progress'), () => this.updatePipeline(pipeline));
                 }
-            }
-        },
 
-        announceToScreenReader(message) {
-            const announcer = document.getElementById('sr-announcements');
-            if (announcer) {
-                announcer.textContent = message;
-                setTimeout(() => {
-                    announcer.textContent = '';
-                }, 1000);
+                console.error('Failed to save pipeline:', error);
+                throw error;
             }
         },
 
-        trapFocus(modal) {
-            const focusableElements = Array.from(modal.querySelectorAll(StateManager.focusableElements));
-            if (focusableElements.length === 0) return;
-
-            const firstFocusable = focusableElements[0];
-            const lastFocusable = focusableElements[focusableElements.length - 1];
+        async fetchQueueJobs() {
+            const response = await this.request(Config.queueJobsUrl, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            if (modal._focusTrapHandler) {
-                modal.removeEventListener('keydown', modal._focusTrapHandler);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
 
-            const trapHandler = (e) => {
-                if (e.key !== 'Tab' && e.keyCode !== 9) return;
+            return await response.json();
+        },
 
-                if (e.shiftKey) {
-                    if (document.activeElement === firstFocusable) {
-                        lastFocusable.focus();
-                        e.preventDefault();
-                    }
-                } else {
-                    if (document.activeElement === lastFocusable) {
-                        firstFocusable.focus();
-                        e.preventDefault();
-                    }
-                }
-            };
-
-            modal.addEventListener('keydown', trapHandler);
-            modal._focusTrapHandler = trapHandler;
-        }
-    };
-
-    // ============================================================================
-    // UI MANAGER
-    // ============================================================================
-    const UIManager = {
-        showModuleOutput(moduleCard, output) {
-            const outputSection = moduleCard.querySelector('.module-output');
-            const outputContent = moduleCard.querySelector('.output-content');
+        async retryQueueJob(jobId) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('jobId', jobId);
 
-            if (outputSection && outputContent) {
-                outputContent.textContent = output;
-                outputSection.style.display = 'block';
+            try {
+                const response = await this.request(Config.retryQueueJobUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
+                });
+                return await response.json();
+            } catch (error) {
+                console.error('Failed to retry queue job:', error);
+                throw error;
             }
         },
 
-        appendModuleOutput(moduleCard, text) {
-            const outputContent = moduleCard.querySelector('.output-content');
-            if (outputContent) {
-                outputContent.textContent += text;
-                outputContent.scrollTop = outputContent.scrollHeight;
+        async releaseQueueJob(jobId) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('jobId', jobId);
+
+            try {
+                const response = await this.request(Config.releaseQueueJobUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
+                });
+                return await response.json();
+            } catch (error) {
+                console.error('Failed to release queue job:', error);
+                throw error;
             }
         },
 
-        updateModuleProgress(moduleCard, percent, text) {
-            const progressSection = moduleCard.querySelector('.module-progress');
-            const progressBar = moduleCard.querySelector('.progress-bar-fill');
-            const progressText = moduleCard.querySelector('.progress-text');
+        async fetchCheckpoints() {
+            const response = await this.request(Config.checkpointsUrl, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            if (progressSection) {
-                progressSection.style.display = 'block';
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
 
-            if (progressBar) {
-                progressBar.style.width = `${percent}%`;
-                progressBar.setAttribute('aria-valuenow', percent);
-            }
+            return await response.json();
+        },
 
-            if (progressText && text) {
-                progressText.textContent = text;
+        async deleteCheckpoint(checkpointId) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('checkpointId', checkpointId);
+
+            try {
+                const response = await this.request(Config.deleteCheckpointUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
+                });
+                return await response.json();
+            } catch (error) {
+                console.error('Failed to delete checkpoint:', error);
+                throw error;
             }
         },
 
-        updateModuleStats(moduleCard, stats) {
-            const statsContainer = moduleCard.querySelector('.module-stats');
-            if (!statsContainer) return;
-
-            statsContainer.innerHTML = '';
-            statsContainer.style.display = 'block';
+        // filters: the change log filters (empty values are ignored by the server)
+        async fetchChangelog(filters = {}, page = 1) {
+            const params = new URLSearchParams({ ...filters, page: String(page) });
+            const response = await this.request(`${Config.changelogUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            const statsList = document.createElement('ul');
-            statsList.className = 'stats-list';
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
 
-            const statMappings = {
-                processedAssets: 'Processed',
-                totalAssets: 'Total Assets',
-                filesProcessed: 'Files Processed',
-                filesCopied: 'Files Copied',
-                filesSkipped: 'Files Skipped',
-                errors: 'Errors',
-                currentPhase: 'Phase',
-                elapsedTime: 'Time Elapsed',
-                estimatedRemaining: 'Time Remaining'
-            };
+            return await response.json();
+        },
 
-            Object.entries(stats).forEach(([key, value]) => {
-                if (statMappings[key] && value !== null && value !== undefined && value !== '') {
-                    const li = document.createElement('li');
-                    li.innerHTML = `<strong>${statMappings[key]}:</strong> ${value}`;
-                    statsList.appendChild(li);
+        async fetchChangelogEntry(migrationId, sequence) {
+            const params = new URLSearchParams({ migrationId, sequence: String(sequence) });
+            const response = await this.request(`${Config.changelogEntryUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
                 }
             });
 
-            if (statsList.children.length > 0) {
-                statsContainer.appendChild(statsList);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        },
-
-        setModuleRunning(moduleCard, isRunning) {
-            const runBtn = moduleCard.querySelector('.run-module-btn');
-            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
-            const statusIndicator = moduleCard.querySelector('.status-indicator');
 
-            if (isRunning) {
-                moduleCard.classList.add('module-running');
-                moduleCard.classList.remove('module-completed');
+            return await response.json();
+        },
 
-                if (runBtn) {
-                    runBtn.disabled = true;
-                    runBtn.textContent = 'Running...';
+        async previewChangelogRollback(filters = {}) {
+            const params = new URLSearchParams(filters);
+            const response = await this.request(`${Config.previewChangelogRollbackUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
                 }
+            });
 
-                if (cancelBtn) {
-                    cancelBtn.style.display = 'inline-block';
-                }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
 
-                if (statusIndicator) {
-                    statusIndicator.textContent = '⟳';
-                    statusIndicator.classList.add('running');
-                    statusIndicator.classList.remove('completed');
-                }
-            } else {
-                moduleCard.classList.remove('module-running');
+            return await response.json();
+        },
 
-                if (runBtn) {
-                    runBtn.disabled = false;
-                    const originalText = runBtn.getAttribute('data-original-text') || 'Run';
-                    runBtn.textContent = originalText;
-                }
+        async fetchRollbackScopes(migrationId = null) {
+            const params = new URLSearchParams();
+            if (migrationId) {
+                params.set('migrationId', migrationId);
+            }
 
-                if (cancelBtn) {
-                    cancelBtn.style.display = 'none';
+            const response = await this.request(`${Config.rollbackScopesUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
                 }
+            });
 
-                if (statusIndicator) {
-                    statusIndicator.textContent = '○';
-                    statusIndicator.classList.remove('running');
-                }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
+
+            return await response.json();
         },
 
-        markModuleCompleted(moduleCard, command) {
-            moduleCard.classList.remove('module-running');
-            moduleCard.classList.add('module-completed');
+        async previewRollback(scope = {}) {
+            const params = new URLSearchParams(scope);
+            const response = await this.request(`${Config.previewRollbackUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            const statusIndicator = moduleCard.querySelector('.status-indicator');
-            if (statusIndicator) {
-                statusIndicator.textContent = '✓';
-                statusIndicator.classList.remove('running');
-                statusIndicator.classList.add('completed');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
 
-            const runBtn = moduleCard.querySelector('.run-module-btn');
-            if (runBtn) {
-                runBtn.textContent = 'Completed ✓';
-                runBtn.disabled = true;
-            }
+            return await response.json();
+        },
 
-            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
-            if (cancelBtn) {
-                cancelBtn.style.display = 'none';
+        async cancelMigration(migrationId, jobId = null) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('migrationId', migrationId);
+            if (jobId) {
+                formData.append('jobId', jobId);
             }
 
-            const moduleId = moduleCard.getAttribute('data-module-id');
-            if (moduleId) {
-                StateManager.addCompleted(moduleId);
-                APIClient.updateModuleStatus(moduleId, 'completed').catch(err => {
-                    console.error('Failed to save completed status:', err);
+            try {
+                const response = await this.request(Config.cancelStreamingMigrationUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
                 });
+                return await response.json();
+            } catch (error) {
+                console.error('Failed to cancel migration:', error);
+                throw error;
             }
+        },
 
-            WorkflowManager.updateWorkflowStepper();
+        async fetchProgressHistory(migrationId) {
+            const url = `${Config.progressHistoryUrl}?migrationId=${encodeURIComponent(migrationId)}`;
+            const response = await this.request(url, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            Craft.cp.displayNotice('✓ Command completed successfully');
-            AccessibilityManager.announceToScreenReader('Command completed successfully');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.json();
         },
 
-        openModal(modal) {
-            StateManager.lastFocusedElement = document.activeElement;
-            modal.style.display = 'flex';
+        async fetchLiveMonitor(migrationId) {
+            const url = `${Config.liveMonitorUrl}?migrationId=${encodeURIComponent(migrationId)}`;
+            const response = await this.request(url, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            const focusableElements = modal.querySelectorAll(StateManager.focusableElements);
-            if (focusableElements.length > 0) {
-                focusableElements[0].focus();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
 
-            AccessibilityManager.trapFocus(modal);
+            return await response.json();
         },
 
-        closeModal(modal) {
-            modal.style.display = 'none';
+        async getQueueStatus(jobId, migrationId) {
+            const params = new URLSearchParams({ jobId: String(jobId), migrationId: migrationId || '' });
+            const response = await this.request(`${Config.queueStatusUrl}?${params.toString()}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            if (StateManager.lastFocusedElement) {
-                StateManager.lastFocusedElement.focus();
-                StateManager.lastFocusedElement = null;
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        },
 
-        showConfirmationDialog(title, message, onConfirm, options = {}) {
-            StateManager.lastFocusedElement = document.activeElement;
+            return await response.json();
+        },
 
-            const dialog = document.createElement('div');
-            dialog.className = options.className || 'confirmation-dialog';
-            dialog.setAttribute('role', 'alertdialog');
-            dialog.setAttribute('aria-labelledby', 'confirm-dialog-title');
-            dialog.setAttribute('aria-describedby', 'confirm-dialog-message');
+        async getRunningMigrations(recent = 0) {
+            const url = recent > 0 ? `${Config.runningMigrationsUrl}?recent=${recent}` : Config.runningMigrationsUrl;
+            const response = await this.request(url, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            const icon = options.icon || '⚠️';
-            const confirmText = options.confirmText || 'Confirm & Proceed';
-            const cancelText = options.cancelText || 'Cancel';
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
 
-            dialog.innerHTML = `
-                <div class="confirmation-dialog-content">
-                    <div class="confirmation-dialog-icon" aria-hidden="true">${icon}</div>
-                    <h3 id="confirm-dialog-title" class="confirmation-dialog-title">${title}</h3>
-                    <div id="confirm-dialog-message" class="confirmation-dialog-message">${message}</div>
-                    <div class="confirmation-dialog-actions">
-                        <button type="button" class="btn secondary cancel-btn">${cancelText}</button>
-                        <button type="button" class="btn submit confirm-btn">${confirmText}</button>
-                    </div>
-                </div>
-            `;
+            return await response.json();
+        },
 
-            document.body.appendChild(dialog);
+        async getRunCoordination() {
+            const response = await this.request(Config.runCoordinationUrl, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            });
 
-            setTimeout(() => {
-                const cancelBtn = dialog.querySelector('.cancel-btn');
-                if (cancelBtn) cancelBtn.focus();
-            }, 10);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
 
-            AccessibilityManager.trapFocus(dialog);
+            return await response.json();
+        },
 
-            const closeDialog = () => {
-                dialog.remove();
-                if (StateManager.lastFocusedElement) {
-                    StateManager.lastFocusedElement.focus();
-                    StateManager.lastFocusedElement = null;
+        async getPreflight(command) {
+            const response = await this.request(`${Config.preflightUrl}?command=${encodeURIComponent(command)}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
                 }
-            };
+            });
 
-            dialog.querySelector('.cancel-btn').addEventListener('click', closeDialog);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
 
-            dialog.querySelector('.confirm-btn').addEventListener('click', () => {
-                dialog.remove();
-                if (onConfirm) onConfirm();
+            return await response.json();
+        },
+
+        // writeProbes: also write, read back and delete a probe file on the target and the volumes
+        async runConnectionDiagnostics(writeProbes) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('writeProbes', writeProbes ? '1' : '0');
+
+            const response = await this.request(Config.connectionDiagnosticsUrl, {
+                method: 'POST',
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                },
+                body: formData
             });
 
-            dialog.addEventListener('click', (e) => {
-                if (e.target === dialog) closeDialog();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return await response.json();
+        },
+
+        async queueCommand(command, args = {}, moduleId = null) {
+            const formData = new FormData();
+            formData.append(Craft.csrfTokenName, Config.csrfToken);
+            formData.append('command', command);
+            if (moduleId) {
+                formData.append('moduleId', moduleId);
+            }
+            formData.append('arguments', JSON.stringify(args.arguments || {}));
+            formData.append('options', JSON.stringify(args.options || {}));
+            formData.append('dryRun', args.dryRun ? '1' : '0');
+            if (args.confirmation) {
+                formData.append('confirmation', args.confirmation);
+            }
+
+            try {
+                const response = await this.request(Config.runCommandQueueUrl, {
+                    method: 'POST',
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest',
+                        'Accept': 'application/json'
+                    },
+                    body: formData
+                });
+                return await response.json();
+            } catch (error) {
+                console.error('Failed to queue command:', error);
+                throw error;
+            }
+        }
+    };
+
+    // ============================================================================
+    // ACCESSIBILITY MANAGER
+    // ============================================================================
+    const AccessibilityManager = {
+        init() {
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' || e.keyCode === 27) {
+                    this.handleEscapeKey();
+                }
             });
         },
 
-        showWarningBanner(title, message) {
-            const banner = document.createElement('div');
-            banner.className = 'order-warning-banner';
-            banner.style.animation = 'slideDown 0.3s ease';
-            banner.innerHTML = `
-                <div class="warning-icon">⚠️</div>
-                <div class="warning-content">
-                    <h4>${title}</h4>
-                    <p>${message}</p>
-                </div>
-                <button type="button" class="btn small" style="margin-left: auto;" onclick="this.parentElement.remove()">Dismiss</button>
-            `;
+        handleEscapeKey() {
+            const openModal = document.querySelector('.modal[style*="display: flex"]');
+            if (openModal) {
+                UIManager.closeModal(openModal);
+                return;
+            }
 
-            const container = document.querySelector('.migration-dashboard');
-            if (container) {
-                container.insertBefore(banner, container.firstChild);
+            const openDialog = document.querySelector('.confirmation-dialog');
+            if (openDialog) {
+                openDialog.remove();
+                if (StateManager.lastFocusedElement) {
+                    StateManager.lastFocusedElement.focus();
+                    StateManager.lastFocusedElement = null;
+                }
+            }
+        },
 
+        announceToScreenReader(message) {
+            const announcer = document.getElementById('sr-announcements');
+            if (announcer) {
+                announcer.textContent = message;
                 setTimeout(() => {
-                    if (banner.parentElement) {
-                        banner.remove();
-                    }
-                }, 10000);
+                    announcer.textContent = '';
+                }, 1000);
             }
         },
 
-        setupCollapsiblePhases() {
-            const phaseSections = document.querySelectorAll('.phase-section');
+        trapFocus(modal) {
+            const focusableElements = Array.from(modal.querySelectorAll(StateManager.focusableElements));
+            if (focusableElements.length === 0) return;
 
-            phaseSections.forEach(section => {
-                const phaseId = section.getAttribute('data-phase-id');
-                const phaseHeader = section.querySelector('.phase-header');
+            const firstFocusable = focusableElements[0];
+            const lastFocusable = focusableElements[focusableElements.length - 1];
 
-                if (!phaseHeader) return;
+            if (modal._focusTrapHandler) {
+                modal.removeEventListener('keydown', modal._focusTrapHandler);
+            }
 
-                section.classList.add('collapsible');
+            const trapHandler = (e) => {
+                if (e.key !== 'Tab' && e.keyCode !== 9) return;
 
-                const phaseNumber = phaseHeader.querySelector('.phase-number');
-                const phaseInfo = phaseHeader.querySelector('.phase-info');
+                if (e.shiftKey) {
+                    if (document.activeElement === firstFocusable) {
+                        lastFocusable.focus();
+                        e.preventDefault();
+                    }
+                } else {
+                    if (document.activeElement === lastFocusable) {
+                        firstFocusable.focus();
+                        e.preventDefault();
+                    }
+                }
+            };
 
-                if (phaseNumber && phaseInfo) {
-                    const wrapper = document.createElement('div');
-                    wrapper.className = 'phase-header-wrapper';
+            modal.addEventListener('keydown', trapHandler);
+            modal._focusTrapHandler = trapHandler;
+        }
+    };
 
-                    const collapseIcon = document.createElement('span');
-                    collapseIcon.className = 'phase-collapse-icon';
-                    collapseIcon.setAttribute('aria-hidden', 'true');
-                    collapseIcon.textContent = '▼';
+    // ============================================================================
+    // ANSI RENDERER
+    // ============================================================================
+    // Console commands write coloured output; escape sequences are parsed into styled
+    // segments that are rendered with text nodes and class names only, never markup
+    const AnsiRenderer = {
+        // CSI sequences, OSC strings (titles, hyperlinks) and any other two-byte escape
+        escapePattern: /\x1b\[([0-?]*)[ -/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?|\x1b[@-_]?/g,
+        controlPattern: /[\x1b\r\b]/,
+        cubeLevels: [0, 95, 135, 175, 215, 255],
+
+        defaultStyle: Object.freeze({ fg: null, bg: null, bold: false, dim: false, italic: false, underline: false, inverse: false }),
+
+        strip(text) {
+            return this.parse(String(text)).text;
+        },
 
-                    const headerContent = document.createElement('div');
-                    headerContent.style.display = 'flex';
-                    headerContent.style.alignItems = 'center';
-                    headerContent.style.gap = '15px';
-                    headerContent.style.flex = '1';
+        // Resolves one line the way a terminal would display it: "\r" returns to column 0
+        // so progress updates overwrite each other, and "\x1b[K" erases the rest of the line.
+        // Returns the visible text, its styled segments (null when unstyled) and the style
+        // still active at the end of the line
+        parse(text, style = this.defaultStyle) {
+            if (!this.controlPattern.test(text)) {
+                return {
+                    text: text,
+                    segments: style === this.defaultStyle ? null : [{ text: text, style: style }],
+                    style: style
+                };
+            }
 
-                    phaseHeader.appendChild(wrapper);
-                    wrapper.appendChild(headerContent);
-                    headerContent.appendChild(phaseNumber);
-                    headerContent.appendChild(phaseInfo);
-                    wrapper.appendChild(collapseIcon);
+            const cells = [];
+            let column = 0;
+            let position = 0;
+            let match;
+
+            const write = (chunk) => {
+                for (const char of chunk) {
+                    if (char === '\r') {
+                        column = 0;
+                    } else if (char === '\b') {
+                        column = Math.max(0, column - 1);
+                    } else if (char === '\t' || char >= ' ') {
+                        cells[column++] = { char: char, style: style };
+                    }
                 }
+            };
 
-                phaseHeader.addEventListener('click', function() {
-                    section.classList.toggle('collapsed');
-
-                    const collapsedPhases = JSON.parse(localStorage.getItem('collapsedPhases') || '[]');
-                    if (section.classList.contains('collapsed')) {
-                        if (!collapsedPhases.includes(phaseId)) {
-                            collapsedPhases.push(phaseId);
-                        }
-                    } else {
-                        const index = collapsedPhases.indexOf(phaseId);
-                        if (index > -1) {
-                            collapsedPhases.splice(index, 1);
+            this.escapePattern.lastIndex = 0;
+            while ((match = this.escapePattern.exec(text)) !== null) {
+                write(text.slice(position, match.index));
+                position = this.escapePattern.lastIndex;
+
+                if (match[2] === 'm') {
+                    style = this.applySgr(style, match[1]);
+                } else if (match[2] === 'K') {
+                    const mode = match[1] || '0';
+                    if (mode === '0') {
+                        cells.length = Math.min(cells.length, column);
+                    } else if (mode === '2') {
+                        cells.length = 0;
+                    } else if (mode === '1') {
+                        for (let i = 0; i <= column && i < cells.length; i++) {
+                            cells[i] = { char: ' ', style: this.defaultStyle };
                         }
                     }
-                    localStorage.setItem('collapsedPhases', JSON.stringify(collapsedPhases));
+                } else if (match[2] === 'G') {
+                    column = Math.max(0, (parseInt(match[1], 10) || 1) - 1);
+                }
+            }
+            write(text.slice(position));
+
+            const segments = [];
+            let plain = '';
+            let styled = false;
+            for (let i = 0; i < cells.length; i++) {
+                const cell = cells[i] || { char: ' ', style: this.defaultStyle };
+                const last = segments[segments.length - 1];
+                plain += cell.char;
+                styled = styled || cell.style !== this.defaultStyle;
+                if (last && last.style === cell.style) {
+                    last.text += cell.char;
+                } else {
+                    segments.push({ text: cell.char, style: cell.style });
+                }
+            }
+
+            return { text: plain, segments: styled ? segments : null, style: style };
+        },
+
+        // Select Graphic Rendition; styles are frozen so segments can be compared by identity
+        applySgr(style, params) {
+            const codes = params === '' ? [0] : params.split(';').map(code => parseInt(code, 10) || 0);
+            const next = Object.assign({}, style);
+
+            for (let i = 0; i < codes.length; i++) {
+                const code = codes[i];
+                if (code === 0) {
+                    Object.assign(next, this.defaultStyle);
+                } else if (code === 1) {
+                    next.bold = true;
+                } else if (code === 2) {
+                    next.dim = true;
+                } else if (code === 3) {
+                    next.italic = true;
+                } else if (code === 4) {
+                    next.underline = true;
+                } else if (code === 7) {
+                    next.inverse = true;
+                } else if (code === 22) {
+                    next.bold = false;
+                    next.dim = false;
+                } else if (code === 23) {
+                    next.italic = false;
+                } else if (code === 24) {
+                    next.underline = false;
+                } else if (code === 27) {
+                    next.inverse = false;
+                } else if (code >= 30 && code <= 37) {
+                    next.fg = code - 30;
+                } else if (code >= 90 && code <= 97) {
+                    next.fg = code - 90 + 8;
+                } else if (code === 39) {
+                    next.fg = null;
+                } else if (code >= 40 && code <= 47) {
+                    next.bg = code - 40;
+                } else if (code >= 100 && code <= 107) {
+                    next.bg = code - 100 + 8;
+                } else if (code === 49) {
+                    next.bg = null;
+                } else if (code === 38 || code === 48) {
+                    const key = code === 38 ? 'fg' : 'bg';
+                    if (codes[i + 1] === 5) {
+                        next[key] = this.paletteColor(codes[i + 2]);
+                        i += 2;
+                    } else if (codes[i + 1] === 2) {
+                        next[key] = this.rgb(codes[i + 2], codes[i + 3], codes[i + 4]);
+                        i += 4;
+                    }
+                }
+            }
+
+            const unchanged = Object.keys(this.defaultStyle).every(key => next[key] === style[key]);
+            if (unchanged) {
+                return style;
+            }
+            const isDefault = Object.keys(this.defaultStyle).every(key => next[key] === this.defaultStyle[key]);
+            return isDefault ? this.defaultStyle : Object.freeze(next);
+        },
+
+        // 256-colour palette: 0-15 map to the named classes, the rest become rgb() values
+        paletteColor(index) {
+            index = Math.min(255, Math.max(0, parseInt(index, 10) || 0));
+            if (index < 16) {
+                return index;
+            }
+            if (index >= 232) {
+                const level = 8 + (index - 232) * 10;
+                return this.rgb(level, level, level);
+            }
+            index -= 16;
+            return this.rgb(
+                this.cubeLevels[Math.floor(index / 36)],
+                this.cubeLevels[Math.floor(index / 6) % 6],
+                this.cubeLevels[index % 6]
+            );
+        },
+
+        rgb(red, green, blue) {
+            const channel = value => Math.min(255, Math.max(0, parseInt(value, 10) || 0));
+            return `rgb(${channel(red)}, ${channel(green)}, ${channel(blue)})`;
+        },
+
+        applyStyle(element, style) {
+            const fg = style.inverse ? style.bg : style.fg;
+            const bg = style.inverse ? style.fg : style.bg;
+            if (style.inverse) {
+                element.classList.add('ansi-inverse');
+            }
+
+            [['fg', fg], ['bg', bg]].forEach(([key, color]) => {
+                if (typeof color === 'number') {
+                    element.classList.add(`ansi-${key}-${color}`);
+                } else if (color) {
+                    element.style[key === 'fg' ? 'color' : 'backgroundColor'] = color;
+                }
+            });
+
+            ['bold', 'dim', 'italic', 'underline'].forEach(flag => {
+                if (style[flag]) {
+                    element.classList.add(`ansi-${flag}`);
+                }
+            });
+        },
+
+        // Appends the segments to parent; ranges ([start, end] offsets into the visible
+        // text) are wrapped in <mark> for search highlighting
+        render(parent, parsed, ranges = []) {
+            const segments = parsed.segments || [{ text: parsed.text, style: this.defaultStyle }];
+            let offset = 0;
+
+            segments.forEach(segment => {
+                let target = parent;
+                if (segment.style !== this.defaultStyle) {
+                    target = document.createElement('span');
+                    this.applyStyle(target, segment.style);
+                    parent.appendChild(target);
+                }
+
+                const start = offset;
+                const end = offset + segment.text.length;
+                let position = start;
+
+                ranges.forEach(([from, to]) => {
+                    if (to <= position || from >= end) {
+                        return;
+                    }
+                    if (from > position) {
+                        target.appendChild(document.createTextNode(segment.text.slice(position - start, from - start)));
+                    }
+                    const mark = document.createElement('mark');
+                    mark.textContent = segment.text.slice(Math.max(from, position) - start, Math.min(to, end) - start);
+                    target.appendChild(mark);
+                    position = Math.min(to, end);
                 });
 
-                const collapsedPhases = JSON.parse(localStorage.getItem('collapsedPhases') || '[]');
-                if (collapsedPhases.includes(phaseId)) {
-                    section.classList.add('collapsed');
+                if (position < end) {
+                    target.appendChild(document.createTextNode(segment.text.slice(position - start)));
                 }
+                offset = end;
             });
         }
     };
 
     // ============================================================================
-    // WORKFLOW MANAGER
+    // LOG VIEWER
     // ============================================================================
-    const WorkflowManager = {
-        phaseCheckpoints: {
-            0: ['filesystem', 'volume-config'],
-            1: ['migration-check'],
-            2: ['url-replacement'],
-            3: ['template-replace'],
-            4: ['switch-to-do'],
-            5: ['image-migration'],
-            6: ['migration-diag'],
-            7: ['transform-discovery-all']
+    // Module output is kept as a capped list of lines and only the rows in view are
+    // rendered; the complete log stays on the server ("Download full log")
+    const LogViewer = {
+        maxLines: 5000,
+        lineHeight: 18,
+        overscan: 20,
+
+        errorPattern: /\b(error|exception|fatal|failed)\b|✗|__CLI_EXIT_CODE_[1-9]/i,
+        warningPattern: /\bwarn(ing)?\b|⚠/i,
+
+        getLog(moduleCard) {
+            if (!moduleCard._log) {
+                moduleCard._log = {
+                    lines: [],
+                    partial: '',
+                    style: AnsiRenderer.defaultStyle,
+                    dropped: 0,
+                    firstError: null,
+                    view: [],
+                    filter: 'all',
+                    query: '',
+                    follow: true,
+                    target: null,
+                    renderQueued: false,
+                    migrationId: null
+                };
+            }
+            return moduleCard._log;
         },
 
-        dependencies: {
-            'image-migration': {
-                requires: ['switch-to-do'],
-                message: 'You must complete the Filesystem Switch (Phase 4) before running File Migration (Phase 5). Switching filesystems first ensures volumes point to DigitalOcean during migration.'
-            },
-            'switch-to-do': {
-                requires: ['migration-check'],
-                message: 'You must run Pre-Flight Checks (Phase 1) before switching filesystems.'
+        classify(text) {
+            if (this.errorPattern.test(text)) {
+                return 'error';
             }
+            return this.warningPattern.test(text) ? 'warning' : 'info';
         },
 
-        validateWorkflowOrder(moduleId) {
-            const dep = this.dependencies[moduleId];
-            if (!dep) return true;
+        // Entries keep the visible text (used for filtering and search) and the colour segments
+        createEntry(parsed, number) {
+            return { text: parsed.text, segments: parsed.segments, level: this.classify(parsed.text), number: number };
+        },
 
-            const missing = dep.requires.filter(reqId => !StateManager.isCompleted(reqId));
+        append(moduleCard, text) {
+            const log = this.getLog(moduleCard);
+            const parts = (log.partial + text).split(/\r?\n/);
 
-            if (missing.length > 0) {
-                UIManager.showWarningBanner('Workflow Order Issue', dep.message);
-                return false;
+            // An unterminated last line is shown but kept open for the next chunk; "\r"
+            // progress updates inside it overwrite each other until the newline arrives
+            log.partial = parts.pop();
+
+            parts.forEach(line => {
+                // Colours carry over to the next line until they are reset, as in a terminal
+                const parsed = AnsiRenderer.parse(line, log.style);
+                log.style = parsed.style;
+
+                const entry = this.createEntry(parsed, log.dropped + log.lines.length + 1);
+                if (entry.level === 'error' && !log.firstError) {
+                    log.firstError = entry;
+                }
+                log.lines.push(entry);
+            });
+
+            // Trim in batches so the array is not shifted on every line
+            if (log.lines.length > this.maxLines + 500) {
+                const excess = log.lines.length - this.maxLines;
+                log.lines.splice(0, excess);
+                log.dropped += excess;
             }
 
-            return true;
+            this.scheduleRender(moduleCard);
         },
 
-        updateWorkflowStepper() {
-            let currentPhase = 0;
+        reset(moduleCard, text = '') {
+            const log = this.getLog(moduleCard);
+            log.lines = [];
+            log.partial = '';
+            log.style = AnsiRenderer.defaultStyle;
+            log.dropped = 0;
+            log.firstError = null;
+            log.follow = true;
+            log.target = null;
+
+            if (text) {
+                this.append(moduleCard, text);
+            } else {
+                this.scheduleRender(moduleCard);
+            }
+        },
 
-            for (let phase = 7; phase >= 0; phase--) {
-                const phaseModules = this.phaseCheckpoints[phase];
-                if (phaseModules && phaseModules.some(moduleId => StateManager.isCompleted(moduleId))) {
-                    currentPhase = phase + 1;
-                    break;
-                }
+        matches(entry, log) {
+            if (log.filter === 'error' && entry.level !== 'error') {
+                return false;
+            }
+            if (log.filter === 'warning' && entry.level === 'info') {
+                return false;
             }
+            return !log.query || entry.text.toLowerCase().includes(log.query);
+        },
 
-            document.querySelectorAll('.stepper-step').forEach((step) => {
-                const stepPhase = parseInt(step.getAttribute('data-phase'));
-                step.classList.remove('active', 'completed');
+        scheduleRender(moduleCard) {
+            const log = this.getLog(moduleCard);
+            if (log.renderQueued) {
+                return;
+            }
 
-                if (stepPhase < currentPhase) {
-                    step.classList.add('completed');
-                } else if (stepPhase === currentPhase) {
-                    step.classList.add('active');
-                }
+            log.renderQueued = true;
+            requestAnimationFrame(() => {
+                log.renderQueued = false;
+                this.render(moduleCard);
             });
         },
 
-        handleManualStepCompletion(moduleCard, moduleId, moduleTitle) {
-            if (StateManager.isCompleted(moduleId)) {
-                Craft.cp.displayNotice('This step is already marked as completed');
+        render(moduleCard) {
+            const log = this.getLog(moduleCard);
+            const viewport = moduleCard.querySelector('.log-viewport');
+            if (!viewport) {
                 return;
             }
 
-            const message = `
-                <p><strong>${moduleTitle}</strong></p>
-                <div class="manual-completion-checklist">
-                    <h4>Before confirming, ensure you have:</h4>
-                    <ul>
-                        <li>✓ Followed all instructions for this step</li>
-                        <li>✓ Run all required CLI commands successfully</li>
-                        <li>✓ Verified the output shows no errors</li>
-                        <li>✓ Documented any issues or deviations</li>
-                    </ul>
-                </div>
-                <p style="color: #6b7280; font-size: 13px; margin-top: 10px;">
-                    This will mark the step as completed. You can view the instructions by expanding the module card.
-                </p>
-            `;
+            const entries = log.partial
+                ? log.lines.concat([this.createEntry(AnsiRenderer.parse(log.partial, log.style), log.dropped + log.lines.length + 1)])
+                : log.lines;
+            log.view = log.filter === 'all' && !log.query ? entries : entries.filter(entry => this.matches(entry, log));
 
-            UIManager.showConfirmationDialog(
-                'Confirm Manual Step Completion',
-                message,
-                () => {
-                    if (moduleCard && moduleId) {
-                        moduleCard.classList.add('module-completed', 'manual-completed');
-                        const statusIndicator = moduleCard.querySelector('.status-indicator');
-                        if (statusIndicator) {
-                            statusIndicator.textContent = '✓';
-                            statusIndicator.classList.add('completed');
-                        }
-
-                        const runBtn = moduleCard.querySelector('.run-module-btn');
-                        if (runBtn) {
-                            runBtn.textContent = 'Completed ✓';
-                            runBtn.disabled = true;
-                        }
-
-                        StateManager.addCompleted(moduleId);
-                        APIClient.updateModuleStatus(moduleId, 'completed').catch(console.error);
-
-                        this.updateWorkflowStepper();
-
-                        Craft.cp.displayNotice(`✓ ${moduleTitle} marked as completed`);
-                        AccessibilityManager.announceToScreenReader(`${moduleTitle} marked as completed`);
-                    }
-                },
-                {
-                    icon: '📋',
-                    className: 'confirmation-dialog manual-completion-modal',
-                    confirmText: "Yes, I've Completed This Step",
-                    cancelText: 'Not Yet'
-                }
-            );
-        }
-    };
-
-    // ============================================================================
-    // PROGRESS MONITOR
-    // ============================================================================
-    const ProgressMonitor = {
-        pollQueueJobProgress(moduleCard, command, jobId, migrationId, isDryRun) {
-            const commandName = command.split('/').pop().replace(/-/g, ' ');
-            UIManager.updateModuleProgress(moduleCard, 5, 'Waiting for queue to pick up job...');
+            viewport.querySelector('.log-spacer').style.height = `${log.view.length * this.lineHeight}px`;
+            if (log.follow) {
+                viewport.scrollTop = viewport.scrollHeight;
+            }
 
-            const pollInterval = setInterval(async () => {
-                try {
-                    const response = await fetch(`${Config.data.queueProgressUrl}?jobId=${jobId}&migrationId=${migrationId}`, {
-                        headers: {
-                            'X-Requested-With': 'XMLHttpRequest',
-                            'Accept': 'application/json'
-                        }
-                    });
+            this.renderWindow(moduleCard);
+            this.updateToolbar(moduleCard);
+        },
 
-                    const data = await response.json();
+        renderWindow(moduleCard) {
+            const log = this.getLog(moduleCard);
+            const viewport = moduleCard.querySelector('.log-viewport');
+            const container = viewport ? viewport.querySelector('.log-lines') : null;
+            if (!container) {
+                return;
+            }
 
-                    if (data.status === 'completed') {
-                        clearInterval(pollInterval);
-                        StateManager.clearPollingInterval(`queue-${jobId}`);
+            const visibleRows = Math.ceil((viewport.clientHeight || 300) / this.lineHeight);
+            const start = Math.max(0, Math.floor(viewport.scrollTop / this.lineHeight) - this.overscan);
+            const end = Math.min(log.view.length, start + visibleRows + this.overscan * 2);
 
-                        UIManager.updateModuleProgress(moduleCard, 100, 'Completed!');
+            const fragment = document.createDocumentFragment();
+            for (let i = start; i < end; i++) {
+                fragment.appendChild(this.createLineElement(log.view[i], log.query, log.target));
+            }
 
-                        if (data.output) {
-                            UIManager.showModuleOutput(moduleCard, data.output);
-                        }
+            container.style.transform = `translateY(${start * this.lineHeight}px)`;
+            container.replaceChildren(fragment);
+        },
 
-                        UIManager.markModuleCompleted(moduleCard, command);
-                        StateManager.removeRunning(command);
-                        UIManager.setModuleRunning(moduleCard, false);
-                    } else if (data.status === 'failed') {
-                        clearInterval(pollInterval);
-                        StateManager.clearPollingInterval(`queue-${jobId}`);
-
-                        UIManager.showModuleOutput(moduleCard, data.error || 'Job failed');
-                        Craft.cp.displayError('Command failed: ' + (data.error || 'Unknown error'));
-
-                        StateManager.removeRunning(command);
-                        UIManager.setModuleRunning(moduleCard, false);
-                    } else if (data.status === 'running') {
-                        if (data.progress !== undefined) {
-                            UIManager.updateModuleProgress(moduleCard, data.progress, data.progressText || 'Processing...');
-                        }
+        createLineElement(entry, query, target) {
+            const line = document.createElement('div');
+            line.className = `log-line log-line-${entry.level}`;
+            if (entry.number === target) {
+                line.classList.add('log-line-target');
+            }
 
-                        if (data.output) {
-                            UIManager.showModuleOutput(moduleCard, data.output);
-                        }
+            if (!query && !entry.segments) {
+                line.textContent = entry.text;
+                return line;
+            }
 
-                        if (data.stats) {
-                            UIManager.updateModuleStats(moduleCard, data.stats);
-                        }
-                    }
-                } catch (error) {
-                    console.error('Failed to poll job progress:', error);
+            const ranges = [];
+            if (query) {
+                const lower = entry.text.toLowerCase();
+                let index = 0;
+                while ((index = lower.indexOf(query, index)) !== -1) {
+                    ranges.push([index, index + query.length]);
+                    index += query.length;
                 }
-            }, 2000);
+            }
+            AnsiRenderer.render(line, entry, ranges);
 
-            StateManager.setPollingInterval(`queue-${jobId}`, pollInterval);
+            return line;
         },
 
-        updateMigrationProgress(moduleCard, migrationId, retryCount = 0) {
-            const maxRetries = 3;
-
-            fetch(`${Config.data.migrationProgressUrl}?migrationId=${migrationId}`, {
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest',
-                    'Accept': 'application/json'
-                }
-            })
-            .then(response => response.json())
-            .then(data => {
-                if (data.progress !== undefined) {
-                    UIManager.updateModuleProgress(
-                        moduleCard,
-                        data.progress,
-                        data.currentPhase || 'Processing...'
-                    );
-                }
-
-                if (data.output) {
-                    UIManager.showModuleOutput(moduleCard, data.output);
-                }
+        updateToolbar(moduleCard) {
+            const log = this.getLog(moduleCard);
+            if (moduleCard._migrationId) {
+                log.migrationId = moduleCard._migrationId;
+            }
 
-                if (data.stats) {
-                    UIManager.updateModuleStats(moduleCard, data.stats);
+            const summary = moduleCard.querySelector('.log-summary');
+            if (summary) {
+                const total = log.dropped + log.lines.length;
+                let text = t('{count, plural, =1{# line} other{# lines}}', { count: total });
+                if (log.dropped > 0) {
+                    text += ', ' + t('last {count} kept', { count: log.lines.length });
                 }
-            })
-            .catch(error => {
-                if (retryCount < maxRetries) {
-                    setTimeout(() => {
-                        this.updateMigrationProgress(moduleCard, migrationId, retryCount + 1);
-                    }, 2000);
+                if (log.filter !== 'all' || log.query) {
+                    text += ', ' + t('{count} shown', { count: log.view.length });
                 }
-            });
-        },
+                summary.textContent = text;
+            }
 
-        parseProgressFromOutput(moduleCard, line) {
-            const progressMatch = line.match(/(\d+)%/);
-            if (progressMatch) {
-                const percent = parseInt(progressMatch[1], 10);
-                UIManager.updateModuleProgress(moduleCard, percent, line);
+            const jumpBtn = moduleCard.querySelector('.log-jump-error-btn');
+            if (jumpBtn) {
+                jumpBtn.disabled = !log.firstError;
             }
 
-            const statsMatch = line.match(/(\d+)\/(\d+)/);
-            if (statsMatch) {
-                const current = parseInt(statsMatch[1], 10);
-                const total = parseInt(statsMatch[2], 10);
-                const percent = Math.round((current / total) * 100);
-                UIManager.updateModuleProgress(moduleCard, percent, line);
+            const downloadLink = moduleCard.querySelector('.log-download-btn');
+            if (downloadLink && log.migrationId && Config.logsUrl) {
+                const params = new URLSearchParams({ migrationId: log.migrationId, download: '1' });
+                downloadLink.href = `${Config.logsUrl}?${params.toString()}`;
+                downloadLink.hidden = false;
             }
-        }
-    };
+        },
 
-    // ============================================================================
-    // COMMAND EXECUTOR
-    // ============================================================================
-    const CommandExecutor = {
-        criticalModules: ['switch-to-do', 'image-migration', 'filesystem-switch/to-do'],
+        setQuery(moduleCard, query) {
+            const log = this.getLog(moduleCard);
+            log.query = query.trim().toLowerCase();
+            log.target = null;
+            this.render(moduleCard);
+        },
 
-        confirmations: {
-            'switch-to-do': {
-                title: 'Confirm Filesystem Switch',
-                message: '<strong>CRITICAL OPERATION:</strong> This will switch all volumes to use DigitalOcean Spaces. Ensure you have:<br/><br/>• Completed all previous phases<br/>• Synced files from AWS to DO using rclone<br/>• Created a database backup<br/><br/>This operation is reversible, but should be done carefully.'
-            },
-            'image-migration': {
-                title: 'Confirm File Migration',
-                message: '<strong>IMPORTANT:</strong> This will migrate all asset files from AWS to DigitalOcean. Ensure you have:<br/><br/>• Completed Filesystem Switch (Phase 4)<br/>• Sufficient disk space<br/>• Created a database backup<br/><br/>This process may take several hours and creates automatic backups.'
-            }
+        setFilter(moduleCard, filter) {
+            const log = this.getLog(moduleCard);
+            log.filter = filter;
+            log.target = null;
+            this.render(moduleCard);
         },
 
-        runCommand(command, args = {}) {
-            let moduleCard = document.querySelector(`.module-card[data-command="${command}"]`);
+        handleScroll(moduleCard) {
+            const log = this.getLog(moduleCard);
+            const viewport = moduleCard.querySelector('.log-viewport');
 
-            if (!moduleCard) {
-                const triggerButton = document.querySelector(`.run-module-btn[data-command="${command}"]`);
-                if (triggerButton) {
-                    moduleCard = triggerButton.closest('.module-card');
-                }
-            }
+            // Following resumes once the user scrolls back to the bottom
+            log.follow = viewport.scrollHeight - viewport.scrollTop - viewport.clientHeight < this.lineHeight * 2;
+            this.renderWindow(moduleCard);
+        },
 
-            if (!moduleCard) {
-                Craft.cp.displayError('Unable to locate module card for command: ' + command);
+        jumpToFirstError(moduleCard) {
+            const log = this.getLog(moduleCard);
+            if (!log.firstError) {
                 return;
             }
 
-            const moduleId = moduleCard.getAttribute('data-module-id');
-
-            if (StateManager.isRunning(command)) {
-                Craft.cp.displayNotice('This module is already running');
-                return;
+            if (log.firstError.number <= log.dropped) {
+                Craft.cp.displayNotice(t('The first error (line {line}) is no longer kept in the browser; download the full log to see it', { line: log.firstError.number }));
             }
 
-            if (!args.dryRun) {
-                if (!WorkflowManager.validateWorkflowOrder(moduleId)) {
-                    return;
+            let index = log.view.findIndex(entry => entry.level === 'error');
+            if (index === -1) {
+                // The error is hidden by the current search; show everything again
+                const search = moduleCard.querySelector('.log-search');
+                if (search) {
+                    search.value = '';
                 }
+                log.query = '';
+                this.render(moduleCard);
+                index = log.view.findIndex(entry => entry.level === 'error');
             }
 
-            if (this.criticalModules.includes(moduleId) && !args.yes && !args.dryRun) {
-                const config = this.confirmations[moduleId] || this.confirmations['switch-to-do'];
-
-                UIManager.showConfirmationDialog(config.title, config.message, () => {
-                    args.yes = true;
-                    this.runCommand(command, args);
-                });
+            if (index === -1) {
                 return;
             }
 
-            StateManager.addRunning(command);
-            UIManager.setModuleRunning(moduleCard, true);
+            const viewport = moduleCard.querySelector('.log-viewport');
+            log.follow = false;
+            log.target = log.view[index].number;
+            viewport.scrollTop = Math.max(0, (index - 2) * this.lineHeight);
+            this.renderWindow(moduleCard);
+            viewport.focus();
+        }
+    };
 
-            if (moduleId && !args.dryRun) {
-                APIClient.updateModuleStatus(moduleId, 'running').catch(console.error);
+    // ============================================================================
+    // UI MANAGER
+    // ============================================================================
+    const UIManager = {
+        showModuleOutput(moduleCard, output) {
+            const outputSection = moduleCard.querySelector('.module-output');
+
+            if (outputSection) {
+                outputSection.style.display = 'block';
+                LogViewer.reset(moduleCard, output);
             }
+        },
+
+        appendModuleOutput(moduleCard, text) {
+            LogViewer.append(moduleCard, text);
+        },
 
+        updateModuleProgress(moduleCard, percent, text) {
             const progressSection = moduleCard.querySelector('.module-progress');
+            const progressBar = moduleCard.querySelector('.progress-bar-fill');
+            const progressText = moduleCard.querySelector('.progress-text');
+
             if (progressSection) {
                 progressSection.style.display = 'block';
             }
 
-            // Always use SSE (hybrid) mode
-            this.runCommandSSE(moduleCard, command, args);
-        },
+            if (progressBar) {
+                progressBar.style.width = `${percent}%`;
+                progressBar.setAttribute('aria-valuenow', percent);
+            }
 
-        async runCommandQueue(moduleCard, command, args = {}) {
-            const commandName = command.split('/').pop().replace(/-/g, ' ');
-            UIManager.showModuleOutput(moduleCard, `Starting ${commandName} via queue system...\n`);
-            UIManager.updateModuleProgress(moduleCard, 0, 'Queuing job...');
+            if (progressText && text) {
+                progressText.textContent = text;
+            }
+        },
 
-            try {
-                const data = await APIClient.queueCommand(command, args);
+        updateModuleStats(moduleCard, stats) {
+            const statsContainer = moduleCard.querySelector('.module-stats');
+            if (!statsContainer) return;
 
-                if (data.success) {
-                    const { jobId, migrationId } = data;
+            statsContainer.replaceChildren();
+            statsContainer.style.display = 'block';
 
-                    UIManager.showModuleOutput(moduleCard,
-                        `Job queued successfully!\n` +
-                        `Job ID: ${jobId}\n` +
-                        `Migration ID: ${migrationId}\n\n` +
-                        `The command is now running in the background via Craft Queue.\n` +
-                        `You can safely refresh this page or open other admin windows.\n` +
-                        `The site/Control Panel will remain fully responsive.\n\n` +
-                        `Polling for progress updates every 2 seconds...\n\n`
-                    );
+            const statsList = document.createElement('ul');
+            statsList.className = 'stats-list';
 
-                    Craft.cp.displayNotice(data.message || 'Command queued successfully');
+            const statMappings = {
+                itemsProgress: t('Processed'),
+                processedAssets: t('Processed'),
+                totalAssets: t('Total Assets'),
+                filesProcessed: t('Files Processed'),
+                filesCopied: t('Files Copied'),
+                filesSkipped: t('Files Skipped'),
+                errors: t('Errors'),
+                currentPhase: t('Phase'),
+                bytesTransferred: t('Transferred'),
+                throughput: t('Rate'),
+                elapsedTime: t('Time Elapsed'),
+                estimatedRemaining: t('Time Remaining')
+            };
 
-                    ProgressMonitor.pollQueueJobProgress(moduleCard, command, jobId, migrationId, args.dryRun);
-                } else {
-                    throw new Error(data.error || 'Failed to queue command');
+            Object.entries(stats).forEach(([key, value]) => {
+                if (statMappings[key] && value !== null && value !== undefined && value !== '') {
+                    const li = document.createElement('li');
+                    const label = document.createElement('strong');
+                    label.textContent = t('{label}:', { label: statMappings[key] });
+                    li.append(label, ` ${value}`);
+                    statsList.appendChild(li);
                 }
-            } catch (error) {
-                UIManager.showModuleOutput(moduleCard, `Error: ${error.message}\n`);
-                Craft.cp.displayError('Failed to queue command: ' + error.message);
-                StateManager.removeRunning(command);
-                UIManager.setModuleRunning(moduleCard, false);
-            }
-        },
-
-        runCommandSSE(moduleCard, command, args = {}) {
-            const params = new URLSearchParams({
-                command: command,
-                dryRun: args.dryRun ? '1' : '0',
-                skipBackup: args.skipBackup ? '1' : '0',
-                skipInlineDetection: args.skipInlineDetection ? '1' : '0'
             });
 
-            const url = `${Config.streamMigrationUrl}?${params.toString()}`;
-
-            if (Config.isDevMode) {
-                UIManager.showModuleOutput(moduleCard, 'Connecting to stream...\n');
+            if (statsList.children.length > 0) {
+                statsContainer.appendChild(statsList);
             }
+        },
 
-            const eventSource = new EventSource(url);
-            let migrationId = null;
-            let detachedMode = false;
-
-            eventSource.onopen = () => {
-                if (Config.isDevMode) {
-                    UIManager.appendModuleOutput(moduleCard, 'Connected to stream. Starting migration...\n\n');
-                }
-            };
-
-            eventSource.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
+        setModuleRunning(moduleCard, isRunning) {
+            const runBtn = moduleCard.querySelector('.run-module-btn');
+            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
+            const statusIndicator = moduleCard.querySelector('.status-indicator');
 
-                    // Store migrationId from backend
-                    if (data.migrationId && !migrationId) {
-                        migrationId = data.migrationId;
-                        moduleCard._migrationId = migrationId;
-                    }
+            if (isRunning) {
+                moduleCard.classList.add('module-running');
+                moduleCard.classList.remove('module-completed');
+                this.clearModuleStatus(moduleCard);
 
-                    // Handle both 'type' (legacy) and 'status' (current) fields
-                    const eventType = data.type || data.status;
-                    this.handleStreamEvent(moduleCard, command, eventType, data, args.dryRun);
+                if (runBtn) {
+                    runBtn.disabled = true;
+                    runBtn.textContent = t('Running...');
+                }
 
-                    // If we received 'detached' status, mark for graceful close
-                    if (data.status === 'detached') {
-                        detachedMode = true;
-                    }
-                } catch (error) {
-                    UIManager.appendModuleOutput(moduleCard, event.data + '\n');
+                if (cancelBtn) {
+                    cancelBtn.style.display = 'inline-block';
                 }
-            };
 
-            eventSource.onerror = (error) => {
-                console.error('SSE Error:', error);
-                eventSource.close();
+                if (statusIndicator) {
+                    statusIndicator.textContent = '⟳';
+                    statusIndicator.classList.add('running');
+                    statusIndicator.classList.remove('completed');
+                }
+            } else {
+                moduleCard.classList.remove('module-running');
+                this.setConnectionState(moduleCard, null);
 
-                // Only show error if not in detached mode (expected close)
-                if (!detachedMode) {
-                    StateManager.removeRunning(command);
-                    UIManager.setModuleRunning(moduleCard, false);
+                if (runBtn) {
+                    runBtn.disabled = false;
+                    const originalText = runBtn.getAttribute('data-original-text') || t('Run');
+                    runBtn.textContent = originalText;
+                }
 
-                    if (error.target.readyState === EventSource.CLOSED) {
-                        UIManager.appendModuleOutput(moduleCard, '\nStream closed unexpectedly.\n');
-                    }
+                if (cancelBtn) {
+                    cancelBtn.style.display = 'none';
                 }
-                // In detached mode, polling will handle progress updates
-            };
 
-            moduleCard._eventSource = eventSource;
+                if (statusIndicator) {
+                    statusIndicator.textContent = '○';
+                    statusIndicator.classList.remove('running');
+                }
+            }
         },
 
-        handleStreamEvent(moduleCard, command, eventType, eventData, isDryRun) {
-            switch (eventType) {
-                case 'starting':
-                    if (eventData.message && Config.isDevMode) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
-                    }
-                    break;
+        markModuleCompleted(moduleCard, command) {
+            // A successful dry run says nothing about the module's real status
+            if (moduleCard._dryRun) {
+                StateManager.removeRunning(command);
+                this.setModuleRunning(moduleCard, false);
+                Craft.cp.displayNotice('✓ ' + t('Dry run completed'));
+                AccessibilityManager.announceToScreenReader(t('Dry run completed'));
+                PipelineRunner.handleModuleOutcome(moduleCard, 'completed');
+                return;
+            }
 
-                case 'running':
-                    if (eventData.message && Config.isDevMode) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
-                    }
-                    if (eventData.pid && Config.isDevMode) {
-                        UIManager.appendModuleOutput(moduleCard, `Process ID: ${eventData.pid}\n`);
-                    }
-                    break;
+            moduleCard.classList.remove('module-running');
+            this.renderModuleCompleted(moduleCard, new Date().toISOString());
 
-                case 'detached':
-                    // Process is running in background, switch to polling mode
-                    if (eventData.message && Config.isDevMode) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
-                    }
-                    if (eventData.pollEndpoint) {
-                        if (Config.isDevMode) {
-                            UIManager.appendModuleOutput(moduleCard, 'Switching to polling mode for progress updates...\n');
-                        }
-                        this.startPollingProgress(moduleCard, command, eventData.migrationId);
-                    }
-                    // Close the SSE connection gracefully
-                    if (moduleCard._eventSource) {
-                        moduleCard._eventSource.close();
-                    }
-                    break;
+            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
+            if (cancelBtn) {
+                cancelBtn.style.display = 'none';
+            }
 
-                case 'progress':
-                    if (eventData.percent !== undefined) {
-                        UIManager.updateModuleProgress(moduleCard, eventData.percent, eventData.message || '');
-                    }
-                    if (eventData.message) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
-                    }
-                    if (eventData.output) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.output);
-                    }
-                    break;
+            const moduleId = moduleCard.getAttribute('data-module-id');
+            if (moduleId) {
+                StateManager.addCompleted(moduleId);
+                this.persistModuleStatus(moduleCard, 'completed');
+            }
 
-                case 'output':
-                    if (eventData.line) {
-                        UIManager.appendModuleOutput(moduleCard, eventData.line + '\n');
-                        ProgressMonitor.parseProgressFromOutput(moduleCard, eventData.line);
-                    }
-                    break;
+            WorkflowManager.updateWorkflowStepper();
 
-                case 'stats':
-                    UIManager.updateModuleStats(moduleCard, eventData);
-                    break;
+            Craft.cp.displayNotice('✓ ' + t('Command completed successfully'));
+            AccessibilityManager.announceToScreenReader(t('Command completed successfully'));
+            PipelineRunner.handleModuleOutcome(moduleCard, 'completed');
+        },
+
+        renderModuleCompleted(moduleCard, completedAt = null) {
+            moduleCard.classList.add('module-completed');
+
+            const statusIndicator = moduleCard.querySelector('.status-indicator');
+            if (statusIndicator) {
+                statusIndicator.textContent = '✓';
+                statusIndicator.classList.remove('running');
+                statusIndicator.classList.add('completed');
+            }
+
+            const runBtn = moduleCard.querySelector('.primary-action-btn') || moduleCard.querySelector('.run-module-btn');
+            if (runBtn) {
+                runBtn.textContent = t('Completed') + ' ✓';
+                runBtn.disabled = true;
+            }
+
+            this.showModuleStatus(moduleCard, 'completed', null, completedAt);
+        },
+
+        resetModuleCard(moduleCard, moduleState = null) {
+            moduleCard.classList.remove('module-completed', 'manual-completed');
+
+            const statusIndicator = moduleCard.querySelector('.status-indicator');
+            if (statusIndicator) {
+                statusIndicator.textContent = '';
+                statusIndicator.classList.remove('completed');
+            }
+
+            const runBtn = moduleCard.querySelector('.primary-action-btn') || moduleCard.querySelector('.run-module-btn');
+            if (runBtn) {
+                runBtn.disabled = false;
+                runBtn.textContent = runBtn.getAttribute('data-original-text') || t('Run');
+            }
+
+            this.clearModuleStatus(moduleCard);
+            if (moduleState) {
+                this.applyModuleState(moduleCard, moduleState);
+            }
+        },
+
+        showQueueFallback(moduleCard, reason, handlers) {
+            this.hideQueueFallback(moduleCard);
+
+            const banner = document.createElement('div');
+            banner.className = 'queue-fallback';
+            banner.setAttribute('role', 'alert');
+
+            const text = document.createElement('p');
+            text.textContent = t('{reason} Run it through the Craft queue instead?', { reason });
+            banner.appendChild(text);
+
+            const actions = document.createElement('div');
+            actions.className = 'queue-fallback-actions';
+
+            const relaunchBtn = document.createElement('button');
+            relaunchBtn.type = 'button';
+            relaunchBtn.className = 'btn small submit';
+            relaunchBtn.textContent = t('Run via queue');
+            relaunchBtn.addEventListener('click', handlers.onRelaunch);
+
+            const dismissBtn = document.createElement('button');
+            dismissBtn.type = 'button';
+            dismissBtn.className = 'btn small';
+            dismissBtn.textContent = StateManager.isRunning(moduleCard.getAttribute('data-command')) ? t('Keep waiting') : t('Dismiss');
+            dismissBtn.addEventListener('click', handlers.onDismiss);
+
+            actions.appendChild(relaunchBtn);
+            actions.appendChild(dismissBtn);
+            banner.appendChild(actions);
+
+            const anchor = moduleCard.querySelector('.module-progress');
+            moduleCard.insertBefore(banner, anchor || null);
+            AccessibilityManager.announceToScreenReader(text.textContent);
+        },
+
+        hideQueueFallback(moduleCard) {
+            const banner = moduleCard.querySelector('.queue-fallback');
+            if (banner) {
+                banner.remove();
+            }
+        },
+
+        setConnectionState(moduleCard, state) {
+            const labels = {
+                connected: '● ' + t('Connected'),
+                reconnecting: '◌ ' + t('Reconnecting…'),
+                polling: '↻ ' + t('Polling')
+            };
+
+            let indicator = moduleCard.querySelector('.connection-state');
+
+            if (!state) {
+                if (indicator) {
+                    indicator.remove();
+                }
+                return;
+            }
+
+            if (!indicator) {
+                const progressInfo = moduleCard.querySelector('.progress-info');
+                if (!progressInfo) {
+                    return;
+                }
+                indicator = document.createElement('span');
+                indicator.className = 'connection-state';
+                indicator.setAttribute('role', 'status');
+                progressInfo.appendChild(indicator);
+            }
+
+            if (indicator.dataset.state !== state) {
+                indicator.dataset.state = state;
+                indicator.textContent = labels[state] || state;
+            }
+        },
+
+        persistModuleStatus(moduleCard, status, error = null) {
+            const moduleId = moduleCard.getAttribute('data-module-id');
+            if (!moduleId || moduleCard._dryRun) {
+                return;
+            }
+
+            APIClient.updateModuleStatus(moduleId, status, error)
+                .then(() => RunCoordinator.announce('module-status', { moduleId, status }))
+                .catch(err => {
+                    console.error(`Failed to save ${status} status:`, err);
+                });
+        },
+
+        // The run was refused: it is running elsewhere, the migration lock is held or the session expired
+        markModuleBlocked(moduleCard, command, message) {
+            StateManager.removeRunning(command);
+            this.setModuleRunning(moduleCard, false);
+            this.appendModuleOutput(moduleCard, `\n⛔ ${message}\n`);
+            Craft.cp.displayError(message);
+            PipelineRunner.handleModuleOutcome(moduleCard, 'failed', message);
+            RunCoordinator.refresh();
+        },
+
+        markModuleFailed(moduleCard, command, errorMessage) {
+            StateManager.removeRunning(command);
+            this.setModuleRunning(moduleCard, false);
+
+            if (moduleCard._dryRun) {
+                PipelineRunner.handleModuleOutcome(moduleCard, 'failed', errorMessage || t('Dry run failed'));
+                return;
+            }
+
+            const message = errorMessage || t('Unknown error');
+            this.showModuleStatus(moduleCard, 'failed', message, new Date().toISOString());
+            this.persistModuleStatus(moduleCard, 'failed', message);
+            AccessibilityManager.announceToScreenReader(t('Command failed'));
+            PipelineRunner.handleModuleOutcome(moduleCard, 'failed', message);
+        },
+
+        applyModuleState(moduleCard, moduleState) {
+            const timestamps = {
+                completed: moduleState.completedAt,
+                failed: moduleState.failedAt,
+                cancelled: moduleState.cancelledAt,
+                skipped: moduleState.skippedAt
+            };
 
+            switch (moduleState.status) {
                 case 'completed':
-                case 'complete':
-                    UIManager.updateModuleProgress(moduleCard, 100, 'Completed!');
-                    UIManager.appendModuleOutput(moduleCard, '\n✓ Command completed successfully!\n');
-                    UIManager.markModuleCompleted(moduleCard, command);
-                    StateManager.removeRunning(command);
-                    UIManager.setModuleRunning(moduleCard, false);
-                    if (moduleCard._eventSource) {
-                        moduleCard._eventSource.close();
-                    }
-                    // Stop polling if active
-                    if (moduleCard._pollInterval) {
-                        clearInterval(moduleCard._pollInterval);
-                        moduleCard._pollInterval = null;
-                    }
+                    this.renderModuleCompleted(moduleCard, moduleState.completedAt || moduleState.updatedAt || null);
                     break;
-
                 case 'failed':
-                case 'error':
-                    UIManager.appendModuleOutput(moduleCard, `\n✗ Error: ${eventData.message || eventData.error}\n`);
-                    if (eventData.error || eventData.message) {
-                        Craft.cp.displayError('Command failed: ' + (eventData.error || eventData.message));
-                    }
-                    StateManager.removeRunning(command);
-                    UIManager.setModuleRunning(moduleCard, false);
-                    if (moduleCard._eventSource) {
-                        moduleCard._eventSource.close();
-                    }
-                    // Stop polling if active
-                    if (moduleCard._pollInterval) {
-                        clearInterval(moduleCard._pollInterval);
-                        moduleCard._pollInterval = null;
+                case 'cancelled':
+                case 'skipped':
+                    this.showModuleStatus(
+                        moduleCard,
+                        moduleState.status,
+                        moduleState.error || null,
+                        timestamps[moduleState.status] || moduleState.updatedAt || null
+                    );
+                    break;
+                case 'pending':
+                    this.clearModuleStatus(moduleCard);
+                    if (moduleState.resetAt) {
+                        const reason = moduleState.resetReason || t('no reason given');
+                        this.showModuleStatus(
+                            moduleCard,
+                            'pending',
+                            moduleState.resetBy
+                                ? t('Reset by {user}: {reason}', { user: moduleState.resetBy, reason })
+                                : t('Reset: {reason}', { reason }),
+                            moduleState.resetAt
+                        );
                     }
                     break;
             }
         },
 
-        startPollingProgress(moduleCard, command, migrationId) {
-            // Poll every 2 seconds for progress updates
-            const pollInterval = 2000;
+        showModuleStatus(moduleCard, status, message, timestamp) {
+            const labels = {
+                completed: t('Completed'),
+                failed: t('Failed'),
+                cancelled: t('Cancelled'),
+                skipped: t('Skipped'),
+                pending: t('Not completed')
+            };
+            const icons = {
+                failed: '✗',
+                cancelled: '⊘',
+                skipped: '↷'
+            };
 
-            const pollForProgress = async () => {
-                try {
-                    const url = `${Config.liveMonitorUrl}?migrationId=${encodeURIComponent(migrationId)}`;
-                    const response = await fetch(url, {
-                        headers: {
-                            'X-Requested-With': 'XMLHttpRequest',
-                            'Accept': 'application/json'
-                        }
-                    });
+            this.clearModuleStatus(moduleCard);
 
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}`);
-                    }
+            if (icons[status]) {
+                moduleCard.classList.add(`module-${status}`);
 
-                    const data = await response.json();
+                const statusIndicator = moduleCard.querySelector('.status-indicator');
+                if (statusIndicator) {
+                    statusIndicator.textContent = icons[status];
+                }
+            }
 
-                    if (data.success && data.migration) {
-                        const migration = data.migration;
+            const detail = document.createElement('div');
+            detail.className = `module-status-detail status-${status}`;
+            detail.setAttribute('role', 'status');
 
-                        // Update progress
-                        if (migration.progressPercent !== undefined) {
-                            UIManager.updateModuleProgress(moduleCard, migration.progressPercent, migration.phase || '');
-                        }
+            const heading = document.createElement('strong');
+            heading.textContent = labels[status] || status;
+            detail.appendChild(heading);
 
-                        // Append new output if available
-                        if (data.logs && data.logs.length > 0) {
-                            const lastOutputLine = moduleCard._lastOutputLine || 0;
-                            const newLines = data.logs.slice(lastOutputLine);
-                            if (newLines.length > 0) {
-                                newLines.forEach(line => {
-                                    UIManager.appendModuleOutput(moduleCard, line + '\n');
-                                });
-                                moduleCard._lastOutputLine = data.logs.length;
-                            }
-                        }
+            if (timestamp) {
+                const time = document.createElement('time');
+                time.dateTime = timestamp;
+                time.textContent = ` · ${new Date(timestamp).toLocaleString()}`;
+                detail.appendChild(time);
+            }
 
-                        // Check if completed or failed
-                        if (migration.status === 'completed') {
-                            UIManager.updateModuleProgress(moduleCard, 100, 'Completed!');
-                            UIManager.appendModuleOutput(moduleCard, '\n✓ Command completed successfully!\n');
-                            UIManager.markModuleCompleted(moduleCard, command);
-                            StateManager.removeRunning(command);
-                            UIManager.setModuleRunning(moduleCard, false);
-                            if (moduleCard._pollInterval) {
-                                clearInterval(moduleCard._pollInterval);
-                                moduleCard._pollInterval = null;
-                            }
-                        } else if (migration.status === 'failed') {
-                            UIManager.appendModuleOutput(moduleCard, `\n✗ Command failed: ${migration.errorMessage || 'Unknown error'}\n`);
-                            StateManager.removeRunning(command);
-                            UIManager.setModuleRunning(moduleCard, false);
-                            if (moduleCard._pollInterval) {
-                                clearInterval(moduleCard._pollInterval);
-                                moduleCard._pollInterval = null;
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.error('Polling error:', error);
-                    // Continue polling despite errors
+            if (message) {
+                const messageEl = document.createElement('p');
+                messageEl.className = 'module-status-message';
+                messageEl.textContent = message;
+                detail.appendChild(messageEl);
+            }
+
+            if (status === 'failed' || status === 'cancelled') {
+                const actions = document.createElement('div');
+                actions.className = 'module-status-actions';
+
+                const retryBtn = document.createElement('button');
+                retryBtn.type = 'button';
+                retryBtn.className = 'btn small retry-module-btn';
+                retryBtn.textContent = t('Retry');
+                actions.appendChild(retryBtn);
+
+                if (status === 'failed') {
+                    const skipBtn = document.createElement('button');
+                    skipBtn.type = 'button';
+                    skipBtn.className = 'btn small skip-module-btn';
+                    skipBtn.textContent = t('Skip');
+                    actions.appendChild(skipBtn);
                 }
-            };
 
-            // Start polling
-            moduleCard._pollInterval = setInterval(pollForProgress, pollInterval);
-            // Poll immediately
-            pollForProgress();
+                detail.appendChild(actions);
+            }
+
+            if (status === 'completed') {
+                const actions = document.createElement('div');
+                actions.className = 'module-status-actions';
+
+                const primaryBtn = moduleCard.querySelector('.primary-action-btn');
+                if (primaryBtn && !primaryBtn.hasAttribute('data-manual-step') && moduleCard.getAttribute('data-command')) {
+                    const rerunBtn = document.createElement('button');
+                    rerunBtn.type = 'button';
+                    rerunBtn.className = 'btn small rerun-module-btn';
+                    rerunBtn.textContent = t('Re-run');
+                    actions.appendChild(rerunBtn);
+                }
+
+                const incompleteBtn = document.createElement('button');
+                incompleteBtn.type = 'button';
+                incompleteBtn.className = 'btn small mark-incomplete-btn';
+                incompleteBtn.textContent = t('Mark incomplete');
+                actions.appendChild(incompleteBtn);
+
+                detail.appendChild(actions);
+            }
+
+            const anchor = moduleCard.querySelector('.module-actions');
+            if (anchor) {
+                anchor.after(detail);
+            } else {
+                moduleCard.appendChild(detail);
+            }
         },
 
-        cancelCommand(moduleCard, command) {
-            UIManager.showConfirmationDialog(
-                'Cancel Command',
-                'Are you sure you want to cancel this command? The process will be terminated.',
-                () => {
-                    if (moduleCard._eventSource) {
-                        moduleCard._eventSource.close();
-                    }
+        clearModuleStatus(moduleCard) {
+            moduleCard.classList.remove('module-failed', 'module-cancelled', 'module-skipped');
 
-                    StateManager.removeRunning(command);
-                    UIManager.setModuleRunning(moduleCard, false);
-                    UIManager.appendModuleOutput(moduleCard, '\n⚠ Command cancelled by user\n');
-                    Craft.cp.displayNotice('Command cancelled');
-                }
-            );
-        }
-    };
+            const detail = moduleCard.querySelector('.module-status-detail');
+            if (detail) {
+                detail.remove();
+            }
+        },
 
-    // ============================================================================
-    // LIVE MONITOR
-    // ============================================================================
-    const LiveMonitor = {
-        isOpen: false,
-        refreshInterval: null,
+        setModuleCancelling(moduleCard) {
+            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
+            if (cancelBtn) {
+                cancelBtn.disabled = true;
+                cancelBtn.classList.add('cancelling');
+                cancelBtn.textContent = t('Cancelling…');
+            }
 
-        init() {
-            const openBtn = document.getElementById('open-live-monitor-btn');
-            if (openBtn) {
-                openBtn.addEventListener('click', () => this.open());
+            const progressText = moduleCard.querySelector('.progress-text');
+            if (progressText) {
+                progressText.textContent = t('Cancelling…');
+            }
+
+            AccessibilityManager.announceToScreenReader(t('Cancelling command'));
+        },
+
+        markModuleCancelled(moduleCard, command) {
+            StateManager.removeRunning(command);
+            this.setModuleRunning(moduleCard, false);
+
+            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
+            if (cancelBtn) {
+                cancelBtn.disabled = false;
+                cancelBtn.classList.remove('cancelling');
+                cancelBtn.textContent = t('Cancel');
+            }
+
+            const statusIndicator = moduleCard.querySelector('.status-indicator');
+            if (statusIndicator) {
+                statusIndicator.textContent = '⊘';
+            }
+
+            const progressText = moduleCard.querySelector('.progress-text');
+            if (progressText) {
+                progressText.textContent = t('Cancelled');
+            }
+
+            if (!moduleCard._dryRun) {
+                this.showModuleStatus(moduleCard, 'cancelled', t('Cancelled by user'), new Date().toISOString());
+                this.persistModuleStatus(moduleCard, 'cancelled', t('Cancelled by user'));
+            }
+
+            Craft.cp.displayNotice(t('Command cancelled'));
+            AccessibilityManager.announceToScreenReader(t('Command cancelled'));
+            PipelineRunner.handleModuleOutcome(moduleCard, 'cancelled', t('Cancelled by user'));
+        },
+
+        openModal(modal) {
+            StateManager.lastFocusedElement = document.activeElement;
+            modal.style.display = 'flex';
+
+            const focusableElements = modal.querySelectorAll(StateManager.focusableElements);
+            if (focusableElements.length > 0) {
+                focusableElements[0].focus();
+            }
+
+            AccessibilityManager.trapFocus(modal);
+        },
+
+        closeModal(modal) {
+            modal.style.display = 'none';
+
+            if (typeof modal._onClose === 'function') {
+                modal._onClose();
+            }
+
+            if (StateManager.lastFocusedElement) {
+                StateManager.lastFocusedElement.focus();
+                StateManager.lastFocusedElement = null;
+            }
+        },
+
+        // Text arguments are escaped; message may be html`` markup
+        showConfirmationDialog(title, message, onConfirm, options = {}) {
+            StateManager.lastFocusedElement = document.activeElement;
+
+            const dialog = document.createElement('div');
+            dialog.className = options.className || 'confirmation-dialog';
+            dialog.setAttribute('role', 'alertdialog');
+            dialog.setAttribute('aria-labelledby', 'confirm-dialog-title');
+            dialog.setAttribute('aria-describedby', 'confirm-dialog-message');
+
+            const icon = options.icon || '⚠️';
+            const confirmText = options.confirmText || t('Confirm & Proceed');
+            const cancelText = options.cancelText || t('Cancel');
+
+            const reasonField = options.requireReason ? html`
+                    <label class="confirmation-dialog-reason">
+                        <span>${options.reasonLabel || t('Reason')}</span>
+                        <textarea class="text fullwidth reason-input" rows="3" maxlength="500" required></textarea>
+                    </label>` : '';
+
+            // The phrase is filled in below with textContent; it comes from server config
+            const phraseField = options.confirmPhrase ? html`
+                    <label class="confirmation-dialog-reason confirmation-dialog-phrase">
+                        <span>${Html.translate('Type {phrase} ({label}) to confirm', { phrase: html`<code class="confirm-phrase"></code>`, label: options.confirmPhraseLabel || t('the phrase') })}</span>
+                        <input type="text" class="text fullwidth phrase-input" autocomplete="off" spellcheck="false" required>
+                    </label>` : '';
+
+            Html.setContent(dialog, html`
+                <div class="confirmation-dialog-content">
+                    <div class="confirmation-dialog-icon" aria-hidden="true">${icon}</div>
+                    <h3 id="confirm-dialog-title" class="confirmation-dialog-title">${title}</h3>
+                    <div id="confirm-dialog-message" class="confirmation-dialog-message">${message}</div>${reasonField}${phraseField}
+                    <div class="confirmation-dialog-actions">
+                        <button type="button" class="btn secondary cancel-btn">${cancelText}</button>
+                        <button type="button" class="btn submit confirm-btn">${confirmText}</button>
+                    </div>
+                </div>
+            `);
+
+            document.body.appendChild(dialog);
+
+            setTimeout(() => {
+                const cancelBtn = dialog.querySelector('.cancel-btn');
+                if (cancelBtn) cancelBtn.focus();
+            }, 10);
+
+            AccessibilityManager.trapFocus(dialog);
+
+            const closeDialog = () => {
+                dialog.remove();
+                if (StateManager.lastFocusedElement) {
+                    StateManager.lastFocusedElement.focus();
+                    StateManager.lastFocusedElement = null;
+                }
+            };
+
+            dialog.querySelector('.cancel-btn').addEventListener('click', closeDialog);
+
+            const reasonInput = dialog.querySelector('.reason-input');
+            const phraseInput = dialog.querySelector('.phrase-input');
+            const confirmBtn = dialog.querySelector('.confirm-btn');
+
+            if (phraseInput) {
+                dialog.querySelector('.confirm-phrase').textContent = options.confirmPhrase;
+            }
+
+            const isComplete = () => (!reasonInput || reasonInput.value.trim() !== '')
+                && (!phraseInput || phraseInput.value.trim() === options.confirmPhrase);
+
+            if (reasonInput || phraseInput) {
+                confirmBtn.disabled = true;
+                [reasonInput, phraseInput].filter(Boolean).forEach(input => {
+                    input.addEventListener('input', () => {
+                        confirmBtn.disabled = !isComplete();
+                    });
+                });
+            }
+
+            confirmBtn.addEventListener('click', () => {
+                if (!isComplete()) {
+                    return;
+                }
+
+                const reason = reasonInput ? reasonInput.value.trim() : null;
+                const phrase = phraseInput ? phraseInput.value.trim() : null;
+
+                dialog.remove();
+                if (onConfirm) onConfirm(reason, phrase);
+            });
+
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) closeDialog();
+            });
+        },
+
+        // Text arguments are escaped; message may be html`` markup
+        showWarningBanner(title, message) {
+            const banner = document.createElement('div');
+            banner.className = 'order-warning-banner';
+            banner.style.animation = 'slideDown 0.3s ease';
+            Html.setContent(banner, html`
+                <div class="warning-icon">⚠️</div>
+                <div class="warning-content">
+                    <h4>${title}</h4>
+                    <p>${message}</p>
+                </div>
+                <button type="button" class="btn small dismiss-btn" style="margin-left: auto;">${t('Dismiss')}</button>
+            `);
+            banner.querySelector('.dismiss-btn').addEventListener('click', () => banner.remove());
+
+            const container = document.querySelector('.migration-dashboard');
+            if (container) {
+                container.insertBefore(banner, container.firstChild);
+
+                setTimeout(() => {
+                    if (banner.parentElement) {
+                        banner.remove();
+                    }
+                }, 10000);
+            }
+        },
+
+        setupCollapsiblePhases() {
+            const phaseSections = document.querySelectorAll('.phase-section');
+
+            phaseSections.forEach(section => {
+                const phaseId = section.getAttribute('data-phase-id');
+                const phaseHeader = section.querySelector('.phase-header');
+
+                if (!phaseHeader) return;
+
+                section.classList.add('collapsible');
+
+                const phaseNumber = phaseHeader.querySelector('.phase-number');
+                const phaseInfo = phaseHeader.querySelector('.phase-info');
+
+                if (phaseNumber && phaseInfo) {
+                    const wrapper = document.createElement('div');
+                    wrapper.className = 'phase-header-wrapper';
+
+                    const collapseIcon = document.createElement('span');
+                    collapseIcon.className = 'phase-collapse-icon';
+                    collapseIcon.setAttribute('aria-hidden', 'true');
+                    collapseIcon.textContent = '▼';
+
+                    const headerContent = document.createElement('div');
+                    headerContent.style.display = 'flex';
+                    headerContent.style.alignItems = 'center';
+                    headerContent.style.gap = '15px';
+                    headerContent.style.flex = '1';
+
+                    phaseHeader.appendChild(wrapper);
+                    wrapper.appendChild(headerContent);
+                    headerContent.appendChild(phaseNumber);
+                    headerContent.appendChild(phaseInfo);
+                    wrapper.appendChild(collapseIcon);
+                }
+
+                phaseHeader.addEventListener('click', function() {
+                    section.classList.toggle('collapsed');
+
+                    const collapsedPhases = JSON.parse(localStorage.getItem('collapsedPhases') || '[]');
+                    if (section.classList.contains('collapsed')) {
+                        if (!collapsedPhases.includes(phaseId)) {
+                            collapsedPhases.push(phaseId);
+                        }
+                    } else {
+                        const index = collapsedPhases.indexOf(phaseId);
+                        if (index > -1) {
+                            collapsedPhases.splice(index, 1);
+                        }
+                    }
+                    localStorage.setItem('collapsedPhases', JSON.stringify(collapsedPhases));
+                });
+
+                const collapsedPhases = JSON.parse(localStorage.getItem('collapsedPhases') || '[]');
+                if (collapsedPhases.includes(phaseId)) {
+                    section.classList.add('collapsed');
+                }
+            });
+        }
+    };
+
+    // ============================================================================
+    // WORKFLOW MANAGER
+    // ============================================================================
+    const WorkflowManager = {
+        // Relations come from ModuleDefinitionProvider::getWorkflowGraph()
+        get graph() {
+            return Config.workflow;
+        },
+
+        getModule(moduleId) {
+            return this.graph.modules[moduleId] || null;
+        },
+
+        getModuleTitle(moduleId) {
+            const module = this.getModule(moduleId);
+            return module ? module.title : moduleId;
+        },
+
+        // Critical modules carry a confirmation worded for the configured providers
+        getConfirmation(moduleId) {
+            const module = this.getModule(moduleId);
+            return module ? module.confirmation : null;
+        },
+
+        getMissingRequirements(moduleId) {
+            const module = this.getModule(moduleId);
+            if (!module) return [];
+
+            return module.requires.filter(reqId => !StateManager.isCompleted(reqId));
+        },
+
+        getMissingRecommendations(moduleId) {
+            const module = this.getModule(moduleId);
+            if (!module) return [];
+
+            return module.recommendedAfter.filter(reqId => !StateManager.isCompleted(reqId));
+        },
+
+        describeModules(moduleIds) {
+            return moduleIds.map(id => {
+                const module = this.getModule(id);
+                return module ? t('{title} (Phase {phase})', { title: module.title, phase: module.phase }) : id;
+            }).join(', ');
+        },
+
+        validateWorkflowOrder(moduleId) {
+            const missing = this.getMissingRequirements(moduleId);
+
+            if (missing.length > 0) {
+                const module = this.getModule(moduleId);
+                const message = module.requiresReason
+                    || t('{title} requires {modules} to be completed first.', { title: module.title, modules: this.describeModules(missing) });
+                UIManager.showWarningBanner(t('Workflow Order Issue'), message);
+                return false;
+            }
+
+            const recommended = this.getMissingRecommendations(moduleId);
+            if (recommended.length > 0) {
+                Craft.cp.displayNotice(t('Recommended to run first: {modules}', { modules: this.describeModules(recommended) }));
+            }
+
+            return true;
+        },
+
+        updateWorkflowStepper() {
+            let currentPhase = 0;
+            const phases = [...this.graph.phases].sort((a, b) => b.phase - a.phase);
+
+            for (const phase of phases) {
+                if (phase.milestones.some(moduleId => StateManager.isCompleted(moduleId))) {
+                    currentPhase = phase.phase + 1;
+                    break;
+                }
+            }
+
+            document.querySelectorAll('.stepper-step').forEach((step) => {
+                const stepPhase = parseInt(step.getAttribute('data-phase'));
+                step.classList.remove('active', 'completed');
+
+                if (stepPhase < currentPhase) {
+                    step.classList.add('completed');
+                } else if (stepPhase === currentPhase) {
+                    step.classList.add('active');
+                }
+            });
+
+            this.updateBlockers();
+        },
+
+        updateBlockers() {
+            document.querySelectorAll('.module-card[data-module-id]').forEach(moduleCard => {
+                const moduleId = moduleCard.getAttribute('data-module-id');
+                const missing = StateManager.isCompleted(moduleId) ? [] : this.getMissingRequirements(moduleId);
+                const recommended = StateManager.isCompleted(moduleId) ? [] : this.getMissingRecommendations(moduleId);
+
+                moduleCard.classList.toggle('module-blocked', missing.length > 0);
+
+                let blockers = moduleCard.querySelector('.module-blockers');
+                if (missing.length === 0 && recommended.length === 0) {
+                    if (blockers) blockers.remove();
+                    return;
+                }
+
+                if (!blockers) {
+                    blockers = document.createElement('div');
+                    blockers.className = 'module-blockers';
+                    const header = moduleCard.querySelector('.module-header');
+                    if (header) {
+                        header.after(blockers);
+                    } else {
+                        moduleCard.prepend(blockers);
+                    }
+                }
+
+                blockers.textContent = '';
+
+                if (missing.length > 0) {
+                    const line = document.createElement('p');
+                    line.className = 'blocker-required';
+                    line.textContent = '🔒 ' + t('Blocked until completed: {modules}', { modules: this.describeModules(missing) });
+                    blockers.appendChild(line);
+                }
+
+                if (recommended.length > 0) {
+                    const line = document.createElement('p');
+                    line.className = 'blocker-recommended';
+                    line.textContent = t('Recommended first: {modules}', { modules: this.describeModules(recommended) });
+                    blockers.appendChild(line);
+                }
+            });
+        },
+
+        handleManualStepCompletion(moduleCard, moduleId, moduleTitle) {
+            if (StateManager.isCompleted(moduleId)) {
+                Craft.cp.displayNotice(t('This step is already marked as completed'));
+                return;
+            }
+
+            const message = html`
+                <p><strong>${moduleTitle}</strong></p>
+                <div class="manual-completion-checklist">
+                    <h4>${t('Before confirming, ensure you have:')}</h4>
+                    <ul>
+                        <li>✓ ${t('Followed all instructions for this step')}</li>
+                        <li>✓ ${t('Run all required CLI commands successfully')}</li>
+                        <li>✓ ${t('Verified the output shows no errors')}</li>
+                        <li>✓ ${t('Documented any issues or deviations')}</li>
+                    </ul>
+                </div>
+                <p style="color: #6b7280; font-size: 13px; margin-top: 10px;">
+                    ${t('This will mark the step as completed. You can view the instructions by expanding the module card.')}
+                </p>
+            `;
+
+            UIManager.showConfirmationDialog(
+                t('Confirm Manual Step Completion'),
+                message,
+                () => {
+                    if (moduleCard && moduleId) {
+                        moduleCard.classList.add('manual-completed');
+                        UIManager.renderModuleCompleted(moduleCard, new Date().toISOString());
+
+                        StateManager.addCompleted(moduleId);
+                        APIClient.updateModuleStatus(moduleId, 'completed').catch(console.error);
+
+                        this.updateWorkflowStepper();
+
+                        Craft.cp.displayNotice('✓ ' + t('{title} marked as completed', { title: moduleTitle }));
+                        AccessibilityManager.announceToScreenReader(t('{title} marked as completed', { title: moduleTitle }));
+                    }
+                },
+                {
+                    icon: '📋',
+                    className: 'confirmation-dialog manual-completion-modal',
+                    confirmText: t("Yes, I've Completed This Step"),
+                    cancelText: t('Not Yet')
+                }
+            );
+        },
+
+        resetModule(moduleCard, resetAction) {
+            const moduleId = moduleCard.getAttribute('data-module-id');
+            const moduleTitle = moduleCard.querySelector('.module-title')?.textContent.trim() || t('this step');
+            const isRerun = resetAction === 'rerun';
+
+            UIManager.showConfirmationDialog(
+                isRerun ? t('Re-run Completed Step') : t('Mark Step Incomplete'),
+                html`<p>${isRerun
+                    ? Html.translate('{title} is already completed. It will be reset and run again.', { title: html`<strong>${moduleTitle}</strong>` })
+                    : Html.translate('{title} will no longer count as completed. Later steps that depend on it will be blocked until it completes again.', { title: html`<strong>${moduleTitle}</strong>` })}</p>`,
+                async (reason) => {
+                    try {
+                        const data = await APIClient.resetModuleStatus(moduleId, resetAction, reason);
+                        if (!data.success) {
+                            throw new Error(data.error || t('Reset failed'));
+                        }
+
+                        StateManager.removeCompleted(moduleId);
+                        const moduleState = data.state?.moduleStates?.[moduleId] || null;
+                        UIManager.resetModuleCard(moduleCard, moduleState);
+                        this.updateWorkflowStepper();
+
+                        AccessibilityManager.announceToScreenReader(t('{title} reset', { title: moduleTitle }));
+
+                        if (isRerun) {
+                            CommandExecutor.retryModule(moduleCard);
+                        } else {
+                            Craft.cp.displayNotice(t('{title} marked as incomplete', { title: moduleTitle }));
+                        }
+                    } catch (error) {
+                        Craft.cp.displayError(t('Failed to reset step: {error}', { error: error.message }));
+                    }
+                },
+                {
+                    icon: isRerun ? '↻' : '↩',
+                    confirmText: isRerun ? t('Reset & Run') : t('Mark Incomplete'),
+                    requireReason: true,
+                    reasonLabel: t('Reason (recorded in the audit trail)')
+                }
+            );
+        }
+    };
+
+    // ============================================================================
+    // PROGRESS MONITOR
+    // ============================================================================
+    const ProgressMonitor = {
+        // Time a queued job may wait for a runner before the user is warned
+        get staleQueueTimeout() {
+            return Config.queueStallSeconds * 1000;
+        },
+
+        // Watches the queue job behind a run: output and completion come from progress polling,
+        // this catches jobs the queue marks as failed and warns when no runner picks the job up
+        pollQueueJobProgress(moduleCard, command, jobId, migrationId) {
+            const key = `queue-${jobId}`;
+            const queuedAt = Date.now();
+            let warned = false;
+
+            const pollInterval = setInterval(async () => {
+                if (!moduleCard.classList.contains('module-running') || moduleCard._jobId !== jobId) {
+                    StateManager.clearPollingInterval(key);
+                    return;
+                }
+
+                try {
+                    const data = await APIClient.getQueueStatus(jobId, migrationId);
+                    if (!data.success) {
+                        return;
+                    }
+
+                    if (data.status === 'failed' && data.job) {
+                        StateManager.clearPollingInterval(key);
+
+                        const error = data.job.error || t('Queue job failed');
+                        if (moduleCard._pollInterval) {
+                            clearInterval(moduleCard._pollInterval);
+                            moduleCard._pollInterval = null;
+                        }
+                        UIManager.appendModuleOutput(moduleCard, `\n✗ ${t('Queue job failed: {error}', { error })}\n`);
+                        UIManager.markModuleFailed(moduleCard, command, error);
+                        return;
+                    }
+
+                    if (data.status === 'pending' && !warned && Date.now() - queuedAt > this.staleQueueTimeout) {
+                        warned = true;
+                        UIManager.appendModuleOutput(moduleCard, '\n⚠ ' + t('No queue runner has picked up this job yet. Make sure the queue is being processed (./craft queue/listen, a cron job running ./craft queue/run, or runQueueAutomatically).') + '\n');
+                        Craft.cp.displayNotice(t('The queued job is still waiting for a queue runner'));
+                    }
+                } catch (error) {
+                    console.error('Failed to poll job progress:', error);
+                }
+            }, 5000);
+
+            StateManager.setPollingInterval(key, pollInterval);
+        },
+
+        updateMigrationProgress(moduleCard, migrationId, retryCount = 0) {
+            const maxRetries = 3;
+
+            fetch(`${Config.data.migrationProgressUrl}?migrationId=${migrationId}`, {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                }
+            })
+            .then(response => response.json())
+            .then(data => {
+                if (data.progress !== undefined) {
+                    UIManager.updateModuleProgress(
+                        moduleCard,
+                        data.progress,
+                        data.currentPhase || t('Processing...')
+                    );
+                }
+
+                if (data.output) {
+                    UIManager.showModuleOutput(moduleCard, data.output);
+                }
+
+                if (data.stats) {
+                    UIManager.updateModuleStats(moduleCard, data.stats);
+                }
+            })
+            .catch(error => {
+                if (retryCount < maxRetries) {
+                    setTimeout(() => {
+                        this.updateMigrationProgress(moduleCard, migrationId, retryCount + 1);
+                    }, 2000);
+                }
+            });
+        },
+
+        // Fallback for commands that do not emit progress events: guesses from "NN%" and "N/M"
+        parseProgressFromOutput(moduleCard, line) {
+            if (moduleCard._progressEvent) {
+                return;
+            }
+
+            line = AnsiRenderer.strip(line);
+            const progressMatch = line.match(/(\d+)%/);
+            if (progressMatch) {
+                const percent = parseInt(progressMatch[1], 10);
+                UIManager.updateModuleProgress(moduleCard, percent, line);
+            }
+
+            const statsMatch = line.match(/(\d+)\/(\d+)/);
+            if (statsMatch) {
+                const current = parseInt(statsMatch[1], 10);
+                const total = parseInt(statsMatch[2], 10);
+                const percent = Math.round((current / total) * 100);
+                UIManager.updateModuleProgress(moduleCard, percent, line);
+            }
+        },
+
+        // Structured progress protocol (ProgressEvent.php): commands write one JSON event per
+        // marker line, and the live monitor serves the latest one as `progressEvent`
+        progressEventVersion: 1,
+        progressEventMarker: '__SM_PROGRESS__',
+
+        isProgressEvent(event) {
+            return !!event && typeof event === 'object'
+                && event.v === this.progressEventVersion
+                && typeof event.processed === 'number';
+        },
+
+        parseProgressEvent(line) {
+            const text = AnsiRenderer.strip(String(line)).trim();
+            if (!text.startsWith(this.progressEventMarker)) {
+                return null;
+            }
+
+            try {
+                const event = JSON.parse(text.slice(this.progressEventMarker.length));
+                return this.isProgressEvent(event) ? event : null;
+            } catch (error) {
+                return null;
+            }
+        },
+
+        // Applies the marker lines in a chunk of output and returns the text without them
+        consumeOutput(moduleCard, text) {
+            if (!text || !text.includes(this.progressEventMarker)) {
+                return text;
+            }
+
+            let latest = null;
+            const kept = text.split('\n').filter(line => {
+                const event = line.includes(this.progressEventMarker) ? this.parseProgressEvent(line) : null;
+                if (event) {
+                    latest = event;
+                }
+                return !event;
+            });
+
+            if (latest) {
+                this.applyProgressEvent(moduleCard, latest);
+            }
+            return kept.join('\n');
+        },
+
+        applyProgressEvent(moduleCard, event) {
+            if (!this.isProgressEvent(event)) {
+                return false;
+            }
+
+            // A slower poll can deliver an older report after a newer one
+            const previous = moduleCard._progressEvent;
+            if (previous && typeof event.at === 'number' && event.at < previous.at) {
+                return true;
+            }
+            moduleCard._progressEvent = event;
+
+            let percent = typeof event.percent === 'number' ? event.percent : null;
+            if (percent === null && event.total) {
+                percent = Math.round(event.processed / event.total * 1000) / 10;
+            }
+
+            const counts = event.total
+                ? `${event.processed.toLocaleString()}/${event.total.toLocaleString()}`
+                : t('{count} processed', { count: event.processed.toLocaleString() });
+            const label = [event.phase, counts].filter(Boolean).join(': ');
+
+            if (percent !== null) {
+                UIManager.updateModuleProgress(moduleCard, Math.min(100, Math.max(0, percent)), label);
+            } else {
+                const progressText = moduleCard.querySelector('.progress-text');
+                if (progressText) {
+                    progressText.textContent = label;
+                }
+            }
+
+            const stats = {
+                currentPhase: event.phase,
+                itemsProgress: counts,
+                errors: event.errors ? event.errors.toLocaleString() : null
+            };
+            if (event.bytesProcessed) {
+                stats.bytesTransferred = event.bytesTotal
+                    ? t('{done} of {total}', { done: this.formatBytes(event.bytesProcessed), total: this.formatBytes(event.bytesTotal) })
+                    : this.formatBytes(event.bytesProcessed);
+            }
+            if (event.bytesPerSecond) {
+                stats.throughput = `${this.formatBytes(event.bytesPerSecond)}/s`;
+            } else if (event.itemsPerSecond) {
+                stats.throughput = t('{count, plural, =1{# item/s} other{# items/s}}', { count: event.itemsPerSecond });
+            }
+            if (typeof event.elapsedSeconds === 'number') {
+                stats.elapsedTime = this.formatDuration(event.elapsedSeconds);
+            }
+            if (typeof event.etaSeconds === 'number' && percent !== 100) {
+                stats.estimatedRemaining = this.formatDuration(event.etaSeconds);
+            }
+            UIManager.updateModuleStats(moduleCard, stats);
+
+            return true;
+        },
+
+        formatBytes(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            let value = bytes;
+            let unit = 0;
+            while (value >= 1024 && unit < units.length - 1) {
+                value /= 1024;
+                unit++;
+            }
+            return `${unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+        },
+
+        // "2 minutes 5 seconds", "1 hour 40 minutes"
+        formatDuration(seconds) {
+            seconds = Math.round(seconds);
+            const hours = count => t('{count, plural, =1{# hour} other{# hours}}', { count });
+            const minutes = count => t('{count, plural, =1{# minute} other{# minutes}}', { count });
+            const secs = count => t('{count, plural, =1{# second} other{# seconds}}', { count });
+
+            if (seconds < 60) {
+                return secs(seconds);
+            }
+            if (seconds < 3600) {
+                return `${minutes(Math.floor(seconds / 60))} ${secs(seconds % 60)}`;
+            }
+            return `${hours(Math.floor(seconds / 3600))} ${minutes(Math.round((seconds % 3600) / 60))}`;
+        }
+    };
+
+    // ============================================================================
+    // MODULE OPTIONS
+    // ============================================================================
+    const ModuleOptions = {
+        // Reads a card's option form into { arguments, options, errors }; options left at their default are omitted
+        collect(moduleCard, markInvalid = true) {
+            const values = { arguments: {}, options: {}, errors: [] };
+
+            moduleCard.querySelectorAll('.module-option-input').forEach(input => {
+                const name = input.getAttribute('data-name');
+                const kind = input.getAttribute('data-kind');
+                const type = input.getAttribute('data-type');
+                const label = input.getAttribute('data-label') || name;
+                const defaultValue = input.getAttribute('data-default') || '';
+                const error = this.validateField(input, type, label);
+
+                if (markInvalid) {
+                    input.setAttribute('aria-invalid', error ? 'true' : 'false');
+                }
+                if (error) {
+                    values.errors.push(error);
+                    return;
+                }
+
+                const value = type === 'boolean' ? (input.checked ? '1' : '0') : input.value.trim();
+                if (value === '' || (kind === 'option' && value === defaultValue)) {
+                    return;
+                }
+
+                if (kind === 'argument') {
+                    values.arguments[name] = value;
+                } else {
+                    values.options[name] = value;
+                }
+            });
+
+            return values;
+        },
+
+        validateField(input, type, label) {
+            if (type === 'boolean') {
+                return null;
+            }
+
+            const value = input.value.trim();
+
+            // Number inputs report unparsable text as an empty value
+            if (input.validity && input.validity.badInput) {
+                return t('{label} must be a number', { label });
+            }
+
+            if (value === '') {
+                return input.required ? t('{label} is required', { label }) : null;
+            }
+
+            if (type === 'integer' && !/^-?\d+$/.test(value)) {
+                return t('{label} must be a whole number', { label });
+            }
+
+            if (type === 'number' && !Number.isFinite(Number(value))) {
+                return t('{label} must be a number', { label });
+            }
+
+            return null;
+        },
+
+        // Mirrors the server's formatting; the streamed 'starting' event carries the exact invocation
+        buildCommandLine(moduleCard, values) {
+            const parts = ['./craft', `spaghetti-migrator/${moduleCard.getAttribute('data-command')}`];
+            const pending = [];
+
+            // Skipped optional arguments keep their position when a later one is set
+            moduleCard.querySelectorAll('.module-option-input[data-kind="argument"]').forEach(input => {
+                const name = input.getAttribute('data-name');
+                if (Object.prototype.hasOwnProperty.call(values.arguments, name)) {
+                    parts.push(...pending, values.arguments[name]);
+                    pending.length = 0;
+                } else {
+                    pending.push(input.getAttribute('data-default') || '');
+                }
+            });
+
+            Object.entries(values.options).forEach(([name, value]) => {
+                parts.push(`--${name}=${value}`);
+            });
+
+            return parts.map((part, index) => index < 2 ? part : this.quote(part)).join(' ');
+        },
+
+        quote(value) {
+            return /^[\w.\/:@=,+-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+        },
+
+        updatePreview(moduleCard) {
+            const preview = moduleCard.querySelector('.module-options-preview');
+            if (!preview) {
+                return;
+            }
+
+            // Not flagged while typing; errors are reported when the module is run
+            const commandLine = this.buildCommandLine(moduleCard, this.collect(moduleCard, false));
+            preview.textContent = commandLine;
+
+            const copyBtn = moduleCard.querySelector('.copy-command-btn');
+            if (copyBtn) {
+                copyBtn.setAttribute('data-command', commandLine);
+            }
+        },
+
+        showErrors(moduleCard, errors) {
+            const details = moduleCard.querySelector('.module-options');
+            if (details) {
+                details.open = true;
+            }
+
+            const firstInvalid = moduleCard.querySelector('.module-option-input[aria-invalid="true"]');
+            if (firstInvalid) {
+                firstInvalid.focus();
+            }
+
+            Craft.cp.displayError(errors.join('. '));
+            AccessibilityManager.announceToScreenReader(errors.join('. '));
+        }
+    };
+
+    // ============================================================================
+    // COMMAND EXECUTOR
+    // ============================================================================
+    const CommandExecutor = {
+        maxReconnectAttempts: 5,
+
+        // A fresh stream that delivers nothing this long is likely buffered by a proxy
+        sseStallTimeout: 20000,
+
+        // Returns false when nothing was started (already running, blocked, or awaiting confirmation)
+        runCommand(command, args = {}) {
+            let moduleCard = document.querySelector(`.module-card[data-command="${command}"]`);
+
+            if (!moduleCard) {
+                const triggerButton = document.querySelector(`.run-module-btn[data-command="${command}"]`);
+                if (triggerButton) {
+                    moduleCard = triggerButton.closest('.module-card');
+                }
+            }
+
+            if (!moduleCard) {
+                Craft.cp.displayError(t('Unable to locate module card for command: {command}', { command }));
+                return false;
+            }
+
+            const moduleId = moduleCard.getAttribute('data-module-id');
+
+            if (StateManager.isRunning(command)) {
+                Craft.cp.displayNotice(t('This module is already running'));
+                return false;
+            }
+
+            // Running in another tab or for another admin, or held back by the migration lock
+            const block = RunCoordinator.getBlock(command, !!args.dryRun);
+            if (block) {
+                Craft.cp.displayError(block.message);
+                return false;
+            }
+
+            const values = ModuleOptions.collect(moduleCard);
+            if (values.errors.length > 0) {
+                ModuleOptions.showErrors(moduleCard, values.errors);
+                return false;
+            }
+
+            // A resume requested from the run button applies when the command exposes the option
+            if (args.resume === '1' && moduleCard.querySelector('.module-option-input[data-kind="option"][data-name="resume"]')) {
+                values.options.resume = '1';
+            }
+
+            // Likewise a checkpoint picked in the checkpoint browser
+            if (args.checkpointId && moduleCard.querySelector('.module-option-input[data-kind="option"][data-name="checkpointId"]')) {
+                values.options.checkpointId = args.checkpointId;
+            }
+
+            // Values passed by the caller (such as the rollback wizard's scope) win over the card's inputs
+            args.arguments = Object.assign(values.arguments, args.arguments);
+            args.options = Object.assign(values.options, args.options);
+
+            if (!args.dryRun) {
+                if (!WorkflowManager.validateWorkflowOrder(moduleId)) {
+                    return false;
+                }
+            }
+
+            if (WorkflowManager.getConfirmation(moduleId) && !args.confirmation && !args.dryRun) {
+                this.confirmCritical(moduleId, command, (confirmation) => {
+                    args.confirmation = confirmation;
+                    this.runCommand(command, args);
+                });
+                return false;
+            }
+
+            StateManager.addRunning(command);
+            moduleCard._dryRun = !!args.dryRun;
+            UIManager.hideQueueFallback(moduleCard);
+            UIManager.setModuleRunning(moduleCard, true);
+
+            if (moduleId && !args.dryRun) {
+                APIClient.updateModuleStatus(moduleId, 'running').catch(console.error);
+            }
+
+            const progressSection = moduleCard.querySelector('.module-progress');
+            if (progressSection) {
+                progressSection.style.display = 'block';
+            }
+
+            if ((args.executionMode || this.getExecutionMode(moduleCard)) === 'queue') {
+                this.runCommandQueue(moduleCard, command, args);
+            } else {
+                this.runCommandSSE(moduleCard, command, args);
+            }
+            return true;
+        },
+
+        // Critical runs are confirmed against live preflight facts by typing the target the server names;
+        // onConfirm receives the typed phrase, which the run endpoints check and record with the run
+        async confirmCritical(moduleId, command, onConfirm) {
+            if (this._preflightPending) {
+                return;
+            }
+
+            this._preflightPending = true;
+            AccessibilityManager.announceToScreenReader(t('Gathering preflight checks'));
+
+            let preflight;
+            try {
+                preflight = await APIClient.getPreflight(command);
+                if (!preflight.success) {
+                    throw new Error(preflight.error || t('Failed to gather preflight checks'));
+                }
+            } catch (error) {
+                Craft.cp.displayError(t('Preflight checks could not be gathered: {error}', { error: error.message }));
+                return;
+            } finally {
+                this._preflightPending = false;
+            }
+
+            const config = WorkflowManager.getConfirmation(moduleId);
+
+            // The confirmation message is the plugin's own markup (ModuleDefinitionProvider escapes the provider names in it)
+            const message = html`${Html.trusted(config.message)}${this.renderPreflightChecks(preflight.checks || [])}`;
+
+            UIManager.showConfirmationDialog(config.title, message, (reason, phrase) => {
+                onConfirm(phrase);
+            }, {
+                confirmPhrase: preflight.phrase,
+                confirmPhraseLabel: preflight.phraseLabel
+            });
+        },
+
+        renderPreflightChecks(checks) {
+            const icons = { ok: '✓', warning: '⚠', error: '✗' };
+            const list = document.createElement('ul');
+            list.className = 'preflight-checks';
+
+            checks.forEach(check => {
+                const item = document.createElement('li');
+                item.className = `preflight-check ${check.status}`;
+
+                const icon = document.createElement('span');
+                icon.className = 'preflight-check-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                icon.textContent = icons[check.status] || '?';
+
+                const label = document.createElement('strong');
+                label.textContent = check.label;
+
+                const detail = document.createElement('span');
+                detail.textContent = check.at
+                    ? `${check.detail} (${new Date(check.at).toLocaleString()})`
+                    : check.detail;
+
+                item.append(icon, label, ' ', detail);
+                list.appendChild(item);
+            });
+
+            const heading = document.createElement('p');
+            heading.className = 'preflight-checks-title';
+            heading.textContent = checks.some(check => check.status !== 'ok')
+                ? t('Preflight summary: review the warnings before confirming.')
+                : t('Preflight summary:');
+
+            // Built with textContent, so the serialized elements are safe markup
+            return Html.trusted(heading.outerHTML + list.outerHTML);
+        },
+
+        // The card's own choice wins over the default from plugin settings
+        getExecutionMode(moduleCard) {
+            const select = moduleCard.querySelector('.execution-mode-select');
+            return select && select.value ? select.value : Config.executionMode;
+        },
+
+        getStoredExecutionModes() {
+            try {
+                return JSON.parse(localStorage.getItem('executionModes') || '{}');
+            } catch (error) {
+                return {};
+            }
+        },
+
+        storeExecutionMode(moduleId, mode) {
+            const modes = this.getStoredExecutionModes();
+            if (mode) {
+                modes[moduleId] = mode;
+            } else {
+                delete modes[moduleId];
+            }
+            localStorage.setItem('executionModes', JSON.stringify(modes));
+        },
+
+        async runCommandQueue(moduleCard, command, args = {}) {
+            const commandName = command.split('/').pop().replace(/-/g, ' ');
+            UIManager.showModuleOutput(moduleCard, t('Starting {command} via queue system...', { command: commandName }) + '\n');
+            UIManager.updateModuleProgress(moduleCard, 0, t('Queuing job...'));
+
+            try {
+                const data = await APIClient.queueCommand(command, args, moduleCard.getAttribute('data-module-id'));
+
+                if (data.blocked) {
+                    UIManager.markModuleBlocked(moduleCard, command, data.error);
+                    return;
+                }
+
+                if (data.success) {
+                    const { jobId, migrationId } = data;
+                    moduleCard._migrationId = migrationId;
+                    RunCoordinator.announce('run-started', { command, migrationId });
+                    moduleCard._jobId = jobId;
+                    moduleCard._lastOutputLine = 0;
+                    moduleCard._progressEvent = null;
+
+                    UIManager.showModuleOutput(moduleCard,
+                        `${t('Job queued successfully!')}\n` +
+                        `${t('Job ID: {id}', { id: jobId })}\n` +
+                        `${t('Migration ID: {id}', { id: migrationId })}\n\n` +
+                        `${t('The command is now running in the background via Craft Queue.')}\n` +
+                        `${t('You can safely refresh this page or open other admin windows.')}\n` +
+                        `${t('The site/Control Panel will remain fully responsive.')}\n\n` +
+                        `${t('Polling for progress updates every 2 seconds...')}\n\n`
+                    );
+
+                    Craft.cp.displayNotice(data.message || t('Command queued successfully'));
+
+                    this.startPollingProgress(moduleCard, command, migrationId);
+                    ProgressMonitor.pollQueueJobProgress(moduleCard, command, jobId, migrationId);
+                } else {
+                    throw new Error(data.error || t('Failed to queue command'));
+                }
+            } catch (error) {
+                // Nothing was queued, so the module keeps its recorded status
+                if (error.sessionExpired) {
+                    UIManager.markModuleBlocked(moduleCard, command, t('The command was not queued: {error}', { error: error.message }));
+                    return;
+                }
+
+                UIManager.showModuleOutput(moduleCard, t('Error: {error}', { error: error.message }) + '\n');
+                Craft.cp.displayError(t('Failed to queue command: {error}', { error: error.message }));
+                UIManager.markModuleFailed(moduleCard, command, error.message);
+            }
+        },
+
+        runCommandSSE(moduleCard, command, args = {}) {
+            const params = new URLSearchParams({
+                command: command,
+                dryRun: args.dryRun ? '1' : '0',
+                skipBackup: args.skipBackup ? '1' : '0',
+                skipInlineDetection: args.skipInlineDetection ? '1' : '0'
+            });
+
+            const moduleId = moduleCard.getAttribute('data-module-id');
+            if (moduleId) {
+                params.set('moduleId', moduleId);
+            }
+
+            if (args.arguments && Object.keys(args.arguments).length > 0) {
+                params.set('arguments', JSON.stringify(args.arguments));
+            }
+            if (args.options && Object.keys(args.options).length > 0) {
+                params.set('options', JSON.stringify(args.options));
+            }
+            if (args.confirmation) {
+                params.set('confirmation', args.confirmation);
+            }
+
+            if (Config.isDevMode) {
+                UIManager.showModuleOutput(moduleCard, t('Connecting to stream...') + '\n');
+            }
+
+            moduleCard._migrationId = null;
+            moduleCard._lastOutputLine = 0;
+            moduleCard._lastEventId = 0;
+            moduleCard._progressEvent = null;
+            moduleCard._reconnectAttempts = 0;
+
+            this.connectStream(moduleCard, command, `${Config.streamMigrationUrl}?${params.toString()}`, args);
+
+            this.clearStallTimer(moduleCard);
+            moduleCard._streamStallTimer = setTimeout(() => {
+                moduleCard._streamStallTimer = null;
+                this.offerQueueFallback(moduleCard, command, args,
+                    t('No output has arrived after {count, plural, =1{# second} other{# seconds}}. A proxy may be buffering the live stream.', { count: this.sseStallTimeout / 1000 }));
+            }, this.sseStallTimeout);
+        },
+
+        clearStallTimer(moduleCard) {
+            if (moduleCard._streamStallTimer) {
+                clearTimeout(moduleCard._streamStallTimer);
+                moduleCard._streamStallTimer = null;
+            }
+        },
+
+        offerQueueFallback(moduleCard, command, args, reason) {
+            if (!StateManager.isRunning(command) || moduleCard._cancelState) {
+                return;
+            }
+
+            UIManager.showQueueFallback(moduleCard, reason, {
+                onRelaunch: () => this.relaunchViaQueue(moduleCard, command, args),
+                onDismiss: () => UIManager.hideQueueFallback(moduleCard)
+            });
+        },
+
+        // Stops the stalled stream (and the process behind it, when the server reported one) and starts the command again via the queue
+        async relaunchViaQueue(moduleCard, command, args) {
+            UIManager.hideQueueFallback(moduleCard);
+            this.clearStallTimer(moduleCard);
+
+            if (moduleCard._eventSource) {
+                moduleCard._eventSource.close();
+            }
+
+            let migrationId = moduleCard._migrationId;
+            const moduleId = moduleCard.getAttribute('data-module-id');
+
+            // The stream may have spawned the process even though none of its events got through
+            if (!migrationId && moduleId && !args.dryRun) {
+                try {
+                    const data = await APIClient.checkStatus();
+                    const moduleState = data.state && data.state.moduleStates ? data.state.moduleStates[moduleId] : null;
+                    if (moduleState && moduleState.status === 'running' && moduleState.migrationId) {
+                        migrationId = moduleState.migrationId;
+                    }
+                } catch (error) {
+                    console.error('Failed to look up the stalled run:', error);
+                }
+            }
+
+            if (migrationId) {
+                try {
+                    await APIClient.cancelMigration(migrationId);
+                } catch (error) {
+                    Craft.cp.displayError(t('Could not stop the stalled run; it may still be running: {error}', { error: error.message }));
+                    return;
+                }
+            }
+
+            StateManager.removeRunning(command);
+            moduleCard._migrationId = null;
+            UIManager.appendModuleOutput(moduleCard, `\n↪ ${t('Re-launching through the Craft queue...')}\n`);
+
+            if (!this.runCommand(command, Object.assign({}, args, { executionMode: 'queue' }))) {
+                UIManager.setModuleRunning(moduleCard, false);
+            }
+        },
+
+        connectStream(moduleCard, command, url, args = {}) {
+            const eventSource = new EventSource(url);
+            let detachedMode = false;
+
+            eventSource.onopen = () => {
+                moduleCard._reconnectAttempts = 0;
+                UIManager.setConnectionState(moduleCard, 'connected');
+
+                if (Config.isDevMode) {
+                    UIManager.appendModuleOutput(moduleCard, t('Connected to stream. Starting migration...') + '\n\n');
+                }
+            };
+
+            eventSource.onmessage = (event) => {
+                this.clearStallTimer(moduleCard);
+                UIManager.hideQueueFallback(moduleCard);
+
+                try {
+                    const data = JSON.parse(event.data);
+
+                    // Store migrationId from backend
+                    if (data.migrationId && !moduleCard._migrationId) {
+                        moduleCard._migrationId = data.migrationId;
+
+                        // Cancel was pressed before the server assigned an ID
+                        if (moduleCard._cancelState === 'pending') {
+                            this.requestCancellation(moduleCard, command);
+                        }
+                    }
+
+                    // Output events carry their offset in the run's log file so a reconnect only replays missed lines
+                    if (event.lastEventId) {
+                        moduleCard._lastEventId = parseInt(event.lastEventId, 10) || 0;
+                    }
+
+                    // Handle both 'type' (legacy) and 'status' (current) fields
+                    const eventType = data.type || data.status;
+                    this.handleStreamEvent(moduleCard, command, eventType, data, args.dryRun);
+
+                    // If we received 'detached' status, mark for graceful close
+                    if (data.status === 'detached') {
+                        detachedMode = true;
+                    }
+                } catch (error) {
+                    UIManager.appendModuleOutput(moduleCard, event.data + '\n');
+                }
+            };
+
+            eventSource.onerror = (error) => {
+                console.error('SSE Error:', error);
+                eventSource.close();
+                this.clearStallTimer(moduleCard);
+
+                // In detached mode, polling will handle progress updates
+                if (detachedMode || moduleCard._cancelState) {
+                    return;
+                }
+
+                // The run exists server-side, so the connection can be resumed
+                if (moduleCard._migrationId) {
+                    this.reconnectStream(moduleCard, command, args);
+                    return;
+                }
+
+                const streamClosed = error.target.readyState === EventSource.CLOSED;
+
+                // EventSource hides the status code, so ask whether the session ended
+                SessionGuard.checkSession().catch(() => true).then(valid => {
+                    if (!valid) {
+                        SessionGuard.markExpired();
+                        UIManager.markModuleBlocked(moduleCard, command, t('The command was not started: your session has expired.'));
+                        return;
+                    }
+
+                    if (streamClosed) {
+                        UIManager.appendModuleOutput(moduleCard, `\n${t('Stream closed unexpectedly.')}\n`);
+                    }
+
+                    UIManager.markModuleFailed(moduleCard, command, t('Stream closed before the command started'));
+
+                    // Typical of PHP-FPM ending the request or a proxy refusing the stream
+                    UIManager.showQueueFallback(moduleCard, t('The live stream closed before the command started.'), {
+                        onRelaunch: () => this.relaunchViaQueue(moduleCard, command, args),
+                        onDismiss: () => UIManager.hideQueueFallback(moduleCard)
+                    });
+                });
+            };
+
+            moduleCard._eventSource = eventSource;
+        },
+
+        reconnectStream(moduleCard, command, args = {}) {
+            const attempt = (moduleCard._reconnectAttempts || 0) + 1;
+            moduleCard._reconnectAttempts = attempt;
+
+            if (attempt > this.maxReconnectAttempts) {
+                UIManager.appendModuleOutput(moduleCard, `\n⚠ ${t('Stream unavailable, switching to polling...')}\n`);
+                this.startPollingProgress(moduleCard, command, moduleCard._migrationId);
+                return;
+            }
+
+            // Exponential backoff: 1s, 2s, 4s, ... capped at 10s
+            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+            UIManager.setConnectionState(moduleCard, 'reconnecting');
+
+            setTimeout(() => {
+                if (!StateManager.isRunning(command) || moduleCard._cancelState) {
+                    return;
+                }
+
+                const params = new URLSearchParams({
+                    resumeMigrationId: moduleCard._migrationId,
+                    lastEventId: String(moduleCard._lastEventId || 0)
+                });
+
+                this.connectStream(moduleCard, command, `${Config.streamMigrationUrl}?${params.toString()}`, args);
+            }, delay);
+        },
+
+        handleStreamEvent(moduleCard, command, eventType, eventData, isDryRun) {
+            switch (eventType) {
+                case 'starting':
+                    if (eventData.message && Config.isDevMode) {
+                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
+                    }
+                    if (eventData.cliCommand) {
+                        UIManager.appendModuleOutput(moduleCard, `$ ${eventData.cliCommand}\n\n`);
+                    }
+                    break;
+
+                case 'resumed':
+                    UIManager.appendModuleOutput(moduleCard, `\n↻ ${t('Stream reconnected')}\n`);
+                    break;
+
+                case 'running':
+                    if (eventData.message && Config.isDevMode) {
+                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
+                    }
+                    if (eventData.pid && Config.isDevMode) {
+                        UIManager.appendModuleOutput(moduleCard, t('Process ID: {pid}', { pid: eventData.pid }) + '\n');
+                    }
+                    RunCoordinator.announce('run-started', { command, migrationId: eventData.migrationId });
+                    break;
+
+                case 'blocked':
+                    if (moduleCard._eventSource) {
+                        moduleCard._eventSource.close();
+                    }
+                    UIManager.markModuleBlocked(moduleCard, command, eventData.error);
+                    break;
+
+                case 'detached':
+                    // Process is running in background, switch to polling mode
+                    if (eventData.message && Config.isDevMode) {
+                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
+                    }
+                    // Polling picks up after the output lines a reconnect already replayed
+                    if (eventData.lineOffset !== undefined) {
+                        moduleCard._lastOutputLine = eventData.lineOffset;
+                    }
+                    if (eventData.pollEndpoint) {
+                        if (Config.isDevMode) {
+                            UIManager.appendModuleOutput(moduleCard, t('Switching to polling mode for progress updates...') + '\n');
+                        }
+                        this.startPollingProgress(moduleCard, command, eventData.migrationId);
+                    }
+                    // Close the SSE connection gracefully
+                    if (moduleCard._eventSource) {
+                        moduleCard._eventSource.close();
+                    }
+                    break;
+
+                case 'progress':
+                    if (eventData.progressEvent) {
+                        ProgressMonitor.applyProgressEvent(moduleCard, eventData.progressEvent);
+                    } else if (eventData.percent !== undefined) {
+                        UIManager.updateModuleProgress(moduleCard, eventData.percent, AnsiRenderer.strip(eventData.message || ''));
+                    }
+                    if (eventData.message) {
+                        UIManager.appendModuleOutput(moduleCard, eventData.message + '\n');
+                    }
+                    if (eventData.output) {
+                        UIManager.appendModuleOutput(moduleCard, ProgressMonitor.consumeOutput(moduleCard, eventData.output));
+                    }
+                    break;
+
+                case 'output':
+                    if (eventData.line) {
+                        const progressEvent = ProgressMonitor.parseProgressEvent(eventData.line);
+                        if (progressEvent) {
+                            ProgressMonitor.applyProgressEvent(moduleCard, progressEvent);
+                            break;
+                        }
+                        UIManager.appendModuleOutput(moduleCard, eventData.line + '\n');
+                        ProgressMonitor.parseProgressFromOutput(moduleCard, eventData.line);
+                    }
+                    break;
+
+                case 'stats':
+                    UIManager.updateModuleStats(moduleCard, eventData);
+                    break;
+
+                case 'completed':
+                case 'complete':
+                    UIManager.updateModuleProgress(moduleCard, 100, t('Completed!'));
+                    UIManager.appendModuleOutput(moduleCard, `\n✓ ${t('Command completed successfully!')}\n`);
+                    UIManager.markModuleCompleted(moduleCard, command);
+                    StateManager.removeRunning(command);
+                    UIManager.setModuleRunning(moduleCard, false);
+                    if (moduleCard._eventSource) {
+                        moduleCard._eventSource.close();
+                    }
+                    // Stop polling if active
+                    if (moduleCard._pollInterval) {
+                        clearInterval(moduleCard._pollInterval);
+                        moduleCard._pollInterval = null;
+                    }
+                    break;
+
+                case 'failed':
+                case 'error':
+                    UIManager.appendModuleOutput(moduleCard, `\n✗ ${t('Error: {error}', { error: eventData.message || eventData.error })}\n`);
+                    if (eventData.error || eventData.message) {
+                        Craft.cp.displayError(t('Command failed: {error}', { error: eventData.error || eventData.message }));
+                    }
+                    UIManager.markModuleFailed(moduleCard, command, eventData.error || eventData.message);
+                    if (moduleCard._eventSource) {
+                        moduleCard._eventSource.close();
+                    }
+                    // Stop polling if active
+                    if (moduleCard._pollInterval) {
+                        clearInterval(moduleCard._pollInterval);
+                        moduleCard._pollInterval = null;
+                    }
+                    break;
+            }
+        },
+
+        startPollingProgress(moduleCard, command, migrationId) {
+            // Poll every 2 seconds for progress updates
+            const pollInterval = 2000;
+
+            if (moduleCard._pollInterval) {
+                clearInterval(moduleCard._pollInterval);
+            }
+            UIManager.setConnectionState(moduleCard, 'polling');
+
+            const pollForProgress = async () => {
+                try {
+                    const url = `${Config.liveMonitorUrl}?migrationId=${encodeURIComponent(migrationId)}`;
+                    const response = await APIClient.request(url, {
+                        headers: {
+                            'X-Requested-With': 'XMLHttpRequest',
+                            'Accept': 'application/json'
+                        }
+                    });
+
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
+                    const data = await response.json();
+
+                    if (moduleCard._pollInterval) {
+                        UIManager.setConnectionState(moduleCard, 'polling');
+                    }
+
+                    if (data.success && data.migration) {
+                        const migration = data.migration;
+
+                        // Update progress
+                        if (migration.progressEvent && migration.status !== 'queued') {
+                            ProgressMonitor.applyProgressEvent(moduleCard, migration.progressEvent);
+                        } else if (migration.progressPercent !== undefined) {
+                            const label = migration.status === 'queued' ? t('Waiting for a queue runner...') : (migration.phase || '');
+                            UIManager.updateModuleProgress(moduleCard, migration.progressPercent, label);
+                        }
+
+                        // Append new output if available
+                        if (data.logs && data.logs.length > 0) {
+                            const lastOutputLine = moduleCard._lastOutputLine || 0;
+                            const newLines = data.logs.slice(lastOutputLine);
+                            if (newLines.length > 0) {
+                                newLines.forEach(line => {
+                                    UIManager.appendModuleOutput(moduleCard, line + '\n');
+                                });
+                                moduleCard._lastOutputLine = data.logs.length;
+                            }
+                        }
+
+                        // Check if completed or failed
+                        if (migration.status === 'completed') {
+                            UIManager.updateModuleProgress(moduleCard, 100, t('Completed!'));
+                            UIManager.appendModuleOutput(moduleCard, `\n✓ ${t('Command completed successfully!')}\n`);
+                            UIManager.markModuleCompleted(moduleCard, command);
+                            StateManager.removeRunning(command);
+                            UIManager.setModuleRunning(moduleCard, false);
+                            if (moduleCard._pollInterval) {
+                                clearInterval(moduleCard._pollInterval);
+                                moduleCard._pollInterval = null;
+                            }
+                        } else if (migration.status === 'cancelled') {
+                            this.finishCancellation(moduleCard, command);
+                        } else if (migration.status === 'failed') {
+                            UIManager.appendModuleOutput(moduleCard, `\n✗ ${t('Command failed: {error}', { error: migration.errorMessage || t('Unknown error') })}\n`);
+                            UIManager.markModuleFailed(moduleCard, command, migration.errorMessage);
+                            if (moduleCard._pollInterval) {
+                                clearInterval(moduleCard._pollInterval);
+                                moduleCard._pollInterval = null;
+                            }
+                        }
+                    }
+                } catch (error) {
+                    console.error('Polling error:', error);
+                    // Continue polling despite errors
+                    if (moduleCard._pollInterval) {
+                        UIManager.setConnectionState(moduleCard, 'reconnecting');
+                    }
+                }
+            };
+
+            // Start polling
+            moduleCard._pollInterval = setInterval(pollForProgress, pollInterval);
+            // Poll immediately
+            pollForProgress();
+        },
+
+        recordDetachedOutcome(moduleCard, moduleId, status, error) {
+            UIManager.applyModuleState(moduleCard, {
+                status: status,
+                error: error,
+                updatedAt: new Date().toISOString()
+            });
+            APIClient.updateModuleStatus(moduleId, status, error).catch(console.error);
+        },
+
+        async reattachMigration(moduleCard, command, migrationId, moduleId = null) {
+            let data;
+            try {
+                data = await APIClient.fetchLiveMonitor(migrationId);
+            } catch (error) {
+                console.error(`Failed to re-attach to migration ${migrationId}:`, error);
+                return false;
+            }
+
+            if (!data.success || !data.migration) {
+                // The run left no trace behind; stop reporting the module as running
+                if (moduleId) {
+                    this.recordDetachedOutcome(moduleCard, moduleId, 'failed', t('Run could not be found after page reload'));
+                }
+                return false;
+            }
+
+            const migration = data.migration;
+
+            if (migration.status === 'completed') {
+                if (moduleId && !StateManager.isCompleted(moduleId)) {
+                    UIManager.markModuleCompleted(moduleCard, command);
+                }
+                return false;
+            }
+
+            if (migration.status === 'failed' || migration.status === 'cancelled') {
+                if (moduleId) {
+                    this.recordDetachedOutcome(moduleCard, moduleId, migration.status, migration.errorMessage || null);
+                }
+                return false;
+            }
+
+            if (StateManager.isRunning(command)) {
+                return true;
+            }
+
+            moduleCard._migrationId = migrationId;
+            StateManager.addRunning(command);
+            UIManager.setModuleRunning(moduleCard, true);
+
+            const progressSection = moduleCard.querySelector('.module-progress');
+            if (progressSection) {
+                progressSection.style.display = 'block';
+            }
+
+            const logs = Array.isArray(data.logs) ? data.logs : [];
+            UIManager.showModuleOutput(moduleCard, t('Re-attached to running migration {id}', { id: migrationId }) + '\n\n');
+            if (logs.length > 0) {
+                UIManager.appendModuleOutput(moduleCard, logs.join('\n') + '\n');
+            }
+            moduleCard._lastOutputLine = logs.length;
+
+            moduleCard._progressEvent = null;
+            if (migration.progressEvent) {
+                ProgressMonitor.applyProgressEvent(moduleCard, migration.progressEvent);
+            } else if (migration.progressPercent !== undefined) {
+                UIManager.updateModuleProgress(moduleCard, migration.progressPercent, migration.phase || t('Running...'));
+            }
+
+            this.startPollingProgress(moduleCard, command, migrationId);
+            return true;
+        },
+
+        retryModule(moduleCard) {
+            const command = moduleCard.getAttribute('data-command');
+            if (!command) {
+                return;
+            }
+
+            this.runCommand(command, { dryRun: false, resume: '0' });
+        },
+
+        skipModule(moduleCard) {
+            const moduleId = moduleCard.getAttribute('data-module-id');
+            const moduleTitle = moduleCard.querySelector('.module-title')?.textContent.trim() || t('this step');
+
+            UIManager.showConfirmationDialog(
+                t('Skip Step'),
+                t('Mark {title} as skipped? It will not be treated as completed.', { title: moduleTitle }),
+                () => {
+                    const previous = moduleCard.querySelector('.module-status-message')?.textContent || null;
+                    UIManager.showModuleStatus(moduleCard, 'skipped', previous, new Date().toISOString());
+                    APIClient.updateModuleStatus(moduleId, 'skipped', previous).catch(console.error);
+                    AccessibilityManager.announceToScreenReader(t('{title} skipped', { title: moduleTitle }));
+                }
+            );
+        },
+
+        cancelCommand(moduleCard, command) {
+            if (moduleCard._cancelState) {
+                Craft.cp.displayNotice(t('Cancellation already in progress'));
+                return;
+            }
+
+            UIManager.showConfirmationDialog(
+                t('Cancel Command'),
+                t('Are you sure you want to cancel this command? The process will be terminated.'),
+                () => {
+                    UIManager.setModuleCancelling(moduleCard);
+
+                    if (!moduleCard._migrationId) {
+                        // The stream has not reported an ID yet; cancel as soon as it does
+                        moduleCard._cancelState = 'pending';
+                        UIManager.appendModuleOutput(moduleCard, `\n⚠ ${t('Cancellation requested, waiting for the process to start...')}\n`);
+                        return;
+                    }
+
+                    this.requestCancellation(moduleCard, command);
+                }
+            );
+        },
+
+        async requestCancellation(moduleCard, command) {
+            moduleCard._cancelState = 'requested';
+            UIManager.appendModuleOutput(moduleCard, `\n⚠ ${t('Cancelling command...')}\n`);
+
+            try {
+                const data = await APIClient.cancelMigration(moduleCard._migrationId, moduleCard._jobId || null);
+
+                if (!data.success) {
+                    throw new Error(data.error || t('Cancellation failed'));
+                }
+
+                if (data.terminated) {
+                    this.finishCancellation(moduleCard, command);
+                } else {
+                    this.waitForCancellation(moduleCard, command);
+                }
+            } catch (error) {
+                this.abortCancellation(moduleCard, error.message);
+            }
+        },
+
+        waitForCancellation(moduleCard, command) {
+            const pollInterval = 2000;
+            const maxAttempts = 30;
+            let attempts = 0;
+
+            const check = async () => {
+                if (moduleCard._cancelState !== 'requested') {
+                    return;
+                }
+
+                // Progress polling already finalized the card
+                if (!moduleCard.classList.contains('module-running')) {
+                    moduleCard._cancelState = null;
+                    return;
+                }
+
+                attempts++;
+
+                try {
+                    const data = await APIClient.fetchLiveMonitor(moduleCard._migrationId);
+                    const status = data.migration ? data.migration.status : null;
+
+                    if (status === 'cancelled' || status === 'failed') {
+                        this.finishCancellation(moduleCard, command);
+                        return;
+                    }
+
+                    if (status === 'completed') {
+                        moduleCard._cancelState = null;
+                        this.handleStreamEvent(moduleCard, command, 'completed', {}, false);
+                        return;
+                    }
+                } catch (error) {
+                    console.error('Failed to confirm cancellation:', error);
+                }
+
+                if (attempts >= maxAttempts) {
+                    this.abortCancellation(moduleCard, t('The server did not confirm termination in time. The process may still be running.'));
+                    return;
+                }
+
+                setTimeout(check, pollInterval);
+            };
+
+            setTimeout(check, pollInterval);
+        },
+
+        finishCancellation(moduleCard, command) {
+            if (moduleCard._cancelState === 'cancelled') {
+                return;
+            }
+            moduleCard._cancelState = 'cancelled';
+            this.clearStallTimer(moduleCard);
+            UIManager.hideQueueFallback(moduleCard);
+
+            if (moduleCard._eventSource) {
+                moduleCard._eventSource.close();
+            }
+
+            if (moduleCard._pollInterval) {
+                clearInterval(moduleCard._pollInterval);
+                moduleCard._pollInterval = null;
+            }
+
+            UIManager.appendModuleOutput(moduleCard, `\n⊘ ${t('Command cancelled by user')}\n`);
+            UIManager.markModuleCancelled(moduleCard, command);
+
+            moduleCard._migrationId = null;
+            moduleCard._jobId = null;
+            moduleCard._cancelState = null;
+        },
+
+        abortCancellation(moduleCard, message) {
+            moduleCard._cancelState = null;
+
+            const cancelBtn = moduleCard.querySelector('.cancel-module-btn');
+            if (cancelBtn) {
+                cancelBtn.disabled = false;
+                cancelBtn.classList.remove('cancelling');
+                cancelBtn.textContent = t('Cancel');
+            }
+
+            UIManager.appendModuleOutput(moduleCard, `\n✗ ${t('Cancellation failed: {error}', { error: message })}\n`);
+            Craft.cp.displayError(t('Cancellation failed: {error}', { error: message }));
+        }
+    };
+
+    // ============================================================================
+    // PIPELINE RUNNER
+    // ============================================================================
+    const PipelineRunner = {
+        // Give the finished run's stream and status writes time to settle before the next step
+        stepDelay: 1500,
+
+        pipeline: null,
+
+        stepLabels: {
+            queued: t('Queued'),
+            'dry-run': t('Dry run…'),
+            running: t('Running…'),
+            completed: t('Done'),
+            failed: t('Failed'),
+            cancelled: t('Cancelled')
+        },
+
+        get isActive() {
+            return !!this.pipeline && ['running', 'paused'].includes(this.pipeline.status);
+        },
+
+        get currentStep() {
+            return this.pipeline ? this.pipeline.steps[this.pipeline.currentStep] || null : null;
+        },
+
+        getModuleCard(moduleId) {
+            return document.querySelector(`.module-card[data-module-id="${moduleId}"]`);
+        },
+
+        supportsDryRun(moduleCard) {
+            return !!moduleCard.querySelector('.run-module-btn[data-dry-run="true"]');
+        },
+
+        buildSteps(phase = null) {
+            const graph = WorkflowManager.graph;
+
+            return graph.order
+                .filter(moduleId => {
+                    const module = graph.modules[moduleId];
+                    return module && module.pipeline && module.command
+                        && (phase === null || module.phase === phase)
+                        && !StateManager.isCompleted(moduleId);
+                })
+                .map(moduleId => ({
+                    moduleId: moduleId,
+                    command: graph.modules[moduleId].command,
+                    status: 'queued',
+                    dryRunPassed: false,
+                    confirmed: false,
+                    error: null
+                }));
+        },
+
+        start(phase = null) {
+            if (this.isActive) {
+                Craft.cp.displayNotice(t('A pipeline is already in progress'));
+                return;
+            }
+
+            const steps = this.buildSteps(phase);
+
+            if (steps.length === 0) {
+                Craft.cp.displayNotice(phase === null
+                    ? t('Nothing left to run in the workflow')
+                    : t('Nothing left to run in Phase {phase}', { phase }));
+                return;
+            }
+
+            // Requirements outside the pipeline must already be completed
+            const scheduled = steps.map(step => step.moduleId);
+            const unmet = new Set();
+            steps.forEach(step => {
+                WorkflowManager.getMissingRequirements(step.moduleId)
+                    .filter(reqId => !scheduled.includes(reqId))
+                    .forEach(reqId => unmet.add(reqId));
+            });
+
+            if (unmet.size > 0) {
+                const modules = WorkflowManager.describeModules([...unmet]);
+                UIManager.showWarningBanner(
+                    t('Pipeline Blocked'),
+                    phase === null
+                        ? t('Complete {modules} before running the workflow.', { modules })
+                        : t('Complete {modules} before running Phase {phase}.', { modules, phase })
+                );
+                return;
+            }
+
+            const dryRunToggle = document.getElementById('pipeline-dry-run-first');
+            const dryRunFirst = dryRunToggle ? dryRunToggle.checked : false;
+            const stepList = scheduled.map((id, index) => html`${index + 1}. ${WorkflowManager.getModuleTitle(id)}<br/>`);
+
+            UIManager.showConfirmationDialog(
+                phase === null ? t('Run Workflow') : t('Run Phase {phase}', { phase }),
+                html`${t('The following steps will run in order:')}<br/><br/>${stepList}<br/>${
+                    dryRunFirst ? t('Each step that supports it is dry-run first.') + ' ' : ''
+                }${t('The pipeline stops on the first failure and pauses before critical steps.')}`,
+                () => {
+                    this.pipeline = {
+                        id: `pipeline-${Date.now()}`,
+                        scope: phase === null ? 'workflow' : 'phase',
+                        phase: phase,
+                        dryRunFirst: dryRunFirst,
+                        status: 'running',
+                        currentStep: 0,
+                        steps: steps,
+                        startedAt: new Date().toISOString(),
+                        startedBy: null
+                    };
+
+                    this.save();
+                    this.render();
+                    this.advance();
+                }
+            );
+        },
+
+        advance() {
+            if (!this.pipeline || this.pipeline.status !== 'running') {
+                return;
+            }
+
+            const step = this.currentStep;
+            if (!step) {
+                this.finish('completed');
+                return;
+            }
+
+            const moduleCard = this.getModuleCard(step.moduleId);
+            if (!moduleCard) {
+                this.failStep(step, t('Module not found on this page'));
+                return;
+            }
+
+            // Completed outside the pipeline, e.g. by hand while it was stopped
+            if (StateManager.isCompleted(step.moduleId)) {
+                step.status = 'completed';
+                this.pipeline.currentStep++;
+                this.save();
+                this.render();
+                this.advance();
+                return;
+            }
+
+            if (this.pipeline.dryRunFirst && !step.dryRunPassed && this.supportsDryRun(moduleCard)) {
+                this.runStep(step, 'dry-run', { dryRun: true });
+                return;
+            }
+
+            // A pipeline restored after a reload has no typed confirmation, so it asks again
+            if (WorkflowManager.getConfirmation(step.moduleId) && !(step.confirmed && step.confirmation)) {
+                this.pipeline.status = 'paused';
+                this.save();
+                this.render();
+                AccessibilityManager.announceToScreenReader(t('Pipeline paused before {title}', { title: WorkflowManager.getModuleTitle(step.moduleId) }));
+                return;
+            }
+
+            this.runStep(step, 'running', { dryRun: false, resume: '0', confirmation: step.confirmation });
+        },
+
+        runStep(step, status, args) {
+            step.status = status;
+            step.error = null;
+            this.save();
+            this.render();
+
+            if (!CommandExecutor.runCommand(step.command, args)) {
+                this.failStep(step, t('The step could not be started'));
+            }
+        },
+
+        handleModuleOutcome(moduleCard, outcome, error = null) {
+            const step = this.currentStep;
+            if (!step || this.pipeline.status !== 'running' || moduleCard.getAttribute('data-module-id') !== step.moduleId) {
+                return;
+            }
+
+            // Ignore runs the pipeline did not start, e.g. a manual dry run of the same module
+            const wasDryRun = step.status === 'dry-run';
+            if (!['dry-run', 'running'].includes(step.status) || wasDryRun !== !!moduleCard._dryRun) {
+                return;
+            }
+
+            if (outcome === 'completed') {
+                if (wasDryRun) {
+                    step.dryRunPassed = true;
+                    step.status = 'queued';
+                } else {
+                    step.status = 'completed';
+                    this.pipeline.currentStep++;
+                }
+
+                this.save();
+                this.render();
+                setTimeout(() => this.advance(), this.stepDelay);
+                return;
+            }
+
+            step.status = outcome;
+            step.error = wasDryRun ? t('Dry run: {error}', { error: error || t('failed') }) : error;
+            this.finish(outcome === 'cancelled' ? 'stopped' : 'failed');
+        },
+
+        failStep(step, message) {
+            step.status = 'failed';
+            step.error = message;
+            this.finish('failed');
+        },
+
+        finish(status) {
+            this.pipeline.status = status;
+            this.save();
+            this.render();
+
+            const step = this.currentStep;
+            const title = step ? WorkflowManager.getModuleTitle(step.moduleId) : '';
+
+            if (status === 'completed') {
+                Craft.cp.displayNotice('✓ ' + t('Pipeline completed'));
+                AccessibilityManager.announceToScreenReader(t('Pipeline completed'));
+            } else if (status === 'failed') {
+                Craft.cp.displayError(t('Pipeline stopped: {title} failed', { title }));
+                AccessibilityManager.announceToScreenReader(t('Pipeline stopped: {title} failed', { title }));
+            } else {
+                Craft.cp.displayNotice(t('Pipeline stopped'));
+            }
+        },
+
+        confirmCurrentStep() {
+            const step = this.currentStep;
+            if (!step || this.pipeline.status !== 'paused') {
+                return;
+            }
+
+            CommandExecutor.confirmCritical(step.moduleId, step.command, (confirmation) => {
+                step.confirmed = true;
+                step.confirmation = confirmation;
+                this.pipeline.status = 'running';
+                this.advance();
+            });
+        },
+
+        stop() {
+            UIManager.showConfirmationDialog(
+                t('Stop Pipeline'),
+                t('No further steps will be started. A step that is already running keeps running; cancel it from its card if needed.'),
+                () => this.finish('stopped')
+            );
+        },
+
+        resume() {
+            const step = this.currentStep;
+
+            if (step && StateManager.isRunning(step.command)) {
+                Craft.cp.displayNotice(t('Wait for the current step to finish before resuming'));
+                return;
+            }
+
+            if (step && step.status !== 'completed') {
+                step.status = 'queued';
+                step.error = null;
+            }
+
+            this.pipeline.status = 'running';
+            this.save();
+            this.render();
+            this.advance();
+        },
+
+        dismiss() {
+            this.pipeline = null;
+            this.save();
+            this.render();
+        },
+
+        handleAction(action) {
+            if (!this.pipeline) {
+                return;
+            }
+
+            switch (action) {
+                case 'confirm':
+                    this.confirmCurrentStep();
+                    break;
+                case 'stop':
+                    this.stop();
+                    break;
+                case 'resume':
+                    this.resume();
+                    break;
+                case 'dismiss':
+                    this.dismiss();
+                    break;
+            }
+        },
+
+        // Picks up a pipeline saved by an earlier page load; runs in flight were re-attached already
+        restore(pipeline) {
+            this.pipeline = pipeline;
+
+            if (!pipeline || pipeline.status !== 'running') {
+                this.render();
+                return;
+            }
+
+            const step = this.currentStep;
+
+            if (step && step.status === 'running') {
+                if (StateManager.isRunning(step.command)) {
+                    // The re-attached card reports the outcome
+                    this.render();
+                    return;
+                }
+
+                if (StateManager.isCompleted(step.moduleId)) {
+                    step.status = 'completed';
+                    pipeline.currentStep++;
+                } else {
+                    const moduleCard = this.getModuleCard(step.moduleId);
+                    const cancelled = moduleCard && moduleCard.classList.contains('module-cancelled');
+                    const message = moduleCard?.querySelector('.module-status-message')?.textContent;
+
+                    step.status = cancelled ? 'cancelled' : 'failed';
+                    step.error = message || t('The run could not be resumed after the page reload');
+                    this.finish(cancelled ? 'stopped' : 'failed');
+                    return;
+                }
+            } else if (step && step.status === 'dry-run') {
+                // Dry runs are not tracked server-side, so repeat it
+                step.status = 'queued';
+            }
+
+            this.save();
+            this.render();
+            this.advance();
+        },
+
+        save() {
+            const snapshot = this.pipeline ? JSON.parse(JSON.stringify(this.pipeline)) : null;
+
+            // Chain the writes so an older snapshot never lands after a newer one
+            this._saving = (this._saving || Promise.resolve())
+                .then(() => APIClient.updatePipeline(snapshot))
+                .then(data => {
+                    if (!data.success) {
+                        throw new Error(data.error || t('Failed to save pipeline'));
+                    }
+
+                    if (this.pipeline && data.pipeline && data.pipeline.id === this.pipeline.id && !this.pipeline.startedBy) {
+                        this.pipeline.startedBy = data.pipeline.startedBy;
+                        this.render();
+                    }
+                })
+                .catch(error => {
+                    console.error('Failed to save pipeline:', error);
+                });
+        },
+
+        describe() {
+            const pipeline = this.pipeline;
+            const step = this.currentStep;
+            const params = {
+                scope: pipeline.scope === 'phase' ? t('Phase {phase} pipeline', { phase: pipeline.phase }) : t('Workflow pipeline'),
+                step: Math.min(pipeline.currentStep + 1, pipeline.steps.length),
+                total: pipeline.steps.length,
+                done: pipeline.steps.filter(step => step.status === 'completed').length,
+                title: step ? WorkflowManager.getModuleTitle(step.moduleId) : ''
+            };
+            const by = pipeline.startedBy ? ' · ' + t('started by {user}', { user: pipeline.startedBy }) : '';
+
+            switch (pipeline.status) {
+                case 'running':
+                    return t('{scope}: step {step} of {total}, {title}', params) + by;
+                case 'paused':
+                    return t('{scope} paused: confirm {title} to continue', params) + by;
+                case 'failed':
+                    return t('{scope} stopped: {title} failed ({done} of {total} steps done)', params) + by;
+                case 'completed':
+                    return t('{scope} completed: {total} of {total} steps done', params) + by;
+                default:
+                    return t('{scope} stopped after {done} of {total} steps', params) + by;
+            }
+        },
+
+        createActionButton(label, action, className = '') {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn pipeline-action-btn ${className}`.trim();
+            button.dataset.pipelineAction = action;
+            button.textContent = label;
+            return button;
+        },
+
+        render() {
+            const panel = document.getElementById('pipeline-panel');
+            if (!panel) {
+                return;
+            }
+
+            const list = document.getElementById('pipeline-steps');
+            const summary = document.getElementById('pipeline-summary');
+            const actions = document.getElementById('pipeline-actions');
+            const pipeline = this.pipeline;
+
+            if (summary && !summary.hasAttribute('data-idle-text')) {
+                summary.setAttribute('data-idle-text', summary.textContent.trim());
+            }
+
+            panel.dataset.status = pipeline ? pipeline.status : 'idle';
+            document.querySelectorAll('#run-workflow-btn, .run-phase-btn').forEach(btn => {
+                btn.disabled = this.isActive;
+            });
+
+            list.textContent = '';
+            actions.textContent = '';
+
+            if (!pipeline) {
+                summary.textContent = summary.getAttribute('data-idle-text');
+                return;
+            }
+
+            summary.textContent = this.describe();
+
+            pipeline.steps.forEach((step, index) => {
+                const item = document.createElement('li');
+                item.className = `pipeline-step step-${step.status}`;
+                if (index === pipeline.currentStep && this.isActive) {
+                    item.classList.add('current');
+                    item.setAttribute('aria-current', 'step');
+                }
+
+                const title = document.createElement('span');
+                title.className = 'pipeline-step-title';
+                title.textContent = WorkflowManager.getModuleTitle(step.moduleId);
+
+                const status = document.createElement('span');
+                status.className = 'pipeline-step-status';
+                status.textContent = step.status === 'queued' && step.dryRunPassed
+                    ? t('Dry run passed')
+                    : (index === pipeline.currentStep && pipeline.status === 'paused' ? t('Awaiting confirmation') : this.stepLabels[step.status]);
+
+                item.append(title, status);
+
+                if (step.error) {
+                    const error = document.createElement('span');
+                    error.className = 'pipeline-step-error';
+                    error.textContent = step.error;
+                    item.appendChild(error);
+                }
+
+                list.appendChild(item);
+            });
+
+            switch (pipeline.status) {
+                case 'running':
+                    actions.appendChild(this.createActionButton(t('Stop pipeline'), 'stop'));
+                    break;
+                case 'paused':
+                    actions.appendChild(this.createActionButton(t('Confirm & continue'), 'confirm', 'submit'));
+                    actions.appendChild(this.createActionButton(t('Stop pipeline'), 'stop'));
+                    break;
+                case 'failed':
+                case 'stopped':
+                    actions.appendChild(this.createActionButton(t('Resume'), 'resume', 'submit'));
+                    actions.appendChild(this.createActionButton(t('Dismiss'), 'dismiss'));
+                    break;
+                default:
+                    actions.appendChild(this.createActionButton(t('Dismiss'), 'dismiss'));
+            }
+        }
+    };
+
+    // ============================================================================
+    // RUN COORDINATION
+    // ============================================================================
+    // Keeps open dashboards in step: the server reports runs active anywhere and the
+    // migration lock (get-run-coordination), and tabs of the same browser announce
+    // starts and outcomes to each other so they refresh at once instead of on the next poll
+    const RunCoordinator = {
+        refreshRate: 10000,
+        channelName: 'spaghetti-migrator-dashboard',
+        channel: null,
+        snapshot: null,
+        refreshTimer: null,
+
+        // Runs this tab already tried to follow, so a stale state row is not re-attached on every poll
+        attachedRuns: new Set(),
+
+        // Runs started from this tab; the banner lists the others
+        localRuns: new Set(),
+
+        init() {
+            if (!Config.runCoordinationUrl) {
+                return;
+            }
+
+            if ('BroadcastChannel' in window) {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.addEventListener('message', (e) => this.handleMessage(e.data || {}));
+            }
+
+            const list = document.getElementById('run-coordination-list');
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const watchBtn = e.target.closest('[data-watch-migration-id]');
+                    if (watchBtn) {
+                        LiveMonitor.open();
+                        LiveMonitor.selectRun(watchBtn.dataset.watchMigrationId);
+                    }
+                });
+            }
+
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) {
+                    this.refresh();
+                }
+            });
+
+            this.refresh();
+            setInterval(() => {
+                if (!document.hidden) {
+                    this.refresh();
+                }
+            }, this.refreshRate);
+        },
+
+        async refresh() {
+            try {
+                const data = await APIClient.getRunCoordination();
+                if (!data.success) {
+                    throw new Error(data.error || t('Failed to load active runs'));
+                }
+
+                this.snapshot = data;
+            } catch (error) {
+                console.error('Failed to load active runs:', error);
+                return;
+            }
+
+            this.followRuns();
+            this.applyBlocks();
+            this.renderBanner();
+        },
+
+        // Refreshes shortly after a change, once the server has recorded it
+        scheduleRefresh(delay = 1500) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = setTimeout(() => this.refresh(), delay);
+        },
+
+        // Tells the other tabs of this browser; the server poll covers other admins
+        announce(type, detail = {}) {
+            if (type === 'run-started' && detail.migrationId) {
+                this.localRuns.add(detail.migrationId);
+            }
+
+            if (this.channel) {
+                this.channel.postMessage(Object.assign({ type }, detail));
+            }
+            this.scheduleRefresh();
+        },
+
+        handleMessage(message) {
+            if (message.type === 'module-status') {
+                this.syncModuleStates();
+            }
+
+            if (message.type === 'run-started' || message.type === 'module-status') {
+                this.scheduleRefresh(0);
+            }
+        },
+
+        // Completed and failed modules as recorded by the tab or admin that ran them
+        async syncModuleStates() {
+            try {
+                const data = await APIClient.checkStatus();
+                if (!data.success || !data.state) {
+                    return;
+                }
+
+                (data.state.completedModules || []).forEach(moduleId => StateManager.addCompleted(moduleId));
+                MigrationDashboard.updateModuleStates(data.state.moduleStates || {});
+            } catch (error) {
+                console.error('Failed to sync module states:', error);
+            }
+        },
+
+        // Runs started elsewhere are shown on their module card, as after a page reload
+        followRuns() {
+            (this.snapshot.runs || []).forEach(run => {
+                if (run.status !== 'running' || !run.command || this.attachedRuns.has(run.migrationId) || StateManager.isRunning(run.command)) {
+                    return;
+                }
+
+                const moduleCard = (run.moduleId && document.querySelector(`.module-card[data-module-id="${CSS.escape(run.moduleId)}"]`))
+                    || document.querySelector(`.module-card[data-command="${CSS.escape(run.command)}"]`);
+                if (!moduleCard) {
+                    return;
+                }
+
+                this.attachedRuns.add(run.migrationId);
+                CommandExecutor.reattachMigration(moduleCard, run.command, run.migrationId, null)
+                    .then(() => this.applyBlocks());
+            });
+        },
+
+        // What keeps a command from starting (mirrors RunCoordinator::findConflict()), or null
+        getBlock(command, dryRun = false) {
+            const blocked = this.snapshot && this.snapshot.blocked ? this.snapshot.blocked : {};
+            const block = Object.prototype.hasOwnProperty.call(blocked, command) ? blocked[command] : null;
+
+            if (!block || (dryRun && block.reason === 'locked')) {
+                return null;
+            }
+
+            return block;
+        },
+
+        applyBlocks() {
+            document.querySelectorAll('.run-module-btn[data-command]').forEach(btn => {
+                const command = btn.getAttribute('data-command');
+                if (!command) {
+                    return;
+                }
+
+                const moduleCard = btn.closest('.module-card');
+                const block = StateManager.isRunning(command) ? null : this.getBlock(command, btn.getAttribute('data-dry-run') === 'true');
+
+                if (block) {
+                    if (!btn.disabled) {
+                        btn.disabled = true;
+                        btn.dataset.runBlocked = 'true';
+                    }
+                    btn.title = block.message;
+                } else if (btn.dataset.runBlocked) {
+                    delete btn.dataset.runBlocked;
+                    btn.removeAttribute('title');
+
+                    // A run of this tab or a completion seen meanwhile decides the button's state
+                    const completedBtn = moduleCard && moduleCard.classList.contains('module-completed')
+                        ? (moduleCard.querySelector('.primary-action-btn') || moduleCard.querySelector('.run-module-btn'))
+                        : null;
+                    if (!StateManager.isRunning(command) && btn !== completedBtn) {
+                        btn.disabled = false;
+                    }
+                }
+            });
+
+            document.querySelectorAll('.module-card[data-command]').forEach(moduleCard => {
+                const command = moduleCard.getAttribute('data-command');
+                const block = command && !StateManager.isRunning(command) ? this.getBlock(command) : null;
+                this.renderCardNote(moduleCard, block);
+            });
+        },
+
+        renderCardNote(moduleCard, block) {
+            let note = moduleCard.querySelector('.module-run-blocked-note');
+            moduleCard.classList.toggle('module-run-blocked', !!block);
+
+            if (!block) {
+                if (note) {
+                    note.remove();
+                }
+                return;
+            }
+
+            if (!note) {
+                note = document.createElement('p');
+                note.className = 'module-run-blocked-note';
+                const actions = moduleCard.querySelector('.module-actions');
+                if (actions) {
+                    actions.before(note);
+                } else {
+                    moduleCard.appendChild(note);
+                }
+            }
+
+            note.textContent = block.reason === 'locked'
+                ? `🔒 ${block.message}. ${t('Dry runs are still allowed.')}`
+                : `⟳ ${this.describeRun(block)}`;
+        },
+
+        describeRun(run) {
+            const command = run.command || t('A command');
+            const parts = [run.status === 'queued'
+                ? t('{command} is queued elsewhere', { command })
+                : t('{command} is running elsewhere', { command })];
+            if (run.startedBy) {
+                parts.push(t('started by {user}', { user: run.startedBy }));
+            }
+            if (run.startedAt) {
+                parts.push(t('at {time}', { time: LiveMonitor.formatRunTime(run.startedAt) }));
+            }
+            return parts.join(', ');
+        },
+
+        renderBanner() {
+            const banner = document.getElementById('run-coordination-banner');
+            const list = document.getElementById('run-coordination-list');
+            const title = document.getElementById('run-coordination-title');
+            if (!banner || !list) {
+                return;
+            }
+
+            const lock = this.snapshot.lock;
+            const runs = (this.snapshot.runs || []).filter(run => !this.localRuns.has(run.migrationId));
+
+            list.replaceChildren();
+
+            if (lock) {
+                const item = document.createElement('li');
+                item.className = 'run-coordination-lock' + (lock.stale ? ' stale' : '');
+                const holder = lock.startedBy ? `${lock.command}, ${t('started by {user}', { user: lock.startedBy })}` : lock.command;
+                const params = { holder, process: lock.lockedBy, time: LiveMonitor.formatRunTime(lock.lockedAt) };
+                item.textContent = lock.stale
+                    ? t('Stale migration lock left by process {process} at {time}. It no longer blocks anything; Force Cleanup removes it.', params)
+                    : t('Migration lock held by {holder} since {time} (process {process}). Migration, rollback and filesystem switches wait until it is released.', params);
+                list.appendChild(item);
+            }
+
+            runs.forEach(run => {
+                const item = document.createElement('li');
+                const text = document.createElement('span');
+                const progress = run.progressPercent !== null && run.progressPercent !== undefined ? ` (${Math.round(run.progressPercent)}%)` : '';
+                text.textContent = `${this.describeRun(run)}${progress}`;
+                item.appendChild(text);
+
+                if (run.status === 'running') {
+                    const watchBtn = document.createElement('button');
+                    watchBtn.type = 'button';
+                    watchBtn.className = 'btn small';
+                    watchBtn.dataset.watchMigrationId = run.migrationId;
+                    watchBtn.textContent = t('Watch');
+                    watchBtn.setAttribute('aria-label', t('Watch {run} in the Live Monitor', { run: run.command || run.migrationId }));
+                    item.appendChild(watchBtn);
+                }
+
+                list.appendChild(item);
+            });
+
+            if (title) {
+                title.textContent = lock && !lock.stale ? t('Migration lock held') : t('Running elsewhere');
+            }
+
+            banner.classList.toggle('locked', !!lock && !lock.stale);
+            banner.hidden = list.children.length === 0;
+        }
+    };
+
+    // ============================================================================
+    // LIVE MONITOR
+    // ============================================================================
+    const LiveMonitor = {
+        isOpen: false,
+        paused: false,
+        refreshInterval: null,
+        refreshRate: 3000,
+
+        // Run shown in the detail pane; null follows the latest (running first) run
+        selectedMigrationId: null,
+        displayedMigrationId: null,
+        runs: [],
+        recentRunLimit: 10,
+
+        // Samples of the monitored run: backfilled from get-progress-history, then one per refresh
+        history: { migrationId: null, samples: [], backfilled: false },
+        maxSamples: 1000,
+
+        // Time constant (seconds) of the exponentially weighted rate behind the ETA
+        etaSmoothing: 300,
+        // No processed items for this long while running is reported as a stall
+        stallAfter: 120,
+
+        chartSeries: [
+            { key: 'filesPerSecond', label: t('Files / sec'), format: value => value.toFixed(value < 10 ? 2 : 1) },
+            { key: 'mbPerSecond', label: t('MB / sec'), format: value => value.toFixed(2) },
+            { key: 'errorsPerMinute', label: t('Errors / min'), format: value => value.toFixed(1) },
+            { key: 'remaining', label: t('Remaining items'), format: value => Math.round(value).toLocaleString() }
+        ],
+
+        statusLabels: {
+            queued: t('queued'),
+            running: t('running'),
+            completed: t('completed'),
+            failed: t('failed'),
+            cancelled: t('cancelled'),
+            unknown: t('unknown')
+        },
+
+        init() {
+            const openBtn = document.getElementById('open-live-monitor-btn');
+            if (openBtn) {
+                openBtn.addEventListener('click', () => this.open());
+            }
+
+            const modal = document.getElementById('live-monitor-modal');
+            if (modal) {
+                // Every way of closing the modal goes through UIManager.closeModal
+                modal._onClose = () => this.close();
+            }
+
+            const pauseBtn = document.getElementById('monitor-pause-btn');
+            if (pauseBtn) {
+                pauseBtn.addEventListener('click', () => this.togglePause());
+            }
+
+            const followBtn = document.getElementById('monitor-follow-latest');
+            if (followBtn) {
+                followBtn.addEventListener('click', () => this.selectRun(null));
+            }
+
+            const runList = document.getElementById('monitor-run-list');
+            if (runList) {
+                runList.addEventListener('click', (e) => {
+                    const moduleBtn = e.target.closest('.monitor-run-module');
+                    if (moduleBtn) {
+                        this.showModule(moduleBtn.dataset.migrationId);
+                        return;
+                    }
+
+                    const runBtn = e.target.closest('.monitor-run');
+                    if (runBtn) {
+                        this.selectRun(runBtn.dataset.migrationId);
+                    }
+                });
+            }
+        },
+
+        open() {
+            const modal = document.getElementById('live-monitor-modal');
+            if (!modal) {
+                return;
+            }
+
+            UIManager.openModal(modal);
+            this.isOpen = true;
+            this.paused = false;
+            this.updatePauseButton();
+            this.refreshData();
+            this.startAutoRefresh();
+        },
+
+        close() {
+            this.isOpen = false;
+            this.stopAutoRefresh();
+        },
+
+        togglePause() {
+            this.paused = !this.paused;
+            if (this.paused) {
+                this.stopAutoRefresh();
+            } else {
+                this.refreshData();
+                this.startAutoRefresh();
+            }
+            this.updatePauseButton();
+        },
+
+        updatePauseButton() {
+            const pauseBtn = document.getElementById('monitor-pause-btn');
+            const pauseText = document.getElementById('monitor-pause-text');
+            if (pauseBtn) {
+                pauseBtn.style.display = 'inline-block';
+            }
+            if (pauseText) {
+                pauseText.textContent = this.paused ? t('Resume Refresh') : t('Pause Refresh');
+            }
+        },
+
+        startAutoRefresh() {
+            this.stopAutoRefresh();
+
+            this.refreshInterval = setInterval(() => {
+                if (this.isOpen && !this.paused) {
+                    this.refreshData();
+                }
+            }, this.refreshRate);
+        },
+
+        stopAutoRefresh() {
+            if (this.refreshInterval) {
+                clearInterval(this.refreshInterval);
+                this.refreshInterval = null;
+            }
+        },
+
+        async refreshData() {
+            await Promise.all([this.refreshMonitor(), this.refreshRuns()]);
+        },
+
+        async refreshMonitor() {
+            const migrationId = this.selectedMigrationId;
+
+            try {
+                let data;
+                if (migrationId) {
+                    data = await APIClient.fetchLiveMonitor(migrationId);
+                } else {
+                    const response = await APIClient.request(Config.liveMonitorUrl, {
+                        headers: {
+                            'X-Requested-With': 'XMLHttpRequest',
+                            'Accept': 'application/json'
+                        }
+                    });
+                    data = await response.json();
+                }
+
+                // Ignore a response for a run that is no longer selected
+                if (migrationId === this.selectedMigrationId) {
+                    this.updateDisplay(data);
+                }
+            } catch (error) {
+                console.error('Failed to refresh live monitor:', error);
+            }
+        },
+
+        async refreshRuns() {
+            try {
+                const data = await APIClient.getRunningMigrations(this.recentRunLimit);
+                if (data.success) {
+                    this.runs = (data.migrations || []).concat(data.recent || []);
+                    this.renderRunList();
+                }
+            } catch (error) {
+                console.error('Failed to load migration runs:', error);
+            }
+        },
+
+        selectRun(migrationId) {
+            this.selectedMigrationId = migrationId || null;
+            this.setVisible('monitor-loading', true);
+            this.setVisible('monitor-active', false);
+            this.setVisible('monitor-no-migration', false);
+            this.renderRunList();
+            this.refreshMonitor();
+        },
+
+        renderRunList() {
+            const list = document.getElementById('monitor-run-list');
+            if (!list) {
+                return;
+            }
+
+            const activeId = this.selectedMigrationId || this.displayedMigrationId;
+
+            list.replaceChildren(...this.runs.map(run => {
+                const item = document.createElement('li');
+
+                const runBtn = document.createElement('button');
+                runBtn.type = 'button';
+                runBtn.className = 'monitor-run';
+                runBtn.dataset.migrationId = run.migrationId;
+                runBtn.setAttribute('aria-pressed', run.migrationId === activeId ? 'true' : 'false');
+
+                const header = document.createElement('span');
+                header.className = 'monitor-run-header';
+                const title = document.createElement('span');
+                title.className = 'monitor-run-title';
+                title.textContent = this.getRunLabel(run);
+                const badge = document.createElement('span');
+                badge.className = `badge monitor-run-badge ${run.status || ''}`;
+                badge.textContent = this.statusLabel(run.status);
+                header.append(title, badge);
+
+                const meta = document.createElement('span');
+                meta.className = 'monitor-run-meta';
+                const details = [];
+                if (run.progressPercent !== null && run.progressPercent !== undefined) {
+                    details.push(`${run.progressPercent}%`);
+                }
+                if (run.startedAt) {
+                    details.push(t('started {time}', { time: this.formatRunTime(run.startedAt) }));
+                }
+                meta.textContent = details.join(' · ');
+
+                runBtn.append(header, meta);
+                item.appendChild(runBtn);
+
+                if (this.findModuleCard(run)) {
+                    const moduleBtn = document.createElement('button');
+                    moduleBtn.type = 'button';
+                    moduleBtn.className = 'monitor-run-module';
+                    moduleBtn.dataset.migrationId = run.migrationId;
+                    moduleBtn.textContent = t('Go to module');
+                    moduleBtn.setAttribute('aria-label', t('Go to the {title} module', { title: this.getRunLabel(run) }));
+                    item.appendChild(moduleBtn);
+                }
+
+                return item;
+            }));
+
+            this.setVisible('monitor-runs-empty', this.runs.length === 0);
+
+            const followBtn = document.getElementById('monitor-follow-latest');
+            if (followBtn) {
+                followBtn.setAttribute('aria-pressed', this.selectedMigrationId ? 'false' : 'true');
+            }
+        },
+
+        // The module card that owns a run: remembered module, the card's current run, then its command
+        findModuleCard(run) {
+            if (run.moduleId) {
+                const card = document.querySelector(`.module-card[data-module-id="${CSS.escape(run.moduleId)}"]`);
+                if (card) {
+                    return card;
+                }
+            }
+
+            const cards = Array.from(document.querySelectorAll('.module-card'));
+            const running = cards.find(card => card._migrationId === run.migrationId);
+            if (running) {
+                return running;
+            }
+
+            return run.command ? cards.find(card => card.dataset.command === run.command) || null : null;
+        },
+
+        getRunLabel(run) {
+            const card = this.findModuleCard(run);
+            const title = card ? card.querySelector('.module-title') : null;
+            const label = title && title.firstChild ? title.firstChild.textContent.trim() : '';
+
+            return label || run.command || run.migrationId;
+        },
+
+        statusLabel(status) {
+            return this.statusLabels[status] || status || this.statusLabels.unknown;
+        },
+
+        formatRunTime(value) {
+            // Craft stores dates in UTC as "Y-m-d H:i:s"
+            const date = new Date(String(value).replace(' ', 'T') + (String(value).length === 19 ? 'Z' : ''));
+            if (isNaN(date.getTime())) {
+                return String(value);
+            }
+
+            const sameDay = date.toDateString() === new Date().toDateString();
+            return sameDay
+                ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        },
+
+        showModule(migrationId) {
+            const run = this.runs.find(candidate => candidate.migrationId === migrationId);
+            const card = run ? this.findModuleCard(run) : null;
+            if (!card) {
+                return;
+            }
+
+            const modal = document.getElementById('live-monitor-modal');
+            if (modal) {
+                UIManager.closeModal(modal);
+            }
+
+            card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            card.setAttribute('tabindex', '-1');
+            card.focus({ preventScroll: true });
+            card.classList.add('module-card-highlight');
+            setTimeout(() => card.classList.remove('module-card-highlight'), 2000);
+        },
+
+        setVisible(id, visible) {
+            const element = document.getElementById(id);
+            if (element) {
+                element.style.display = visible ? '' : 'none';
+            }
+        },
+
+        setText(id, text) {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = text;
+            }
+        },
+
+        updateDisplay(data) {
+            this.setVisible('monitor-loading', false);
+
+            const badge = document.getElementById('monitor-status-badge');
+
+            if (!data.success || !data.migration) {
+                this.setVisible('monitor-no-migration', true);
+                this.setVisible('monitor-active', false);
+                if (badge) {
+                    badge.style.display = 'none';
+                }
+                return;
+            }
+
+            const migration = data.migration;
+            const status = migration.status || 'unknown';
+
+            if (this.displayedMigrationId !== migration.id) {
+                this.displayedMigrationId = migration.id;
+                this.renderRunList();
+            }
+
+            this.setVisible('monitor-no-migration', false);
+            this.setVisible('monitor-active', true);
+
+            if (badge) {
+                badge.className = `badge ${status}`;
+                badge.textContent = this.statusLabel(status).toUpperCase();
+                badge.style.display = '';
+            }
+
+            this.setText('monitor-migration-id', migration.id || '-');
+            this.setText('monitor-phase', migration.phase || '-');
+            this.setText('monitor-status', this.statusLabel(status));
+            this.setText('monitor-process', migration.pid
+                ? (migration.isProcessRunning ? t('PID {pid} (running)', { pid: migration.pid }) : t('PID {pid} (not running)', { pid: migration.pid }))
+                : (migration.isProcessRunning ? this.statusLabels.running : '-'));
+
+            const percent = Math.min(100, Math.max(0, Number(migration.progressPercent) || 0));
+            const progressFill = document.getElementById('monitor-progress-fill');
+            if (progressFill) {
+                progressFill.style.width = `${percent}%`;
+            }
+            this.setText('monitor-progress-percent', `${percent}%`);
+            this.setText('monitor-progress-text', migration.totalCount
+                ? t('{processed} / {total} items processed', {
+                    processed: Number(migration.processedCount || 0).toLocaleString(),
+                    total: Number(migration.totalCount).toLocaleString()
+                })
+                : (migration.phase || t('Processing...')));
+
+            this.updateStats(migration.stats);
+            this.updateTrends(migration, data.timestamp);
+
+            const errorSection = document.getElementById('monitor-error-section');
+            if (errorSection) {
+                errorSection.style.display = migration.errorMessage ? '' : 'none';
+                this.setText('monitor-error-message', migration.errorMessage || '');
+            }
+
+            const logTasksContainer = document.getElementById('monitor-log-tasks');
+            if (logTasksContainer) {
+                this.updateLogTasks(logTasksContainer, data.logTasks);
+            }
+        },
+
+        updateStats(stats) {
+            const statsSection = document.getElementById('monitor-stats-section');
+            const statsEl = document.getElementById('monitor-stats');
+            if (!statsEl) {
+                return;
+            }
+
+            // Nested values (the structured progress event) are charted instead
+            const entries = Object.entries(stats || {}).filter(([, value]) => value !== null && typeof value !== 'object');
+
+            statsEl.replaceChildren(...entries.map(([key, value]) => {
+                const item = document.createElement('div');
+                item.className = 'monitor-stat-item';
+                const label = document.createElement('span');
+                label.className = 'monitor-stat-label';
+                label.textContent = key;
+                const statValue = document.createElement('span');
+                statValue.className = 'monitor-stat-value';
+                statValue.textContent = String(value);
+                item.append(label, statValue);
+                return item;
+            }));
+
+            if (statsSection) {
+                statsSection.style.display = entries.length > 0 ? '' : 'none';
+            }
+        },
+
+        // ------------------------------------------------------------------------
+        // Throughput trends
+        // ------------------------------------------------------------------------
+
+        sampleFromMigration(migration, timestamp) {
+            const event = migration.progressEvent;
+            if (ProgressMonitor.isProgressEvent(event)) {
+                return {
+                    at: event.at,
+                    processed: event.processed,
+                    total: event.total,
+                    bytesProcessed: event.bytesProcessed,
+                    errors: event.errors
+                };
+            }
+
+            if (!migration.totalCount && !migration.processedCount) {
+                return null;
+            }
+
+            return {
+                at: timestamp || Date.now() / 1000,
+                processed: Number(migration.processedCount) || 0,
+                total: Number(migration.totalCount) || null,
+                bytesProcessed: null,
+                errors: null
+            };
+        },
+
+        addSamples(samples) {
+            const merged = this.history.samples.concat(samples.filter(Boolean));
+            merged.sort((a, b) => a.at - b.at);
+
+            this.history.samples = merged.filter((sample, index) => index === 0 || sample.at !== merged[index - 1].at);
+
+            // Thin out the older half instead of dropping the start of a long run
+            while (this.history.samples.length > this.maxSamples) {
+                const half = Math.floor(this.history.samples.length / 2);
+                this.history.samples = this.history.samples.slice(0, half).filter((sample, index) => index % 2 === 0)
+                    .concat(this.history.samples.slice(half));
+            }
+        },
+
+        async backfillHistory(migrationId) {
+            if (!Config.progressHistoryUrl) {
+                return;
+            }
+
+            try {
+                const data = await APIClient.fetchProgressHistory(migrationId);
+                if (data.success && this.history.migrationId === migrationId && Array.isArray(data.samples)) {
+                    this.addSamples(data.samples);
+                    this.renderTrends();
+                }
+            } catch (error) {
+                console.error('Failed to load progress history:', error);
+            }
+        },
+
+        updateTrends(migration, timestamp) {
+            if (this.history.migrationId !== migration.id) {
+                this.history = { migrationId: migration.id, samples: [], backfilled: false, status: null, now: null };
+            }
+
+            this.history.status = migration.status;
+            this.history.now = timestamp || Date.now() / 1000;
+            this.addSamples([this.sampleFromMigration(migration, timestamp)]);
+
+            if (!this.history.backfilled && migration.id) {
+                this.history.backfilled = true;
+                this.backfillHistory(migration.id);
+            }
+
+            this.renderTrends();
+        },
+
+        // Rates between consecutive samples, plus the smoothed rate used for the ETA
+        computeTrends(samples) {
+            const series = { filesPerSecond: [], mbPerSecond: [], errorsPerMinute: [], remaining: [] };
+            let smoothedRate = null;
+            let lastChangeAt = samples.length > 0 ? samples[0].at : null;
+
+            samples.forEach((sample, index) => {
+                if (sample.total) {
+                    series.remaining.push({ at: sample.at, value: Math.max(0, sample.total - sample.processed) });
+                }
+
+                const previous = samples[index - 1];
+                if (!previous) {
+                    return;
+                }
+
+                const elapsed = sample.at - previous.at;
+                if (elapsed <= 0) {
+                    return;
+                }
+
+                if (sample.processed !== previous.processed) {
+                    lastChangeAt = sample.at;
+                }
+
+                // A restarted run (resume) counts from zero again; do not chart negative rates
+                const rate = Math.max(0, (sample.processed - previous.processed) / elapsed);
+                series.filesPerSecond.push({ at: sample.at, value: rate });
+
+                if (typeof sample.bytesProcessed === 'number' && typeof previous.bytesProcessed === 'number') {
+                    series.mbPerSecond.push({ at: sample.at, value: Math.max(0, sample.bytesProcessed - previous.bytesProcessed) / elapsed / 1048576 });
+                }
+                if (typeof sample.errors === 'number' && typeof previous.errors === 'number') {
+                    series.errorsPerMinute.push({ at: sample.at, value: Math.max(0, sample.errors - previous.errors) / elapsed * 60 });
+                }
+
+                const weight = 1 - Math.exp(-elapsed / this.etaSmoothing);
+                smoothedRate = smoothedRate === null ? rate : smoothedRate + weight * (rate - smoothedRate);
+            });
+
+            const last = samples[samples.length - 1];
+            const remaining = last && last.total ? Math.max(0, last.total - last.processed) : null;
+            const peakRate = Math.max(0, ...series.filesPerSecond.map(point => point.value));
+
+            return {
+                series: series,
+                smoothedRate: smoothedRate,
+                peakRate: peakRate,
+                remaining: remaining,
+                etaSeconds: remaining !== null && smoothedRate > 0 ? remaining / smoothedRate : null,
+                lastChangeAt: lastChangeAt
+            };
+        },
+
+        renderTrends() {
+            const section = document.getElementById('monitor-trends-section');
+            const container = document.getElementById('monitor-charts');
+            const samples = this.history.samples;
+
+            if (!section || !container) {
+                return;
+            }
+
+            section.style.display = samples.length > 1 ? '' : 'none';
+            if (samples.length < 2) {
+                return;
+            }
+
+            const trends = this.computeTrends(samples);
+            const running = this.history.status === 'running';
+
+            let eta = '-';
+            if (trends.remaining === 0) {
+                eta = t('Done');
+            } else if (trends.etaSeconds !== null) {
+                const finish = new Date(Date.now() + trends.etaSeconds * 1000);
+                eta = t('{duration} (around {time})', {
+                    duration: ProgressMonitor.formatDuration(trends.etaSeconds),
+                    time: finish.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+                });
+            }
+            this.setText('monitor-eta', eta);
+
+            // Stalls and throttling are what decide whether the maintenance window stays open
+            let warning = '';
+            const idleFor = this.history.now - trends.lastChangeAt;
+            if (running && trends.remaining !== 0 && idleFor >= this.stallAfter) {
+                warning = t('No items processed for {duration}; the run may be stalled', { duration: ProgressMonitor.formatDuration(idleFor) });
+            } else if (running && trends.peakRate > 0 && trends.smoothedRate !== null && trends.smoothedRate < trends.peakRate * 0.5) {
+                const drop = Math.round((1 - trends.smoothedRate / trends.peakRate) * 100);
+                warning = t('Throughput is {percent}% below its peak; the target may be throttling', { percent: drop });
+            }
+            const warningEl = document.getElementById('monitor-trend-warning');
+            if (warningEl) {
+                warningEl.textContent = warning;
+                warningEl.hidden = !warning;
+            }
+
+            this.chartSeries.forEach(definition => {
+                let chart = container.querySelector(`[data-series="${definition.key}"]`);
+                if (!chart) {
+                    chart = this.createChart(definition);
+                    container.appendChild(chart);
+                }
+                this.drawChart(chart, definition, trends.series[definition.key]);
+            });
+        },
+
+        createChart(definition) {
+            const svgNs = 'http://www.w3.org/2000/svg';
+            const chart = document.createElement('figure');
+            chart.className = 'monitor-chart';
+            chart.setAttribute('data-series', definition.key);
+
+            const caption = document.createElement('figcaption');
+            const label = document.createElement('span');
+            label.className = 'monitor-chart-label';
+            label.textContent = definition.label;
+            const value = document.createElement('strong');
+            value.className = 'monitor-chart-value';
+            caption.append(label, value);
+
+            const svg = document.createElementNS(svgNs, 'svg');
+            svg.setAttribute('class', 'monitor-chart-svg');
+            svg.setAttribute('viewBox', '0 0 240 48');
+            svg.setAttribute('preserveAspectRatio', 'none');
+            svg.setAttribute('role', 'img');
+
+            const area = document.createElementNS(svgNs, 'polygon');
+            area.setAttribute('class', 'monitor-chart-area');
+            const line = document.createElementNS(svgNs, 'polyline');
+            line.setAttribute('class', 'monitor-chart-line');
+            svg.append(area, line);
+
+            const range = document.createElement('div');
+            range.className = 'monitor-chart-range';
+
+            chart.append(caption, svg, range);
+            return chart;
+        },
+
+        drawChart(chart, definition, points) {
+            const value = chart.querySelector('.monitor-chart-value');
+            const range = chart.querySelector('.monitor-chart-range');
+            const svg = chart.querySelector('svg');
+            const line = chart.querySelector('.monitor-chart-line');
+            const area = chart.querySelector('.monitor-chart-area');
+
+            if (!points || points.length < 2) {
+                value.textContent = points && points.length === 1 ? definition.format(points[0].value) : t('n/a');
+                range.textContent = t('Not enough data yet');
+                line.setAttribute('points', '');
+                area.setAttribute('points', '');
+                svg.setAttribute('aria-label', t('{label}: not enough data yet', { label: definition.label }));
+                return;
+            }
+
+            const start = points[0].at;
+            const span = Math.max(1, points[points.length - 1].at - start);
+            const peak = Math.max(...points.map(point => point.value));
+            const scale = peak > 0 ? peak : 1;
+
+            const coordinates = points.map(point => {
+                const x = (point.at - start) / span * 240;
+                const y = 46 - point.value / scale * 44;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+
+            line.setAttribute('points', coordinates.join(' '));
+            area.setAttribute('points', `0,48 ${coordinates.join(' ')} 240,48`);
+
+            const current = definition.format(points[points.length - 1].value);
+            value.textContent = current;
+            const params = { label: definition.label, current, peak: definition.format(peak), duration: ProgressMonitor.formatDuration(span) };
+            range.textContent = t('peak {peak} · last {duration}', params);
+            svg.setAttribute('aria-label', t('{label} over the last {duration}: now {current}, peak {peak}', params));
+        },
+
+        updateLogTasks(container, tasks) {
+            if (!tasks || tasks.length === 0) {
+                if (!container.querySelector('.info-box')) {
+                    container.replaceChildren();
+                    const empty = document.createElement('div');
+                    empty.className = 'info-box';
+                    empty.textContent = t('Logs will appear here as soon as the queue starts processing.');
+                    container.appendChild(empty);
+                }
+                return;
+            }
+
+            const currentMigrationIds = new Set(tasks.map(task => task.migrationId));
+
+            tasks.forEach(task => {
+                let taskBlock = container.querySelector(`[data-migration-id="${CSS.escape(task.migrationId)}"]`);
+
+                if (!taskBlock) {
+                    taskBlock = document.createElement('div');
+                    taskBlock.className = 'monitor-log-task';
+                    taskBlock.setAttribute('data-migration-id', task.migrationId);
+                    Html.setContent(taskBlock, html`
+                        <div class="task-header">
+                            <h4>${task.command || t('Unknown Command')}</h4>
+                            <span class="badge ${task.status || 'unknown'}">${this.statusLabel(task.status).toUpperCase()}</span>
+                        </div>
+                        <pre class="monitor-logs">${t('Loading...')}</pre>
+                    `);
+                    container.appendChild(taskBlock);
+                }
+
+                const badge = taskBlock.querySelector('.badge');
+                if (badge) {
+                    badge.className = `badge ${task.status || 'unknown'}`;
+                    badge.textContent = this.statusLabel(task.status).toUpperCase();
+                }
+
+                const logPre = taskBlock.querySelector('.monitor-logs');
+                if (logPre) {
+                    const logText = Array.isArray(task.lines) ? task.lines.join('\n') : (task.lines || '');
+
+                    if (logPre._rawText !== logText) {
+                        const wasAtBottom = (logPre.scrollHeight - logPre.scrollTop - logPre.clientHeight) < 100;
+                        logPre._rawText = logText;
+                        this.renderLogText(logPre, logText);
+
+                        if (wasAtBottom) {
+                            setTimeout(() => {
+                                logPre.scrollTop = logPre.scrollHeight;
+                            }, 0);
+                        }
+                    }
+                }
+            });
+
+            const existingTasks = container.querySelectorAll('.monitor-log-task[data-migration-id]');
+            existingTasks.forEach((taskBlock) => {
+                const migrationId = taskBlock.getAttribute('data-migration-id');
+                if (!currentMigrationIds.has(migrationId)) {
+                    taskBlock.remove();
+                }
+            });
+        },
+
+        renderLogText(logPre, logText) {
+            if (!logText) {
+                logPre.textContent = t('No logs available yet...');
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            let style = AnsiRenderer.defaultStyle;
+            logText.split(/\r?\n/).forEach((line, index) => {
+                if (index > 0) {
+                    fragment.appendChild(document.createTextNode('\n'));
+                }
+                const parsed = AnsiRenderer.parse(line, style);
+                style = parsed.style;
+                AnsiRenderer.render(fragment, parsed);
+            });
+            logPre.replaceChildren(fragment);
+        }
+    };
+
+    // ============================================================================
+    // QUEUE PANEL
+    // ============================================================================
+    const QueuePanel = {
+        refreshInterval: null,
+        refreshRate: 5000,
+        // The open button's badge (failed and stalled jobs) is checked in the background
+        badgeRefreshRate: 60000,
+        jobs: [],
+
+        statusLabels: {
+            waiting: t('waiting'),
+            delayed: t('delayed'),
+            reserved: t('reserved'),
+            failed: t('failed')
+        },
+
+        init() {
+            const openBtn = document.getElementById('open-queue-panel-btn');
+            if (!openBtn) {
+                return;
+            }
+
+            openBtn.addEventListener('click', () => this.open());
+
+            const modal = document.getElementById('queue-panel-modal');
+            if (modal) {
+                modal._onClose = () => this.stopAutoRefresh();
+            }
+
+            const refreshBtn = document.getElementById('queue-panel-refresh-btn');
+            if (refreshBtn) {
+                refreshBtn.addEventListener('click', () => this.refresh());
+            }
+
+            const list = document.getElementById('queue-job-list');
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const actionBtn = e.target.closest('[data-queue-action]');
+                    if (actionBtn) {
+                        this.confirmAction(actionBtn.dataset.queueAction, Number(actionBtn.dataset.jobId));
+                    }
+                });
+            }
+
+            this.refresh();
+            setInterval(() => {
+                if (!this.refreshInterval) {
+                    this.refresh();
+                }
+            }, this.badgeRefreshRate);
+        },
+
+        open() {
+            const modal = document.getElementById('queue-panel-modal');
+            if (!modal) {
+                return;
+            }
+
+            UIManager.openModal(modal);
+            this.refresh();
+            this.stopAutoRefresh();
+            this.refreshInterval = setInterval(() => this.refresh(), this.refreshRate);
+        },
+
+        stopAutoRefresh() {
+            if (this.refreshInterval) {
+                clearInterval(this.refreshInterval);
+                this.refreshInterval = null;
+            }
+        },
+
+        async refresh() {
+            try {
+                const data = await APIClient.fetchQueueJobs();
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.jobs = data.jobs || [];
+                this.render(data);
+            } catch (error) {
+                console.error('Failed to load queue jobs:', error);
+                const status = document.getElementById('queue-panel-status');
+                if (status) {
+                    status.textContent = t('Could not load queue jobs: {error}', { error: error.message });
+                }
+            }
+        },
+
+        render(data) {
+            const failed = this.jobs.filter(job => job.status === 'failed').length;
+            const stalled = this.jobs.filter(job => job.stalled).length;
+            const overdue = this.jobs.filter(job => job.overdue).length;
+
+            const badge = document.getElementById('queue-panel-badge');
+            if (badge) {
+                badge.textContent = String(failed + stalled + overdue);
+                badge.hidden = failed + stalled + overdue === 0;
+            }
+
+            const status = document.getElementById('queue-panel-status');
+            if (status) {
+                status.textContent = this.jobs.length === 0
+                    ? t('No migration jobs in the queue.')
+                    : [
+                        t('{count, plural, =1{# job} other{# jobs}}', { count: this.jobs.length }),
+                        t('{count} failed', { count: failed }),
+                        t('refreshed {time}', { time: new Date().toLocaleTimeString() })
+                    ].join(' · ');
+            }
+
+            // Nothing picked up a job in time: the queue is not being processed
+            const warning = document.getElementById('queue-runner-warning');
+            if (warning) {
+                const messages = [];
+                if (stalled > 0) {
+                    messages.push(t('{count, plural, =1{# job has} other{# jobs have}} waited more than {duration} without a queue runner. Make sure the queue is processed (e.g. run "php craft queue/listen" or a cron job).', {
+                        count: stalled,
+                        duration: ProgressMonitor.formatDuration(data.stallSeconds || Config.queueStallSeconds)
+                    }));
+                }
+                if (overdue > 0) {
+                    messages.push(t('{count, plural, =1{# running job has outlived its time to reserve (TTR); the runner probably stopped. Retry or release it.} other{# running jobs have outlived their time to reserve (TTR); the runner probably stopped. Retry or release them.}}', { count: overdue }));
+                }
+                warning.textContent = messages.join(' ');
+                warning.hidden = messages.length === 0;
+            }
+
+            const list = document.getElementById('queue-job-list');
+            if (list) {
+                list.replaceChildren(...this.jobs.map(job => this.renderJob(job)));
+            }
+
+            const table = document.getElementById('queue-job-table');
+            if (table) {
+                table.hidden = this.jobs.length === 0;
+            }
+        },
+
+        renderJob(job) {
+            const row = document.createElement('tr');
+            row.className = `queue-job queue-job-${job.status}`;
+
+            const cell = (className, ...children) => {
+                const td = document.createElement('td');
+                td.className = className;
+                td.append(...children);
+                row.appendChild(td);
+                return td;
+            };
+            const text = (className, value) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = value;
+                return span;
+            };
+
+            cell('queue-job-name',
+                text('queue-job-description', job.description || job.command || t('Job #{id}', { id: job.id })),
+                text('queue-job-meta', [`#${job.id}`, job.command, job.migrationId].filter(Boolean).join(' · '))
+            );
+
+            let statusLabel = this.statusLabels[job.status] || job.status;
+            if (job.stalled) {
+                statusLabel = t('waiting (no runner)');
+            } else if (job.overdue) {
+                statusLabel = t('reserved (TTR exceeded)');
+            }
+            const statusCell = cell('queue-job-status', text(`badge queue-job-badge ${job.stalled || job.overdue ? 'warning' : job.status}`, statusLabel));
+            const age = job.waitingSeconds ?? job.runningSeconds;
+            if (age !== null && age !== undefined) {
+                statusCell.appendChild(text('queue-job-meta', t('for {duration}', { duration: ProgressMonitor.formatDuration(age) })));
+            }
+
+            cell('queue-job-attempts', String(job.attempt));
+            cell('queue-job-ttr', job.ttr ? ProgressMonitor.formatDuration(job.ttr) : '-');
+
+            const progress = document.createElement('div');
+            progress.className = 'progress-bar queue-job-progress';
+            const fill = document.createElement('div');
+            fill.className = 'progress-fill';
+            fill.style.width = `${Math.min(100, Math.max(0, job.progress))}%`;
+            progress.appendChild(fill);
+            cell('queue-job-progress-cell', progress, text('queue-job-meta', job.progressLabel || `${job.progress}%`));
+
+            const errorCell = cell('queue-job-error');
+            if (job.error) {
+                const details = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = job.error.split('\n')[0].slice(0, 120);
+                const full = document.createElement('pre');
+                full.textContent = job.error;
+                details.append(summary, full);
+                errorCell.appendChild(details);
+            } else {
+                errorCell.textContent = '-';
+            }
+
+            const actions = cell('queue-job-actions');
+            const addAction = (action, label, className) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = `btn small ${className}`;
+                btn.dataset.queueAction = action;
+                btn.dataset.jobId = job.id;
+                btn.textContent = label;
+                btn.setAttribute('aria-label', t('{action} job #{id}', { action: label, id: job.id }));
+                actions.appendChild(btn);
+            };
+
+            // Same rules as retry-queue-job / release-queue-job: never touch a job a live runner is working on
+            if (job.status === 'failed' || job.overdue) {
+                addAction('retry', t('Retry'), 'submit');
+            }
+            if (job.status !== 'reserved' || job.overdue) {
+                addAction('release', t('Release'), 'secondary');
+            }
+            if (job.migrationId && job.status !== 'failed') {
+                addAction('cancel', t('Cancel'), 'error');
+            }
+
+            return row;
+        },
+
+        confirmAction(action, jobId) {
+            const job = this.jobs.find(candidate => candidate.id === jobId);
+            if (!job) {
+                return;
+            }
+
+            const dialogs = {
+                retry: {
+                    title: t('Retry Queue Job'),
+                    message: t('Put job #{id} back in the queue? Its attempts and progress are reset and it runs again from the start (resumable commands continue from their checkpoint).', { id: job.id }),
+                    confirmText: t('Retry Job')
+                },
+                release: {
+                    title: t('Release Queue Job'),
+                    message: t('Remove job #{id} from the queue? It will not run, and its migration is marked as cancelled.', { id: job.id }),
+                    confirmText: t('Release Job')
+                },
+                cancel: {
+                    title: t('Cancel Queue Job'),
+                    message: t('Cancel job #{id}? A waiting job is removed from the queue; a running one is stopped and its process terminated.', { id: job.id }),
+                    confirmText: t('Cancel Job')
+                }
+            };
+
+            const dialog = dialogs[action];
+            if (!dialog) {
+                return;
+            }
+
+            UIManager.showConfirmationDialog(dialog.title, dialog.message, () => this.runAction(action, job), {
+                confirmText: dialog.confirmText,
+                cancelText: t('Keep Job')
+            });
+        },
+
+        async runAction(action, job) {
+            try {
+                let data;
+                if (action === 'retry') {
+                    data = await APIClient.retryQueueJob(job.id);
+                } else if (action === 'release') {
+                    data = await APIClient.releaseQueueJob(job.id);
+                } else {
+                    data = await APIClient.cancelMigration(job.migrationId, job.id);
+                }
+
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                const message = data.message || t('Job #{id} updated', { id: job.id });
+                Craft.cp.displayNotice(message);
+                AccessibilityManager.announceToScreenReader(message);
+            } catch (error) {
+                Craft.cp.displayError(t('Queue job action failed: {error}', { error: error.message }));
+            }
+
+            this.refresh();
+        }
+    };
+
+    // ============================================================================
+    // CHECKPOINT BROWSER
+    // ============================================================================
+    const CheckpointBrowser = {
+        // Checkpoints are written by image-migration/migrate, the only resumable command
+        resumeCommand: 'image-migration/migrate',
+        // Phase order of MigrationOrchestrator; a resume continues with the checkpoint's phase
+        phases: ['preparation', 'optimised_root', 'discovery', 'link_inline', 'safe_duplicates', 'resolve_duplicates', 'fix_links', 'consolidate', 'quarantine', 'cleanup', 'complete'],
+        // Phases the orchestrator restarts from discovery instead of resuming
+        restartPhases: ['preparation', 'optimised_root', 'discovery'],
+        checkpoints: [],
+        selectedId: null,
+
+        init() {
+            const openBtn = document.getElementById('open-checkpoints-btn');
+            if (openBtn) {
+                openBtn.addEventListener('click', () => this.open());
+            }
+
+            const list = document.getElementById('checkpoint-list');
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const actionBtn = e.target.closest('[data-checkpoint-action]');
+                    if (!actionBtn) {
+                        return;
+                    }
+
+                    if (actionBtn.dataset.checkpointAction === 'resume') {
+                        this.showPreview(actionBtn.dataset.checkpointId);
+                    } else {
+                        this.confirmDelete([actionBtn.dataset.checkpointId]);
+                    }
+                });
+            }
+
+            const resumeBtn = document.getElementById('checkpoint-resume-btn');
+            if (resumeBtn) {
+                resumeBtn.addEventListener('click', () => this.resume());
+            }
+
+            const cancelBtn = document.getElementById('checkpoint-preview-cancel-btn');
+            if (cancelBtn) {
+                cancelBtn.addEventListener('click', () => this.hidePreview());
+            }
+
+            const refreshBtn = document.getElementById('checkpoint-refresh-btn');
+            if (refreshBtn) {
+                refreshBtn.addEventListener('click', () => this.refresh());
+            }
+
+            const deleteStaleBtn = document.getElementById('checkpoint-delete-stale-btn');
+            if (deleteStaleBtn) {
+                deleteStaleBtn.addEventListener('click', () => {
+                    this.confirmDelete(this.checkpoints.filter(checkpoint => this.canDelete(checkpoint) && checkpoint.stale).map(checkpoint => checkpoint.id));
+                });
+            }
+        },
+
+        open() {
+            const modal = document.getElementById('checkpoint-modal');
+            if (!modal) {
+                return;
+            }
+
+            this.hidePreview();
+            UIManager.openModal(modal);
+            this.refresh();
+        },
+
+        async refresh() {
+            const status = document.getElementById('checkpoint-status');
+
+            try {
+                const data = await APIClient.fetchCheckpoints();
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.checkpoints = data.checkpoints || [];
+                this.render(data);
+            } catch (error) {
+                console.error('Failed to load checkpoints:', error);
+                if (status) {
+                    status.textContent = t('Could not load checkpoints: {error}', { error: error.message });
+                }
+            }
+        },
+
+        render(data) {
+            const stale = this.checkpoints.filter(checkpoint => checkpoint.stale && this.canDelete(checkpoint)).length;
+
+            const status = document.getElementById('checkpoint-status');
+            if (status) {
+                status.textContent = this.checkpoints.length === 0
+                    ? t('No checkpoints found.')
+                    : [
+                        t('{count, plural, =1{# checkpoint} other{# checkpoints}}', { count: this.checkpoints.length }),
+                        t('{count} older than {hours}h', { count: stale, hours: data.staleAfterHours || 72 })
+                    ].join(' · ');
+            }
+
+            const list = document.getElementById('checkpoint-list');
+            if (list) {
+                list.replaceChildren(...this.checkpoints.map(checkpoint => this.renderCheckpoint(checkpoint)));
+            }
+
+            const table = document.getElementById('checkpoint-table');
+            if (table) {
+                table.hidden = this.checkpoints.length === 0;
+            }
+
+            const deleteStaleBtn = document.getElementById('checkpoint-delete-stale-btn');
+            if (deleteStaleBtn) {
+                deleteStaleBtn.hidden = stale === 0;
+            }
+
+            // The previewed checkpoint may have been deleted or completed meanwhile
+            if (this.selectedId && !this.canResume(this.find(this.selectedId))) {
+                this.hidePreview();
+            }
+        },
+
+        renderCheckpoint(checkpoint) {
+            const row = document.createElement('tr');
+            row.className = 'checkpoint-row';
+            row.classList.toggle('checkpoint-stale', !!checkpoint.stale);
+            row.classList.toggle('selected', checkpoint.id === this.selectedId);
+
+            const cell = (className, ...children) => {
+                const td = document.createElement('td');
+                td.className = className;
+                td.append(...children);
+                row.appendChild(td);
+                return td;
+            };
+            const text = (className, value) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = value;
+                return span;
+            };
+
+            const nameCell = cell('checkpoint-name', text('checkpoint-id', checkpoint.migrationId));
+            if (checkpoint.id !== checkpoint.migrationId) {
+                nameCell.appendChild(text('checkpoint-meta', t('File {file}', { file: `${checkpoint.id}.json` })));
+            }
+            if (checkpoint.running) {
+                nameCell.appendChild(text('badge checkpoint-badge running', t('running')));
+            } else if (checkpoint.completed) {
+                nameCell.appendChild(text('badge checkpoint-badge', t('completed')));
+            }
+
+            cell('checkpoint-phase', this.formatPhase(checkpoint.phase));
+            cell('checkpoint-batch', String(checkpoint.batch));
+
+            const processed = cell('checkpoint-processed', checkpoint.total
+                ? `${checkpoint.processed.toLocaleString()} / ${checkpoint.total.toLocaleString()}`
+                : checkpoint.processed.toLocaleString());
+            if (checkpoint.remaining !== null && checkpoint.remaining !== undefined) {
+                processed.appendChild(text('checkpoint-meta', t('{count} remaining', { count: checkpoint.remaining.toLocaleString() })));
+            }
+
+            cell('checkpoint-saved', this.formatTime(checkpoint));
+
+            const age = cell('checkpoint-age', ProgressMonitor.formatDuration(checkpoint.ageSeconds));
+            if (checkpoint.stale) {
+                age.appendChild(text('badge checkpoint-badge warning', t('stale')));
+            }
+
+            const actions = cell('checkpoint-actions');
+            const addAction = (action, label, className, enabled) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = `btn small ${className}`;
+                btn.dataset.checkpointAction = action;
+                btn.dataset.checkpointId = checkpoint.id;
+                btn.textContent = label;
+                btn.disabled = !enabled;
+                btn.setAttribute('aria-label', t('{action} checkpoint {id}', { action: label, id: checkpoint.id }));
+                actions.appendChild(btn);
+            };
+
+            addAction('resume', t('Resume...'), 'submit', this.canResume(checkpoint));
+            addAction('delete', t('Delete'), 'secondary', this.canDelete(checkpoint));
+
+            return row;
+        },
+
+        find(checkpointId) {
+            return this.checkpoints.find(checkpoint => checkpoint.id === checkpointId) || null;
+        },
+
+        canResume(checkpoint) {
+            return !!checkpoint && !checkpoint.running && !checkpoint.completed && !StateManager.isRunning(this.resumeCommand);
+        },
+
+        canDelete(checkpoint) {
+            return !!checkpoint && !checkpoint.running;
+        },
+
+        formatPhase(phase) {
+            return phase ? String(phase).replace(/_/g, ' ') : t('unknown');
+        },
+
+        formatTime(checkpoint) {
+            return checkpoint.savedAt ? new Date(checkpoint.savedAt * 1000).toLocaleString() : (checkpoint.timestamp || '-');
+        },
+
+        // The card whose form can carry resume/checkpointId, or null when the command is not on the dashboard
+        getResumeCard() {
+            const card = document.querySelector(`.module-card[data-command="${this.resumeCommand}"]`);
+            return card && card.querySelector('.module-option-input[data-kind="option"][data-name="checkpointId"]') ? card : null;
+        },
+
+        showPreview(checkpointId) {
+            const checkpoint = this.find(checkpointId);
+            const preview = document.getElementById('checkpoint-preview');
+            if (!checkpoint || !preview) {
+                return;
+            }
+
+            this.selectedId = checkpoint.id;
+
+            const details = document.getElementById('checkpoint-preview-details');
+            if (details) {
+                const entries = [
+                    [t('Migration'), checkpoint.migrationId],
+                    [t('Resumes at'), this.formatPhase(checkpoint.phase)],
+                    [t('Batch'), String(checkpoint.batch)],
+                    [t('Already processed'), checkpoint.processed.toLocaleString()],
+                    [t('Still to do'), checkpoint.remaining !== null && checkpoint.remaining !== undefined
+                        ? t('{done} of {total}', { done: checkpoint.remaining.toLocaleString(), total: checkpoint.total.toLocaleString() })
+                        : t('Unknown (the checkpoint has no total)')],
+                    [t('Saved'), t('{time} ({age} ago)', { time: this.formatTime(checkpoint), age: ProgressMonitor.formatDuration(checkpoint.ageSeconds) })]
+                ];
+
+                details.replaceChildren(...entries.flatMap(([label, value]) => {
+                    const dt = document.createElement('dt');
+                    dt.textContent = label;
+                    const dd = document.createElement('dd');
+                    dd.textContent = value;
+                    return [dt, dd];
+                }));
+            }
+
+            const phases = document.getElementById('checkpoint-preview-phases');
+            if (phases) {
+                phases.textContent = this.describeRemainingPhases(checkpoint)
+                    + (checkpoint.stale ? ' ' + t('This checkpoint is stale: assets may have changed since it was saved.') : '');
+            }
+
+            const resumeBtn = document.getElementById('checkpoint-resume-btn');
+            if (resumeBtn) {
+                resumeBtn.disabled = !this.canResume(checkpoint) || !this.getResumeCard();
+            }
+
+            preview.hidden = false;
+            this.highlightSelected();
+            preview.scrollIntoView({ block: 'nearest' });
+            if (resumeBtn && !resumeBtn.disabled) {
+                resumeBtn.focus();
+            }
+        },
+
+        describeRemainingPhases(checkpoint) {
+            if (!this.getResumeCard()) {
+                return t('The file migration module is not available on this dashboard, so the checkpoint cannot be resumed from here.');
+            }
+            if (this.restartPhases.includes(checkpoint.phase)) {
+                return t('The checkpoint is from an early phase: the migration restarts from discovery, skipping assets already processed.');
+            }
+
+            const index = this.phases.indexOf(checkpoint.phase);
+            if (index === -1) {
+                return t('Unknown phase "{phase}": the migration will refuse to resume from it.', { phase: checkpoint.phase });
+            }
+
+            const remaining = this.phases.slice(index, -1).map(phase => this.formatPhase(phase));
+            return remaining.length > 0
+                ? t('Phases still to run: {phases}.', { phases: remaining.join(' → ') })
+                : t('Only the final verification remains.');
+        },
+
+        hidePreview() {
+            this.selectedId = null;
+            const preview = document.getElementById('checkpoint-preview');
+            if (preview) {
+                preview.hidden = true;
+            }
+            this.highlightSelected();
+        },
+
+        highlightSelected() {
+            document.querySelectorAll('#checkpoint-list .checkpoint-row').forEach(row => {
+                const resumeBtn = row.querySelector('[data-checkpoint-action="resume"]');
+                row.classList.toggle('selected', !!resumeBtn && resumeBtn.dataset.checkpointId === this.selectedId);
+            });
+        },
+
+        resume() {
+            const checkpoint = this.find(this.selectedId);
+            if (!this.canResume(checkpoint) || !this.getResumeCard()) {
+                Craft.cp.displayError(t('This checkpoint cannot be resumed'));
+                return;
+            }
+
+            const moduleId = this.getResumeCard().getAttribute('data-module-id');
+
+            // Resuming changes files like any migration run, so it takes the same typed confirmation
+            CommandExecutor.confirmCritical(moduleId, this.resumeCommand, (confirmation) => {
+                const started = CommandExecutor.runCommand(this.resumeCommand, {
+                    dryRun: false,
+                    resume: '1',
+                    checkpointId: checkpoint.id,
+                    confirmation
+                });
+
+                if (started) {
+                    const modal = document.getElementById('checkpoint-modal');
+                    if (modal) {
+                        UIManager.closeModal(modal);
+                    }
+                    AccessibilityManager.announceToScreenReader(t('Resuming migration {id} from the {phase} phase', { id: checkpoint.migrationId, phase: this.formatPhase(checkpoint.phase) }));
+                }
+            });
+        },
+
+        confirmDelete(checkpointIds) {
+            if (checkpointIds.length === 0) {
+                return;
+            }
+
+            const message = checkpointIds.length === 1
+                ? t('Delete checkpoint {id}? The migration can no longer be resumed from it.', { id: checkpointIds[0] })
+                : t('Delete {count} stale checkpoints? Their migrations can no longer be resumed.', { count: checkpointIds.length });
+
+            UIManager.showConfirmationDialog(t('Delete Checkpoint'), message, () => this.delete(checkpointIds), {
+                confirmText: checkpointIds.length === 1 ? t('Delete Checkpoint') : t('Delete Checkpoints'),
+                cancelText: t('Keep')
+            });
+        },
+
+        async delete(checkpointIds) {
+            let deleted = 0;
+
+            for (const checkpointId of checkpointIds) {
+                try {
+                    const data = await APIClient.deleteCheckpoint(checkpointId);
+                    if (!data.success) {
+                        throw new Error(data.error || t('Unknown error'));
+                    }
+                    deleted++;
+                } catch (error) {
+                    Craft.cp.displayError(t('Could not delete checkpoint {id}: {error}', { id: checkpointId, error: error.message }));
+                }
+            }
+
+            if (deleted > 0) {
+                const message = t('{count, plural, =1{Deleted # checkpoint} other{Deleted # checkpoints}}', { count: deleted });
+                Craft.cp.displayNotice(message);
+                AccessibilityManager.announceToScreenReader(message);
+            }
+
+            this.refresh();
+        }
+    };
+
+    // ============================================================================
+    // CHANGE LOG EXPLORER
+    // ============================================================================
+    const ChangeLogExplorer = {
+        filters: {},
+        page: 1,
+        pageCount: 1,
+        volumeNames: {},
+        searchDelay: 400,
+        searchTimer: null,
+        // Request counter: responses to superseded requests are dropped
+        requestId: 0,
+        // Entries picked for a rollback, keyed "migrationId:sequence"
+        selected: new Map(),
+        outcomeLabels: {
+            reverse: t('Reversed'),
+            partial: t('Incomplete'),
+            none: t('Nothing to undo'),
+            unsupported: t('Not reversed')
+        },
+
+        init() {
+            const form = document.getElementById('changelog-filters');
+            if (!form) {
+                return;
+            }
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.applyFilters();
+            });
+            form.addEventListener('change', () => this.applyFilters());
+            form.addEventListener('input', (e) => {
+                if (e.target.name === 'search' || e.target.name === 'assetId') {
+                    clearTimeout(this.searchTimer);
+                    this.searchTimer = setTimeout(() => this.applyFilters(), this.searchDelay);
+                }
+            });
+            // Reset clears the fields after the event, so read them on the next tick
+            form.addEventListener('reset', () => setTimeout(() => this.applyFilters(), 0));
+
+            const prevBtn = document.getElementById('changelog-prev-btn');
+            if (prevBtn) {
+                prevBtn.addEventListener('click', () => this.load(this.page - 1));
+            }
+
+            const nextBtn = document.getElementById('changelog-next-btn');
+            if (nextBtn) {
+                nextBtn.addEventListener('click', () => this.load(this.page + 1));
+            }
+
+            const list = document.getElementById('changelog-list');
+            if (list) {
+                list.addEventListener('click', (e) => {
+                    const detailsBtn = e.target.closest('[data-changelog-sequence]');
+                    if (detailsBtn) {
+                        this.showEntry(detailsBtn.dataset.migrationId, Number(detailsBtn.dataset.changelogSequence));
+                    }
+                });
+                list.addEventListener('change', (e) => {
+                    const checkbox = e.target.closest('.changelog-select');
+                    if (checkbox) {
+                        this.toggleSelection(checkbox.dataset.migrationId, Number(checkbox.dataset.sequence), checkbox.checked);
+                    }
+                });
+            }
+
+            const rollbackSelectedBtn = document.getElementById('changelog-rollback-selected-btn');
+            if (rollbackSelectedBtn) {
+                rollbackSelectedBtn.addEventListener('click', () => this.rollbackSelected());
+            }
+
+            const closeEntryBtn = document.getElementById('changelog-entry-close-btn');
+            if (closeEntryBtn) {
+                closeEntryBtn.addEventListener('click', () => this.hideEntry());
+            }
+
+            const previewBtn = document.getElementById('changelog-preview-rollback-btn');
+            if (previewBtn) {
+                previewBtn.addEventListener('click', () => this.previewRollback());
+            }
+        },
+
+        open() {
+            const modal = document.getElementById('changelog-modal');
+            if (!modal) {
+                return;
+            }
+
+            UIManager.openModal(modal);
+            this.hideEntry();
+            this.hideRollbackPreview();
+            this.selected.clear();
+            this.updateSelection();
+            this.applyFilters();
+        },
+
+        readFilters() {
+            const form = document.getElementById('changelog-filters');
+            const filters = {};
+            if (form) {
+                new FormData(form).forEach((value, name) => {
+                    const trimmed = String(value).trim();
+                    if (trimmed !== '') {
+                        filters[name] = trimmed;
+                    }
+                });
+            }
+            return filters;
+        },
+
+        applyFilters() {
+            clearTimeout(this.searchTimer);
+            this.filters = this.readFilters();
+            this.hideRollbackPreview();
+            this.updateExportLinks();
+            this.load(1);
+        },
+
+        async load(page) {
+            const requestId = ++this.requestId;
+            const status = document.getElementById('changelog-status');
+
+            try {
+                const data = await APIClient.fetchChangelog(this.filters, Math.max(1, page));
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.page = data.page;
+                this.pageCount = data.pageCount;
+                this.volumeNames = data.volumeNames || {};
+                this.render(data);
+            } catch (error) {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                console.error('Failed to load change log:', error);
+                if (status) {
+                    status.textContent = t('Could not load the change log: {error}', { error: error.message });
+                }
+            }
+        },
+
+        render(data) {
+            this.renderOptions('migrationId', (data.migrations || []).map(migration => [
+                migration.id,
+                t('{id} ({count, plural, =1{# change} other{# changes}})', { id: migration.id, count: migration.changeCount })
+            ]));
+            this.renderOptions('type', (data.facets.types || []).map(type => [type, this.formatType(type)]));
+            this.renderOptions('phase', (data.facets.phases || []).map(phase => [phase, phase.replace(/_/g, ' ')]));
+            this.renderOptions('volume', (data.facets.volumes || []).map(volume => [volume, this.formatVolume(volume)]));
+
+            const status = document.getElementById('changelog-status');
+            if (status) {
+                const filtered = Object.keys(this.filters).length > 0;
+                status.textContent = data.total === 0
+                    ? (filtered ? t('No entries match the filters.') : t('No change log entries found.'))
+                    : (filtered
+                        ? t('{count, plural, =1{# entry matches the filters} other{# entries match the filters}}', { count: data.total })
+                        : t('{count, plural, =1{# entry} other{# entries}}', { count: data.total }));
+            }
+
+            const list = document.getElementById('changelog-list');
+            if (list) {
+                list.replaceChildren(...data.entries.map(entry => this.renderEntryRow(entry)));
+            }
+
+            const table = document.getElementById('changelog-table');
+            if (table) {
+                table.hidden = data.entries.length === 0;
+            }
+
+            const pageInfo = document.getElementById('changelog-page-info');
+            if (pageInfo) {
+                pageInfo.textContent = data.total > 0 ? t('Page {page} of {pageCount}', { page: data.page, pageCount: data.pageCount }) : '';
+            }
+
+            const prevBtn = document.getElementById('changelog-prev-btn');
+            if (prevBtn) {
+                prevBtn.disabled = data.page <= 1;
+            }
+
+            const nextBtn = document.getElementById('changelog-next-btn');
+            if (nextBtn) {
+                nextBtn.disabled = data.page >= data.pageCount;
+            }
+        },
+
+        // Refills a filter menu, keeping its first ("All ...") option and the current choice
+        renderOptions(name, values) {
+            const select = document.querySelector(`#changelog-filters select[name="${name}"]`);
+            if (!select) {
+                return;
+            }
+
+            const current = select.value;
+            const options = values.map(([value, label]) => new Option(label, value));
+            if (current && !values.some(([value]) => value === current)) {
+                options.unshift(new Option(current, current));
+            }
+
+            select.replaceChildren(select.options[0], ...options);
+            select.value = current;
+        },
+
+        renderEntryRow(entry) {
+            const row = document.createElement('tr');
+            row.className = 'changelog-row';
+
+            const cell = (className, ...children) => {
+                const td = document.createElement('td');
+                td.className = className;
+                td.append(...children);
+                row.appendChild(td);
+                return td;
+            };
+            const text = (className, value) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = value;
+                return span;
+            };
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'changelog-select';
+            checkbox.dataset.migrationId = entry.migrationId;
+            checkbox.dataset.sequence = entry.sequence;
+            checkbox.checked = this.selected.has(`${entry.migrationId}:${entry.sequence}`);
+            checkbox.setAttribute('aria-label', t('Select change {sequence} in {migration} for rollback', { sequence: entry.sequence, migration: entry.migrationId }));
+            cell('changelog-select-cell', checkbox);
+
+            cell('changelog-sequence', String(entry.sequence));
+            cell('changelog-time', entry.timestamp || '-');
+            cell('changelog-migration', text('changelog-mono', entry.migrationId));
+            cell('changelog-phase', entry.phase.replace(/_/g, ' '));
+            cell('changelog-type', this.formatType(entry.type));
+
+            const assetCell = cell('changelog-asset', entry.assetId ? `#${entry.assetId}` : '-');
+            if (entry.filename) {
+                assetCell.appendChild(text('changelog-meta', entry.filename));
+            }
+
+            const from = entry.fromVolumes.map(volume => this.formatVolume(volume)).join(', ');
+            const to = entry.toVolumes.map(volume => this.formatVolume(volume)).join(', ');
+            cell('changelog-volumes', from && to ? `${from} → ${to}` : (from || to || '-'));
+
+            cell('changelog-rollback', text(`badge changelog-outcome ${entry.rollback}`, this.outcomeLabels[entry.rollback] || entry.rollback));
+
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn small';
+            btn.dataset.migrationId = entry.migrationId;
+            btn.dataset.changelogSequence = entry.sequence;
+            btn.textContent = t('Details');
+            btn.setAttribute('aria-label', t('Details of change {sequence} in {migration}', { sequence: entry.sequence, migration: entry.migrationId }));
+            cell('changelog-actions', btn);
+
+            return row;
+        },
+
+        toggleSelection(migrationId, sequence, selected) {
+            const key = `${migrationId}:${sequence}`;
+            if (selected) {
+                this.selected.set(key, { migrationId, sequence });
+            } else {
+                this.selected.delete(key);
+            }
+            this.updateSelection();
+        },
+
+        updateSelection() {
+            const btn = document.getElementById('changelog-rollback-selected-btn');
+            if (btn) {
+                btn.disabled = this.selected.size === 0;
+                btn.textContent = this.selected.size > 0
+                    ? t('{count, plural, =1{Roll back # selected entry} other{Roll back # selected entries}}', { count: this.selected.size })
+                    : t('Roll back selected entries');
+            }
+        },
+
+        // Hands the selection to the rollback wizard, which previews it before anything is changed
+        rollbackSelected() {
+            const entries = [...this.selected.values()];
+            const migrationIds = [...new Set(entries.map(entry => entry.migrationId))];
+
+            if (migrationIds.length !== 1) {
+                Craft.cp.displayError(t('Select entries of a single migration to roll them back together.'));
+                return;
+            }
+
+            const modal = document.getElementById('changelog-modal');
+            if (modal) {
+                UIManager.closeModal(modal);
+            }
+
+            RollbackWizard.open({
+                migrationId: migrationIds[0],
+                scope: 'entries',
+                entries: entries.map(entry => entry.sequence).sort((a, b) => a - b).join(', ')
+            });
+        },
+
+        formatType(type) {
+            return String(type).replace(/[_-]/g, ' ');
+        },
+
+        // Volume IDs are shown with the volume's name when it still exists
+        formatVolume(volume) {
+            const name = this.volumeNames[volume];
+            return name ? `${name} (#${volume})` : String(volume);
+        },
+
+        formatValue(field, value) {
+            if (value === null || value === undefined || value === '') {
+                return '-';
+            }
+            if (/volume/i.test(field) && /^\d+$/.test(String(value))) {
+                return this.formatVolume(String(value));
+            }
+            return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+        },
+
+        renderFields(listId, fields) {
+            const list = document.getElementById(listId);
+            if (!list) {
+                return;
+            }
+
+            const names = Object.keys(fields);
+            if (names.length === 0) {
+                const dd = document.createElement('dd');
+                dd.textContent = t('Not recorded');
+                list.replaceChildren(dd);
+                return;
+            }
+
+            list.replaceChildren(...names.flatMap(field => {
+                const dt = document.createElement('dt');
+                dt.textContent = field;
+                const dd = document.createElement('dd');
+                const value = this.formatValue(field, fields[field]);
+                // Long values (HTML content, JSON) keep their line breaks
+                if (value.length > 80 || value.includes('\n')) {
+                    const pre = document.createElement('pre');
+                    pre.textContent = value;
+                    dd.appendChild(pre);
+                } else {
+                    dd.textContent = value;
+                }
+                return [dt, dd];
+            }));
+        },
+
+        async showEntry(migrationId, sequence) {
+            const section = document.getElementById('changelog-entry');
+            if (!section) {
+                return;
+            }
+
+            try {
+                const data = await APIClient.fetchChangelogEntry(migrationId, sequence);
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                const title = document.getElementById('changelog-entry-title');
+                if (title) {
+                    title.textContent = [
+                        t('Change {sequence}', { sequence: data.entry.sequence }),
+                        this.formatType(data.entry.type),
+                        data.entry.migrationId
+                    ].join(' · ');
+                }
+
+                const rollback = document.getElementById('changelog-entry-rollback');
+                if (rollback) {
+                    rollback.className = `changelog-entry-rollback ${data.rollback.outcome}`;
+                    rollback.textContent = t('Rollback: {description}', { description: data.rollback.description });
+                }
+
+                this.renderFields('changelog-entry-before', data.changes.before);
+                this.renderFields('changelog-entry-after', data.changes.after);
+                this.renderFields('changelog-entry-details', data.changes.details);
+
+                section.hidden = false;
+                section.scrollIntoView({ block: 'nearest' });
+                if (title) {
+                    title.setAttribute('tabindex', '-1');
+                    title.focus();
+                }
+            } catch (error) {
+                Craft.cp.displayError(t('Could not load the change: {error}', { error: error.message }));
+            }
+        },
+
+        hideEntry() {
+            const section = document.getElementById('changelog-entry');
+            if (section) {
+                section.hidden = true;
+            }
+        },
+
+        hideRollbackPreview() {
+            const section = document.getElementById('changelog-rollback-preview');
+            if (section) {
+                section.hidden = true;
+            }
+        },
+
+        async previewRollback() {
+            const section = document.getElementById('changelog-rollback-preview');
+            const report = document.getElementById('changelog-rollback-report');
+            if (!section || !report) {
+                return;
+            }
+
+            report.textContent = t('Preparing preview...');
+            section.hidden = false;
+
+            try {
+                const data = await APIClient.previewChangelogRollback(this.filters);
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.renderRollbackReport(report, data);
+                section.scrollIntoView({ block: 'nearest' });
+            } catch (error) {
+                report.textContent = t('Could not preview the rollback: {error}', { error: error.message });
+            }
+        },
+
+        renderRollbackReport(container, data) {
+            const report = data.report;
+            const byOutcome = report.by_outcome || {};
+            const paragraph = (value) => {
+                const p = document.createElement('p');
+                p.textContent = value;
+                return p;
+            };
+
+            if (report.total_operations === 0) {
+                container.replaceChildren(paragraph(t('No entries match the filters, so a rollback would change nothing.')));
+                return;
+            }
+
+            container.replaceChildren(
+                paragraph(t('{changes} in {migrations}: {outcomes}. Estimated time: {time}.', {
+                    changes: t('{count, plural, =1{# change} other{# changes}}', { count: report.total_operations }),
+                    migrations: t('{count, plural, =1{# migration} other{# migrations}}', { count: data.migrations.length }),
+                    outcomes: this.describeOutcomes(byOutcome),
+                    time: report.estimated_time
+                })),
+                paragraph(t('A change-by-change rollback undoes them newest first. Nothing has been changed by this preview.')),
+                this.renderOutcomeTable(report)
+            );
+        },
+
+        // e.g. "12 reversed, 3 nothing to undo"
+        describeOutcomes(byOutcome) {
+            return Object.keys(this.outcomeLabels)
+                .filter(outcome => byOutcome[outcome])
+                .map(outcome => `${byOutcome[outcome].toLocaleString()} ${this.outcomeLabels[outcome].toLowerCase()}`)
+                .join(', ');
+        },
+
+        // Change types of a rollback report with what the rollback does to each
+        renderOutcomeTable(report) {
+            const table = document.createElement('table');
+            table.className = 'data changelog-rollback-types';
+            const head = table.createTHead().insertRow();
+            [t('Type'), t('Changes'), t('Rollback')].forEach(label => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = label;
+                head.appendChild(th);
+            });
+
+            const body = table.createTBody();
+            Object.entries(report.by_type || {}).forEach(([type, count]) => {
+                const row = body.insertRow();
+                row.insertCell().textContent = this.formatType(type);
+                row.insertCell().textContent = count.toLocaleString();
+                const outcomes = (report.outcomes_by_type || {})[type] || {};
+                row.insertCell().textContent = Object.keys(outcomes)
+                    .map(outcome => `${outcomes[outcome].toLocaleString()} ${(this.outcomeLabels[outcome] || outcome).toLowerCase()}`)
+                    .join(', ');
+            });
+
+            return table;
+        },
+
+        updateExportLinks() {
+            const formats = { csv: 'changelog-export-csv-btn', json: 'changelog-export-json-btn' };
+            Object.entries(formats).forEach(([format, id]) => {
+                const link = document.getElementById(id);
+                if (link) {
+                    link.href = `${Config.exportChangelogUrl}?${new URLSearchParams({ ...this.filters, format }).toString()}`;
+                }
+            });
+        }
+    };
+
+    // ============================================================================
+    // ROLLBACK WIZARD
+    // ============================================================================
+    const RollbackWizard = {
+        // Runs in the wizard's own module card, so it streams like any module
+        command: 'image-migration/rollback',
+        step: 'scope',
+        migrations: [],
+        scopes: null,
+        preview: null,
+        // Request counter: responses to superseded requests are dropped
+        requestId: 0,
+
+        init() {
+            const form = document.getElementById('rollback-scope-step');
+            if (!form) {
+                return;
+            }
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.showPreview();
+            });
+            form.addEventListener('change', (e) => {
+                if (e.target.name === 'migrationId') {
+                    this.loadScopes(e.target.value);
+                }
+                this.updateScopeFields();
+            });
+
+            const previewBtn = document.getElementById('rollback-preview-btn');
+            if (previewBtn) {
+                previewBtn.addEventListener('click', () => this.showPreview());
+            }
+
+            const backBtn = document.getElementById('rollback-back-btn');
+            if (backBtn) {
+                backBtn.addEventListener('click', () => this.showStep('scope'));
+            }
+
+            const restartBtn = document.getElementById('rollback-restart-btn');
+            if (restartBtn) {
+                restartBtn.addEventListener('click', () => {
+                    if (StateManager.isRunning(this.command)) {
+                        Craft.cp.displayNotice(t('Wait for the current rollback to finish'));
+                        return;
+                    }
+                    this.open();
+                });
+            }
+
+            const acknowledge = document.getElementById('rollback-acknowledge');
+            if (acknowledge) {
+                acknowledge.addEventListener('input', () => this.updateConfirmButton());
+            }
+
+            const confirmBtn = document.getElementById('confirm-rollback-btn');
+            if (confirmBtn) {
+                confirmBtn.addEventListener('click', () => this.start());
+            }
+        },
+
+        // preset: { migrationId, scope, entries } to start from, e.g. entries selected in the change log
+        async open(preset = {}) {
+            const modal = document.getElementById('rollback-modal');
+            if (!modal) {
+                return;
+            }
+
+            UIManager.openModal(modal);
+
+            // A rollback in progress is followed, not restarted
+            if (StateManager.isRunning(this.command)) {
+                this.showStep('run');
+                return;
+            }
+
+            const form = document.getElementById('rollback-scope-step');
+            form.reset();
+            if (preset.scope) {
+                const radio = form.querySelector(`input[name="scope"][value="${preset.scope}"]`);
+                if (radio) {
+                    radio.checked = true;
+                }
+            }
+            if (preset.entries) {
+                form.elements.entries.value = preset.entries;
+            }
+
+            this.showStep('scope');
+            await this.loadScopes(preset.migrationId || null);
+        },
+
+        async loadScopes(migrationId) {
+            const requestId = ++this.requestId;
+            this.setStatus(migrationId ? t('Loading phases and runs...') : t('Loading migrations...'));
+
+            try {
+                const data = await APIClient.fetchRollbackScopes(migrationId);
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.migrations = data.migrations || [];
+                this.renderMigrations(migrationId);
+
+                if (this.migrations.length === 0) {
+                    this.scopes = null;
+                    this.setStatus(t('No migration has changes to roll back.'));
+                    this.updateButtons();
+                    return;
+                }
+
+                // Without a migration, list the newest one's phases and runs
+                if (!migrationId) {
+                    await this.loadScopes(this.migrations[0].id);
+                    return;
+                }
+
+                this.scopes = data.scopes;
+                this.renderScopes();
+                this.setStatus('');
+            } catch (error) {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                console.error('Failed to load rollback scopes:', error);
+                this.setStatus(t('Could not load migrations: {error}', { error: error.message }));
+            }
+        },
+
+        renderMigrations(selectedId) {
+            const select = document.getElementById('rollback-migration');
+            if (!select) {
+                return;
+            }
+
+            select.replaceChildren(...this.migrations.map(migration => new Option(
+                t('{id} ({count, plural, =1{# change} other{# changes}})', { id: migration.id, count: migration.changeCount }),
+                migration.id
+            )));
+            if (selectedId && this.migrations.some(migration => migration.id === selectedId)) {
+                select.value = selectedId;
+            }
+        },
+
+        renderScopes() {
+            const phases = this.scopes ? this.scopes.phases : [];
+            const runs = this.scopes ? this.scopes.runs : [];
+
+            const phaseSelect = document.getElementById('rollback-phase');
+            if (phaseSelect) {
+                phaseSelect.replaceChildren(...phases.map(phase => new Option(
+                    `${phase.phase.replace(/_/g, ' ')} (${phase.changeCount.toLocaleString()})`,
+                    phase.phase
+                )));
+            }
+
+            const runSelect = document.getElementById('rollback-run');
+            if (runSelect) {
+                runSelect.replaceChildren(...runs.map(run => new Option(this.formatRun(run), run.id)));
+            }
+
+            const form = document.getElementById('rollback-scope-step');
+            const runRadio = form.querySelector('input[name="scope"][value="run"]');
+            runRadio.disabled = runs.length === 0;
+            if (runRadio.disabled && runRadio.checked) {
+                form.querySelector('input[name="scope"][value="migration"]').checked = true;
+            }
+
+            this.updateScopeFields();
+        },
+
+        formatRun(run) {
+            const started = run.firstAt ? ' ' + t('started {time}', { time: run.firstAt }) : '';
+            const status = run.status ? `, ${run.status}` : '';
+            return `${run.id}${started} (${t('{count, plural, =1{# change} other{# changes}}', { count: run.changeCount })}${status})`;
+        },
+
+        getScope() {
+            const form = document.getElementById('rollback-scope-step');
+            const checked = form.querySelector('input[name="scope"]:checked');
+            return checked ? checked.value : 'migration';
+        },
+
+        updateScopeFields() {
+            const scope = this.getScope();
+            document.querySelectorAll('#rollback-scope-step .rollback-scope-fields').forEach(fields => {
+                fields.hidden = fields.dataset.scope !== scope;
+            });
+            this.updateButtons();
+        },
+
+        // Values for the preview endpoint and the image-migration/rollback command
+        collectScope() {
+            const form = document.getElementById('rollback-scope-step');
+            const scope = this.getScope();
+            const values = { migrationId: form.elements.migrationId.value };
+
+            if (scope === 'phase') {
+                values.phases = form.elements.phases.value;
+                values.mode = form.elements.mode.value;
+            } else if (scope === 'run') {
+                values.runId = form.elements.runId.value;
+            } else if (scope === 'entries') {
+                values.entries = form.elements.entries.value.split(/[\s,]+/).filter(Boolean).join(',');
+            }
+
+            return values;
+        },
+
+        validateScope(values) {
+            if (!values.migrationId) {
+                return t('Choose a migration to roll back.');
+            }
+            if ('phases' in values && !values.phases) {
+                return t('Choose a phase.');
+            }
+            if ('runId' in values && !values.runId) {
+                return t('Choose a run.');
+            }
+            if ('entries' in values && !/^\d+(,\d+)*$/.test(values.entries)) {
+                return t('Enter the entry numbers, separated by commas.');
+            }
+            return null;
+        },
+
+        async showPreview() {
+            const values = this.collectScope();
+            const error = this.validateScope(values);
+            if (error) {
+                this.setStatus(error);
+                return;
+            }
+
+            const requestId = ++this.requestId;
+            this.setStatus(t('Preparing the dry run...'));
+
+            try {
+                const data = await APIClient.previewRollback(values);
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
+
+                this.preview = { values, data };
+                this.renderImpact(data);
+                this.setStatus('');
+                this.showStep('preview');
+            } catch (error) {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                this.setStatus(t('Could not preview the rollback: {error}', { error: error.message }));
+            }
+        },
+
+        renderImpact(data) {
+            const container = document.getElementById('rollback-impact');
+            if (!container) {
+                return;
+            }
+
+            const report = data.report;
+            const paragraph = (value, className = '') => {
+                const p = document.createElement('p');
+                p.className = className;
+                p.textContent = value;
+                return p;
+            };
+
+            const nodes = [paragraph(t('Scope: {scope} of {migration}.', { scope: data.description, migration: data.migrationId }))];
+
+            if (report.total_operations === 0) {
+                nodes.push(paragraph(t('No change is in this scope, so a rollback would change nothing.')));
+            } else {
+                nodes.push(paragraph(t('{changes}: {outcomes}. Estimated time: {time}.', {
+                    changes: t('{count, plural, =1{# change} other{# changes}}', { count: report.total_operations }),
+                    outcomes: ChangeLogExplorer.describeOutcomes(report.by_outcome || {}),
+                    time: report.estimated_time
+                })));
+
+                const phases = Object.entries(report.by_phase || {})
+                    .map(([phase, count]) => `${phase.replace(/_/g, ' ')} (${count.toLocaleString()})`);
+                nodes.push(paragraph(t('Phases: {phases}', { phases: phases.join(', ') })));
+                nodes.push(ChangeLogExplorer.renderOutcomeTable(report));
+            }
+
+            if (data.missingEntries && data.missingEntries.length > 0) {
+                nodes.push(paragraph(t("Not in this migration's change log: {entries}", { entries: data.missingEntries.map(sequence => `#${sequence}`).join(', ') }), 'rollback-warning'));
+            }
+
+            if (data.busy && data.busy.length > 0) {
+                nodes.push(paragraph(t('Wait for {runs} to finish: a rollback must not run alongside a migration or another rollback.', {
+                    runs: data.busy.map(run => `${run.command} (${run.migrationId})`).join(', ')
+                }), 'rollback-warning'));
+            }
+
+            nodes.push(paragraph(t('Nothing has been changed by this preview.')));
+            container.replaceChildren(...nodes);
+
+            const phrase = document.getElementById('rollback-acknowledge-phrase');
+            if (phrase) {
+                phrase.textContent = data.migrationId;
+            }
+
+            const acknowledge = document.getElementById('rollback-acknowledge');
+            if (acknowledge) {
+                acknowledge.value = '';
+            }
+
+            const group = document.getElementById('rollback-acknowledge-group');
+            if (group) {
+                group.hidden = !this.canStart();
+            }
+        },
+
+        canStart() {
+            if (!this.preview) {
+                return false;
+            }
+            const data = this.preview.data;
+            return data.report.total_operations > 0 && (!data.busy || data.busy.length === 0);
+        },
+
+        // The migration ID must be typed exactly before the rollback can start
+        isAcknowledged() {
+            const acknowledge = document.getElementById('rollback-acknowledge');
+            return !!acknowledge && !!this.preview && acknowledge.value.trim() === this.preview.data.migrationId;
+        },
+
+        updateConfirmButton() {
+            const confirmBtn = document.getElementById('confirm-rollback-btn');
+            if (confirmBtn) {
+                confirmBtn.disabled = !(this.canStart() && this.isAcknowledged());
+            }
+        },
+
+        start() {
+            if (!this.canStart() || !this.isAcknowledged()) {
+                return;
             }
 
-            const closeBtn = document.getElementById('close-live-monitor-btn');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.close());
+            const { migrationId, phases, mode, runId, entries } = this.preview.values;
+            const args = {
+                dryRun: false,
+                arguments: { migrationId },
+                options: {}
+            };
+            if (phases) {
+                args.arguments.phases = phases;
+                args.arguments.mode = mode;
+            }
+            if (runId) {
+                args.options.runId = runId;
+            }
+            if (entries) {
+                args.options.entries = entries;
             }
 
-            const refreshToggle = document.getElementById('monitor-auto-refresh');
-            if (refreshToggle) {
-                refreshToggle.addEventListener('change', () => this.toggleRefresh());
+            const card = document.querySelector('.rollback-run-card');
+            if (card) {
+                LogViewer.reset(card);
             }
 
-            const manualRefreshBtn = document.getElementById('monitor-manual-refresh');
-            if (manualRefreshBtn) {
-                manualRefreshBtn.addEventListener('click', () => this.refreshData());
+            if (CommandExecutor.runCommand(this.command, args)) {
+                this.showStep('run');
+                AccessibilityManager.announceToScreenReader(t('Rollback of {migration} started', { migration: migrationId }));
             }
         },
 
-        open() {
-            const overlay = document.getElementById('live-monitor-overlay');
-            if (overlay) {
-                overlay.classList.add('active');
-                this.isOpen = true;
-                this.refreshData();
+        showStep(step) {
+            this.step = step;
 
-                const refreshToggle = document.getElementById('monitor-auto-refresh');
-                if (refreshToggle && refreshToggle.checked) {
-                    this.startAutoRefresh();
+            document.querySelectorAll('#rollback-modal .rollback-step').forEach(section => {
+                section.hidden = section.dataset.step !== step;
+            });
+            document.querySelectorAll('#rollback-modal .rollback-steps li').forEach(item => {
+                if (item.dataset.step === step) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
                 }
-            }
-        },
+            });
 
-        close() {
-            const overlay = document.getElementById('live-monitor-overlay');
-            if (overlay) {
-                overlay.classList.remove('active');
-                this.isOpen = false;
-                this.stopAutoRefresh();
-            }
-        },
+            this.updateButtons();
 
-        toggleRefresh() {
-            const refreshToggle = document.getElementById('monitor-auto-refresh');
-            if (refreshToggle && refreshToggle.checked) {
-                this.startAutoRefresh();
-            } else {
-                this.stopAutoRefresh();
+            if (step === 'preview') {
+                const acknowledge = document.getElementById('rollback-acknowledge');
+                if (acknowledge && this.canStart()) {
+                    acknowledge.focus();
+                }
             }
         },
 
-        startAutoRefresh() {
-            this.stopAutoRefresh();
+        updateButtons() {
+            const visible = {
+                'rollback-preview-btn': this.step === 'scope',
+                'rollback-back-btn': this.step === 'preview',
+                'confirm-rollback-btn': this.step === 'preview',
+                'rollback-restart-btn': this.step === 'run'
+            };
+            Object.entries(visible).forEach(([id, shown]) => {
+                const btn = document.getElementById(id);
+                if (btn) {
+                    btn.hidden = !shown;
+                }
+            });
 
-            const intervalSelect = document.getElementById('monitor-refresh-interval');
-            const interval = intervalSelect ? parseInt(intervalSelect.value) * 1000 : 5000;
+            const previewBtn = document.getElementById('rollback-preview-btn');
+            if (previewBtn) {
+                previewBtn.disabled = this.migrations.length === 0;
+            }
 
-            this.refreshInterval = setInterval(() => {
-                if (this.isOpen) {
-                    this.refreshData();
-                }
-            }, interval);
+            this.updateConfirmButton();
         },
 
-        stopAutoRefresh() {
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-                this.refreshInterval = null;
+        setStatus(message) {
+            const status = document.getElementById('rollback-status');
+            if (status) {
+                status.textContent = message;
+                status.hidden = message === '';
             }
+        }
+    };
+
+    // ============================================================================
+    // CONNECTION DIAGNOSTICS
+    // ============================================================================
+    const ConnectionDiagnostics = {
+        probeNames: ['list', 'write', 'read', 'delete'],
+        probeLabels: {
+            list: t('list'),
+            write: t('write'),
+            read: t('read'),
+            delete: t('delete')
+        },
+        statusLabels: {
+            ok: t('ok'),
+            warning: t('warning'),
+            failed: t('failed'),
+            skipped: t('skipped')
+        },
+        capabilityLabels: {
+            multipartUpload: t('Multipart upload'),
+            serverSideCopy: t('Server-side copy'),
+            acls: t('ACLs'),
+            versioning: t('Versioning'),
+            presignedUrls: t('Presigned URLs')
         },
+        report: null,
+        running: false,
 
-        async refreshData() {
-            try {
-                const response = await fetch(Config.liveMonitorUrl, {
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'application/json'
-                    }
-                });
+        init() {
+            const runBtn = document.getElementById('diagnostics-run-btn');
+            if (runBtn) {
+                runBtn.addEventListener('click', () => this.run());
+            }
 
-                const data = await response.json();
-                this.updateDisplay(data);
-            } catch (error) {
-                console.error('Failed to refresh live monitor:', error);
+            const exportBtn = document.getElementById('diagnostics-export-btn');
+            if (exportBtn) {
+                exportBtn.addEventListener('click', () => this.exportReport());
             }
         },
 
-        updateDisplay(data) {
-            const statusEl = document.getElementById('monitor-status');
-            const progressEl = document.getElementById('monitor-progress-bar-fill');
-            const progressTextEl = document.getElementById('monitor-progress-text');
-            const statsEl = document.getElementById('monitor-stats-content');
-            const logTasksContainer = document.getElementById('monitor-log-tasks');
-
-            if (!data.migration) {
-                if (statusEl) statusEl.textContent = 'No active migration';
-                if (progressEl) progressEl.style.width = '0%';
-                if (progressTextEl) progressTextEl.textContent = 'Idle';
+        open() {
+            const modal = document.getElementById('diagnostics-modal');
+            if (!modal) {
                 return;
             }
 
-            const migration = data.migration;
+            UIManager.openModal(modal);
+            if (!this.report && !this.running) {
+                this.run();
+            }
+        },
 
-            if (statusEl) {
-                statusEl.textContent = migration.status || 'Unknown';
-                statusEl.className = `status-badge ${migration.status || 'unknown'}`;
+        async run() {
+            if (this.running) {
+                return;
             }
 
-            if (progressEl && migration.progress !== undefined) {
-                progressEl.style.width = `${migration.progress}%`;
+            const writeProbes = document.getElementById('diagnostics-write-probes')?.checked || false;
+            const runBtn = document.getElementById('diagnostics-run-btn');
+
+            this.running = true;
+            if (runBtn) {
+                runBtn.disabled = true;
             }
+            this.setStatus(writeProbes ? t('Probing providers and volumes (with write probes)...') : t('Probing providers and volumes...'));
+
+            try {
+                const data = await APIClient.runConnectionDiagnostics(writeProbes);
+                if (!data.success) {
+                    throw new Error(data.error || t('Unknown error'));
+                }
 
-            if (progressTextEl) {
-                progressTextEl.textContent = migration.currentPhase || 'Processing...';
+                this.report = data;
+                this.render(data);
+            } catch (error) {
+                console.error('Connection diagnostics failed:', error);
+                this.setStatus(t('Could not run the diagnostics: {error}', { error: error.message }));
+            } finally {
+                this.running = false;
+                if (runBtn) {
+                    runBtn.disabled = false;
+                }
             }
+        },
 
-            if (statsEl && migration.stats) {
-                statsEl.innerHTML = '';
-                Object.entries(migration.stats).forEach(([key, value]) => {
-                    const stat = document.createElement('div');
-                    stat.className = 'stat-item';
-                    stat.innerHTML = `<strong>${key}:</strong> ${value}`;
-                    statsEl.appendChild(stat);
-                });
+        render(data) {
+            const targets = [...data.providers, ...data.volumes];
+            const failed = targets.filter(target => target.status === 'failed').length;
+            const when = new Date(data.generatedAt).toLocaleString();
+
+            this.setStatus(failed === 0
+                ? t('{count, plural, =1{The check passed} other{All # checks passed}} ({time})', { count: targets.length, time: when })
+                : t('{failed} of {total} failed ({time})', { failed, total: targets.length, time: when }));
+
+            const results = document.getElementById('diagnostics-results');
+            if (results) {
+                results.replaceChildren(
+                    this.renderSection(t('Providers'), data.providers.map(provider => this.renderCard(
+                        `${provider.role === 'source' ? t('Source provider') : t('Target provider')} · ${provider.type || t('not configured')}`,
+                        provider
+                    ))),
+                    this.renderSection(t('Volumes'), data.volumes.map(volume => this.renderCard(
+                        `${volume.name || volume.handle} (${volume.handle})`,
+                        volume
+                    )))
+                );
             }
 
-            if (logTasksContainer && migration.logTasks) {
-                this.updateLogTasks(logTasksContainer, migration.logTasks);
+            const exportBtn = document.getElementById('diagnostics-export-btn');
+            if (exportBtn) {
+                exportBtn.disabled = false;
             }
         },
 
-        updateLogTasks(container, tasks) {
-            if (!tasks || tasks.length === 0) {
-                if (!container.querySelector('.info-box')) {
-                    container.innerHTML = '';
-                    const empty = document.createElement('div');
-                    empty.className = 'info-box';
-                    empty.textContent = 'Logs will appear here as soon as the queue starts processing.';
-                    container.appendChild(empty);
-                }
-                return;
+        renderSection(title, cards) {
+            const section = document.createElement('section');
+            const heading = document.createElement('h4');
+            heading.className = 'diagnostics-section-title';
+            heading.textContent = title;
+            section.append(heading, ...cards);
+            return section;
+        },
+
+        // target: a provider or volume entry of the report
+        renderCard(title, target) {
+            const card = document.createElement('div');
+            card.className = `diagnostics-card ${target.status}`;
+
+            const heading = document.createElement('h5');
+            heading.className = 'diagnostics-card-title';
+            heading.textContent = `${title} · ${this.statusLabels[target.status] || target.status}`;
+
+            const facts = document.createElement('p');
+            facts.className = 'diagnostics-facts';
+            facts.textContent = [
+                target.bucket ? t('Bucket {bucket}', { bucket: target.bucket }) : null,
+                target.subfolder ? t('subfolder {subfolder}', { subfolder: target.subfolder }) : null,
+                target.region ? t('region {region}', { region: target.region }) : null,
+                target.endpoint ? t('endpoint {endpoint}', { endpoint: target.endpoint }) : null,
+                target.storage ? t('on the {provider} provider', { provider: target.storage }) : null,
+                target.fsType || null
+            ].filter(Boolean).join(' · ') || t('No storage details available');
+
+            card.append(heading, facts, this.renderProbes(target.probes));
+
+            if (target.capabilities) {
+                card.appendChild(this.renderCapabilities(target.capabilities));
             }
 
-            const currentMigrationIds = new Set(tasks.map(t => t.migrationId));
+            return card;
+        },
 
-            tasks.forEach(task => {
-                let taskBlock = container.querySelector(`[data-migration-id="${task.migrationId}"]`);
+        renderProbes(probes) {
+            const table = document.createElement('table');
+            table.className = 'data fullwidth diagnostics-probes';
+            const body = document.createElement('tbody');
 
-                if (!taskBlock) {
-                    taskBlock = document.createElement('div');
-                    taskBlock.className = 'monitor-log-task';
-                    taskBlock.setAttribute('data-migration-id', task.migrationId);
-                    taskBlock.innerHTML = `
-                        <div class="task-header">
-                            <h4>${task.command || 'Unknown Command'}</h4>
-                            <span class="badge ${task.status || 'unknown'}">${(task.status || 'unknown').toUpperCase()}</span>
-                        </div>
-                        <pre class="monitor-logs">Loading...</pre>
-                    `;
-                    container.appendChild(taskBlock);
+            this.probeNames.forEach(name => {
+                const probe = probes[name];
+                if (!probe) {
+                    return;
                 }
 
-                const badge = taskBlock.querySelector('.badge');
-                if (badge) {
-                    badge.className = `badge ${task.status || 'unknown'}`;
-                    badge.textContent = (task.status || 'unknown').toUpperCase();
+                const row = document.createElement('tr');
+                const label = document.createElement('th');
+                label.scope = 'row';
+                label.textContent = this.probeLabels[name];
+
+                const status = document.createElement('td');
+                status.className = `diagnostics-probe-status ${probe.status}`;
+                status.textContent = this.statusLabels[probe.status] || probe.status;
+
+                const latency = document.createElement('td');
+                latency.textContent = probe.latencyMs !== null ? `${probe.latencyMs} ms` : '-';
+
+                const detail = document.createElement('td');
+                detail.textContent = probe.detail || '';
+                if (probe.hint) {
+                    const hint = document.createElement('span');
+                    hint.className = 'diagnostics-hint';
+                    hint.textContent = probe.hint;
+                    detail.appendChild(hint);
                 }
 
-                const logPre = taskBlock.querySelector('.monitor-logs');
-                if (logPre) {
-                    const logText = Array.isArray(task.lines) ? task.lines.join('\n') : (task.lines || '');
-                    const newContent = logText || 'No logs available yet...';
+                row.append(label, status, latency, detail);
+                body.appendChild(row);
+            });
 
-                    if (logPre.textContent !== newContent) {
-                        const wasAtBottom = (logPre.scrollHeight - logPre.scrollTop - logPre.clientHeight) < 100;
-                        logPre.textContent = newContent;
+            table.appendChild(body);
+            return table;
+        },
 
-                        if (wasAtBottom) {
-                            setTimeout(() => {
-                                logPre.scrollTop = logPre.scrollHeight;
-                            }, 0);
-                        }
-                    }
-                }
-            });
+        renderCapabilities(capabilities) {
+            const list = document.createElement('ul');
+            list.className = 'diagnostics-capabilities';
+            list.setAttribute('aria-label', t('Capabilities'));
 
-            const existingTasks = container.querySelectorAll('.monitor-log-task[data-migration-id]');
-            existingTasks.forEach((taskBlock) => {
-                const migrationId = taskBlock.getAttribute('data-migration-id');
-                if (!currentMigrationIds.has(migrationId)) {
-                    taskBlock.remove();
-                }
+            Object.entries(this.capabilityLabels).forEach(([key, label]) => {
+                const item = document.createElement('li');
+                item.className = capabilities[key] ? 'supported' : 'unsupported';
+                item.textContent = `${capabilities[key] ? '✓' : '✗'} ${label}`;
+                list.appendChild(item);
             });
+
+            if (capabilities.maxFileSize) {
+                const item = document.createElement('li');
+                item.textContent = t('Max file {size}', { size: ProgressMonitor.formatBytes(capabilities.maxFileSize) });
+                list.appendChild(item);
+            }
+
+            return list;
+        },
+
+        // The last report as JSON, to attach to a support ticket
+        exportReport() {
+            if (!this.report) {
+                return;
+            }
+
+            const { success, ...report } = this.report;
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `connection-diagnostics-${this.report.generatedAt.replace(/[:+]/g, '-')}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        },
+
+        setStatus(message) {
+            const status = document.getElementById('diagnostics-status');
+            if (status) {
+                status.textContent = message;
+            }
         }
     };
 
@@ -1368,113 +7093,20 @@
     // UTILITY FUNCTIONS
     // ============================================================================
     const UtilityActions = {
-        async testConnection() {
-            Craft.cp.displayNotice('Testing connection...');
-
-            try {
-                const response = await fetch(Config.data.testConnectionUrl, {
-                    method: 'POST',
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'application/json'
-                    },
-                    body: new FormData()
-                });
-
-                const data = await response.json();
-
-                if (data.success) {
-                    Craft.cp.displayNotice('✓ Connection test successful');
-                } else {
-                    Craft.cp.displayError('Connection test failed: ' + (data.error || 'Unknown error'));
-                }
-            } catch (error) {
-                Craft.cp.displayError('Connection test failed: ' + error.message);
-            }
+        showConnectionDiagnostics() {
+            ConnectionDiagnostics.open();
         },
 
         showCheckpoints() {
-            const modal = document.getElementById('checkpoint-modal');
-            if (modal) {
-                UIManager.openModal(modal);
-
-                fetch(Config.data.checkpointsUrl, {
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'application/json'
-                    }
-                })
-                .then(response => response.json())
-                .then(data => {
-                    const content = modal.querySelector('.modal-body');
-                    if (content) {
-                        if (data.checkpoints && data.checkpoints.length > 0) {
-                            content.innerHTML = `<pre>${JSON.stringify(data.checkpoints, null, 2)}</pre>`;
-                        } else {
-                            content.innerHTML = '<p>No checkpoints found.</p>';
-                        }
-                    }
-                })
-                .catch(error => {
-                    console.error('Failed to load checkpoints:', error);
-                });
-            }
+            CheckpointBrowser.open();
         },
 
         showRollbackModal() {
-            UIManager.showConfirmationDialog(
-                'Confirm Rollback',
-                'Are you sure you want to rollback the migration? This cannot be undone.',
-                () => {
-                    fetch(Config.data.rollbackUrl, {
-                        method: 'POST',
-                        headers: {
-                            'X-Requested-With': 'XMLHttpRequest',
-                            'Accept': 'application/json'
-                        },
-                        body: new FormData()
-                    })
-                    .then(response => response.json())
-                    .then(data => {
-                        if (data.success) {
-                            Craft.cp.displayNotice('Rollback completed successfully');
-                        } else {
-                            Craft.cp.displayError('Rollback failed: ' + (data.error || 'Unknown error'));
-                        }
-                    })
-                    .catch(error => {
-                        Craft.cp.displayError('Rollback failed: ' + error.message);
-                    });
-                }
-            );
+            RollbackWizard.open();
         },
 
         showChangelog() {
-            const modal = document.getElementById('changelog-modal');
-            if (modal) {
-                UIManager.openModal(modal);
-
-                fetch(Config.data.changelogUrl, {
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'application/json'
-                    }
-                })
-                .then(response => response.json())
-                .then(data => {
-                    const content = modal.querySelector('.modal-body');
-                    if (content) {
-                        if (data.changelog && data.changelog.length > 0) {
-                            content.innerHTML = `<pre>${JSON.stringify(data.changelog, null, 2)}</pre>`;
-                        } else {
-                            content.innerHTML = '<p>No changelog entries found.</p>';
-                        }
-                    }
-                })
-                .catch(error => {
-                    console.error('Failed to load changelog:', error);
-                });
-            }
+            ChangeLogExplorer.open();
         }
     };
 
@@ -1486,6 +7118,10 @@
             UIManager.setupCollapsiblePhases();
 
             document.querySelectorAll('.run-module-btn').forEach(btn => {
+                if (!btn.hasAttribute('data-original-text')) {
+                    btn.setAttribute('data-original-text', btn.textContent.trim());
+                }
+
                 btn.addEventListener('click', function(e) {
                     e.preventDefault();
                     const command = this.getAttribute('data-command');
@@ -1497,7 +7133,7 @@
                     if (isManualStep) {
                         const moduleCard = this.closest('.module-card');
                         const moduleId = moduleCard ? moduleCard.getAttribute('data-module-id') : null;
-                        const moduleTitle = moduleCard ? moduleCard.querySelector('.module-title')?.textContent : 'this step';
+                        const moduleTitle = moduleCard ? moduleCard.querySelector('.module-title')?.textContent : t('this step');
                         WorkflowManager.handleManualStepCompletion(moduleCard, moduleId, moduleTitle);
                         return;
                     }
@@ -1509,9 +7145,22 @@
                 });
             });
 
+            const runWorkflowBtn = document.getElementById('run-workflow-btn');
+            if (runWorkflowBtn) {
+                runWorkflowBtn.addEventListener('click', () => PipelineRunner.start());
+            }
+
+            document.querySelectorAll('.run-phase-btn').forEach(btn => {
+                btn.addEventListener('click', function(e) {
+                    // The button sits in the collapsible phase header
+                    e.stopPropagation();
+                    PipelineRunner.start(parseInt(this.getAttribute('data-phase'), 10));
+                });
+            });
+
             const testConnectionBtn = document.getElementById('test-connection-btn');
             if (testConnectionBtn) {
-                testConnectionBtn.addEventListener('click', () => UtilityActions.testConnection());
+                testConnectionBtn.addEventListener('click', () => UtilityActions.showConnectionDiagnostics());
             }
 
             const viewCheckpointBtn = document.getElementById('view-checkpoint-btn');
@@ -1519,18 +7168,39 @@
                 viewCheckpointBtn.addEventListener('click', () => UtilityActions.showCheckpoints());
             }
 
+            const storedModes = CommandExecutor.getStoredExecutionModes();
+            document.querySelectorAll('.execution-mode-select').forEach(select => {
+                const moduleId = select.getAttribute('data-module-id');
+                if (storedModes[moduleId]) {
+                    select.value = storedModes[moduleId];
+                }
+
+                select.addEventListener('change', function() {
+                    CommandExecutor.storeExecutionMode(moduleId, this.value);
+                });
+            });
+
+            document.querySelectorAll('.module-options').forEach(details => {
+                const moduleCard = details.closest('.module-card');
+                const refresh = () => ModuleOptions.updatePreview(moduleCard);
+
+                details.addEventListener('input', refresh);
+                details.addEventListener('change', refresh);
+                refresh();
+            });
+
             document.querySelectorAll('.copy-command-btn').forEach(btn => {
                 btn.addEventListener('click', function() {
                     const command = this.getAttribute('data-command');
                     if (command) {
                         navigator.clipboard.writeText(command).then(() => {
-                            Craft.cp.displayNotice('CLI command copied to clipboard');
+                            Craft.cp.displayNotice(t('CLI command copied to clipboard'));
                         }).catch(err => {
                             console.error('Failed to copy command:', err);
-                            Craft.cp.displayError('Failed to copy command to clipboard');
+                            Craft.cp.displayError(t('Failed to copy command to clipboard'));
                         });
                     } else {
-                        Craft.cp.displayNotice('No CLI command available for this module');
+                        Craft.cp.displayNotice(t('No CLI command available for this module'));
                     }
                 });
             });
@@ -1539,25 +7209,77 @@
                 btn.addEventListener('click', function() {
                     const moduleCard = this.closest('.module-card');
                     const outputSection = moduleCard.querySelector('.module-output');
-                    const outputContent = moduleCard.querySelector('.output-content');
-                    if (outputContent) {
-                        outputContent.textContent = '';
-                        outputSection.style.display = 'none';
-                    }
+                    LogViewer.reset(moduleCard);
+                    outputSection.style.display = 'none';
                 });
             });
 
+            document.querySelectorAll('.module-output').forEach(section => {
+                const moduleCard = section.closest('.module-card');
+
+                const search = section.querySelector('.log-search');
+                if (search) {
+                    search.addEventListener('input', () => LogViewer.setQuery(moduleCard, search.value));
+                }
+
+                const levelFilter = section.querySelector('.log-level-filter');
+                if (levelFilter) {
+                    levelFilter.addEventListener('change', () => LogViewer.setFilter(moduleCard, levelFilter.value));
+                }
+
+                const jumpBtn = section.querySelector('.log-jump-error-btn');
+                if (jumpBtn) {
+                    jumpBtn.addEventListener('click', () => LogViewer.jumpToFirstError(moduleCard));
+                }
+
+                const viewport = section.querySelector('.log-viewport');
+                if (viewport) {
+                    viewport.addEventListener('scroll', () => LogViewer.handleScroll(moduleCard), { passive: true });
+                }
+            });
+
             document.querySelectorAll('.cancel-module-btn').forEach(btn => {
                 btn.addEventListener('click', function() {
                     const moduleCard = this.closest('.module-card');
-                    const runBtn = moduleCard.querySelector('.run-module-btn');
-                    const command = runBtn.getAttribute('data-command');
+                    const command = moduleCard.getAttribute('data-command');
                     if (command) {
                         CommandExecutor.cancelCommand(moduleCard, command);
                     }
                 });
             });
 
+            // Status actions are rendered dynamically, so delegate from the document
+            document.addEventListener('click', (e) => {
+                const retryBtn = e.target.closest('.retry-module-btn');
+                if (retryBtn) {
+                    CommandExecutor.retryModule(retryBtn.closest('.module-card'));
+                    return;
+                }
+
+                const skipBtn = e.target.closest('.skip-module-btn');
+                if (skipBtn) {
+                    CommandExecutor.skipModule(skipBtn.closest('.module-card'));
+                    return;
+                }
+
+                const rerunBtn = e.target.closest('.rerun-module-btn');
+                if (rerunBtn) {
+                    WorkflowManager.resetModule(rerunBtn.closest('.module-card'), 'rerun');
+                    return;
+                }
+
+                const incompleteBtn = e.target.closest('.mark-incomplete-btn');
+                if (incompleteBtn) {
+                    WorkflowManager.resetModule(incompleteBtn.closest('.module-card'), 'mark-incomplete');
+                    return;
+                }
+
+                const pipelineBtn = e.target.closest('.pipeline-action-btn');
+                if (pipelineBtn) {
+                    PipelineRunner.handleAction(pipelineBtn.dataset.pipelineAction);
+                }
+            });
+
             const rollbackBtn = document.getElementById('rollback-btn');
             if (rollbackBtn) {
                 rollbackBtn.addEventListener('click', () => UtilityActions.showRollbackModal());
@@ -1598,8 +7320,17 @@
             }
 
             AccessibilityManager.init();
+            SessionGuard.init();
             EventManager.attachEventListeners();
             LiveMonitor.init();
+            QueuePanel.init();
+            CheckpointBrowser.init();
+            ChangeLogExplorer.init();
+            RollbackWizard.init();
+            ConnectionDiagnostics.init();
+            RunCoordinator.init();
+            WorkflowManager.updateWorkflowStepper();
+            PipelineRunner.render();
             this.loadStateFromServer();
         },
 
@@ -1614,23 +7345,76 @@
                         });
                     }
 
-                    this.updateModuleStates();
+                    this.updateModuleStates(data.state.moduleStates || {});
+                    await this.reattachRunningMigrations(data.state.moduleStates || {});
+                    PipelineRunner.restore(data.state.pipeline || null);
                 }
             } catch (error) {
                 console.error('Failed to load state from server:', error);
             }
         },
 
-        updateModuleStates() {
-            StateManager.completedModules.forEach(moduleId => {
-                const moduleCard = document.querySelector(`[data-module-id="${moduleId}"]`);
+        async reattachRunningMigrations(moduleStates) {
+            const attached = new Set();
+            const reattach = async (moduleCard, migrationId, moduleId) => {
+                const command = moduleCard.getAttribute('data-command');
+                if (!command || attached.has(migrationId)) {
+                    return;
+                }
+                attached.add(migrationId);
+                await CommandExecutor.reattachMigration(moduleCard, command, migrationId, moduleId);
+            };
+
+            // Runs started from this dashboard remember their module
+            for (const [moduleId, moduleState] of Object.entries(moduleStates)) {
+                if (!moduleState || moduleState.status !== 'running' || !moduleState.migrationId) {
+                    continue;
+                }
+
+                const moduleCard = document.querySelector(`.module-card[data-module-id="${CSS.escape(moduleId)}"]`);
                 if (moduleCard) {
-                    moduleCard.classList.add('module-completed');
-                    const statusIndicator = moduleCard.querySelector('.status-indicator');
-                    if (statusIndicator) {
-                        statusIndicator.textContent = '✓';
-                        statusIndicator.classList.add('completed');
+                    await reattach(moduleCard, moduleState.migrationId, moduleId);
+                }
+            }
+
+            // Runs started elsewhere (queue, another admin) are matched by command
+            try {
+                const data = await APIClient.getRunningMigrations();
+                if (!data.success || !Array.isArray(data.migrations)) {
+                    return;
+                }
+
+                for (const migration of data.migrations) {
+                    if (!migration.command || attached.has(migration.migrationId)) {
+                        continue;
                     }
+
+                    const moduleCard = document.querySelector(`.module-card[data-command="${CSS.escape(migration.command)}"]`);
+                    if (moduleCard) {
+                        await reattach(moduleCard, migration.migrationId, null);
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to load running migrations:', error);
+            }
+        },
+
+        updateModuleStates(moduleStates = {}) {
+            Object.entries(moduleStates).forEach(([moduleId, moduleState]) => {
+                if (!moduleState || moduleState.status === 'completed' || moduleState.status === 'running') {
+                    return;
+                }
+
+                const moduleCard = document.querySelector(`.module-card[data-module-id="${CSS.escape(moduleId)}"]`);
+                if (moduleCard) {
+                    UIManager.applyModuleState(moduleCard, moduleState);
+                }
+            });
+
+            StateManager.completedModules.forEach(moduleId => {
+                const moduleCard = document.querySelector(`.module-card[data-module-id="${CSS.escape(moduleId)}"]`);
+                if (moduleCard) {
+                    UIManager.renderModuleCompleted(moduleCard, moduleStates[moduleId]?.completedAt || null);
                 }
             });
 
@@ -0,0 +1,695 @@
+<?php
+
+/**
+ * Source messages of the plugin's control panel strings
+ *
+ * Category `spaghetti-migrator`, registered for the dashboard script by
+ * DashboardTranslations::register().
+ */
+return [
+    // Dashboard (templates/spaghetti-migrator/js/dashboard.js)
+    'Session info URL is not configured' => 'Session info URL is not configured',
+    'Your session has expired. Log in again to continue.' => 'Your session has expired. Log in again to continue.',
+    'Session restored, but {count, plural, =1{# pending update} other{# pending updates}} could not be saved' => 'Session restored, but {count, plural, =1{# pending update} other{# pending updates}} could not be saved',
+    'Session restored: {count, plural, =1{# pending update} other{# pending updates}} saved' => 'Session restored: {count, plural, =1{# pending update} other{# pending updates}} saved',
+    'Session restored' => 'Session restored',
+    'Your session has expired. Log in again in another tab to continue.' => 'Your session has expired. Log in again in another tab to continue.',
+    '{count, plural, =1{# update} other{# updates}} will be saved once you are logged in again:' => '{count, plural, =1{# update} other{# updates}} will be saved once you are logged in again:',
+    'No changes are waiting to be saved.' => 'No changes are waiting to be saved.',
+    '{module} marked {status}' => '{module} marked {status}',
+    'Pipeline progress' => 'Pipeline progress',
+    '{count, plural, =1{# line} other{# lines}}' => '{count, plural, =1{# line} other{# lines}}',
+    'last {count} kept' => 'last {count} kept',
+    '{count} shown' => '{count} shown',
+    'The first error (line {line}) is no longer kept in the browser; download the full log to see it' => 'The first error (line {line}) is no longer kept in the browser; download the full log to see it',
+    'Processed' => 'Processed',
+    'Total Assets' => 'Total Assets',
+    'Files Processed' => 'Files Processed',
+    'Files Copied' => 'Files Copied',
+    'Files Skipped' => 'Files Skipped',
+    'Errors' => 'Errors',
+    'Phase' => 'Phase',
+    'Transferred' => 'Transferred',
+    'Rate' => 'Rate',
+    'Time Elapsed' => 'Time Elapsed',
+    'Time Remaining' => 'Time Remaining',
+    '{label}:' => '{label}:',
+    'Running...' => 'Running...',
+    'Run' => 'Run',
+    'Dry run completed' => 'Dry run completed',
+    'Command completed successfully' => 'Command completed successfully',
+    'Completed' => 'Completed',
+    '{reason} Run it through the Craft queue instead?' => '{reason} Run it through the Craft queue instead?',
+    'Run via queue' => 'Run via queue',
+    'Keep waiting' => 'Keep waiting',
+    'Dismiss' => 'Dismiss',
+    'Connected' => 'Connected',
+    'Reconnecting…' => 'Reconnecting…',
+    'Polling' => 'Polling',
+    'Dry run failed' => 'Dry run failed',
+    'Unknown error' => 'Unknown error',
+    'Command failed' => 'Command failed',
+    'no reason given' => 'no reason given',
+    'Reset by {user}: {reason}' => 'Reset by {user}: {reason}',
+    'Reset: {reason}' => 'Reset: {reason}',
+    'Failed' => 'Failed',
+    'Cancelled' => 'Cancelled',
+    'Skipped' => 'Skipped',
+    'Not completed' => 'Not completed',
+    'Retry' => 'Retry',
+    'Skip' => 'Skip',
+    'Re-run' => 'Re-run',
+    'Mark incomplete' => 'Mark incomplete',
+    'Cancelling…' => 'Cancelling…',
+    'Cancelling command' => 'Cancelling command',
+    'Cancel' => 'Cancel',
+    'Cancelled by user' => 'Cancelled by user',
+    'Command cancelled' => 'Command cancelled',
+    'Confirm & Proceed' => 'Confirm & Proceed',
+    'Reason' => 'Reason',
+    'Type {phrase} ({label}) to confirm' => 'Type {phrase} ({label}) to confirm',
+    'the phrase' => 'the phrase',
+    '{title} (Phase {phase})' => '{title} (Phase {phase})',
+    '{title} requires {modules} to be completed first.' => '{title} requires {modules} to be completed first.',
+    'Workflow Order Issue' => 'Workflow Order Issue',
+    'Recommended to run first: {modules}' => 'Recommended to run first: {modules}',
+    'Blocked until completed: {modules}' => 'Blocked until completed: {modules}',
+    'Recommended first: {modules}' => 'Recommended first: {modules}',
+    'This step is already marked as completed' => 'This step is already marked as completed',
+    'Before confirming, ensure you have:' => 'Before confirming, ensure you have:',
+    'Followed all instructions for this step' => 'Followed all instructions for this step',
+    'Run all required CLI commands successfully' => 'Run all required CLI commands successfully',
+    'Verified the output shows no errors' => 'Verified the output shows no errors',
+    'Documented any issues or deviations' => 'Documented any issues or deviations',
+    'This will mark the step as completed. You can view the instructions by expanding the module card.' => 'This will mark the step as completed. You can view the instructions by expanding the module card.',
+    'Confirm Manual Step Completion' => 'Confirm Manual Step Completion',
+    '{title} marked as completed' => '{title} marked as completed',
+    'Yes, I\'ve Completed This Step' => 'Yes, I\'ve Completed This Step',
+    'Not Yet' => 'Not Yet',
+    'this step' => 'this step',
+    'Re-run Completed Step' => 'Re-run Completed Step',
+    'Mark Step Incomplete' => 'Mark Step Incomplete',
+    '{title} is already completed. It will be reset and run again.' => '{title} is already completed. It will be reset and run again.',
+    '{title} will no longer count as completed. Later steps that depend on it will be blocked until it completes again.' => '{title} will no longer count as completed. Later steps that depend on it will be blocked until it completes again.',
+    'Reset failed' => 'Reset failed',
+    '{title} reset' => '{title} reset',
+    '{title} marked as incomplete' => '{title} marked as incomplete',
+    'Failed to reset step: {error}' => 'Failed to reset step: {error}',
+    'Reset & Run' => 'Reset & Run',
+    'Mark Incomplete' => 'Mark Incomplete',
+    'Reason (recorded in the audit trail)' => 'Reason (recorded in the audit trail)',
+    'Queue job failed' => 'Queue job failed',
+    'Queue job failed: {error}' => 'Queue job failed: {error}',
+    'No queue runner has picked up this job yet. Make sure the queue is being processed (./craft queue/listen, a cron job running ./craft queue/run, or runQueueAutomatically).' => 'No queue runner has picked up this job yet. Make sure the queue is being processed (./craft queue/listen, a cron job running ./craft queue/run, or runQueueAutomatically).',
+    'The queued job is still waiting for a queue runner' => 'The queued job is still waiting for a queue runner',
+    'Processing...' => 'Processing...',
+    '{count} processed' => '{count} processed',
+    '{done} of {total}' => '{done} of {total}',
+    '{count, plural, =1{# item/s} other{# items/s}}' => '{count, plural, =1{# item/s} other{# items/s}}',
+    '{count, plural, =1{# hour} other{# hours}}' => '{count, plural, =1{# hour} other{# hours}}',
+    '{count, plural, =1{# minute} other{# minutes}}' => '{count, plural, =1{# minute} other{# minutes}}',
+    '{count, plural, =1{# second} other{# seconds}}' => '{count, plural, =1{# second} other{# seconds}}',
+    '{label} must be a number' => '{label} must be a number',
+    '{label} is required' => '{label} is required',
+    '{label} must be a whole number' => '{label} must be a whole number',
+    'Unable to locate module card for command: {command}' => 'Unable to locate module card for command: {command}',
+    'This module is already running' => 'This module is already running',
+    'Gathering preflight checks' => 'Gathering preflight checks',
+    'Failed to gather preflight checks' => 'Failed to gather preflight checks',
+    'Preflight checks could not be gathered: {error}' => 'Preflight checks could not be gathered: {error}',
+    'Preflight summary: review the warnings before confirming.' => 'Preflight summary: review the warnings before confirming.',
+    'Preflight summary:' => 'Preflight summary:',
+    'Starting {command} via queue system...' => 'Starting {command} via queue system...',
+    'Queuing job...' => 'Queuing job...',
+    'Job queued successfully!' => 'Job queued successfully!',
+    'Job ID: {id}' => 'Job ID: {id}',
+    'Migration ID: {id}' => 'Migration ID: {id}',
+    'The command is now running in the background via Craft Queue.' => 'The command is now running in the background via Craft Queue.',
+    'You can safely refresh this page or open other admin windows.' => 'You can safely refresh this page or open other admin windows.',
+    'The site/Control Panel will remain fully responsive.' => 'The site/Control Panel will remain fully responsive.',
+    'Polling for progress updates every 2 seconds...' => 'Polling for progress updates every 2 seconds...',
+    'Command queued successfully' => 'Command queued successfully',
+    'Failed to queue command' => 'Failed to queue command',
+    'The command was not queued: {error}' => 'The command was not queued: {error}',
+    'Error: {error}' => 'Error: {error}',
+    'Failed to queue command: {error}' => 'Failed to queue command: {error}',
+    'Connecting to stream...' => 'Connecting to stream...',
+    'No output has arrived after {count, plural, =1{# second} other{# seconds}}. A proxy may be buffering the live stream.' => 'No output has arrived after {count, plural, =1{# second} other{# seconds}}. A proxy may be buffering the live stream.',
+    'Could not stop the stalled run; it may still be running: {error}' => 'Could not stop the stalled run; it may still be running: {error}',
+    'Re-launching through the Craft queue...' => 'Re-launching through the Craft queue...',
+    'Connected to stream. Starting migration...' => 'Connected to stream. Starting migration...',
+    'The command was not started: your session has expired.' => 'The command was not started: your session has expired.',
+    'Stream closed unexpectedly.' => 'Stream closed unexpectedly.',
+    'Stream closed before the command started' => 'Stream closed before the command started',
+    'The live stream closed before the command started.' => 'The live stream closed before the command started.',
+    'Stream unavailable, switching to polling...' => 'Stream unavailable, switching to polling...',
+    'Stream reconnected' => 'Stream reconnected',
+    'Process ID: {pid}' => 'Process ID: {pid}',
+    'Switching to polling mode for progress updates...' => 'Switching to polling mode for progress updates...',
+    'Completed!' => 'Completed!',
+    'Command completed successfully!' => 'Command completed successfully!',
+    'Command failed: {error}' => 'Command failed: {error}',
+    'Waiting for a queue runner...' => 'Waiting for a queue runner...',
+    'Run could not be found after page reload' => 'Run could not be found after page reload',
+    'Re-attached to running migration {id}' => 'Re-attached to running migration {id}',
+    'Skip Step' => 'Skip Step',
+    'Mark {title} as skipped? It will not be treated as completed.' => 'Mark {title} as skipped? It will not be treated as completed.',
+    '{title} skipped' => '{title} skipped',
+    'Cancellation already in progress' => 'Cancellation already in progress',
+    'Cancel Command' => 'Cancel Command',
+    'Are you sure you want to cancel this command? The process will be terminated.' => 'Are you sure you want to cancel this command? The process will be terminated.',
+    'Cancellation requested, waiting for the process to start...' => 'Cancellation requested, waiting for the process to start...',
+    'Cancelling command...' => 'Cancelling command...',
+    'Cancellation failed' => 'Cancellation failed',
+    'The server did not confirm termination in time. The process may still be running.' => 'The server did not confirm termination in time. The process may still be running.',
+    'Command cancelled by user' => 'Command cancelled by user',
+    'Cancellation failed: {error}' => 'Cancellation failed: {error}',
+    'Queued' => 'Queued',
+    'Dry run…' => 'Dry run…',
+    'Running…' => 'Running…',
+    'Done' => 'Done',
+    'A pipeline is already in progress' => 'A pipeline is already in progress',
+    'Nothing left to run in the workflow' => 'Nothing left to run in the workflow',
+    'Nothing left to run in Phase {phase}' => 'Nothing left to run in Phase {phase}',
+    'Pipeline Blocked' => 'Pipeline Blocked',
+    'Complete {modules} before running the workflow.' => 'Complete {modules} before running the workflow.',
+    'Complete {modules} before running Phase {phase}.' => 'Complete {modules} before running Phase {phase}.',
+    'Run Workflow' => 'Run Workflow',
+    'Run Phase {phase}' => 'Run Phase {phase}',
+    'The following steps will run in order:' => 'The following steps will run in order:',
+    'Each step that supports it is dry-run first.' => 'Each step that supports it is dry-run first.',
+    'The pipeline stops on the first failure and pauses before critical steps.' => 'The pipeline stops on the first failure and pauses before critical steps.',
+    'Module not found on this page' => 'Module not found on this page',
+    'Pipeline paused before {title}' => 'Pipeline paused before {title}',
+    'The step could not be started' => 'The step could not be started',
+    'Dry run: {error}' => 'Dry run: {error}',
+    'failed' => 'failed',
+    'Pipeline completed' => 'Pipeline completed',
+    'Pipeline stopped: {title} failed' => 'Pipeline stopped: {title} failed',
+    'Pipeline stopped' => 'Pipeline stopped',
+    'Stop Pipeline' => 'Stop Pipeline',
+    'No further steps will be started. A step that is already running keeps running; cancel it from its card if needed.' => 'No further steps will be started. A step that is already running keeps running; cancel it from its card if needed.',
+    'Wait for the current step to finish before resuming' => 'Wait for the current step to finish before resuming',
+    'The run could not be resumed after the page reload' => 'The run could not be resumed after the page reload',
+    'Failed to save pipeline' => 'Failed to save pipeline',
+    'Phase {phase} pipeline' => 'Phase {phase} pipeline',
+    'Workflow pipeline' => 'Workflow pipeline',
+    'started by {user}' => 'started by {user}',
+    '{scope}: step {step} of {total}, {title}' => '{scope}: step {step} of {total}, {title}',
+    '{scope} paused: confirm {title} to continue' => '{scope} paused: confirm {title} to continue',
+    '{scope} stopped: {title} failed ({done} of {total} steps done)' => '{scope} stopped: {title} failed ({done} of {total} steps done)',
+    '{scope} completed: {total} of {total} steps done' => '{scope} completed: {total} of {total} steps done',
+    '{scope} stopped after {done} of {total} steps' => '{scope} stopped after {done} of {total} steps',
+    'Dry run passed' => 'Dry run passed',
+    'Awaiting confirmation' => 'Awaiting confirmation',
+    'Stop pipeline' => 'Stop pipeline',
+    'Confirm & continue' => 'Confirm & continue',
+    'Resume' => 'Resume',
+    'Failed to load active runs' => 'Failed to load active runs',
+    'Dry runs are still allowed.' => 'Dry runs are still allowed.',
+    'A command' => 'A command',
+    '{command} is queued elsewhere' => '{command} is queued elsewhere',
+    '{command} is running elsewhere' => '{command} is running elsewhere',
+    'at {time}' => 'at {time}',
+    'Stale migration lock left by process {process} at {time}. It no longer blocks anything; Force Cleanup removes it.' => 'Stale migration lock left by process {process} at {time}. It no longer blocks anything; Force Cleanup removes it.',
+    'Migration lock held by {holder} since {time} (process {process}). Migration, rollback and filesystem switches wait until it is released.' => 'Migration lock held by {holder} since {time} (process {process}). Migration, rollback and filesystem switches wait until it is released.',
+    'Watch' => 'Watch',
+    'Watch {run} in the Live Monitor' => 'Watch {run} in the Live Monitor',
+    'Migration lock held' => 'Migration lock held',
+    'Running elsewhere' => 'Running elsewhere',
+    'Files / sec' => 'Files / sec',
+    'MB / sec' => 'MB / sec',
+    'Errors / min' => 'Errors / min',
+    'Remaining items' => 'Remaining items',
+    'queued' => 'queued',
+    'running' => 'running',
+    'completed' => 'completed',
+    'cancelled' => 'cancelled',
+    'unknown' => 'unknown',
+    'Resume Refresh' => 'Resume Refresh',
+    'Pause Refresh' => 'Pause Refresh',
+    'started {time}' => 'started {time}',
+    'Go to module' => 'Go to module',
+    'Go to the {title} module' => 'Go to the {title} module',
+    'PID {pid} (running)' => 'PID {pid} (running)',
+    'PID {pid} (not running)' => 'PID {pid} (not running)',
+    '{processed} / {total} items processed' => '{processed} / {total} items processed',
+    '{duration} (around {time})' => '{duration} (around {time})',
+    'No items processed for {duration}; the run may be stalled' => 'No items processed for {duration}; the run may be stalled',
+    'Throughput is {percent}% below its peak; the target may be throttling' => 'Throughput is {percent}% below its peak; the target may be throttling',
+    'n/a' => 'n/a',
+    'Not enough data yet' => 'Not enough data yet',
+    '{label}: not enough data yet' => '{label}: not enough data yet',
+    'peak {peak} · last {duration}' => 'peak {peak} · last {duration}',
+    '{label} over the last {duration}: now {current}, peak {peak}' => '{label} over the last {duration}: now {current}, peak {peak}',
+    'Logs will appear here as soon as the queue starts processing.' => 'Logs will appear here as soon as the queue starts processing.',
+    'Unknown Command' => 'Unknown Command',
+    'Loading...' => 'Loading...',
+    'No logs available yet...' => 'No logs available yet...',
+    'waiting' => 'waiting',
+    'delayed' => 'delayed',
+    'reserved' => 'reserved',
+    'Could not load queue jobs: {error}' => 'Could not load queue jobs: {error}',
+    'No migration jobs in the queue.' => 'No migration jobs in the queue.',
+    '{count, plural, =1{# job} other{# jobs}}' => '{count, plural, =1{# job} other{# jobs}}',
+    '{count} failed' => '{count} failed',
+    'refreshed {time}' => 'refreshed {time}',
+    '{count, plural, =1{# job has} other{# jobs have}} waited more than {duration} without a queue runner. Make sure the queue is processed (e.g. run "php craft queue/listen" or a cron job).' => '{count, plural, =1{# job has} other{# jobs have}} waited more than {duration} without a queue runner. Make sure the queue is processed (e.g. run "php craft queue/listen" or a cron job).',
+    '{count, plural, =1{# running job has outlived its time to reserve (TTR); the runner probably stopped. Retry or release it.} other{# running jobs have outlived their time to reserve (TTR); the runner probably stopped. Retry or release them.}}' => '{count, plural, =1{# running job has outlived its time to reserve (TTR); the runner probably stopped. Retry or release it.} other{# running jobs have outlived their time to reserve (TTR); the runner probably stopped. Retry or release them.}}',
+    'Job #{id}' => 'Job #{id}',
+    'waiting (no runner)' => 'waiting (no runner)',
+    'reserved (TTR exceeded)' => 'reserved (TTR exceeded)',
+    'for {duration}' => 'for {duration}',
+    '{action} job #{id}' => '{action} job #{id}',
+    'Release' => 'Release',
+    'Retry Queue Job' => 'Retry Queue Job',
+    'Put job #{id} back in the queue? Its attempts and progress are reset and it runs again from the start (resumable commands continue from their checkpoint).' => 'Put job #{id} back in the queue? Its attempts and progress are reset and it runs again from the start (resumable commands continue from their checkpoint).',
+    'Retry Job' => 'Retry Job',
+    'Release Queue Job' => 'Release Queue Job',
+    'Remove job #{id} from the queue? It will not run, and its migration is marked as cancelled.' => 'Remove job #{id} from the queue? It will not run, and its migration is marked as cancelled.',
+    'Release Job' => 'Release Job',
+    'Cancel Queue Job' => 'Cancel Queue Job',
+    'Cancel job #{id}? A waiting job is removed from the queue; a running one is stopped and its process terminated.' => 'Cancel job #{id}? A waiting job is removed from the queue; a running one is stopped and its process terminated.',
+    'Cancel Job' => 'Cancel Job',
+    'Keep Job' => 'Keep Job',
+    'Job #{id} updated' => 'Job #{id} updated',
+    'Queue job action failed: {error}' => 'Queue job action failed: {error}',
+    'Could not load checkpoints: {error}' => 'Could not load checkpoints: {error}',
+    'No checkpoints found.' => 'No checkpoints found.',
+    '{count, plural, =1{# checkpoint} other{# checkpoints}}' => '{count, plural, =1{# checkpoint} other{# checkpoints}}',
+    '{count} older than {hours}h' => '{count} older than {hours}h',
+    'File {file}' => 'File {file}',
+    '{count} remaining' => '{count} remaining',
+    'stale' => 'stale',
+    '{action} checkpoint {id}' => '{action} checkpoint {id}',
+    'Resume...' => 'Resume...',
+    'Delete' => 'Delete',
+    'Migration' => 'Migration',
+    'Resumes at' => 'Resumes at',
+    'Batch' => 'Batch',
+    'Already processed' => 'Already processed',
+    'Still to do' => 'Still to do',
+    'Unknown (the checkpoint has no total)' => 'Unknown (the checkpoint has no total)',
+    'Saved' => 'Saved',
+    '{time} ({age} ago)' => '{time} ({age} ago)',
+    'This checkpoint is stale: assets may have changed since it was saved.' => 'This checkpoint is stale: assets may have changed since it was saved.',
+    'The file migration module is not available on this dashboard, so the checkpoint cannot be resumed from here.' => 'The file migration module is not available on this dashboard, so the checkpoint cannot be resumed from here.',
+    'The checkpoint is from an early phase: the migration restarts from discovery, skipping assets already processed.' => 'The checkpoint is from an early phase: the migration restarts from discovery, skipping assets already processed.',
+    'Unknown phase "{phase}": the migration will refuse to resume from it.' => 'Unknown phase "{phase}": the migration will refuse to resume from it.',
+    'Phases still to run: {phases}.' => 'Phases still to run: {phases}.',
+    'Only the final verification remains.' => 'Only the final verification remains.',
+    'This checkpoint cannot be resumed' => 'This checkpoint cannot be resumed',
+    'Resuming migration {id} from the {phase} phase' => 'Resuming migration {id} from the {phase} phase',
+    'Delete checkpoint {id}? The migration can no longer be resumed from it.' => 'Delete checkpoint {id}? The migration can no longer be resumed from it.',
+    'Delete {count} stale checkpoints? Their migrations can no longer be resumed.' => 'Delete {count} stale checkpoints? Their migrations can no longer be resumed.',
+    'Delete Checkpoint' => 'Delete Checkpoint',
+    'Delete Checkpoints' => 'Delete Checkpoints',
+    'Keep' => 'Keep',
+    'Could not delete checkpoint {id}: {error}' => 'Could not delete checkpoint {id}: {error}',
+    '{count, plural, =1{Deleted # checkpoint} other{Deleted # checkpoints}}' => '{count, plural, =1{Deleted # checkpoint} other{Deleted # checkpoints}}',
+    'Reversed' => 'Reversed',
+    'Incomplete' => 'Incomplete',
+    'Nothing to undo' => 'Nothing to undo',
+    'Not reversed' => 'Not reversed',
+    'Could not load the change log: {error}' => 'Could not load the change log: {error}',
+    '{id} ({count, plural, =1{# change} other{# changes}})' => '{id} ({count, plural, =1{# change} other{# changes}})',
+    'No entries match the filters.' => 'No entries match the filters.',
+    'No change log entries found.' => 'No change log entries found.',
+    '{count, plural, =1{# entry matches the filters} other{# entries match the filters}}' => '{count, plural, =1{# entry matches the filters} other{# entries match the filters}}',
+    '{count, plural, =1{# entry} other{# entries}}' => '{count, plural, =1{# entry} other{# entries}}',
+    'Page {page} of {pageCount}' => 'Page {page} of {pageCount}',
+    'Select change {sequence} in {migration} for rollback' => 'Select change {sequence} in {migration} for rollback',
+    'Details' => 'Details',
+    'Details of change {sequence} in {migration}' => 'Details of change {sequence} in {migration}',
+    '{count, plural, =1{Roll back # selected entry} other{Roll back # selected entries}}' => '{count, plural, =1{Roll back # selected entry} other{Roll back # selected entries}}',
+    'Roll back selected entries' => 'Roll back selected entries',
+    'Select entries of a single migration to roll them back together.' => 'Select entries of a single migration to roll them back together.',
+    'Not recorded' => 'Not recorded',
+    'Change {sequence}' => 'Change {sequence}',
+    'Rollback: {description}' => 'Rollback: {description}',
+    'Could not load the change: {error}' => 'Could not load the change: {error}',
+    'Preparing preview...' => 'Preparing preview...',
+    'Could not preview the rollback: {error}' => 'Could not preview the rollback: {error}',
+    'No entries match the filters, so a rollback would change nothing.' => 'No entries match the filters, so a rollback would change nothing.',
+    '{changes} in {migrations}: {outcomes}. Estimated time: {time}.' => '{changes} in {migrations}: {outcomes}. Estimated time: {time}.',
+    '{count, plural, =1{# change} other{# changes}}' => '{count, plural, =1{# change} other{# changes}}',
+    '{count, plural, =1{# migration} other{# migrations}}' => '{count, plural, =1{# migration} other{# migrations}}',
+    'A change-by-change rollback undoes them newest first. Nothing has been changed by this preview.' => 'A change-by-change rollback undoes them newest first. Nothing has been changed by this preview.',
+    'Type' => 'Type',
+    'Changes' => 'Changes',
+    'Rollback' => 'Rollback',
+    'Wait for the current rollback to finish' => 'Wait for the current rollback to finish',
+    'Loading phases and runs...' => 'Loading phases and runs...',
+    'Loading migrations...' => 'Loading migrations...',
+    'No migration has changes to roll back.' => 'No migration has changes to roll back.',
+    'Could not load migrations: {error}' => 'Could not load migrations: {error}',
+    'Choose a migration to roll back.' => 'Choose a migration to roll back.',
+    'Choose a phase.' => 'Choose a phase.',
+    'Choose a run.' => 'Choose a run.',
+    'Enter the entry numbers, separated by commas.' => 'Enter the entry numbers, separated by commas.',
+    'Preparing the dry run...' => 'Preparing the dry run...',
+    'Scope: {scope} of {migration}.' => 'Scope: {scope} of {migration}.',
+    'No change is in this scope, so a rollback would change nothing.' => 'No change is in this scope, so a rollback would change nothing.',
+    '{changes}: {outcomes}. Estimated time: {time}.' => '{changes}: {outcomes}. Estimated time: {time}.',
+    'Phases: {phases}' => 'Phases: {phases}',
+    'Not in this migration\'s change log: {entries}' => 'Not in this migration\'s change log: {entries}',
+    'Wait for {runs} to finish: a rollback must not run alongside a migration or another rollback.' => 'Wait for {runs} to finish: a rollback must not run alongside a migration or another rollback.',
+    'Nothing has been changed by this preview.' => 'Nothing has been changed by this preview.',
+    'Rollback of {migration} started' => 'Rollback of {migration} started',
+    'list' => 'list',
+    'write' => 'write',
+    'read' => 'read',
+    'delete' => 'delete',
+    'ok' => 'ok',
+    'warning' => 'warning',
+    'skipped' => 'skipped',
+    'Multipart upload' => 'Multipart upload',
+    'Server-side copy' => 'Server-side copy',
+    'ACLs' => 'ACLs',
+    'Versioning' => 'Versioning',
+    'Presigned URLs' => 'Presigned URLs',
+    'Probing providers and volumes (with write probes)...' => 'Probing providers and volumes (with write probes)...',
+    'Probing providers and volumes...' => 'Probing providers and volumes...',
+    'Could not run the diagnostics: {error}' => 'Could not run the diagnostics: {error}',
+    '{count, plural, =1{The check passed} other{All # checks passed}} ({time})' => '{count, plural, =1{The check passed} other{All # checks passed}} ({time})',
+    '{failed} of {total} failed ({time})' => '{failed} of {total} failed ({time})',
+    'Providers' => 'Providers',
+    'Source provider' => 'Source provider',
+    'Target provider' => 'Target provider',
+    'not configured' => 'not configured',
+    'Volumes' => 'Volumes',
+    'Bucket {bucket}' => 'Bucket {bucket}',
+    'subfolder {subfolder}' => 'subfolder {subfolder}',
+    'region {region}' => 'region {region}',
+    'endpoint {endpoint}' => 'endpoint {endpoint}',
+    'on the {provider} provider' => 'on the {provider} provider',
+    'No storage details available' => 'No storage details available',
+    'Capabilities' => 'Capabilities',
+    'Max file {size}' => 'Max file {size}',
+    'CLI command copied to clipboard' => 'CLI command copied to clipboard',
+    'Failed to copy command to clipboard' => 'Failed to copy command to clipboard',
+    'No CLI command available for this module' => 'No CLI command available for this module',
+
+    // Settings (templates/spaghetti-migrator/settings.twig)
+    'Frequently Changed' => 'Frequently Changed',
+    'Good Defaults' => 'Good Defaults',
+    'AWS S3 Bucket Name' => 'AWS S3 Bucket Name',
+    'Your current AWS S3 bucket name. Set via AWS_SOURCE_BUCKET environment variable.' => 'Your current AWS S3 bucket name. Set via AWS_SOURCE_BUCKET environment variable.',
+    'AWS S3 Region' => 'AWS S3 Region',
+    'AWS region where your S3 bucket is located.' => 'AWS region where your S3 bucket is located.',
+    'DigitalOcean Region' => 'DigitalOcean Region',
+    'DigitalOcean Spaces region. Must match your DO Spaces bucket region.' => 'DigitalOcean Spaces region. Must match your DO Spaces bucket region.',
+    'Filesystem Mappings (JSON)' => 'Filesystem Mappings (JSON)',
+    'Maps AWS filesystem handles to DO handles. Format: {"aws_handle": "do_handle"}' => 'Maps AWS filesystem handles to DO handles. Format: {"aws_handle": "do_handle"}',
+    'Source Volume Handles (comma-separated)' => 'Source Volume Handles (comma-separated)',
+    'List of source volume handles to migrate from, separated by commas.' => 'List of source volume handles to migrate from, separated by commas.',
+    'Target Volume Handle' => 'Target Volume Handle',
+    'Target volume handle for asset consolidation.' => 'Target volume handle for asset consolidation.',
+    'Quarantine Volume Handle' => 'Quarantine Volume Handle',
+    'Volume for storing unused/orphaned assets.' => 'Volume for storing unused/orphaned assets.',
+    'Volumes at Bucket Root (comma-separated)' => 'Volumes at Bucket Root (comma-separated)',
+    'Volumes located at bucket root level (not in a subfolder).' => 'Volumes located at bucket root level (not in a subfolder).',
+    'Volumes with Subfolders (comma-separated)' => 'Volumes with Subfolders (comma-separated)',
+    'Volumes containing internal subfolder structures.' => 'Volumes containing internal subfolder structures.',
+    'Flat Structure Volumes (comma-separated)' => 'Flat Structure Volumes (comma-separated)',
+    'Volumes with flat structure (all files at root, no subfolders).' => 'Volumes with flat structure (all files at root, no subfolders).',
+    'Filesystem Definitions (JSON)' => 'Filesystem Definitions (JSON)',
+    'Array of filesystem definitions. Format: [{"handle": "...", "name": "...", "subfolder": "$ENV_VAR", "hasUrls": true}]' => 'Array of filesystem definitions. Format: [{"handle": "...", "name": "...", "subfolder": "$ENV_VAR", "hasUrls": true}]',
+    'Batch Size' => 'Batch Size',
+    'Number of assets to process in each batch. Higher = faster but more memory. Recommended: 50-200.' => 'Number of assets to process in each batch. Higher = faster but more memory. Recommended: 50-200.',
+    'Error Threshold' => 'Error Threshold',
+    'Maximum total errors before halting migration. Prevents runaway migrations.' => 'Maximum total errors before halting migration. Prevents runaway migrations.',
+    'Critical Error Threshold' => 'Critical Error Threshold',
+    'Threshold for critical errors (write failures, permissions). Should be lower than general threshold.' => 'Threshold for critical errors (write failures, permissions). Should be lower than general threshold.',
+    'Max Concurrent Transforms' => 'Max Concurrent Transforms',
+    'Maximum parallel transform generations. Higher = faster but more CPU/memory.' => 'Maximum parallel transform generations. Higher = faster but more CPU/memory.',
+    'Checkpoint Frequency' => 'Checkpoint Frequency',
+    'Create checkpoint after this many batches. Lower = safer resume points.' => 'Create checkpoint after this many batches. Lower = safer resume points.',
+    'Changelog Flush Frequency' => 'Changelog Flush Frequency',
+    'Flush changelog to disk every N operations. Lower = safer but slower.' => 'Flush changelog to disk every N operations. Lower = safer but slower.',
+    'Max Retries' => 'Max Retries',
+    'Retry failed operations this many times. Helps with transient network issues.' => 'Retry failed operations this many times. Helps with transient network issues.',
+    'Retry Delay (milliseconds)' => 'Retry Delay (milliseconds)',
+    'Wait this many milliseconds between retries.' => 'Wait this many milliseconds between retries.',
+    'Checkpoint Retention (hours)' => 'Checkpoint Retention (hours)',
+    'Keep checkpoints for this many hours before cleanup.' => 'Keep checkpoints for this many hours before cleanup.',
+    'Max Repeated Errors' => 'Max Repeated Errors',
+    'Stop if same error repeats this many times. Prevents infinite loops.' => 'Stop if same error repeats this many times. Prevents infinite loops.',
+    'Lock Timeout (seconds)' => 'Lock Timeout (seconds)',
+    'Migration lock expires after this many seconds. Prevents stale locks.' => 'Migration lock expires after this many seconds. Prevents stale locks.',
+    'Lock Acquire Timeout (seconds)' => 'Lock Acquire Timeout (seconds)',
+    'Wait this long when trying to acquire migration lock.' => 'Wait this long when trying to acquire migration lock.',
+    'Optimized Images Field Handle' => 'Optimized Images Field Handle',
+    'Handle of ImageOptimize field used for optimized image variants.' => 'Handle of ImageOptimize field used for optimized image variants.',
+    'Warmup Timeout (seconds)' => 'Warmup Timeout (seconds)',
+    'HTTP timeout for transform URL crawling (seconds).' => 'HTTP timeout for transform URL crawling (seconds).',
+    'Template Extensions (comma-separated)' => 'Template Extensions (comma-separated)',
+    'File extensions to scan in templates directory.' => 'File extensions to scan in templates directory.',
+    'Template Backup Suffix' => 'Template Backup Suffix',
+    'Suffix pattern for template backups. Use {timestamp} for dynamic timestamps.' => 'Suffix pattern for template backups. Use {timestamp} for dynamic timestamps.',
+    'Template Environment Variable' => 'Template Environment Variable',
+    'Environment variable name used in templates for DO Spaces URL.' => 'Environment variable name used in templates for DO Spaces URL.',
+    'Content Table Patterns (comma-separated)' => 'Content Table Patterns (comma-separated)',
+    'Database table patterns to scan for content (supports % wildcard).' => 'Database table patterns to scan for content (supports % wildcard).',
+    'Additional Tables (JSON)' => 'Additional Tables (JSON)',
+    'Additional tables beyond content tables. Format: [{"table": "name", "column": "column"}]' => 'Additional tables beyond content tables. Format: [{"table": "name", "column": "column"}]',
+    'Column Types (comma-separated)' => 'Column Types (comma-separated)',
+    'Database column types to search for URLs.' => 'Database column types to search for URLs.',
+    'Field Column Pattern' => 'Field Column Pattern',
+    'Pattern for identifying Craft field columns (e.g., field_%).' => 'Pattern for identifying Craft field columns (e.g., field_%).',
+    'Sample URL Limit' => 'Sample URL Limit',
+    'Number of sample URLs to show in replacement previews.' => 'Number of sample URLs to show in replacement previews.',
+    'File List Limit' => 'File List Limit',
+    'Maximum files to show in diagnostic listings.' => 'Maximum files to show in diagnostic listings.',
+    'Dashboard Log Lines' => 'Dashboard Log Lines',
+    'Default number of log lines to display in dashboard.' => 'Default number of log lines to display in dashboard.',
+    'Dashboard Log File' => 'Dashboard Log File',
+    'Log file to display in dashboard.' => 'Log file to display in dashboard.',
+    'Dashboard Execution Mode' => 'Dashboard Execution Mode',
+    'Default way the dashboard runs commands. Use the queue when proxies buffer streamed responses or PHP-FPM ends long requests. Individual modules can override this from their card.' => 'Default way the dashboard runs commands. Use the queue when proxies buffer streamed responses or PHP-FPM ends long requests. Individual modules can override this from their card.',
+    'Live stream (SSE)' => 'Live stream (SSE)',
+    'Craft queue' => 'Craft queue',
+    'Queue Runner Warning' => 'Queue Runner Warning',
+    'Seconds a queued job may wait for a queue runner before the dashboard warns that nothing is processing the queue.' => 'Seconds a queued job may wait for a queue runner before the dashboard warns that nothing is processing the queue.',
+    'Progress Report Interval' => 'Progress Report Interval',
+    'Report progress after processing this many items. Lower = more frequent updates (slower), Higher = less frequent (faster).' => 'Report progress after processing this many items. Lower = more frequent updates (slower), Higher = less frequent (faster).',
+    'Lock Refresh Interval (seconds)' => 'Lock Refresh Interval (seconds)',
+    'Refresh migration lock every N seconds during long operations. Prevents lock expiration.' => 'Refresh migration lock every N seconds during long operations. Prevents lock expiration.',
+    'Verification Sample Size' => 'Verification Sample Size',
+    'Number of assets to verify in quick sample checks. Higher = more thorough but slower.' => 'Number of assets to verify in quick sample checks. Higher = more thorough but slower.',
+    'Fuzzy Match Min Confidence' => 'Fuzzy Match Min Confidence',
+    'Minimum confidence (0.0-1.0) for fuzzy matching. Matches below this are rejected.' => 'Minimum confidence (0.0-1.0) for fuzzy matching. Matches below this are rejected.',
+    'Fuzzy Match Warning Confidence' => 'Fuzzy Match Warning Confidence',
+    'Confidence threshold (0.0-1.0) for warnings. Matches below this show warnings but are still accepted.' => 'Confidence threshold (0.0-1.0) for warnings. Matches below this show warnings but are still accepted.',
+    'Priority Folder Patterns (comma-separated)' => 'Priority Folder Patterns (comma-separated)',
+    'Folder patterns that receive priority during duplicate resolution. Files in these folders are preferred.' => 'Folder patterns that receive priority during duplicate resolution. Files in these folders are preferred.',
+    'Poll Delay (milliseconds)' => 'Poll Delay (milliseconds)',
+    'Delay for UI polling operations. Lower = more responsive but higher server load.' => 'Delay for UI polling operations. Lower = more responsive but higher server load.',
+    'Process Cache Duration (seconds)' => 'Process Cache Duration (seconds)',
+    'How long to cache process information. Improves performance but may show stale data.' => 'How long to cache process information. Improves performance but may show stale data.',
+    'DB Scan Estimate (rows/second)' => 'DB Scan Estimate (rows/second)',
+    'Estimated database scan performance for progress calculation. Adjust based on your server.' => 'Estimated database scan performance for progress calculation. Adjust based on your server.',
+    'State Retention (days)' => 'State Retention (days)',
+    'Number of days to keep old migration state records before cleanup.' => 'Number of days to keep old migration state records before cleanup.',
+    'Please select a file to import.' => 'Please select a file to import.',
+    'Please select a JSON file.' => 'Please select a JSON file.',
+    'Import settings from "{file}"?' => 'Import settings from "{file}"?',
+    'This will overwrite your current configuration.' => 'This will overwrite your current configuration.',
+    'Click OK to proceed or Cancel to abort.' => 'Click OK to proceed or Cancel to abort.',
+    'Importing...' => 'Importing...',
+    'Settings imported successfully. Reloading...' => 'Settings imported successfully. Reloading...',
+    'Import failed.' => 'Import failed.',
+
+    // Dashboard template (templates/spaghetti-migrator/dashboard.twig)
+    'Spaghetti Migrator' => 'Spaghetti Migrator',
+    'Untangle your nested folders and migrate assets between cloud services with ease' => 'Untangle your nested folders and migrate assets between cloud services with ease',
+    'Phase {current} of {total}' => 'Phase {current} of {total}',
+    'Critical step' => 'Critical step',
+    'Critical Workflow Order' => 'Critical Workflow Order',
+    'IMPORTANT:' => 'IMPORTANT:',
+    'Phase 4 (Filesystem Switch) MUST be completed BEFORE Phase 5 (File Migration). Switching filesystems first ensures volumes point to {provider} during migration.' => 'Phase 4 (Filesystem Switch) MUST be completed BEFORE Phase 5 (File Migration). Switching filesystems first ensures volumes point to {provider} during migration.',
+    'Configuration Status' => 'Configuration Status',
+    '{provider} Credentials' => '{provider} Credentials',
+    '{provider} Bucket' => '{provider} Bucket',
+    '{provider} Config' => '{provider} Config',
+    '{provider} Base URL' => '{provider} Base URL',
+    '{provider} Bucket:' => '{provider} Bucket:',
+    'Live Monitor' => 'Live Monitor',
+    'Queue Jobs' => 'Queue Jobs',
+    'Checkpoints' => 'Checkpoints',
+    'Connection Diagnostics' => 'Connection Diagnostics',
+    'View Filesystems' => 'View Filesystems',
+    'Migration checkpoint detected' => 'Migration checkpoint detected',
+    'A previous migration was interrupted. You can resume from where you left off.' => 'A previous migration was interrupted. You can resume from where you left off.',
+    'Resume Migration' => 'Resume Migration',
+    'View Checkpoints' => 'View Checkpoints',
+    'Pipeline' => 'Pipeline',
+    'Run a phase or the whole workflow in dependency order. The pipeline stops on the first failure and pauses before critical steps.' => 'Run a phase or the whole workflow in dependency order. The pipeline stops on the first failure and pauses before critical steps.',
+    'Dry run each step first' => 'Dry run each step first',
+    'Run workflow' => 'Run workflow',
+    'Pipeline steps' => 'Pipeline steps',
+    'How to Use This Dashboard' => 'How to Use This Dashboard',
+    'This dashboard guides you through a complete {source} → {target} migration.' => 'This dashboard guides you through a complete {source} → {target} migration.',
+    'Manual CLI steps' => 'Manual CLI steps',
+    'require terminal commands and can be marked as completed when done' => 'require terminal commands and can be marked as completed when done',
+    'Collapsible phases' => 'Collapsible phases',
+    'can be expanded/collapsed by clicking the phase header' => 'can be expanded/collapsed by clicking the phase header',
+    'Green checkmarks' => 'Green checkmarks',
+    'indicate completed steps - your progress is automatically saved' => 'indicate completed steps - your progress is automatically saved',
+    'Critical steps' => 'Critical steps',
+    'must be done in order - the dashboard will warn you if prerequisites are missing' => 'must be done in order - the dashboard will warn you if prerequisites are missing',
+    'View logs' => 'View logs',
+    'button lets you see detailed output from each command' => 'button lets you see detailed output from each command',
+    'Progress bar' => 'Progress bar',
+    'shows real-time execution progress for running commands' => 'shows real-time execution progress for running commands',
+    'Phase {phase}' => 'Phase {phase}',
+    '{count, plural, =1{# module} other{# modules}}' => '{count, plural, =1{# module} other{# modules}}',
+    'Run phase' => 'Run phase',
+    'Critical' => 'Critical',
+    'Manual CLI' => 'Manual CLI',
+    'Options' => 'Options',
+    'Command:' => 'Command:',
+    'Dry Run' => 'Dry Run',
+    'Run {title} via' => 'Run {title} via',
+    'Default (queue)' => 'Default (queue)',
+    'Default (live stream)' => 'Default (live stream)',
+    'Live stream' => 'Live stream',
+    'Copy CLI command for {title}' => 'Copy CLI command for {title}',
+    'Mark as Completed' => 'Mark as Completed',
+    'Run {title}' => 'Run {title}',
+    'Module execution progress' => 'Module execution progress',
+    'Starting...' => 'Starting...',
+    'Cancel module execution' => 'Cancel module execution',
+    'Migration Statistics' => 'Migration Statistics',
+    'Output' => 'Output',
+    'Clear' => 'Clear',
+    'Search output' => 'Search output',
+    'Search output of {title}' => 'Search output of {title}',
+    'Filter output of {title} by level' => 'Filter output of {title} by level',
+    'All lines' => 'All lines',
+    'Errors & warnings' => 'Errors & warnings',
+    'Errors only' => 'Errors only',
+    'Jump to first error' => 'Jump to first error',
+    'Download full log' => 'Download full log',
+    'Output of {title}' => 'Output of {title}',
+    'Rollback & Recovery' => 'Rollback & Recovery',
+    'If something goes wrong, you can rollback the migration to a previous state.' => 'If something goes wrong, you can rollback the migration to a previous state.',
+    'Rollback Migration' => 'Rollback Migration',
+    'View Change Log' => 'View Change Log',
+    'Command Output' => 'Command Output',
+    'Close modal' => 'Close modal',
+    'Close' => 'Close',
+    'Migration Checkpoints' => 'Migration Checkpoints',
+    'Loading checkpoints...' => 'Loading checkpoints...',
+    'Age' => 'Age',
+    'Actions' => 'Actions',
+    'Resume preview' => 'Resume preview',
+    'Resume from this checkpoint' => 'Resume from this checkpoint',
+    'Back' => 'Back',
+    'Delete stale checkpoints' => 'Delete stale checkpoints',
+    'Refresh' => 'Refresh',
+    'Include write probes (writes, reads back and deletes a small file on the target and on each volume; the source is never written to)' => 'Include write probes (writes, reads back and deletes a small file on the target and on each volume; the source is never written to)',
+    'Run the diagnostics to probe each provider and volume.' => 'Run the diagnostics to probe each provider and volume.',
+    'Download report' => 'Download report',
+    'Run diagnostics' => 'Run diagnostics',
+    'Change Log' => 'Change Log',
+    'Filter change log entries' => 'Filter change log entries',
+    'All migrations' => 'All migrations',
+    'All types' => 'All types',
+    'All phases' => 'All phases',
+    'Volume' => 'Volume',
+    'All volumes' => 'All volumes',
+    'Asset ID' => 'Asset ID',
+    'From' => 'From',
+    'To' => 'To',
+    'File or path' => 'File or path',
+    'e.g. hero.jpg' => 'e.g. hero.jpg',
+    'Clear filters' => 'Clear filters',
+    'Loading change log...' => 'Loading change log...',
+    'Select' => 'Select',
+    'Time' => 'Time',
+    'Asset' => 'Asset',
+    'Change log pages' => 'Change log pages',
+    'Previous' => 'Previous',
+    'Next' => 'Next',
+    'Entry' => 'Entry',
+    'Before' => 'Before',
+    'After' => 'After',
+    'Close entry' => 'Close entry',
+    'Rollback preview' => 'Rollback preview',
+    'Preview rollback of filtered entries' => 'Preview rollback of filtered entries',
+    'Export CSV' => 'Export CSV',
+    'Export JSON' => 'Export JSON',
+    'Loading queue jobs...' => 'Loading queue jobs...',
+    'Job' => 'Job',
+    'Status' => 'Status',
+    'Attempts' => 'Attempts',
+    'TTR' => 'TTR',
+    'Progress' => 'Progress',
+    'Error' => 'Error',
+    'Choose what to roll back' => 'Choose what to roll back',
+    'Review the impact' => 'Review the impact',
+    'Follow the rollback' => 'Follow the rollback',
+    'Warning:' => 'Warning:',
+    'Rolling back undoes migration changes, newest first, using the change log. It cannot be undone itself.' => 'Rolling back undoes migration changes, newest first, using the change log. It cannot be undone itself.',
+    'Roll back' => 'Roll back',
+    'Every change of the migration' => 'Every change of the migration',
+    'A phase' => 'A phase',
+    'Include' => 'Include',
+    'This phase and every later phase' => 'This phase and every later phase',
+    'Only this phase' => 'Only this phase',
+    'One module run' => 'One module run',
+    'Only runs started from this dashboard are recorded.' => 'Only runs started from this dashboard are recorded.',
+    'Selected change log entries' => 'Selected change log entries',
+    'Entry numbers' => 'Entry numbers',
+    'e.g. 12, 15, 40' => 'e.g. 12, 15, 40',
+    'Comma-separated numbers from the # column of the change log, where entries can also be selected.' => 'Comma-separated numbers from the # column of the change log, where entries can also be selected.',
+    'Dry-run impact' => 'Dry-run impact',
+    'Type {phrase} to confirm' => 'Type {phrase} to confirm',
+    'Rollback progress' => 'Rollback progress',
+    'Cancel rollback' => 'Cancel rollback',
+    'Search rollback output' => 'Search rollback output',
+    'Filter rollback output by level' => 'Filter rollback output by level',
+    'Rollback output' => 'Rollback output',
+    'New rollback' => 'New rollback',
+    'Preview impact' => 'Preview impact',
+    'Session expired' => 'Session expired',
+    'Your Craft session ended while the dashboard was open. Migrations keep running on the server and this page keeps its state.' => 'Your Craft session ended while the dashboard was open. Migrations keep running on the server and this page keeps its state.',
+    'Log in again in a new tab, then come back: the dashboard reconnects by itself.' => 'Log in again in a new tab, then come back: the dashboard reconnects by itself.',
+    'I have logged in' => 'I have logged in',
+    'Log in again' => 'Log in again',
+    'Live Migration Monitor' => 'Live Migration Monitor',
+    'Runs' => 'Runs',
+    'Follow latest' => 'Follow latest',
+    'No migrations recorded yet.' => 'No migrations recorded yet.',
+    'No active migration found.' => 'No active migration found.',
+    'Start a migration to see live progress here. The monitor automatically refreshes every 3 seconds.' => 'Start a migration to see live progress here. The monitor automatically refreshes every 3 seconds.',
+    'Migration Information' => 'Migration Information',
+    'Migration ID:' => 'Migration ID:',
+    'Phase:' => 'Phase:',
+    'Status:' => 'Status:',
+    'Process:' => 'Process:',
+    'Throughput' => 'Throughput',
+    'Estimated time remaining:' => 'Estimated time remaining:',
+    'Statistics' => 'Statistics',
+    'Task Logs' => 'Task Logs',
+    '(grouped by recent commands)' => '(grouped by recent commands)',
+    'Loading migration data...' => 'Loading migration data...',
+
+    // Pre-flight summary (services/PreflightService.php)
+    'Pre-flight checks' => 'Pre-flight checks',
+    'Volume configuration' => 'Volume configuration',
+    'Failed: {error}' => 'Failed: {error}',
+    'Still running' => 'Still running',
+    'Not run from the dashboard (or reset since)' => 'Not run from the dashboard (or reset since)',
+    'No probe ran' => 'No probe ran',
+    'Target storage connection' => 'Target storage connection',
+    'Database backup' => 'Database backup',
+    'No database backup found (run ./craft db/backup)' => 'No database backup found (run ./craft db/backup)',
+    '{file}, {age} old' => '{file}, {age} old',
+    'the target bucket' => 'the target bucket',
+    'the environment name' => 'the environment name',
+    '{count} min' => '{count} min',
+    '{count} h' => '{count} h',
+    '{count} days' => '{count} days',
+];
@@ -0,0 +1,695 @@
+<?php
+
+/**
+ * French translations of the plugin's control panel strings
+ *
+ * Category `spaghetti-migrator`, registered for the dashboard script by
+ * DashboardTranslations::register().
+ */
+return [
+    // Dashboard (templates/spaghetti-migrator/js/dashboard.js)
+    'Session info URL is not configured' => 'L\'URL des informations de session n\'est pas configurée',
+    'Your session has expired. Log in again to continue.' => 'Votre session a expiré. Reconnectez-vous pour continuer.',
+    'Session restored, but {count, plural, =1{# pending update} other{# pending updates}} could not be saved' => 'Session rétablie, mais {count, plural, =0{# mise à jour en attente n\'a pu être enregistrée} =1{# mise à jour en attente n\'a pu être enregistrée} other{# mises à jour en attente n\'ont pu être enregistrées}}',
+    'Session restored: {count, plural, =1{# pending update} other{# pending updates}} saved' => 'Session rétablie : {count, plural, =0{# mise à jour en attente enregistrée} =1{# mise à jour en attente enregistrée} other{# mises à jour en attente enregistrées}}',
+    'Session restored' => 'Session rétablie',
+    'Your session has expired. Log in again in another tab to continue.' => 'Votre session a expiré. Reconnectez-vous dans un autre onglet pour continuer.',
+    '{count, plural, =1{# update} other{# updates}} will be saved once you are logged in again:' => '{count, plural, =0{# mise à jour sera enregistrée} =1{# mise à jour sera enregistrée} other{# mises à jour seront enregistrées}} une fois que vous serez reconnecté :',
+    'No changes are waiting to be saved.' => 'Aucune modification n\'attend d\'être enregistrée.',
+    '{module} marked {status}' => '{module} marqué {status}',
+    'Pipeline progress' => 'Progression du pipeline',
+    '{count, plural, =1{# line} other{# lines}}' => '{count, plural, =0{# ligne} =1{# ligne} other{# lignes}}',
+    'last {count} kept' => '{count} dernières conservées',
+    '{count} shown' => '{count} affichées',
+    'The first error (line {line}) is no longer kept in the browser; download the full log to see it' => 'La première erreur (ligne {line}) n\'est plus conservée dans le navigateur ; téléchargez le journal complet pour la consulter',
+    'Processed' => 'Traités',
+    'Total Assets' => 'Total des ressources',
+    'Files Processed' => 'Fichiers traités',
+    'Files Copied' => 'Fichiers copiés',
+    'Files Skipped' => 'Fichiers ignorés',
+    'Errors' => 'Erreurs',
+    'Phase' => 'Phase',
+    'Transferred' => 'Transféré',
+    'Rate' => 'Débit',
+    'Time Elapsed' => 'Temps écoulé',
+    'Time Remaining' => 'Temps restant',
+    '{label}:' => '{label} :',
+    'Running...' => 'En cours...',
+    'Run' => 'Exécuter',
+    'Dry run completed' => 'Simulation terminée',
+    'Command completed successfully' => 'Commande terminée avec succès',
+    'Completed' => 'Terminé',
+    '{reason} Run it through the Craft queue instead?' => '{reason} L\'exécuter plutôt via la file d\'attente de Craft ?',
+    'Run via queue' => 'Exécuter via la file d\'attente',
+    'Keep waiting' => 'Continuer d\'attendre',
+    'Dismiss' => 'Fermer',
+    'Connected' => 'Connecté',
+    'Reconnecting…' => 'Reconnexion…',
+    'Polling' => 'Interrogation périodique',
+    'Dry run failed' => 'Échec de la simulation',
+    'Unknown error' => 'Erreur inconnue',
+    'Command failed' => 'Échec de la commande',
+    'no reason given' => 'aucune raison indiquée',
+    'Reset by {user}: {reason}' => 'Réinitialisé par {user} : {reason}',
+    'Reset: {reason}' => 'Réinitialisé : {reason}',
+    'Failed' => 'Échec',
+    'Cancelled' => 'Annulé',
+    'Skipped' => 'Ignoré',
+    'Not completed' => 'Non terminé',
+    'Retry' => 'Réessayer',
+    'Skip' => 'Ignorer',
+    'Re-run' => 'Relancer',
+    'Mark incomplete' => 'Marquer comme non terminé',
+    'Cancelling…' => 'Annulation…',
+    'Cancelling command' => 'Annulation de la commande',
+    'Cancel' => 'Annuler',
+    'Cancelled by user' => 'Annulé par l\'utilisateur',
+    'Command cancelled' => 'Commande annulée',
+    'Confirm & Proceed' => 'Confirmer et continuer',
+    'Reason' => 'Raison',
+    'Type {phrase} ({label}) to confirm' => 'Saisissez {phrase} ({label}) pour confirmer',
+    'the phrase' => 'la phrase',
+    '{title} (Phase {phase})' => '{title} (phase {phase})',
+    '{title} requires {modules} to be completed first.' => '{title} nécessite que {modules} soit terminé au préalable.',
+    'Workflow Order Issue' => 'Problème d\'ordre du flux de travail',
+    'Recommended to run first: {modules}' => 'À exécuter en premier de préférence : {modules}',
+    'Blocked until completed: {modules}' => 'Bloqué jusqu\'à la fin de : {modules}',
+    'Recommended first: {modules}' => 'Recommandé au préalable : {modules}',
+    'This step is already marked as completed' => 'Cette étape est déjà marquée comme terminée',
+    'Before confirming, ensure you have:' => 'Avant de confirmer, assurez-vous d\'avoir :',
+    'Followed all instructions for this step' => 'Suivi toutes les instructions de cette étape',
+    'Run all required CLI commands successfully' => 'Exécuté avec succès toutes les commandes CLI requises',
+    'Verified the output shows no errors' => 'Vérifié que la sortie ne contient aucune erreur',
+    'Documented any issues or deviations' => 'Documenté tout problème ou écart',
+    'This will mark the step as completed. You can view the instructions by expanding the module card.' => 'L\'étape sera marquée comme terminée. Vous pouvez consulter les instructions en dépliant la carte du module.',
+    'Confirm Manual Step Completion' => 'Confirmer la fin de l\'étape manuelle',
+    '{title} marked as completed' => '{title} marqué comme terminé',
+    'Yes, I\'ve Completed This Step' => 'Oui, j\'ai terminé cette étape',
+    'Not Yet' => 'Pas encore',
+    'this step' => 'cette étape',
+    'Re-run Completed Step' => 'Relancer l\'étape terminée',
+    'Mark Step Incomplete' => 'Marquer l\'étape comme non terminée',
+    '{title} is already completed. It will be reset and run again.' => '{title} est déjà terminé. Il sera réinitialisé puis exécuté de nouveau.',
+    '{title} will no longer count as completed. Later steps that depend on it will be blocked until it completes again.' => '{title} ne sera plus considéré comme terminé. Les étapes suivantes qui en dépendent seront bloquées jusqu\'à ce qu\'il soit de nouveau terminé.',
+    'Reset failed' => 'Échec de la réinitialisation',
+    '{title} reset' => '{title} réinitialisé',
+    '{title} marked as incomplete' => '{title} marqué comme non terminé',
+    'Failed to reset step: {error}' => 'Impossible de réinitialiser l\'étape : {error}',
+    'Reset & Run' => 'Réinitialiser et exécuter',
+    'Mark Incomplete' => 'Marquer comme non terminé',
+    'Reason (recorded in the audit trail)' => 'Raison (consignée dans la piste d\'audit)',
+    'Queue job failed' => 'Échec de la tâche en file d\'attente',
+    'Queue job failed: {error}' => 'Échec de la tâche en file d\'attente : {error}',
+    'No queue runner has picked up this job yet. Make sure the queue is being processed (./craft queue/listen, a cron job running ./craft queue/run, or runQueueAutomatically).' => 'Aucun exécuteur de file d\'attente n\'a encore pris en charge cette tâche. Assurez-vous que la file d\'attente est traitée (./craft queue/listen, une tâche cron exécutant ./craft queue/run, ou runQueueAutomatically).',
+    'The queued job is still waiting for a queue runner' => 'La tâche attend toujours un exécuteur de file d\'attente',
+    'Processing...' => 'Traitement...',
+    '{count} processed' => '{count} traités',
+    '{done} of {total}' => '{done} sur {total}',
+    '{count, plural, =1{# item/s} other{# items/s}}' => '{count, plural, =0{# élément/s} =1{# élément/s} other{# éléments/s}}',
+    '{count, plural, =1{# hour} other{# hours}}' => '{count, plural, =0{# heure} =1{# heure} other{# heures}}',
+    '{count, plural, =1{# minute} other{# minutes}}' => '{count, plural, =0{# minute} =1{# minute} other{# minutes}}',
+    '{count, plural, =1{# second} other{# seconds}}' => '{count, plural, =0{# seconde} =1{# seconde} other{# secondes}}',
+    '{label} must be a number' => '{label} doit être un nombre',
+    '{label} is required' => '{label} est obligatoire',
+    '{label} must be a whole number' => '{label} doit être un nombre entier',
+    'Unable to locate module card for command: {command}' => 'Carte de module introuvable pour la commande : {command}',
+    'This module is already running' => 'Ce module est déjà en cours d\'exécution',
+    'Gathering preflight checks' => 'Collecte des vérifications préalables',
+    'Failed to gather preflight checks' => 'Impossible de collecter les vérifications préalables',
+    'Preflight checks could not be gathered: {error}' => 'Les vérifications préalables n\'ont pas pu être collectées : {error}',
+    'Preflight summary: review the warnings before confirming.' => 'Résumé des vérifications préalables : examinez les avertissements avant de confirmer.',
+    'Preflight summary:' => 'Résumé des vérifications préalables :',
+    'Starting {command} via queue system...' => 'Démarrage de {command} via la file d\'attente...',
+    'Queuing job...' => 'Mise en file d\'attente de la tâche...',
+    'Job queued successfully!' => 'Tâche mise en file d\'attente avec succès !',
+    'Job ID: {id}' => 'ID de la tâche : {id}',
+    'Migration ID: {id}' => 'ID de la migration : {id}',
+    'The command is now running in the background via Craft Queue.' => 'La commande s\'exécute maintenant en arrière-plan via la file d\'attente de Craft.',
+    'You can safely refresh this page or open other admin windows.' => 'Vous pouvez actualiser cette page ou ouvrir d\'autres fenêtres d\'administration sans risque.',
+    'The site/Control Panel will remain fully responsive.' => 'Le site et le panneau de configuration resteront entièrement réactifs.',
+    'Polling for progress updates every 2 seconds...' => 'Interrogation de la progression toutes les 2 secondes...',
+    'Command queued successfully' => 'Commande mise en file d\'attente avec succès',
+    'Failed to queue command' => 'Impossible de mettre la commande en file d\'attente',
+    'The command was not queued: {error}' => 'La commande n\'a pas été mise en file d\'attente : {error}',
+    'Error: {error}' => 'Erreur : {error}',
+    'Failed to queue command: {error}' => 'Impossible de mettre la commande en file d\'attente : {error}',
+    'Connecting to stream...' => 'Connexion au flux...',
+    'No output has arrived after {count, plural, =1{# second} other{# seconds}}. A proxy may be buffering the live stream.' => 'Aucune sortie reçue après {count, plural, =0{# seconde} =1{# seconde} other{# secondes}}. Un proxy met peut-être le flux en direct en mémoire tampon.',
+    'Could not stop the stalled run; it may still be running: {error}' => 'Impossible d\'arrêter l\'exécution bloquée ; elle est peut-être toujours en cours : {error}',
+    'Re-launching through the Craft queue...' => 'Relance via la file d\'attente de Craft...',
+    'Connected to stream. Starting migration...' => 'Connecté au flux. Démarrage de la migration...',
+    'The command was not started: your session has expired.' => 'La commande n\'a pas été lancée : votre session a expiré.',
+    'Stream closed unexpectedly.' => 'Le flux s\'est fermé de façon inattendue.',
+    'Stream closed before the command started' => 'Le flux s\'est fermé avant le démarrage de la commande',
+    'The live stream closed before the command started.' => 'Le flux en direct s\'est fermé avant le démarrage de la commande.',
+    'Stream unavailable, switching to polling...' => 'Flux indisponible, passage à l\'interrogation périodique...',
+    'Stream reconnected' => 'Flux reconnecté',
+    'Process ID: {pid}' => 'ID du processus : {pid}',
+    'Switching to polling mode for progress updates...' => 'Passage à l\'interrogation périodique pour suivre la progression...',
+    'Completed!' => 'Terminé !',
+    'Command completed successfully!' => 'Commande terminée avec succès !',
+    'Command failed: {error}' => 'Échec de la commande : {error}',
+    'Waiting for a queue runner...' => 'En attente d\'un exécuteur de file d\'attente...',
+    'Run could not be found after page reload' => 'L\'exécution est introuvable après le rechargement de la page',
+    'Re-attached to running migration {id}' => 'Rattaché à la migration en cours {id}',
+    'Skip Step' => 'Ignorer l\'étape',
+    'Mark {title} as skipped? It will not be treated as completed.' => 'Marquer {title} comme ignoré ? L\'étape ne sera pas considérée comme terminée.',
+    '{title} skipped' => '{title} ignoré',
+    'Cancellation already in progress' => 'Annulation déjà en cours',
+    'Cancel Command' => 'Annuler la commande',
+    'Are you sure you want to cancel this command? The process will be terminated.' => 'Voulez-vous vraiment annuler cette commande ? Le processus sera arrêté.',
+    'Cancellation requested, waiting for the process to start...' => 'Annulation demandée, en attente du démarrage du processus...',
+    'Cancelling command...' => 'Annulation de la commande...',
+    'Cancellation failed' => 'Échec de l\'annulation',
+    'The server did not confirm termination in time. The process may still be running.' => 'Le serveur n\'a pas confirmé l\'arrêt à temps. Le processus est peut-être toujours en cours.',
+    'Command cancelled by user' => 'Commande annulée par l\'utilisateur',
+    'Cancellation failed: {error}' => 'Échec de l\'annulation : {error}',
+    'Queued' => 'En file d\'attente',
+    'Dry run…' => 'Simulation…',
+    'Running…' => 'En cours…',
+    'Done' => 'Terminé',
+    'A pipeline is already in progress' => 'Un pipeline est déjà en cours',
+    'Nothing left to run in the workflow' => 'Il ne reste rien à exécuter dans le flux de travail',
+    'Nothing left to run in Phase {phase}' => 'Il ne reste rien à exécuter dans la phase {phase}',
+    'Pipeline Blocked' => 'Pipeline bloqué',
+    'Complete {modules} before running the workflow.' => 'Terminez {modules} avant d\'exécuter le flux de travail.',
+    'Complete {modules} before running Phase {phase}.' => 'Terminez {modules} avant d\'exécuter la phase {phase}.',
+    'Run Workflow' => 'Exécuter le flux de travail',
+    'Run Phase {phase}' => 'Exécuter la phase {phase}',
+    'The following steps will run in order:' => 'Les étapes suivantes seront exécutées dans l\'ordre :',
+    'Each step that supports it is dry-run first.' => 'Chaque étape qui le permet est d\'abord simulée.',
+    'The pipeline stops on the first failure and pauses before critical steps.' => 'Le pipeline s\'arrête au premier échec et se met en pause avant les étapes critiques.',
+    'Module not found on this page' => 'Module introuvable sur cette page',
+    'Pipeline paused before {title}' => 'Pipeline en pause avant {title}',
+    'The step could not be started' => 'L\'étape n\'a pas pu être lancée',
+    'Dry run: {error}' => 'Simulation : {error}',
+    'failed' => 'échec',
+    'Pipeline completed' => 'Pipeline terminé',
+    'Pipeline stopped: {title} failed' => 'Pipeline arrêté : échec de {title}',
+    'Pipeline stopped' => 'Pipeline arrêté',
+    'Stop Pipeline' => 'Arrêter le pipeline',
+    'No further steps will be started. A step that is already running keeps running; cancel it from its card if needed.' => 'Aucune autre étape ne sera lancée. Une étape déjà en cours continue de s\'exécuter ; annulez-la depuis sa carte au besoin.',
+    'Wait for the current step to finish before resuming' => 'Attendez la fin de l\'étape en cours avant de reprendre',
+    'The run could not be resumed after the page reload' => 'L\'exécution n\'a pas pu reprendre après le rechargement de la page',
+    'Failed to save pipeline' => 'Impossible d\'enregistrer le pipeline',
+    'Phase {phase} pipeline' => 'Pipeline de la phase {phase}',
+    'Workflow pipeline' => 'Pipeline du flux de travail',
+    'started by {user}' => 'lancé par {user}',
+    '{scope}: step {step} of {total}, {title}' => '{scope} : étape {step} sur {total}, {title}',
+    '{scope} paused: confirm {title} to continue' => '{scope} en pause : confirmez {title} pour continuer',
+    '{scope} stopped: {title} failed ({done} of {total} steps done)' => '{scope} arrêté : échec de {title} ({done} étapes sur {total} effectuées)',
+    '{scope} completed: {total} of {total} steps done' => '{scope} terminé : {total} étapes sur {total} effectuées',
+    '{scope} stopped after {done} of {total} steps' => '{scope} arrêté après {done} étapes sur {total}',
+    'Dry run passed' => 'Simulation réussie',
+    'Awaiting confirmation' => 'En attente de confirmation',
+    'Stop pipeline' => 'Arrêter le pipeline',
+    'Confirm & continue' => 'Confirmer et continuer',
+    'Resume' => 'Reprendre',
+    'Failed to load active runs' => 'Impossible de charger les exécutions actives',
+    'Dry runs are still allowed.' => 'Les simulations restent autorisées.',
+    'A command' => 'Une commande',
+    '{command} is queued elsewhere' => '{command} est en file d\'attente ailleurs',
+    '{command} is running elsewhere' => '{command} est en cours d\'exécution ailleurs',
+    'at {time}' => 'à {time}',
+    'Stale migration lock left by process {process} at {time}. It no longer blocks anything; Force Cleanup removes it.' => 'Verrou de migration périmé laissé par le processus {process} à {time}. Il ne bloque plus rien ; le nettoyage forcé le supprime.',
+    'Migration lock held by {holder} since {time} (process {process}). Migration, rollback and filesystem switches wait until it is released.' => 'Verrou de migration détenu par {holder} depuis {time} (processus {process}). Les migrations, restaurations et changements de système de fichiers attendent sa libération.',
+    'Watch' => 'Suivre',
+    'Watch {run} in the Live Monitor' => 'Suivre {run} dans le moniteur en direct',
+    'Migration lock held' => 'Verrou de migration détenu',
+    'Running elsewhere' => 'En cours ailleurs',
+    'Files / sec' => 'Fichiers / s',
+    'MB / sec' => 'Mo / s',
+    'Errors / min' => 'Erreurs / min',
+    'Remaining items' => 'Éléments restants',
+    'queued' => 'en file d\'attente',
+    'running' => 'en cours',
+    'completed' => 'terminé',
+    'cancelled' => 'annulé',
+    'unknown' => 'inconnu',
+    'Resume Refresh' => 'Reprendre l\'actualisation',
+    'Pause Refresh' => 'Suspendre l\'actualisation',
+    'started {time}' => 'lancé à {time}',
+    'Go to module' => 'Aller au module',
+    'Go to the {title} module' => 'Aller au module {title}',
+    'PID {pid} (running)' => 'PID {pid} (en cours)',
+    'PID {pid} (not running)' => 'PID {pid} (arrêté)',
+    '{processed} / {total} items processed' => '{processed} / {total} éléments traités',
+    '{duration} (around {time})' => '{duration} (vers {time})',
+    'No items processed for {duration}; the run may be stalled' => 'Aucun élément traité depuis {duration} ; l\'exécution est peut-être bloquée',
+    'Throughput is {percent}% below its peak; the target may be throttling' => 'Le débit est inférieur de {percent} % à son maximum ; la cible limite peut-être les requêtes',
+    'n/a' => 's.o.',
+    'Not enough data yet' => 'Pas encore assez de données',
+    '{label}: not enough data yet' => '{label} : pas encore assez de données',
+    'peak {peak} · last {duration}' => 'maximum {peak} · sur {duration}',
+    '{label} over the last {duration}: now {current}, peak {peak}' => '{label} sur {duration} : actuellement {current}, maximum {peak}',
+    'Logs will appear here as soon as the queue starts processing.' => 'Les journaux s\'afficheront ici dès que la file d\'attente commencera le traitement.',
+    'Unknown Command' => 'Commande inconnue',
+    'Loading...' => 'Chargement...',
+    'No logs available yet...' => 'Aucun journal disponible pour l\'instant...',
+    'waiting' => 'en attente',
+    'delayed' => 'différée',
+    'reserved' => 'réservée',
+    'Could not load queue jobs: {error}' => 'Impossible de charger les tâches de la file d\'attente : {error}',
+    'No migration jobs in the queue.' => 'Aucune tâche de migration dans la file d\'attente.',
+    '{count, plural, =1{# job} other{# jobs}}' => '{count, plural, =0{# tâche} =1{# tâche} other{# tâches}}',
+    '{count} failed' => '{count} en échec',
+    'refreshed {time}' => 'actualisé à {time}',
+    '{count, plural, =1{# job has} other{# jobs have}} waited more than {duration} without a queue runner. Make sure the queue is processed (e.g. run "php craft queue/listen" or a cron job).' => '{count, plural, =0{# tâche a} =1{# tâche a} other{# tâches ont}} attendu plus de {duration} sans exécuteur de file d\'attente. Assurez-vous que la file d\'attente est traitée (p. ex. avec « php craft queue/listen » ou une tâche cron).',
+    '{count, plural, =1{# running job has outlived its time to reserve (TTR); the runner probably stopped. Retry or release it.} other{# running jobs have outlived their time to reserve (TTR); the runner probably stopped. Retry or release them.}}' => '{count, plural, =0{# tâche en cours a dépassé son délai de réservation (TTR) ; l\'exécuteur s\'est probablement arrêté. Réessayez-la ou libérez-la.} =1{# tâche en cours a dépassé son délai de réservation (TTR) ; l\'exécuteur s\'est probablement arrêté. Réessayez-la ou libérez-la.} other{# tâches en cours ont dépassé leur délai de réservation (TTR) ; l\'exécuteur s\'est probablement arrêté. Réessayez-les ou libérez-les.}}',
+    'Job #{id}' => 'Tâche n° {id}',
+    'waiting (no runner)' => 'en attente (aucun exécuteur)',
+    'reserved (TTR exceeded)' => 'réservée (TTR dépassé)',
+    'for {duration}' => 'depuis {duration}',
+    '{action} job #{id}' => '{action} la tâche n° {id}',
+    'Release' => 'Libérer',
+    'Retry Queue Job' => 'Réessayer la tâche',
+    'Put job #{id} back in the queue? Its attempts and progress are reset and it runs again from the start (resumable commands continue from their checkpoint).' => 'Remettre la tâche n° {id} dans la file d\'attente ? Ses tentatives et sa progression sont réinitialisées et elle repart du début (les commandes reprenables continuent depuis leur point de reprise).',
+    'Retry Job' => 'Réessayer la tâche',
+    'Release Queue Job' => 'Libérer la tâche',
+    'Remove job #{id} from the queue? It will not run, and its migration is marked as cancelled.' => 'Retirer la tâche n° {id} de la file d\'attente ? Elle ne sera pas exécutée et sa migration sera marquée comme annulée.',
+    'Release Job' => 'Libérer la tâche',
+    'Cancel Queue Job' => 'Annuler la tâche',
+    'Cancel job #{id}? A waiting job is removed from the queue; a running one is stopped and its process terminated.' => 'Annuler la tâche n° {id} ? Une tâche en attente est retirée de la file ; une tâche en cours est arrêtée et son processus terminé.',
+    'Cancel Job' => 'Annuler la tâche',
+    'Keep Job' => 'Conserver la tâche',
+    'Job #{id} updated' => 'Tâche n° {id} mise à jour',
+    'Queue job action failed: {error}' => 'Échec de l\'action sur la tâche : {error}',
+    'Could not load checkpoints: {error}' => 'Impossible de charger les points de reprise : {error}',
+    'No checkpoints found.' => 'Aucun point de reprise trouvé.',
+    '{count, plural, =1{# checkpoint} other{# checkpoints}}' => '{count, plural, =0{# point de reprise} =1{# point de reprise} other{# points de reprise}}',
+    '{count} older than {hours}h' => '{count} de plus de {hours} h',
+    'File {file}' => 'Fichier {file}',
+    '{count} remaining' => '{count} restants',
+    'stale' => 'périmé',
+    '{action} checkpoint {id}' => '{action} le point de reprise {id}',
+    'Resume...' => 'Reprendre...',
+    'Delete' => 'Supprimer',
+    'Migration' => 'Migration',
+    'Resumes at' => 'Reprend à',
+    'Batch' => 'Lot',
+    'Already processed' => 'Déjà traités',
+    'Still to do' => 'Reste à faire',
+    'Unknown (the checkpoint has no total)' => 'Inconnu (le point de reprise n\'a pas de total)',
+    'Saved' => 'Enregistré',
+    '{time} ({age} ago)' => '{time} (il y a {age})',
+    'This checkpoint is stale: assets may have changed since it was saved.' => 'Ce point de reprise est périmé : des ressources ont pu changer depuis son enregistrement.',
+    'The file migration module is not available on this dashboard, so the checkpoint cannot be resumed from here.' => 'Le module de migration des fichiers n\'est pas disponible sur ce tableau de bord ; le point de reprise ne peut donc pas être repris d\'ici.',
+    'The checkpoint is from an early phase: the migration restarts from discovery, skipping assets already processed.' => 'Le point de reprise date d\'une phase initiale : la migration recommence à la découverte en ignorant les ressources déjà traitées.',
+    'Unknown phase "{phase}": the migration will refuse to resume from it.' => 'Phase inconnue « {phase} » : la migration refusera de reprendre à partir de celle-ci.',
+    'Phases still to run: {phases}.' => 'Phases restant à exécuter : {phases}.',
+    'Only the final verification remains.' => 'Seule la vérification finale reste à faire.',
+    'This checkpoint cannot be resumed' => 'Ce point de reprise ne peut pas être repris',
+    'Resuming migration {id} from the {phase} phase' => 'Reprise de la migration {id} à la phase {phase}',
+    'Delete checkpoint {id}? The migration can no longer be resumed from it.' => 'Supprimer le point de reprise {id} ? La migration ne pourra plus reprendre à partir de celui-ci.',
+    'Delete {count} stale checkpoints? Their migrations can no longer be resumed.' => 'Supprimer {count} points de reprise périmés ? Leurs migrations ne pourront plus être reprises.',
+    'Delete Checkpoint' => 'Supprimer le point de reprise',
+    'Delete Checkpoints' => 'Supprimer les points de reprise',
+    'Keep' => 'Conserver',
+    'Could not delete checkpoint {id}: {error}' => 'Impossible de supprimer le point de reprise {id} : {error}',
+    '{count, plural, =1{Deleted # checkpoint} other{Deleted # checkpoints}}' => '{count, plural, =0{# point de reprise supprimé} =1{# point de reprise supprimé} other{# points de reprise supprimés}}',
+    'Reversed' => 'Annulé',
+    'Incomplete' => 'Incomplet',
+    'Nothing to undo' => 'Rien à annuler',
+    'Not reversed' => 'Non annulé',
+    'Could not load the change log: {error}' => 'Impossible de charger le journal des modifications : {error}',
+    '{id} ({count, plural, =1{# change} other{# changes}})' => '{id} ({count, plural, =0{# modification} =1{# modification} other{# modifications}})',
+    'No entries match the filters.' => 'Aucune entrée ne correspond aux filtres.',
+    'No change log entries found.' => 'Aucune entrée trouvée dans le journal des modifications.',
+    '{count, plural, =1{# entry matches the filters} other{# entries match the filters}}' => '{count, plural, =0{# entrée correspond aux filtres} =1{# entrée correspond aux filtres} other{# entrées correspondent aux filtres}}',
+    '{count, plural, =1{# entry} other{# entries}}' => '{count, plural, =0{# entrée} =1{# entrée} other{# entrées}}',
+    'Page {page} of {pageCount}' => 'Page {page} sur {pageCount}',
+    'Select change {sequence} in {migration} for rollback' => 'Sélectionner la modification {sequence} de {migration} pour la restauration',
+    'Details' => 'Détails',
+    'Details of change {sequence} in {migration}' => 'Détails de la modification {sequence} de {migration}',
+    '{count, plural, =1{Roll back # selected entry} other{Roll back # selected entries}}' => '{count, plural, =0{Restaurer # entrée sélectionnée} =1{Restaurer # entrée sélectionnée} other{Restaurer # entrées sélectionnées}}',
+    'Roll back selected entries' => 'Restaurer les entrées sélectionnées',
+    'Select entries of a single migration to roll them back together.' => 'Sélectionnez les entrées d\'une seule migration pour les restaurer ensemble.',
+    'Not recorded' => 'Non consigné',
+    'Change {sequence}' => 'Modification {sequence}',
+    'Rollback: {description}' => 'Restauration : {description}',
+    'Could not load the change: {error}' => 'Impossible de charger la modification : {error}',
+    'Preparing preview...' => 'Préparation de l\'aperçu...',
+    'Could not preview the rollback: {error}' => 'Impossible de prévisualiser la restauration : {error}',
+    'No entries match the filters, so a rollback would change nothing.' => 'Aucune entrée ne correspond aux filtres ; une restauration ne changerait donc rien.',
+    '{changes} in {migrations}: {outcomes}. Estimated time: {time}.' => '{changes} dans {migrations} : {outcomes}. Durée estimée : {time}.',
+    '{count, plural, =1{# change} other{# changes}}' => '{count, plural, =0{# modification} =1{# modification} other{# modifications}}',
+    '{count, plural, =1{# migration} other{# migrations}}' => '{count, plural, =0{# migration} =1{# migration} other{# migrations}}',
+    'A change-by-change rollback undoes them newest first. Nothing has been changed by this preview.' => 'Une restauration modification par modification les annule de la plus récente à la plus ancienne. Cet aperçu n\'a rien modifié.',
+    'Type' => 'Type',
+    'Changes' => 'Modifications',
+    'Rollback' => 'Restauration',
+    'Wait for the current rollback to finish' => 'Attendez la fin de la restauration en cours',
+    'Loading phases and runs...' => 'Chargement des phases et des exécutions...',
+    'Loading migrations...' => 'Chargement des migrations...',
+    'No migration has changes to roll back.' => 'Aucune migration n\'a de modifications à restaurer.',
+    'Could not load migrations: {error}' => 'Impossible de charger les migrations : {error}',
+    'Choose a migration to roll back.' => 'Choisissez une migration à restaurer.',
+    'Choose a phase.' => 'Choisissez une phase.',
+    'Choose a run.' => 'Choisissez une exécution.',
+    'Enter the entry numbers, separated by commas.' => 'Saisissez les numéros d\'entrée, séparés par des virgules.',
+    'Preparing the dry run...' => 'Préparation de la simulation...',
+    'Scope: {scope} of {migration}.' => 'Portée : {scope} de {migration}.',
+    'No change is in this scope, so a rollback would change nothing.' => 'Aucune modification dans cette portée ; une restauration ne changerait donc rien.',
+    '{changes}: {outcomes}. Estimated time: {time}.' => '{changes} : {outcomes}. Durée estimée : {time}.',
+    'Phases: {phases}' => 'Phases : {phases}',
+    'Not in this migration\'s change log: {entries}' => 'Absentes du journal des modifications de cette migration : {entries}',
+    'Wait for {runs} to finish: a rollback must not run alongside a migration or another rollback.' => 'Attendez la fin de {runs} : une restauration ne doit pas s\'exécuter en même temps qu\'une migration ou une autre restauration.',
+    'Nothing has been changed by this preview.' => 'Cet aperçu n\'a rien modifié.',
+    'Rollback of {migration} started' => 'Restauration de {migration} lancée',
+    'list' => 'liste',
+    'write' => 'écriture',
+    'read' => 'lecture',
+    'delete' => 'suppression',
+    'ok' => 'ok',
+    'warning' => 'avertissement',
+    'skipped' => 'ignoré',
+    'Multipart upload' => 'Envoi en plusieurs parties',
+    'Server-side copy' => 'Copie côté serveur',
+    'ACLs' => 'ACL',
+    'Versioning' => 'Gestion des versions',
+    'Presigned URLs' => 'URL présignées',
+    'Probing providers and volumes (with write probes)...' => 'Sondage des fournisseurs et des volumes (avec sondes d\'écriture)...',
+    'Probing providers and volumes...' => 'Sondage des fournisseurs et des volumes...',
+    'Could not run the diagnostics: {error}' => 'Impossible d\'exécuter les diagnostics : {error}',
+    '{count, plural, =1{The check passed} other{All # checks passed}} ({time})' => '{count, plural, =1{La vérification a réussi} other{Les # vérifications ont réussi}} ({time})',
+    '{failed} of {total} failed ({time})' => '{failed} sur {total} en échec ({time})',
+    'Providers' => 'Fournisseurs',
+    'Source provider' => 'Fournisseur source',
+    'Target provider' => 'Fournisseur cible',
+    'not configured' => 'non configuré',
+    'Volumes' => 'Volumes',
+    'Bucket {bucket}' => 'Compartiment {bucket}',
+    'subfolder {subfolder}' => 'sous-dossier {subfolder}',
+    'region {region}' => 'région {region}',
+    'endpoint {endpoint}' => 'point de terminaison {endpoint}',
+    'on the {provider} provider' => 'chez le fournisseur {provider}',
+    'No storage details available' => 'Aucun détail de stockage disponible',
+    'Capabilities' => 'Fonctionnalités',
+    'Max file {size}' => 'Fichier max. {size}',
+    'CLI command copied to clipboard' => 'Commande CLI copiée dans le presse-papiers',
+    'Failed to copy command to clipboard' => 'Impossible de copier la commande dans le presse-papiers',
+    'No CLI command available for this module' => 'Aucune commande CLI disponible pour ce module',
+
+    // Settings (templates/spaghetti-migrator/settings.twig)
+    'Frequently Changed' => 'Modifiés fréquemment',
+    'Good Defaults' => 'Valeurs par défaut recommandées',
+    'AWS S3 Bucket Name' => 'Nom du compartiment AWS S3',
+    'Your current AWS S3 bucket name. Set via AWS_SOURCE_BUCKET environment variable.' => 'Nom de votre compartiment AWS S3 actuel. Défini par la variable d\'environnement AWS_SOURCE_BUCKET.',
+    'AWS S3 Region' => 'Région AWS S3',
+    'AWS region where your S3 bucket is located.' => 'Région AWS où se trouve votre compartiment S3.',
+    'DigitalOcean Region' => 'Région DigitalOcean',
+    'DigitalOcean Spaces region. Must match your DO Spaces bucket region.' => 'Région DigitalOcean Spaces. Doit correspondre à la région de votre compartiment DO Spaces.',
+    'Filesystem Mappings (JSON)' => 'Correspondances des systèmes de fichiers (JSON)',
+    'Maps AWS filesystem handles to DO handles. Format: {"aws_handle": "do_handle"}' => 'Associe les identifiants des systèmes de fichiers AWS aux identifiants DO. Format : {"aws_handle": "do_handle"}',
+    'Source Volume Handles (comma-separated)' => 'Identifiants des volumes sources (séparés par des virgules)',
+    'List of source volume handles to migrate from, separated by commas.' => 'Liste des identifiants des volumes sources à migrer, séparés par des virgules.',
+    'Target Volume Handle' => 'Identifiant du volume cible',
+    'Target volume handle for asset consolidation.' => 'Identifiant du volume cible pour la consolidation des ressources.',
+    'Quarantine Volume Handle' => 'Identifiant du volume de quarantaine',
+    'Volume for storing unused/orphaned assets.' => 'Volume de stockage des ressources inutilisées ou orphelines.',
+    'Volumes at Bucket Root (comma-separated)' => 'Volumes à la racine du compartiment (séparés par des virgules)',
+    'Volumes located at bucket root level (not in a subfolder).' => 'Volumes situés à la racine du compartiment (pas dans un sous-dossier).',
+    'Volumes with Subfolders (comma-separated)' => 'Volumes avec sous-dossiers (séparés par des virgules)',
+    'Volumes containing internal subfolder structures.' => 'Volumes contenant une arborescence de sous-dossiers.',
+    'Flat Structure Volumes (comma-separated)' => 'Volumes à structure plate (séparés par des virgules)',
+    'Volumes with flat structure (all files at root, no subfolders).' => 'Volumes à structure plate (tous les fichiers à la racine, sans sous-dossiers).',
+    'Filesystem Definitions (JSON)' => 'Définitions des systèmes de fichiers (JSON)',
+    'Array of filesystem definitions. Format: [{"handle": "...", "name": "...", "subfolder": "$ENV_VAR", "hasUrls": true}]' => 'Tableau de définitions de systèmes de fichiers. Format : [{"handle": "...", "name": "...", "subfolder": "$ENV_VAR", "hasUrls": true}]',
+    'Batch Size' => 'Taille des lots',
+    'Number of assets to process in each batch. Higher = faster but more memory. Recommended: 50-200.' => 'Nombre de ressources traitées par lot. Plus élevé = plus rapide mais plus de mémoire. Recommandé : 50 à 200.',
+    'Error Threshold' => 'Seuil d\'erreurs',
+    'Maximum total errors before halting migration. Prevents runaway migrations.' => 'Nombre total maximal d\'erreurs avant l\'arrêt de la migration. Évite les migrations incontrôlées.',
+    'Critical Error Threshold' => 'Seuil d\'erreurs critiques',
+    'Threshold for critical errors (write failures, permissions). Should be lower than general threshold.' => 'Seuil des erreurs critiques (échecs d\'écriture, permissions). Doit être inférieur au seuil général.',
+    'Max Concurrent Transforms' => 'Transformations simultanées max.',
+    'Maximum parallel transform generations. Higher = faster but more CPU/memory.' => 'Nombre maximal de transformations générées en parallèle. Plus élevé = plus rapide mais plus de processeur et de mémoire.',
+    'Checkpoint Frequency' => 'Fréquence des points de reprise',
+    'Create checkpoint after this many batches. Lower = safer resume points.' => 'Crée un point de reprise après ce nombre de lots. Plus bas = points de reprise plus sûrs.',
+    'Changelog Flush Frequency' => 'Fréquence d\'écriture du journal des modifications',
+    'Flush changelog to disk every N operations. Lower = safer but slower.' => 'Écrit le journal des modifications sur le disque toutes les N opérations. Plus bas = plus sûr mais plus lent.',
+    'Max Retries' => 'Nouvelles tentatives max.',
+    'Retry failed operations this many times. Helps with transient network issues.' => 'Nombre de nouvelles tentatives pour les opérations échouées. Utile en cas de problèmes réseau passagers.',
+    'Retry Delay (milliseconds)' => 'Délai entre les tentatives (millisecondes)',
+    'Wait this many milliseconds between retries.' => 'Nombre de millisecondes d\'attente entre deux tentatives.',
+    'Checkpoint Retention (hours)' => 'Conservation des points de reprise (heures)',
+    'Keep checkpoints for this many hours before cleanup.' => 'Durée de conservation des points de reprise avant leur nettoyage, en heures.',
+    'Max Repeated Errors' => 'Erreurs répétées max.',
+    'Stop if same error repeats this many times. Prevents infinite loops.' => 'Arrête si la même erreur se répète ce nombre de fois. Évite les boucles infinies.',
+    'Lock Timeout (seconds)' => 'Expiration du verrou (secondes)',
+    'Migration lock expires after this many seconds. Prevents stale locks.' => 'Le verrou de migration expire après ce nombre de secondes. Évite les verrous périmés.',
+    'Lock Acquire Timeout (seconds)' => 'Délai d\'obtention du verrou (secondes)',
+    'Wait this long when trying to acquire migration lock.' => 'Durée d\'attente lors de l\'obtention du verrou de migration.',
+    'Optimized Images Field Handle' => 'Identifiant du champ d\'images optimisées',
+    'Handle of ImageOptimize field used for optimized image variants.' => 'Identifiant du champ ImageOptimize utilisé pour les variantes d\'images optimisées.',
+    'Warmup Timeout (seconds)' => 'Délai de préchauffage (secondes)',
+    'HTTP timeout for transform URL crawling (seconds).' => 'Délai d\'expiration HTTP pour l\'exploration des URL de transformations (secondes).',
+    'Template Extensions (comma-separated)' => 'Extensions des gabarits (séparées par des virgules)',
+    'File extensions to scan in templates directory.' => 'Extensions de fichiers à analyser dans le dossier des gabarits.',
+    'Template Backup Suffix' => 'Suffixe des sauvegardes de gabarits',
+    'Suffix pattern for template backups. Use {timestamp} for dynamic timestamps.' => 'Modèle de suffixe des sauvegardes de gabarits. Utilisez {timestamp} pour un horodatage dynamique.',
+    'Template Environment Variable' => 'Variable d\'environnement des gabarits',
+    'Environment variable name used in templates for DO Spaces URL.' => 'Nom de la variable d\'environnement utilisée dans les gabarits pour l\'URL DO Spaces.',
+    'Content Table Patterns (comma-separated)' => 'Modèles de tables de contenu (séparés par des virgules)',
+    'Database table patterns to scan for content (supports % wildcard).' => 'Modèles de tables de la base de données à analyser (le caractère générique % est pris en charge).',
+    'Additional Tables (JSON)' => 'Tables supplémentaires (JSON)',
+    'Additional tables beyond content tables. Format: [{"table": "name", "column": "column"}]' => 'Tables à analyser en plus des tables de contenu. Format : [{"table": "name", "column": "column"}]',
+    'Column Types (comma-separated)' => 'Types de colonnes (séparés par des virgules)',
+    'Database column types to search for URLs.' => 'Types de colonnes de la base de données dans lesquels rechercher des URL.',
+    'Field Column Pattern' => 'Modèle des colonnes de champs',
+    'Pattern for identifying Craft field columns (e.g., field_%).' => 'Modèle d\'identification des colonnes de champs Craft (p. ex. field_%).',
+    'Sample URL Limit' => 'Limite d\'URL d\'exemple',
+    'Number of sample URLs to show in replacement previews.' => 'Nombre d\'URL d\'exemple affichées dans les aperçus de remplacement.',
+    'File List Limit' => 'Limite de la liste de fichiers',
+    'Maximum files to show in diagnostic listings.' => 'Nombre maximal de fichiers affichés dans les listes de diagnostic.',
+    'Dashboard Log Lines' => 'Lignes de journal du tableau de bord',
+    'Default number of log lines to display in dashboard.' => 'Nombre de lignes de journal affichées par défaut dans le tableau de bord.',
+    'Dashboard Log File' => 'Fichier journal du tableau de bord',
+    'Log file to display in dashboard.' => 'Fichier journal affiché dans le tableau de bord.',
+    'Dashboard Execution Mode' => 'Mode d\'exécution du tableau de bord',
+    'Default way the dashboard runs commands. Use the queue when proxies buffer streamed responses or PHP-FPM ends long requests. Individual modules can override this from their card.' => 'Manière dont le tableau de bord exécute les commandes par défaut. Utilisez la file d\'attente lorsque des proxys mettent les réponses en flux en mémoire tampon ou que PHP-FPM interrompt les longues requêtes. Chaque module peut remplacer ce réglage depuis sa carte.',
+    'Live stream (SSE)' => 'Flux en direct (SSE)',
+    'Craft queue' => 'File d\'attente de Craft',
+    'Queue Runner Warning' => 'Avertissement d\'exécuteur de file d\'attente',
+    'Seconds a queued job may wait for a queue runner before the dashboard warns that nothing is processing the queue.' => 'Nombre de secondes pendant lesquelles une tâche peut attendre un exécuteur avant que le tableau de bord signale que la file d\'attente n\'est pas traitée.',
+    'Progress Report Interval' => 'Intervalle de rapport de progression',
+    'Report progress after processing this many items. Lower = more frequent updates (slower), Higher = less frequent (faster).' => 'Signale la progression après ce nombre d\'éléments traités. Plus bas = mises à jour plus fréquentes (plus lent), plus élevé = moins fréquentes (plus rapide).',
+    'Lock Refresh Interval (seconds)' => 'Intervalle de renouvellement du verrou (secondes)',
+    'Refresh migration lock every N seconds during long operations. Prevents lock expiration.' => 'Renouvelle le verrou de migration toutes les N secondes pendant les longues opérations. Évite l\'expiration du verrou.',
+    'Verification Sample Size' => 'Taille de l\'échantillon de vérification',
+    'Number of assets to verify in quick sample checks. Higher = more thorough but slower.' => 'Nombre de ressources vérifiées lors des contrôles rapides par échantillon. Plus élevé = plus complet mais plus lent.',
+    'Fuzzy Match Min Confidence' => 'Confiance minimale de la correspondance approximative',
+    'Minimum confidence (0.0-1.0) for fuzzy matching. Matches below this are rejected.' => 'Confiance minimale (0.0-1.0) de la correspondance approximative. Les correspondances inférieures sont rejetées.',
+    'Fuzzy Match Warning Confidence' => 'Confiance d\'avertissement de la correspondance approximative',
+    'Confidence threshold (0.0-1.0) for warnings. Matches below this show warnings but are still accepted.' => 'Seuil de confiance (0.0-1.0) des avertissements. Les correspondances inférieures affichent un avertissement mais restent acceptées.',
+    'Priority Folder Patterns (comma-separated)' => 'Modèles de dossiers prioritaires (séparés par des virgules)',
+    'Folder patterns that receive priority during duplicate resolution. Files in these folders are preferred.' => 'Modèles de dossiers prioritaires lors de la résolution des doublons. Les fichiers de ces dossiers sont privilégiés.',
+    'Poll Delay (milliseconds)' => 'Délai d\'interrogation (millisecondes)',
+    'Delay for UI polling operations. Lower = more responsive but higher server load.' => 'Délai des interrogations de l\'interface. Plus bas = plus réactif mais charge serveur plus élevée.',
+    'Process Cache Duration (seconds)' => 'Durée du cache des processus (secondes)',
+    'How long to cache process information. Improves performance but may show stale data.' => 'Durée de mise en cache des informations sur les processus. Améliore les performances mais peut afficher des données périmées.',
+    'DB Scan Estimate (rows/second)' => 'Estimation d\'analyse de la base (lignes/seconde)',
+    'Estimated database scan performance for progress calculation. Adjust based on your server.' => 'Vitesse d\'analyse estimée de la base de données pour le calcul de la progression. Ajustez-la selon votre serveur.',
+    'State Retention (days)' => 'Conservation de l\'état (jours)',
+    'Number of days to keep old migration state records before cleanup.' => 'Nombre de jours de conservation des anciens états de migration avant leur nettoyage.',
+    'Please select a file to import.' => 'Veuillez sélectionner un fichier à importer.',
+    'Please select a JSON file.' => 'Veuillez sélectionner un fichier JSON.',
+    'Import settings from "{file}"?' => 'Importer les paramètres depuis « {file} » ?',
+    'This will overwrite your current configuration.' => 'Votre configuration actuelle sera remplacée.',
+    'Click OK to proceed or Cancel to abort.' => 'Cliquez sur OK pour continuer ou sur Annuler pour abandonner.',
+    'Importing...' => 'Importation...',
+    'Settings imported successfully. Reloading...' => 'Paramètres importés avec succès. Rechargement...',
+    'Import failed.' => 'Échec de l\'importation.',
+
+    // Dashboard template (templates/spaghetti-migrator/dashboard.twig)
+    'Spaghetti Migrator' => 'Spaghetti Migrator',
+    'Untangle your nested folders and migrate assets between cloud services with ease' => 'Démêlez vos dossiers imbriqués et migrez vos ressources d\'un service cloud à l\'autre en toute simplicité',
+    'Phase {current} of {total}' => 'Phase {current} sur {total}',
+    'Critical step' => 'Étape critique',
+    'Critical Workflow Order' => 'Ordre critique des étapes',
+    'IMPORTANT:' => 'IMPORTANT :',
+    'Phase 4 (Filesystem Switch) MUST be completed BEFORE Phase 5 (File Migration). Switching filesystems first ensures volumes point to {provider} during migration.' => 'La phase 4 (changement de système de fichiers) DOIT être terminée AVANT la phase 5 (migration des fichiers). Changer d\'abord de système de fichiers garantit que les volumes pointent vers {provider} pendant la migration.',
+    'Configuration Status' => 'État de la configuration',
+    '{provider} Credentials' => 'Identifiants {provider}',
+    '{provider} Bucket' => 'Bucket {provider}',
+    '{provider} Config' => 'Configuration {provider}',
+    '{provider} Base URL' => 'URL de base {provider}',
+    '{provider} Bucket:' => 'Bucket {provider} :',
+    'Live Monitor' => 'Moniteur en direct',
+    'Queue Jobs' => 'Tâches en file d\'attente',
+    'Checkpoints' => 'Points de reprise',
+    'Connection Diagnostics' => 'Diagnostic des connexions',
+    'View Filesystems' => 'Voir les systèmes de fichiers',
+    'Migration checkpoint detected' => 'Point de reprise de migration détecté',
+    'A previous migration was interrupted. You can resume from where you left off.' => 'Une migration précédente a été interrompue. Vous pouvez la reprendre là où elle s\'est arrêtée.',
+    'Resume Migration' => 'Reprendre la migration',
+    'View Checkpoints' => 'Voir les points de reprise',
+    'Pipeline' => 'Pipeline',
+    'Run a phase or the whole workflow in dependency order. The pipeline stops on the first failure and pauses before critical steps.' => 'Exécutez une phase ou tout le processus dans l\'ordre des dépendances. Le pipeline s\'arrête au premier échec et marque une pause avant les étapes critiques.',
+    'Dry run each step first' => 'Simuler chaque étape d\'abord',
+    'Run workflow' => 'Exécuter le processus',
+    'Pipeline steps' => 'Étapes du pipeline',
+    'How to Use This Dashboard' => 'Utiliser ce tableau de bord',
+    'This dashboard guides you through a complete {source} → {target} migration.' => 'Ce tableau de bord vous guide tout au long d\'une migration complète de {source} vers {target}.',
+    'Manual CLI steps' => 'Les étapes CLI manuelles',
+    'require terminal commands and can be marked as completed when done' => 'demandent des commandes dans un terminal et peuvent être marquées comme terminées une fois faites',
+    'Collapsible phases' => 'Les phases repliables',
+    'can be expanded/collapsed by clicking the phase header' => 'se déplient et se replient en cliquant sur leur en-tête',
+    'Green checkmarks' => 'Les coches vertes',
+    'indicate completed steps - your progress is automatically saved' => 'indiquent les étapes terminées ; votre progression est enregistrée automatiquement',
+    'Critical steps' => 'Les étapes critiques',
+    'must be done in order - the dashboard will warn you if prerequisites are missing' => 'doivent être faites dans l\'ordre ; le tableau de bord vous avertit s\'il manque des prérequis',
+    'View logs' => 'Le bouton des journaux',
+    'button lets you see detailed output from each command' => 'affiche la sortie détaillée de chaque commande',
+    'Progress bar' => 'La barre de progression',
+    'shows real-time execution progress for running commands' => 'montre en temps réel l\'avancement des commandes en cours',
+    'Phase {phase}' => 'Phase {phase}',
+    '{count, plural, =1{# module} other{# modules}}' => '{count, plural, =0{# module} =1{# module} other{# modules}}',
+    'Run phase' => 'Exécuter la phase',
+    'Critical' => 'Critique',
+    'Manual CLI' => 'CLI manuelle',
+    'Options' => 'Options',
+    'Command:' => 'Commande :',
+    'Dry Run' => 'Simulation',
+    'Run {title} via' => 'Exécuter {title} via',
+    'Default (queue)' => 'Par défaut (file d\'attente)',
+    'Default (live stream)' => 'Par défaut (flux en direct)',
+    'Live stream' => 'Flux en direct',
+    'Copy CLI command for {title}' => 'Copier la commande CLI de {title}',
+    'Mark as Completed' => 'Marquer comme terminé',
+    'Run {title}' => 'Exécuter {title}',
+    'Module execution progress' => 'Progression de l\'exécution du module',
+    'Starting...' => 'Démarrage...',
+    'Cancel module execution' => 'Annuler l\'exécution du module',
+    'Migration Statistics' => 'Statistiques de migration',
+    'Output' => 'Sortie',
+    'Clear' => 'Effacer',
+    'Search output' => 'Rechercher dans la sortie',
+    'Search output of {title}' => 'Rechercher dans la sortie de {title}',
+    'Filter output of {title} by level' => 'Filtrer la sortie de {title} par niveau',
+    'All lines' => 'Toutes les lignes',
+    'Errors & warnings' => 'Erreurs et avertissements',
+    'Errors only' => 'Erreurs seulement',
+    'Jump to first error' => 'Aller à la première erreur',
+    'Download full log' => 'Télécharger le journal complet',
+    'Output of {title}' => 'Sortie de {title}',
+    'Rollback & Recovery' => 'Restauration et récupération',
+    'If something goes wrong, you can rollback the migration to a previous state.' => 'En cas de problème, vous pouvez ramener la migration à un état antérieur.',
+    'Rollback Migration' => 'Restaurer la migration',
+    'View Change Log' => 'Voir le journal des modifications',
+    'Command Output' => 'Sortie de la commande',
+    'Close modal' => 'Fermer la fenêtre',
+    'Close' => 'Fermer',
+    'Migration Checkpoints' => 'Points de reprise de la migration',
+    'Loading checkpoints...' => 'Chargement des points de reprise...',
+    'Age' => 'Âge',
+    'Actions' => 'Actions',
+    'Resume preview' => 'Aperçu de la reprise',
+    'Resume from this checkpoint' => 'Reprendre depuis ce point de reprise',
+    'Back' => 'Retour',
+    'Delete stale checkpoints' => 'Supprimer les points de reprise périmés',
+    'Refresh' => 'Actualiser',
+    'Include write probes (writes, reads back and deletes a small file on the target and on each volume; the source is never written to)' => 'Inclure les tests d\'écriture (écrit, relit puis supprime un petit fichier sur la cible et sur chaque volume ; la source n\'est jamais modifiée)',
+    'Run the diagnostics to probe each provider and volume.' => 'Lancez le diagnostic pour tester chaque fournisseur et chaque volume.',
+    'Download report' => 'Télécharger le rapport',
+    'Run diagnostics' => 'Lancer le diagnostic',
+    'Change Log' => 'Journal des modifications',
+    'Filter change log entries' => 'Filtrer les entrées du journal des modifications',
+    'All migrations' => 'Toutes les migrations',
+    'All types' => 'Tous les types',
+    'All phases' => 'Toutes les phases',
+    'Volume' => 'Volume',
+    'All volumes' => 'Tous les volumes',
+    'Asset ID' => 'ID de la ressource',
+    'From' => 'Du',
+    'To' => 'Au',
+    'File or path' => 'Fichier ou chemin',
+    'e.g. hero.jpg' => 'p. ex. hero.jpg',
+    'Clear filters' => 'Effacer les filtres',
+    'Loading change log...' => 'Chargement du journal des modifications...',
+    'Select' => 'Sélectionner',
+    'Time' => 'Heure',
+    'Asset' => 'Ressource',
+    'Change log pages' => 'Pages du journal des modifications',
+    'Previous' => 'Précédent',
+    'Next' => 'Suivant',
+    'Entry' => 'Entrée',
+    'Before' => 'Avant',
+    'After' => 'Après',
+    'Close entry' => 'Fermer l\'entrée',
+    'Rollback preview' => 'Aperçu de la restauration',
+    'Preview rollback of filtered entries' => 'Prévisualiser la restauration des entrées filtrées',
+    'Export CSV' => 'Exporter en CSV',
+    'Export JSON' => 'Exporter en JSON',
+    'Loading queue jobs...' => 'Chargement des tâches de la file d\'attente...',
+    'Job' => 'Tâche',
+    'Status' => 'État',
+    'Attempts' => 'Tentatives',
+    'TTR' => 'TTR',
+    'Progress' => 'Progression',
+    'Error' => 'Erreur',
+    'Choose what to roll back' => 'Choisir quoi restaurer',
+    'Review the impact' => 'Examiner l\'impact',
+    'Follow the rollback' => 'Suivre la restauration',
+    'Warning:' => 'Attention :',
+    'Rolling back undoes migration changes, newest first, using the change log. It cannot be undone itself.' => 'La restauration annule les modifications de la migration, de la plus récente à la plus ancienne, à l\'aide du journal des modifications. Elle ne peut pas elle-même être annulée.',
+    'Roll back' => 'Restaurer',
+    'Every change of the migration' => 'Toutes les modifications de la migration',
+    'A phase' => 'Une phase',
+    'Include' => 'Inclure',
+    'This phase and every later phase' => 'Cette phase et toutes les suivantes',
+    'Only this phase' => 'Cette phase seulement',
+    'One module run' => 'Une exécution de module',
+    'Only runs started from this dashboard are recorded.' => 'Seules les exécutions lancées depuis ce tableau de bord sont enregistrées.',
+    'Selected change log entries' => 'Des entrées choisies du journal des modifications',
+    'Entry numbers' => 'Numéros d\'entrée',
+    'e.g. 12, 15, 40' => 'p. ex. 12, 15, 40',
+    'Comma-separated numbers from the # column of the change log, where entries can also be selected.' => 'Numéros séparés par des virgules, tirés de la colonne n° du journal des modifications, où les entrées peuvent aussi être sélectionnées.',
+    'Dry-run impact' => 'Impact simulé',
+    'Type {phrase} to confirm' => 'Saisissez {phrase} pour confirmer',
+    'Rollback progress' => 'Progression de la restauration',
+    'Cancel rollback' => 'Annuler la restauration',
+    'Search rollback output' => 'Rechercher dans la sortie de la restauration',
+    'Filter rollback output by level' => 'Filtrer la sortie de la restauration par niveau',
+    'Rollback output' => 'Sortie de la restauration',
+    'New rollback' => 'Nouvelle restauration',
+    'Preview impact' => 'Prévisualiser l\'impact',
+    'Session expired' => 'Session expirée',
+    'Your Craft session ended while the dashboard was open. Migrations keep running on the server and this page keeps its state.' => 'Votre session Craft a pris fin pendant que le tableau de bord était ouvert. Les migrations continuent sur le serveur et cette page conserve son état.',
+    'Log in again in a new tab, then come back: the dashboard reconnects by itself.' => 'Reconnectez-vous dans un nouvel onglet, puis revenez : le tableau de bord se reconnecte tout seul.',
+    'I have logged in' => 'Connexion rétablie',
+    'Log in again' => 'Se reconnecter',
+    'Live Migration Monitor' => 'Moniteur de migration en direct',
+    'Runs' => 'Exécutions',
+    'Follow latest' => 'Suivre la plus récente',
+    'No migrations recorded yet.' => 'Aucune migration enregistrée pour l\'instant.',
+    'No active migration found.' => 'Aucune migration active.',
+    'Start a migration to see live progress here. The monitor automatically refreshes every 3 seconds.' => 'Lancez une migration pour suivre sa progression ici. Le moniteur s\'actualise automatiquement toutes les 3 secondes.',
+    'Migration Information' => 'Informations sur la migration',
+    'Migration ID:' => 'ID de migration :',
+    'Phase:' => 'Phase :',
+    'Status:' => 'État :',
+    'Process:' => 'Processus :',
+    'Throughput' => 'Débit',
+    'Estimated time remaining:' => 'Temps restant estimé :',
+    'Statistics' => 'Statistiques',
+    'Task Logs' => 'Journaux des tâches',
+    '(grouped by recent commands)' => '(regroupés par commandes récentes)',
+    'Loading migration data...' => 'Chargement des données de migration...',
+
+    // Pre-flight summary (services/PreflightService.php)
+    'Pre-flight checks' => 'Vérifications préalables',
+    'Volume configuration' => 'Configuration des volumes',
+    'Failed: {error}' => 'Échec : {error}',
+    'Still running' => 'Toujours en cours',
+    'Not run from the dashboard (or reset since)' => 'Pas exécuté depuis le tableau de bord (ou réinitialisé depuis)',
+    'No probe ran' => 'Aucun test exécuté',
+    'Target storage connection' => 'Connexion au stockage cible',
+    'Database backup' => 'Sauvegarde de la base de données',
+    'No database backup found (run ./craft db/backup)' => 'Aucune sauvegarde de la base de données trouvée (exécutez ./craft db/backup)',
+    '{file}, {age} old' => '{file}, il y a {age}',
+    'the target bucket' => 'le bucket cible',
+    'the environment name' => 'le nom de l\'environnement',
+    '{count} min' => '{count} min',
+    '{count} h' => '{count} h',
+    '{count} days' => '{count} jours',
+];
@@ -65,7 +65,9 @@ class MigrationFlowTest extends TestCase
         $this->assertEquals(1, $dryRun['total_operations']);
 
         $stats = $rollback->rollback('flow-mig');
-        $this->assertEquals(1, $stats['reversed']);
+        // Craft regenerates deleted transforms, so there is nothing to undo
+        $this->assertEquals(0, $stats['reversed']);
+        $this->assertEquals(1, $stats['skipped']);
 
         $latest = $checkpoints->loadLatestCheckpoint();
         $this->assertEquals('cleanup', $latest['phase']);
@@ -49,6 +49,16 @@ class Craft
     {
         // No-op for tests
     }
+
+    public static function t($category, $message, $params = [], $language = null)
+    {
+        // Source language: only the placeholders are filled in
+        foreach ($params as $name => $value) {
+            $message = str_replace('{' . $name . '}', (string)$value, $message);
+        }
+
+        return $message;
+    }
 }
 
 class CraftAppStub
@@ -53,6 +53,10 @@ namespace yii\web {
     class ForbiddenHttpException extends \RuntimeException
     {
     }
+
+    class Response
+    {
+    }
 }
 
 namespace craft\console {
@@ -116,7 +120,7 @@ namespace craft\web {
         }
     }
 
-    class Response
+    class Response extends \yii\web\Response
     {
         public const FORMAT_JSON = 'json';
 
@@ -0,0 +1,123 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\controllers;
+
+use Craft;
+use CraftAppStub;
+use csabourin\spaghettiMigrator\controllers\MigrationController;
+use csabourin\spaghettiMigrator\services\CommandBuilder;
+use csabourin\spaghettiMigrator\services\CommandExecutionService;
+use csabourin\spaghettiMigrator\services\ModuleDefinitionProvider;
+use csabourin\spaghettiMigrator\services\PreflightService;
+use csabourin\spaghettiMigrator\services\RunCoordinator;
+use PHPUnit\Framework\TestCase;
+
+class MigrationControllerTest extends TestCase
+{
+    private MigrationController $controller;
+
+    private CommandExecutionService $commands;
+
+    private RunCoordinator $coordinator;
+
+    protected function setUp(): void
+    {
+        Craft::$app = new CraftAppStub();
+
+        $this->commands = new class(null, new CommandBuilder(new ModuleDefinitionProvider(new \stdClass()))) extends CommandExecutionService {
+            public array $executed = [];
+
+            public function isCommandAllowed(string $command): bool
+            {
+                return true;
+            }
+
+            public function executeConsoleCommand(string $command, array $args = []): array
+            {
+                $this->executed[] = $command;
+
+                return ['output' => '', 'exitCode' => 0];
+            }
+        };
+
+        $preflight = new class() extends PreflightService {
+            public function requiresConfirmation(string $command, bool $dryRun): bool
+            {
+                return $command === 'filesystem-switch/to-do' && !$dryRun;
+            }
+        };
+
+        $this->coordinator = new class() extends RunCoordinator {
+            public array $blocked = [];
+
+            public function __construct()
+            {
+            }
+
+            public function getSnapshot(): array
+            {
+                return ['runs' => [], 'lock' => null, 'blocked' => $this->blocked];
+            }
+        };
+
+        $this->controller = new MigrationController('migration', null);
+        $this->inject('commandService', $this->commands);
+        $this->inject('preflightService', $preflight);
+        $this->inject('runCoordinator', $this->coordinator);
+    }
+
+    public function testRunCommandRefusesACriticalRun(): void
+    {
+        Craft::$app->getRequest()->setBodyParams([
+            'command' => 'filesystem-switch/to-do',
+            'confirmation' => 'prod-assets',
+        ]);
+
+        $response = $this->controller->actionRunCommand();
+
+        $this->assertFalse($response->data['success']);
+        $this->assertStringContainsString('needs a typed confirmation', $response->data['error']);
+        $this->assertSame([], $this->commands->executed);
+    }
+
+    public function testRunCommandRunsDryRunsAndOtherCommands(): void
+    {
+        Craft::$app->getRequest()->setBodyParams(['command' => 'filesystem-switch/to-do', 'dryRun' => '1']);
+        $this->assertTrue($this->controller->actionRunCommand()->data['success']);
+
+        Craft::$app->getRequest()->setBodyParams(['command' => 'filesystem-switch/preview']);
+        $this->assertTrue($this->controller->actionRunCommand()->data['success']);
+
+        $this->assertSame(['spaghetti-migrator/filesystem-switch/to-do', 'spaghetti-migrator/filesystem-switch/preview'], $this->commands->executed);
+    }
+
+    public function testRunCommandRefusesACommandThatIsAlreadyRunning(): void
+    {
+        $this->coordinator->blocked = [
+            'url-replacement/replace-s3-urls' => ['reason' => 'running', 'message' => 'url-replacement/replace-s3-urls is already running (run sse-1)'],
+            'image-migration/migrate' => ['reason' => 'locked', 'message' => 'image-migration/migrate cannot start while the migration lock is held'],
+        ];
+
+        Craft::$app->getRequest()->setBodyParams(['command' => 'url-replacement/replace-s3-urls', 'dryRun' => '1']);
+        $response = $this->controller->actionRunCommand();
+        $this->assertFalse($response->data['success']);
+        $this->assertTrue($response->data['blocked']);
+        $this->assertSame('url-replacement/replace-s3-urls is already running (run sse-1)', $response->data['error']);
+
+        Craft::$app->getRequest()->setBodyParams(['command' => 'image-migration/migrate']);
+        $this->assertTrue($this->controller->actionRunCommand()->data['blocked']);
+
+        // The lock only holds back real changes
+        Craft::$app->getRequest()->setBodyParams(['command' => 'image-migration/migrate', 'dryRun' => '1']);
+        $this->assertTrue($this->controller->actionRunCommand()->data['success']);
+
+        $this->assertSame(['spaghetti-migrator/image-migration/migrate'], $this->commands->executed);
+    }
+
+    private function inject(string $property, object $service): void
+    {
+        $reflection = new \ReflectionProperty(MigrationController::class, $property);
+        $reflection->setAccessible(true);
+        $reflection->setValue($this->controller, $service);
+    }
+}
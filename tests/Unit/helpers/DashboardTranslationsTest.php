@@ -0,0 +1,112 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\helpers;
+
+use csabourin\spaghettiMigrator\helpers\DashboardTranslations;
+use PHPUnit\Framework\TestCase;
+
+class DashboardTranslationsTest extends TestCase
+{
+    private const TEMPLATES = __DIR__ . '/../../../modules/templates/spaghetti-migrator';
+
+    public function testEveryDashboardMessageIsInTheCatalogue(): void
+    {
+        $messages = $this->extract(
+            '/(?:(?<![\w.])t|Html\.translate)\(\s*(?:\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)")/',
+            file_get_contents(self::TEMPLATES . '/js/dashboard.js')
+        );
+
+        $this->assertGreaterThan(300, count($messages));
+        $this->assertSame([], array_values(array_diff($messages, DashboardTranslations::getMessages())));
+    }
+
+    public function testEverySettingsMessageIsInTheCatalogue(): void
+    {
+        $template = file_get_contents(self::TEMPLATES . '/settings.twig');
+        $messages = array_merge(
+            $this->extract('/(?:\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)")\s*\|\s*t\(\s*\'spaghetti-migrator\'/', $template),
+            $this->extract('/Craft\.t\(\s*\'spaghetti-migrator\',\s*(?:\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)")/', $template)
+        );
+
+        $this->assertContains('Import failed.', $messages);
+        $this->assertSame([], array_values(array_diff($messages, DashboardTranslations::getMessages())));
+    }
+
+    public function testEveryDashboardTemplateMessageIsInTheCatalogue(): void
+    {
+        $messages = $this->extract(
+            '/(?:\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)")\s*\|\s*t\(\s*\'spaghetti-migrator\'/',
+            file_get_contents(self::TEMPLATES . '/dashboard.twig')
+        );
+
+        $this->assertContains('Phase {current} of {total}', $messages);
+        $this->assertContains('Close modal', $messages);
+        $this->assertSame([], array_values(array_diff($messages, DashboardTranslations::getMessages())));
+    }
+
+    public function testEveryPreflightMessageIsInTheCatalogue(): void
+    {
+        $messages = $this->extract(
+            '/Craft::t\(\s*\'spaghetti-migrator\',\s*(?:\'((?:[^\'\\\\]|\\\\.)*)\'|"((?:[^"\\\\]|\\\\.)*)")/',
+            file_get_contents(__DIR__ . '/../../../modules/services/PreflightService.php')
+        );
+
+        $this->assertContains('Target storage connection', $messages);
+        $this->assertSame([], array_values(array_diff($messages, DashboardTranslations::getMessages())));
+    }
+
+    public function testFrenchCatalogueTranslatesEveryMessageWithTheSamePlaceholders(): void
+    {
+        $french = DashboardTranslations::loadCatalogue('fr');
+
+        $this->assertSame(DashboardTranslations::getMessages(), array_keys($french));
+
+        foreach ($french as $message => $translation) {
+            $this->assertNotEmpty(trim($translation), $message);
+            $this->assertSame($this->placeholders($message), $this->placeholders($translation), $message);
+        }
+
+        $this->assertSame([], DashboardTranslations::loadCatalogue('xx'));
+    }
+
+    public function testPluralMessagesKeepTheirPluralForm(): void
+    {
+        $french = DashboardTranslations::loadCatalogue('fr');
+
+        foreach ($french as $message => $translation) {
+            if (str_contains($message, ', plural,')) {
+                $this->assertStringContainsString('{count, plural,', $translation, $message);
+                $this->assertStringContainsString('other{', $translation, $message);
+            }
+        }
+    }
+
+    /**
+     * Unique string literals captured by a pattern with a single- and a double-quoted alternative
+     *
+     * @return string[]
+     */
+    private function extract(string $pattern, string $source): array
+    {
+        preg_match_all($pattern, $source, $matches, PREG_SET_ORDER);
+
+        return array_values(array_unique(array_map(
+            fn(array $match) => stripcslashes(($match[2] ?? '') !== '' ? $match[2] : $match[1]),
+            $matches
+        )));
+    }
+
+    /**
+     * Names of the `{name}` and `{name, plural, ...}` arguments of a message
+     *
+     * @return string[]
+     */
+    private function placeholders(string $message): array
+    {
+        preg_match_all('/\{\s*(\w+)\s*[,}]/', $message, $matches);
+        $names = array_unique($matches[1]);
+        sort($names);
+
+        return $names;
+    }
+}
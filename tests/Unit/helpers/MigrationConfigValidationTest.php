@@ -62,6 +62,28 @@ class MigrationConfigValidationTest extends TestCase
         $this->assertSame([], $errors);
     }
 
+    public function testDashboardExecutionModeFallsBackToSse(): void
+    {
+        Craft::setAlias('@config', $this->createTempConfig(['dashboard' => ['executionMode' => 'queue']]));
+        $this->assertSame('queue', MigrationConfig::getInstance()->getDashboardExecutionMode());
+
+        $this->resetConfig();
+
+        Craft::setAlias('@config', $this->createTempConfig(['dashboard' => ['executionMode' => 'websocket']]));
+        $this->assertSame('sse', MigrationConfig::getInstance()->getDashboardExecutionMode());
+    }
+
+    public function testDashboardQueueStallSecondsHasAFloor(): void
+    {
+        Craft::setAlias('@config', $this->createTempConfig(['dashboard' => ['queueStallSeconds' => 300]]));
+        $this->assertSame(300, MigrationConfig::getInstance()->getDashboardQueueStallSeconds());
+
+        $this->resetConfig();
+
+        Craft::setAlias('@config', $this->createTempConfig(['dashboard' => ['queueStallSeconds' => 0]]));
+        $this->assertSame(10, MigrationConfig::getInstance()->getDashboardQueueStallSeconds());
+    }
+
     private function createTempConfig(array $config): string
     {
         $dir = sys_get_temp_dir() . '/config_' . uniqid();
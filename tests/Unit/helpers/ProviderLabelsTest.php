@@ -0,0 +1,50 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\helpers;
+
+use csabourin\spaghettiMigrator\helpers\ProviderLabels;
+use PHPUnit\Framework\TestCase;
+
+class ProviderLabelsTest extends TestCase
+{
+    public function testDescribeKnownProviders(): void
+    {
+        $this->assertSame([
+            'type' => 'do-spaces',
+            'name' => 'DigitalOcean Spaces',
+            'short' => 'DO Spaces',
+            'fsPlugin' => ['package' => 'vaersaagod/dospaces', 'handle' => 'dospaces'],
+        ], ProviderLabels::describe('do-spaces'));
+
+        $this->assertSame('aws-s3', ProviderLabels::describe('cloudflare-r2')['fsPlugin']['handle']);
+        $this->assertNull(ProviderLabels::describe('local')['fsPlugin']);
+    }
+
+    public function testDescribeNamesUnknownProvidersAfterTheirType(): void
+    {
+        $labels = ProviderLabels::describe('minio_cluster');
+
+        $this->assertSame('Minio Cluster', $labels['name']);
+        $this->assertSame('Minio Cluster', $labels['short']);
+        $this->assertNull($labels['fsPlugin']);
+        // Escaped where it is rendered, not here
+        $this->assertSame('<b>', ProviderLabels::describe('<b>')['name']);
+    }
+
+    public function testConfigurationKeys(): void
+    {
+        $this->assertSame('bucket', ProviderLabels::bucketKey('wasabi'));
+        $this->assertSame('container', ProviderLabels::bucketKey('azure-blob'));
+        $this->assertSame(['accessKey', 'secretKey'], ProviderLabels::credentialKeys('cloudflare-r2'));
+        $this->assertSame([], ProviderLabels::credentialKeys('local'));
+    }
+
+    public function testSettingsFieldsAndEndpointFix(): void
+    {
+        $this->assertSame('tor1', ProviderLabels::settingsFields('do-spaces')['Region']);
+        $this->assertArrayHasKey('Source Bucket', ProviderLabels::settingsFields('s3'));
+        $this->assertSame([], ProviderLabels::settingsFields('wasabi'));
+        $this->assertTrue(ProviderLabels::hasEndpointFix('do-spaces'));
+        $this->assertFalse(ProviderLabels::hasEndpointFix('cloudflare-r2'));
+    }
+}
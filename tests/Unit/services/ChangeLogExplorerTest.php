@@ -0,0 +1,180 @@
+<?php
+
+namespace tests\Unit\services;
+
+use PHPUnit\Framework\TestCase;
+use csabourin\spaghettiMigrator\services\ChangeLogExplorer;
+use csabourin\spaghettiMigrator\services\ChangeLogManager;
+use Craft;
+use CraftAppStub;
+
+class ChangeLogExplorerTest extends TestCase
+{
+    private $tempDir;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->tempDir = sys_get_temp_dir() . '/changelog_explorer_' . uniqid();
+        Craft::setAlias('@storage', $this->tempDir);
+        Craft::$app = new CraftAppStub();
+    }
+
+    protected function tearDown(): void
+    {
+        $this->removeDirectory($this->tempDir);
+        parent::tearDown();
+    }
+
+    public function testQueryFiltersAndPages()
+    {
+        $manager = new ChangeLogManager('mig-a', 1);
+        $manager->setPhase('consolidate');
+        for ($i = 1; $i <= 5; $i++) {
+            $manager->logChange([
+                'type' => 'moved_asset',
+                'assetId' => $i,
+                'filename' => "photo-{$i}.jpg",
+                'fromVolume' => 1,
+                'fromFolder' => 10,
+                'toVolume' => 2,
+                'toFolder' => 20,
+            ]);
+        }
+        $manager->setPhase('quarantine');
+        $manager->logChange(['type' => 'quarantined_orphaned_file', 'sourceVolume' => 'images', 'sourcePath' => 'a/b.png', 'targetPath' => 'q/b.png']);
+
+        $explorer = new ChangeLogExplorer();
+
+        $result = $explorer->query(['migrationId' => 'mig-a', 'type' => 'moved_asset'], 2, 2);
+        $this->assertEquals(5, $result['total']);
+        $this->assertEquals(3, $result['pageCount']);
+        $this->assertEquals([3, 4], array_column($result['entries'], 'assetId'));
+        $this->assertEquals(['1'], $result['entries'][0]['fromVolumes']);
+        $this->assertEquals('reverse', $result['entries'][0]['rollback']);
+
+        // Facets ignore the type filter
+        $this->assertEquals(['moved_asset', 'quarantined_orphaned_file'], $result['facets']['types']);
+        $this->assertEquals(['1', '2', 'images'], $result['facets']['volumes']);
+
+        $this->assertEquals(1, $explorer->query(['volume' => 'IMAGES'])['total']);
+        $this->assertEquals(1, $explorer->query(['search' => 'photo-2'])['total']);
+
+        $entry = $explorer->getEntry('mig-a', 6);
+        $this->assertEquals('quarantine', $entry['phase']);
+        $this->assertNull($explorer->getEntry('../mig-a', 6));
+
+        $this->assertEquals([['id' => 'mig-a', 'changeCount' => 6]], array_map(
+            fn($migration) => array_intersect_key($migration, ['id' => true, 'changeCount' => true]),
+            $explorer->getMigrations()
+        ));
+    }
+
+    public function testGetRollbackScopesListsPhasesAndRuns()
+    {
+        $manager = new ChangeLogManager('mig-s', 1);
+        $manager->setPhase('cleanup');
+        $manager->logChange(['type' => 'deleted_transform', 'path' => 'a']);
+        $manager->setRunId('sse-1');
+        $manager->setPhase('consolidate');
+        $manager->logChange(['type' => 'moved_asset', 'assetId' => 1]);
+        $manager->logChange(['type' => 'moved_asset', 'assetId' => 2]);
+        $manager->setPhase('discovery');
+        $manager->logChange(['type' => 'inline_image_linked', 'rowId' => 3]);
+
+        $scopes = (new ChangeLogExplorer())->getRollbackScopes('mig-s');
+
+        $this->assertEquals(4, $scopes['changeCount']);
+        $this->assertEquals(['discovery', 'consolidate', 'cleanup'], array_column($scopes['phases'], 'phase'));
+        $this->assertEquals([1, 2, 1], array_column($scopes['phases'], 'changeCount'));
+        $this->assertCount(1, $scopes['runs']);
+        $this->assertEquals('sse-1', $scopes['runs'][0]['id']);
+        $this->assertEquals(3, $scopes['runs'][0]['changeCount']);
+    }
+
+    public function testNormalizeFiltersRejectsMalformedValues()
+    {
+        $this->assertEquals(
+            ['migrationId' => 'mig-1', 'assetId' => 42, 'dateFrom' => '2024-01-31'],
+            ChangeLogExplorer::normalizeFilters(['migrationId' => 'mig-1', 'assetId' => '42', 'dateFrom' => '2024-01-31', 'type' => ' ', 'page' => '3'])
+        );
+
+        foreach ([['migrationId' => '../etc'], ['assetId' => '4x'], ['dateTo' => '31/01/2024']] as $input) {
+            try {
+                ChangeLogExplorer::normalizeFilters($input);
+                $this->fail('Expected an exception for ' . json_encode($input));
+            } catch (\InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+
+    public function testMatchesComparesDatesByDay()
+    {
+        $entry = ['type' => 'moved_asset', 'timestamp' => '2024-03-05 23:59:59', 'assetId' => 9];
+
+        $this->assertTrue(ChangeLogExplorer::matches($entry, ['dateFrom' => '2024-03-05', 'dateTo' => '2024-03-05']));
+        $this->assertFalse(ChangeLogExplorer::matches($entry, ['dateFrom' => '2024-03-06']));
+        $this->assertFalse(ChangeLogExplorer::matches($entry, ['assetId' => 8]));
+        $this->assertTrue(ChangeLogExplorer::matches(['action' => 'upgrade_asset_file'], ['type' => 'upgrade_asset_file']));
+    }
+
+    public function testDiffSplitsBeforeAndAfter()
+    {
+        $diff = ChangeLogExplorer::diff([
+            'type' => 'inline_image_linked',
+            'sequence' => 3,
+            'table' => 'content',
+            'column' => 'field_body',
+            'rowId' => 12,
+            'originalContent' => '<img src="old.jpg">',
+            'newContent' => '<img src="{asset:5}">',
+        ]);
+
+        $this->assertEquals(['originalContent' => '<img src="old.jpg">'], $diff['before']);
+        $this->assertEquals(['newContent' => '<img src="{asset:5}">'], $diff['after']);
+        $this->assertEquals(['table' => 'content', 'column' => 'field_body', 'rowId' => 12], $diff['details']);
+
+        // Unknown types fall back to the field naming conventions
+        $diff = ChangeLogExplorer::diff(['type' => 'custom', 'fromPath' => 'a', 'toPath' => 'b', 'note' => 'x']);
+        $this->assertEquals(['fromPath' => 'a'], $diff['before']);
+        $this->assertEquals(['toPath' => 'b'], $diff['after']);
+        $this->assertEquals(['note' => 'x'], $diff['details']);
+    }
+
+    public function testCsvRowsNeutralizeFormulas()
+    {
+        $row = ChangeLogExplorer::toCsvRow([
+            'migrationId' => 'mig-1',
+            'sequence' => 1,
+            'type' => 'moved_asset',
+            'assetId' => 5,
+            'filename' => '=HYPERLINK("x")',
+            'fromVolume' => 1,
+            'fromFolder' => 2,
+        ]);
+
+        $this->assertCount(count(ChangeLogExplorer::CSV_COLUMNS), $row);
+        $this->assertEquals('\'=HYPERLINK("x")', $row[6]);
+        $this->assertEquals('{"fromVolume":1,"fromFolder":2}', $row[7]);
+        $this->assertEquals('reverse', $row[10]);
+    }
+
+    private function removeDirectory($dir)
+    {
+        if (!is_dir($dir)) {
+            return;
+        }
+
+        $items = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator($dir, \FilesystemIterator::SKIP_DOTS),
+            \RecursiveIteratorIterator::CHILD_FIRST
+        );
+
+        foreach ($items as $item) {
+            $item->isDir() ? rmdir($item->getPathname()) : unlink($item->getPathname());
+        }
+
+        rmdir($dir);
+    }
+}
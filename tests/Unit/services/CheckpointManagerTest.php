@@ -107,6 +107,69 @@ class CheckpointManagerTest extends TestCase
         $this->assertEquals('completed', $completedState['status']);
     }
 
+    public function testDescribeCheckpointsListsCheckpointFilesOnly()
+    {
+        $manager = new CheckpointManager('mig-listed');
+        $manager->saveCheckpoint([
+            'migration_id' => 'mig-listed',
+            'phase' => 'fix_links',
+            'batch' => 4,
+            'processed_ids' => [1, 2, 3],
+            'total_count' => 10,
+        ]);
+
+        $checkpoints = CheckpointManager::describeCheckpoints();
+
+        $this->assertCount(1, $checkpoints);
+        $this->assertEquals('mig-listed', $checkpoints[0]['id']);
+        $this->assertEquals('fix_links', $checkpoints[0]['phase']);
+        $this->assertEquals(7, $checkpoints[0]['remaining']);
+        $this->assertTrue($checkpoints[0]['hasQuickState']);
+        $this->assertFalse($checkpoints[0]['stale']);
+    }
+
+    public function testDescribeReportsRemainingWorkAndAge()
+    {
+        $now = 1700000000;
+        $data = [
+            'migration_id' => 'mig-old',
+            'phase' => 'consolidate',
+            'batch' => 12,
+            'processed_ids' => [1, 2],
+            'assetCount' => 5,
+            'created_at' => $now - 80 * 3600 + 0.25,
+        ];
+
+        $checkpoint = CheckpointManager::describe('mig-old', $data, $now, $now);
+
+        $this->assertSame(12, $checkpoint['batch']);
+        $this->assertSame(2, $checkpoint['processed']);
+        $this->assertSame(5, $checkpoint['total']);
+        $this->assertSame(3, $checkpoint['remaining']);
+        $this->assertSame(80 * 3600, $checkpoint['ageSeconds']);
+        $this->assertTrue($checkpoint['stale']);
+        $this->assertFalse($checkpoint['completed']);
+
+        // Without a total or creation time, the remaining work is unknown and the file time is used
+        $checkpoint = CheckpointManager::describe('mig-new', ['phase' => 'complete'], $now - 60, $now);
+
+        $this->assertNull($checkpoint['remaining']);
+        $this->assertSame(60, $checkpoint['ageSeconds']);
+        $this->assertTrue($checkpoint['completed']);
+        $this->assertEquals('mig-new', $checkpoint['migrationId']);
+    }
+
+    public function testDeleteCheckpointRemovesCheckpointAndQuickState()
+    {
+        $manager = new CheckpointManager('mig-delete');
+        $manager->saveCheckpoint(['migration_id' => 'mig-delete', 'phase' => 'quarantine']);
+
+        $this->assertTrue($manager->deleteCheckpoint());
+        $this->assertFileDoesNotExist($this->tempDir . '/migration-checkpoints/mig-delete.json');
+        $this->assertFileDoesNotExist($this->tempDir . '/migration-checkpoints/mig-delete.state.json');
+        $this->assertFalse($manager->deleteCheckpoint());
+    }
+
     private function removeDirectory($dir)
     {
         if (!is_dir($dir)) {
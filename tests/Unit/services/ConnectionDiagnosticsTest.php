@@ -0,0 +1,335 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\interfaces\StorageProviderInterface;
+use csabourin\spaghettiMigrator\models\ConnectionTestResult;
+use csabourin\spaghettiMigrator\models\ObjectIterator;
+use csabourin\spaghettiMigrator\models\ObjectMetadata;
+use csabourin\spaghettiMigrator\models\ProviderCapabilities;
+use csabourin\spaghettiMigrator\services\ConnectionDiagnostics;
+use PHPUnit\Framework\TestCase;
+
+class ConnectionDiagnosticsTest extends TestCase
+{
+    public function testRunProbesWritesReadsBackAndDeletesTheProbeFile(): void
+    {
+        $files = ['photos/a.jpg' => 'jpeg'];
+
+        $probes = ConnectionDiagnostics::runProbes([
+            'list' => fn() => array_keys($files),
+            'read' => function(string $path) use (&$files) {
+                return $files[$path] ?? throw new \RuntimeException("{$path} not found");
+            },
+            'write' => function(string $path, string $content) use (&$files) {
+                $files[$path] = $content;
+            },
+            'delete' => function(string $path) use (&$files) {
+                unset($files[$path]);
+            },
+        ], 'probe.txt', 'Write probes were not requested');
+
+        $this->assertSame(['ok', 'ok', 'ok', 'ok'], array_column($probes, 'status'));
+        $this->assertSame('Read back probe.txt', $probes['read']['detail']);
+        $this->assertIsInt($probes['write']['latencyMs']);
+        $this->assertSame(['photos/a.jpg'], array_keys($files));
+        $this->assertSame('ok', ConnectionDiagnostics::overallStatus($probes));
+    }
+
+    public function testRunProbesOnlyReadsWithoutWriteOperations(): void
+    {
+        $probes = ConnectionDiagnostics::runProbes([
+            'list' => fn() => ['huge.tif'],
+            'read' => fn() => null,
+        ], 'probe.txt', 'The source is never written to');
+
+        $this->assertSame('skipped', $probes['write']['status']);
+        $this->assertSame('The source is never written to', $probes['delete']['detail']);
+        $this->assertSame('Read the metadata of huge.tif (too large to download)', $probes['read']['detail']);
+        $this->assertSame('ok', ConnectionDiagnostics::overallStatus($probes));
+
+        $empty = ConnectionDiagnostics::runProbes(['list' => fn() => [], 'read' => fn() => ''], 'probe.txt', 'Skipped');
+        $this->assertSame('skipped', $empty['read']['status']);
+        $this->assertSame('warning', ConnectionDiagnostics::overallStatus($empty));
+    }
+
+    public function testFailedProbesCarryAHint(): void
+    {
+        $probes = ConnectionDiagnostics::runProbes([
+            'list' => fn() => throw new \RuntimeException('Error executing "ListObjectsV2": InvalidAccessKeyId'),
+            'read' => fn() => '',
+            'write' => fn() => throw new \RuntimeException('cURL error 28: Operation timed out after 30001 milliseconds'),
+        ], 'probe.txt', 'Skipped');
+
+        $this->assertSame('failed', $probes['list']['status']);
+        $this->assertStringContainsString('access key', $probes['list']['hint']);
+        $this->assertStringContainsString('timed out', $probes['write']['hint']);
+        $this->assertSame('skipped', $probes['delete']['status']);
+        $this->assertSame('failed', ConnectionDiagnostics::overallStatus($probes));
+    }
+
+    public function testHintFor(): void
+    {
+        $this->assertStringContainsString('bucket name', ConnectionDiagnostics::hintFor('NoSuchBucket: The specified bucket does not exist'));
+        $this->assertStringContainsString('region', ConnectionDiagnostics::hintFor('PermanentRedirect: use the specified endpoint'));
+        $this->assertStringContainsString('clock', ConnectionDiagnostics::hintFor('RequestTimeTooSkewed'));
+        $this->assertStringContainsString('DNS', ConnectionDiagnostics::hintFor('cURL error 6: Could not resolve host: nyc3.example.com'));
+        $this->assertNull(ConnectionDiagnostics::hintFor('Something unexpected'));
+    }
+
+    public function testDiagnoseProviderNeverWritesToTheSource(): void
+    {
+        $capabilities = new ProviderCapabilities();
+        $capabilities->supportsMultipartUpload = true;
+        $capabilities->supportsServerSideCopy = true;
+
+        $provider = $this->provider($capabilities, ['images/a.jpg', 'images/b.jpg']);
+
+        $report = ConnectionDiagnostics::diagnoseProvider('source', $provider, ['baseUrl' => 'https://legacy-assets.s3.amazonaws.com'], true);
+
+        $this->assertSame('ok', $report['status']);
+        $this->assertSame('ca-central-1', $report['region']);
+        $this->assertSame('https://legacy-assets.s3.amazonaws.com', $report['endpoint']);
+        $this->assertSame('2 object(s) listed', $report['probes']['list']['detail']);
+        $this->assertSame('Read images/a.jpg', $report['probes']['read']['detail']);
+        $this->assertSame('skipped', $report['probes']['write']['status']);
+        $this->assertTrue($report['capabilities']['multipartUpload']);
+        $this->assertTrue($report['capabilities']['serverSideCopy']);
+        $this->assertFalse($report['capabilities']['acls']);
+        $this->assertNull($report['capabilities']['maxFileSize']);
+        $this->assertSame([], $provider->writes);
+    }
+
+    public function testSourceVolumesAreNeverWrittenTo(): void
+    {
+        $volumes = [
+            'legacy' => $this->volume('legacy-assets'),
+            'shared' => $this->volume('legacy-assets'),
+            'images' => $this->volume('new-assets'),
+        ];
+        $providers = [
+            ['role' => 'source', 'bucket' => 'legacy-assets', 'capabilities' => ['acls' => true]],
+            ['role' => 'target', 'bucket' => 'new-assets', 'capabilities' => ['acls' => false]],
+        ];
+
+        $app = \Craft::$app;
+        $previous = $app->volumes;
+        $app->volumes = new class($volumes) {
+            public function __construct(private array $volumes)
+            {
+            }
+
+            public function getVolumeByHandle(string $handle): ?object
+            {
+                return $this->volumes[$handle] ?? null;
+            }
+        };
+
+        $diagnostics = new ConnectionDiagnostics();
+        $diagnoseVolume = new \ReflectionMethod($diagnostics, 'diagnoseVolume');
+        $diagnoseVolume->setAccessible(true);
+
+        try {
+            $legacy = $diagnoseVolume->invoke($diagnostics, 'legacy', $providers, ['legacy'], true);
+            $shared = $diagnoseVolume->invoke($diagnostics, 'shared', $providers, ['legacy'], true);
+            $images = $diagnoseVolume->invoke($diagnostics, 'images', $providers, ['legacy'], true);
+        } finally {
+            $app->volumes = $previous;
+        }
+
+        $this->assertSame('source', $legacy['storage']);
+        $this->assertSame('Source volumes are never written to', $legacy['probes']['write']['detail']);
+        $this->assertSame('Read images/a.jpg', $legacy['probes']['read']['detail']);
+        $this->assertSame([], $volumes['legacy']->getFs()->writes);
+
+        $this->assertSame('skipped', $shared['probes']['delete']['status']);
+        $this->assertSame([], $volumes['shared']->getFs()->writes);
+
+        $this->assertSame('target', $images['storage']);
+        $this->assertSame(['ok', 'ok', 'ok', 'ok'], array_column($images['probes'], 'status'));
+        $this->assertSame(['acls' => false], $images['capabilities']);
+        $this->assertCount(2, $volumes['images']->getFs()->writes);
+    }
+
+    /**
+     * A volume on an S3 filesystem holding one image, recording every write and delete
+     */
+    private function volume(string $bucket): object
+    {
+        $fs = new class($bucket) {
+            public ?string $handle = 'fs';
+            public ?string $subfolder = null;
+            public array $writes = [];
+            private array $files = ['images/a.jpg' => 'jpeg'];
+
+            public function __construct(public string $bucket)
+            {
+            }
+
+            public function canGetProperty(string $name): bool
+            {
+                return property_exists($this, $name);
+            }
+
+            public function getFileList(string $directory, bool $recursive): array
+            {
+                return array_map(fn(string $path) => new class($path) {
+                    public function __construct(private string $path)
+                    {
+                    }
+
+                    public function getIsDir(): bool
+                    {
+                        return false;
+                    }
+
+                    public function getUri(): string
+                    {
+                        return $this->path;
+                    }
+                }, array_keys($this->files));
+            }
+
+            public function getFileSize(string $path): int
+            {
+                return strlen($this->files[$path]);
+            }
+
+            public function read(string $path): string
+            {
+                return $this->files[$path];
+            }
+
+            public function write(string $path, string $content, array $config): void
+            {
+                $this->writes[] = $path;
+                $this->files[$path] = $content;
+            }
+
+            public function deleteFile(string $path): void
+            {
+                $this->writes[] = $path;
+                unset($this->files[$path]);
+            }
+        };
+
+        return new class($fs) {
+            public string $name = 'Images';
+
+            public function __construct(private object $fs)
+            {
+            }
+
+            public function getFs(): object
+            {
+                return $this->fs;
+            }
+        };
+    }
+
+    /**
+     * A read-only S3 source that records every write and delete
+     */
+    private function provider(ProviderCapabilities $capabilities, array $paths): StorageProviderInterface
+    {
+        return new class($capabilities, $this->iterator($paths)) implements StorageProviderInterface {
+            public array $writes = [];
+
+            public function __construct(private ProviderCapabilities $capabilities, private ObjectIterator $objects)
+            {
+            }
+
+            public function getProviderName(): string
+            {
+                return 's3';
+            }
+
+            public function getCapabilities(): ProviderCapabilities
+            {
+                return $this->capabilities;
+            }
+
+            public function testConnection(): ConnectionTestResult
+            {
+                return ConnectionTestResult::success();
+            }
+
+            public function listObjects(string $path = '', array $options = []): ObjectIterator
+            {
+                return $this->objects;
+            }
+
+            public function readObject(string $path): mixed
+            {
+                return 'jpeg';
+            }
+
+            public function writeObject(string $path, mixed $content, array $metadata = []): bool
+            {
+                $this->writes[] = $path;
+                return true;
+            }
+
+            public function copyObject(string $sourcePath, StorageProviderInterface $targetProvider, string $targetPath): bool
+            {
+                $this->writes[] = $targetPath;
+                return true;
+            }
+
+            public function deleteObject(string $path): bool
+            {
+                $this->writes[] = $path;
+                return true;
+            }
+
+            public function getObjectMetadata(string $path): ObjectMetadata
+            {
+                return new ObjectMetadata($path, 2048, new \DateTime());
+            }
+
+            public function getPublicUrl(string $path): string
+            {
+                return "https://legacy-assets.s3.amazonaws.com/{$path}";
+            }
+
+            public function objectExists(string $path): bool
+            {
+                return true;
+            }
+
+            public function getUrlPattern(): string
+            {
+                return 'https://legacy-assets.s3.amazonaws.com/{path}';
+            }
+
+            public function getRegion(): ?string
+            {
+                return 'ca-central-1';
+            }
+
+            public function getBucket(): string
+            {
+                return 'legacy-assets';
+            }
+        };
+    }
+
+    private function iterator(array $paths): ObjectIterator
+    {
+        return new class($paths) extends ObjectIterator {
+            private array $paths;
+
+            public function __construct(array $paths)
+            {
+                parent::__construct();
+                $this->paths = $paths;
+            }
+
+            protected function fetchNextBatch(): void
+            {
+                $this->objects = array_map(fn($path) => new ObjectMetadata($path, 2048, new \DateTime()), $this->paths);
+                $this->complete = true;
+            }
+        };
+    }
+}
@@ -0,0 +1,93 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\ConsoleOptionsInspector;
+use PHPUnit\Framework\TestCase;
+
+class ConsoleOptionsInspectorTest extends TestCase
+{
+    public function testActionParametersBecomeTypedArguments(): void
+    {
+        $definition = (new ConsoleOptionsInspector())->getCommandDefinition('fs-diag/list-fs');
+
+        $this->assertNotNull($definition);
+        $arguments = array_column($definition['arguments'], null, 'name');
+
+        $this->assertSame(['fsHandle', 'path', 'recursive', 'limit'], array_keys($arguments));
+        $this->assertTrue($arguments['fsHandle']['required']);
+        $this->assertSame('string', $arguments['fsHandle']['type']);
+        $this->assertFalse($arguments['recursive']['required']);
+        $this->assertSame('boolean', $arguments['recursive']['type']);
+        $this->assertSame('integer', $arguments['limit']['type']);
+
+        // Options shadowed by action parameters are not offered twice
+        $this->assertNotContains('path', array_column($definition['options'], 'name'));
+    }
+
+    public function testManagedOptionsAreHiddenFromTheForm(): void
+    {
+        $definition = (new ConsoleOptionsInspector())->getCommandDefinition('image-migration/migrate');
+
+        $this->assertNotNull($definition);
+        $options = array_column($definition['options'], null, 'name');
+
+        $this->assertArrayHasKey('skipBackup', $options);
+        $this->assertArrayHasKey('resume', $options);
+        $this->assertSame('boolean', $options['resume']['type']);
+        $this->assertFalse($options['resume']['default']);
+
+        foreach (['dryRun', 'yes', 'migrationId', 'interactive', 'color'] as $managed) {
+            $this->assertArrayNotHasKey($managed, $options);
+        }
+    }
+
+    public function testUnknownCommandsHaveNoDefinition(): void
+    {
+        $inspector = new ConsoleOptionsInspector();
+
+        $this->assertNull($inspector->getCommandDefinition('missing-controller/run'));
+        $this->assertNull($inspector->getCommandDefinition('../etc/passwd'));
+
+        $result = $inspector->validateInput('missing-controller/run', [], ['force' => '1']);
+        $this->assertNotEmpty($result['errors']);
+    }
+
+    public function testValidateInputFillsSkippedArgumentsAndDropsDefaultOptions(): void
+    {
+        $inspector = new ConsoleOptionsInspector();
+
+        $result = $inspector->validateInput('fs-diag/list-fs', ['fsHandle' => 'images', 'limit' => '50'], []);
+        $this->assertSame([], $result['errors']);
+        $this->assertSame(['images', '', '1', '50'], $result['arguments']);
+
+        $result = $inspector->validateInput('image-migration/migrate', [], ['resume' => 'true', 'skipBackup' => '0']);
+        $this->assertSame([], $result['errors']);
+        $this->assertSame(['resume' => '1'], $result['options']);
+    }
+
+    public function testValidateInputReportsInvalidValues(): void
+    {
+        $inspector = new ConsoleOptionsInspector();
+
+        $result = $inspector->validateInput('fs-diag/list-fs', ['limit' => 'many', 'extra' => 'x'], ['force' => '1']);
+
+        $this->assertContains('Fs handle is required', $result['errors']);
+        $this->assertContains('Limit must be a whole number', $result['errors']);
+        $this->assertContains('Unknown argument: extra', $result['errors']);
+        $this->assertContains('Unknown option: force', $result['errors']);
+
+        $result = $inspector->validateInput('fs-diag/list-fs', ['fsHandle' => "images\n--yes"], []);
+        $this->assertNotEmpty($result['errors']);
+    }
+
+    public function testFormatCommandLineQuotesShellSensitiveValues(): void
+    {
+        $inspector = new ConsoleOptionsInspector();
+
+        $this->assertSame(
+            "./craft spaghetti-migrator/fs-diag/search-fs images 'my file.jpg' --limit=5",
+            $inspector->formatCommandLine('fs-diag/search-fs', ['images', 'my file.jpg', '--limit=5'])
+        );
+    }
+}
@@ -63,4 +63,19 @@ class MigrationLockTest extends TestCase
 
         $this->assertNotEquals($before, $after);
     }
+
+    public function testGetActiveLockReportsTheHolder()
+    {
+        $this->assertNull(MigrationLock::getActiveLock());
+
+        $lock = new MigrationLock('mig-5');
+        $lock->acquire(1);
+
+        $active = MigrationLock::getActiveLock();
+        $this->assertEquals('mig-5', $active['migrationId']);
+        $this->assertStringEndsWith(':' . getmypid(), $active['lockedBy']);
+
+        $lock->release();
+        $this->assertNull(MigrationLock::getActiveLock());
+    }
 }
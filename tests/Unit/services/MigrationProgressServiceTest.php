@@ -70,4 +70,144 @@ class MigrationProgressServiceTest extends TestCase
         $this->assertContains('module-a', $failedState['failedModules']);
         $this->assertSame('boom', $failedState['moduleStates']['module-a']['error']);
     }
+
+    public function testUpdateModuleStatusCancelledClearsRunningState(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+
+        $service->updateModuleStatus('module-a', 'running');
+        $service->updateModuleStatus('module-a', 'cancelled', 'Cancelled by user');
+        $state = $service->getState();
+
+        $this->assertNotContains('module-a', $state['runningModules']);
+        $this->assertNotContains('module-a', $state['completedModules']);
+        $this->assertNotContains('module-a', $state['failedModules']);
+        $this->assertSame('cancelled', $state['moduleStates']['module-a']['status']);
+        $this->assertSame('Cancelled by user', $state['moduleStates']['module-a']['error']);
+    }
+
+    public function testAttachMigrationRecordsRunForReattach(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+
+        $service->updateModuleStatus('image-migration', 'failed', 'boom');
+        $service->attachMigration('image-migration', 'sse-123-abc', 'image-migration/migrate', 'alice');
+        $state = $service->getState();
+
+        $this->assertContains('image-migration', $state['runningModules']);
+        $this->assertNotContains('image-migration', $state['failedModules']);
+        $this->assertSame('sse-123-abc', $state['moduleStates']['image-migration']['migrationId']);
+        $this->assertSame('image-migration/migrate', $state['moduleStates']['image-migration']['command']);
+
+        // A late "running" update from the browser must not drop the attached run
+        $service->updateModuleStatus('image-migration', 'running');
+        $state = $service->getState();
+        $this->assertSame('sse-123-abc', $state['moduleStates']['image-migration']['migrationId']);
+        $this->assertSame('alice', $state['moduleStates']['image-migration']['startedBy']);
+    }
+
+    public function testAttachMigrationRecordsTheAcknowledgement(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+        $acknowledgement = [
+            'phrase' => 'prod-assets',
+            'userId' => 1,
+            'username' => 'alice',
+            'at' => '2023-11-14T22:10:00+00:00',
+            'checks' => ['migration-check' => 'ok', 'backup' => 'warning'],
+        ];
+
+        $service->attachMigration('image-migration', 'sse-123-abc', 'image-migration/migrate', 'alice', $acknowledgement);
+        $service->updateModuleStatus('image-migration', 'running');
+
+        $state = $service->getState();
+        $this->assertSame($acknowledgement, $state['moduleStates']['image-migration']['acknowledgement']);
+
+        // The audit history keeps it after the run ends
+        $service->updateModuleStatus('image-migration', 'completed');
+        $entry = $service->getHistory('image-migration')[0];
+        $this->assertSame('acknowledge', $entry['action']);
+        $this->assertSame('sse-123-abc', $entry['migrationId']);
+        $this->assertSame('alice', $entry['username']);
+        $this->assertSame('warning', $entry['checks']['backup']);
+    }
+
+    public function testUpdateModuleStatusSupportsSkippedAndPending(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+
+        $service->updateModuleStatus('url-replacement', 'failed', 'timeout');
+        $service->updateModuleStatus('url-replacement', 'skipped', 'timeout');
+        $state = $service->getState();
+        $this->assertNotContains('url-replacement', $state['failedModules']);
+        $this->assertSame('skipped', $state['moduleStates']['url-replacement']['status']);
+        $this->assertArrayHasKey('skippedAt', $state['moduleStates']['url-replacement']);
+        $this->assertArrayHasKey('updatedAt', $state['moduleStates']['url-replacement']);
+
+        $service->updateModuleStatus('url-replacement', 'pending');
+        $state = $service->getState();
+        $this->assertSame('pending', $state['moduleStates']['url-replacement']['status']);
+
+        $this->assertFalse($service->updateModuleStatus('url-replacement', 'bogus'));
+    }
+
+    public function testResetModuleRecordsAuditTrail(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+
+        $service->updateModuleStatus('migration-diag', 'completed');
+        $entry = $service->resetModule('migration-diag', 'rerun', 'Fixed volume config', ['id' => 1, 'username' => 'admin']);
+
+        $this->assertNotNull($entry);
+        $this->assertSame('completed', $entry['previousStatus']);
+        $this->assertSame('admin', $entry['username']);
+
+        $state = $service->getState();
+        $this->assertNotContains('migration-diag', $state['completedModules']);
+        $this->assertSame('pending', $state['moduleStates']['migration-diag']['status']);
+        $this->assertSame('Fixed volume config', $state['moduleStates']['migration-diag']['resetReason']);
+
+        // Later status updates keep the audit trail
+        $service->updateModuleStatus('migration-diag', 'running');
+        $history = $service->getHistory('migration-diag');
+        $this->assertCount(1, $history);
+        $this->assertSame('rerun', $history[0]['action']);
+        $this->assertSame([], $service->getHistory('other-module'));
+    }
+
+    public function testSavePipelineSurvivesModuleUpdatesAndCanBeCleared(): void
+    {
+        $service = new MigrationProgressService($this->storageDir);
+
+        $this->assertTrue($service->savePipeline([
+            'id' => 'pipeline-1',
+            'scope' => 'phase',
+            'phase' => '2',
+            'dryRunFirst' => 1,
+            'status' => 'running',
+            'currentStep' => 7,
+            'steps' => [
+                ['moduleId' => 'url-replacement', 'command' => 'url-replacement/replace-s3-urls', 'status' => 'dry-run', 'extra' => 'dropped'],
+                ['moduleId' => 'url-replacement-verify', 'status' => 'bogus'],
+                ['command' => 'no-module-id'],
+            ],
+        ]));
+
+        $service->updateModuleStatus('url-replacement', 'running');
+        $pipeline = $service->getState()['pipeline'];
+
+        $this->assertSame('pipeline-1', $pipeline['id']);
+        $this->assertSame('phase', $pipeline['scope']);
+        $this->assertSame(2, $pipeline['phase']);
+        $this->assertTrue($pipeline['dryRunFirst']);
+        $this->assertSame(2, $pipeline['currentStep']);
+        $this->assertCount(2, $pipeline['steps']);
+        $this->assertSame('dry-run', $pipeline['steps'][0]['status']);
+        $this->assertArrayNotHasKey('extra', $pipeline['steps'][0]);
+        $this->assertSame('queued', $pipeline['steps'][1]['status']);
+
+        $this->assertTrue($service->savePipeline(null));
+        $this->assertNull($service->getState()['pipeline']);
+        $this->assertSame('running', $service->getState()['moduleStates']['url-replacement']['status']);
+    }
 }
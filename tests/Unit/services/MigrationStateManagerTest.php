@@ -0,0 +1,88 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use Craft;
+use csabourin\spaghettiMigrator\services\MigrationProgressService;
+use csabourin\spaghettiMigrator\services\MigrationStateManager;
+use PHPUnit\Framework\TestCase;
+
+class MigrationStateManagerTest extends TestCase
+{
+    private string $logFile;
+
+    private MigrationStateManager $manager;
+
+    protected function setUp(): void
+    {
+        $this->logFile = sys_get_temp_dir() . '/sse-test-' . uniqid() . '.log';
+        $this->manager = new MigrationStateManager(new MigrationProgressService(sys_get_temp_dir()));
+    }
+
+    protected function tearDown(): void
+    {
+        @unlink($this->logFile);
+    }
+
+    public function testReadingResumesAfterTheOutputWasTruncated(): void
+    {
+        // Well past the 50KB the persisted output is cut down to
+        $lines = array_map(fn(int $i) => sprintf('Processed asset %05d of 3000 (images/photo-%05d.jpg)', $i, $i), range(1, 2000));
+        file_put_contents($this->logFile, implode("\n", $lines) . "\n");
+        $this->assertGreaterThan(100000, filesize($this->logFile));
+
+        $read = $this->manager->readLogLinesFrom($this->logFile, 0);
+        $this->assertCount(2000, $read);
+        $offset = $read[1499]['offset'];
+
+        file_put_contents($this->logFile, implode("\n", array_map(fn(int $i) => "Processed asset {$i} of 3000", range(2001, 2010))) . "\nUploading 50%", FILE_APPEND);
+
+        $resumed = $this->manager->readLogLinesFrom($this->logFile, $offset);
+        $this->assertSame($lines[1500], $resumed[0]['line']);
+        $this->assertCount(510, $resumed);
+        $this->assertSame('Processed asset 2010 of 3000', $resumed[509]['line']);
+
+        // The line still being written comes with the next read, once complete
+        file_put_contents($this->logFile, "\rUploading 100%\r\n", FILE_APPEND);
+        $next = $this->manager->readLogLinesFrom($this->logFile, $resumed[509]['offset']);
+        $this->assertSame([['line' => "Uploading 50%\rUploading 100%", 'offset' => filesize($this->logFile)]], $next);
+
+        $this->assertSame([], $this->manager->readLogLinesFrom($this->logFile, filesize($this->logFile)));
+    }
+
+    public function testBlankLinesAreSkippedAndMissingFilesReadNothing(): void
+    {
+        file_put_contents($this->logFile, "first\n\n   \nsecond\n");
+
+        $this->assertSame(['first', 'second'], array_column($this->manager->readLogLinesFrom($this->logFile, 0), 'line'));
+        $this->assertSame([], $this->manager->readLogLinesFrom($this->logFile . '.missing', 0));
+    }
+
+    public function testOnlyRunsOfThePluginHaveALogFile(): void
+    {
+        $storage = sys_get_temp_dir() . '/storage-' . uniqid();
+        mkdir($storage . '/logs', 0777, true);
+        Craft::setAlias('@storage', $storage);
+
+        $names = ['web.log', 'console.log', 'queue.log', 'queue-2024-01-01.log', 'sse-sse-1700000000-65a1b2c3d4e5f.log', 'queue-1700000000-65a1b2c3d4e60.log'];
+        foreach ($names as $name) {
+            file_put_contents($storage . '/logs/' . $name, "line\n");
+        }
+
+        try {
+            $this->assertSame($storage . '/logs/sse-sse-1700000000-65a1b2c3d4e5f.log', $this->manager->getMigrationLogFile('sse-1700000000-65a1b2c3d4e5f'));
+            $this->assertSame($storage . '/logs/queue-1700000000-65a1b2c3d4e60.log', $this->manager->getMigrationLogFile('queue-1700000000-65a1b2c3d4e60'));
+
+            // Craft's own logs
+            foreach (['web', 'console', 'queue', 'queue-2024-01-01', '../logs/web'] as $migrationId) {
+                $this->assertNull($this->manager->getMigrationLogFile($migrationId), $migrationId);
+            }
+        } finally {
+            foreach ($names as $name) {
+                unlink($storage . '/logs/' . $name);
+            }
+            rmdir($storage . '/logs');
+            rmdir($storage);
+        }
+    }
+}
@@ -3,6 +3,7 @@
 namespace csabourin\spaghettiMigrator\tests\Unit\services;
 
 use csabourin\spaghettiMigrator\services\ModuleDefinitionProvider;
+use csabourin\spaghettiMigrator\services\PreflightService;
 use PHPUnit\Framework\TestCase;
 use ReflectionMethod;
 
@@ -49,6 +50,188 @@ class ModuleDefinitionProviderTest extends TestCase
             }
         }
     }
+
+    public function testWorkflowGraphIsAcyclicAndOrdersDependencies(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+        $graph = $provider->getWorkflowGraph();
+
+        $this->assertSame(['switch-to-do'], $graph['modules']['image-migration']['requires']);
+        $this->assertSame(['migration-check'], $graph['modules']['switch-to-do']['requires']);
+        $this->assertNotEmpty($graph['phases']);
+        $this->assertCount(count($graph['modules']), $graph['order']);
+
+        $position = array_flip($graph['order']);
+        foreach ($graph['modules'] as $id => $module) {
+            foreach (array_merge($module['requires'], $module['recommendedAfter']) as $dependency) {
+                $this->assertLessThan($position[$id], $position[$dependency], "{$dependency} should come before {$id}");
+            }
+        }
+    }
+
+    public function testPipelineModulesAreRunnableAndIncludeCriticalSteps(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+        $modules = $provider->getWorkflowGraph()['modules'];
+
+        $pipelineModules = array_keys(array_filter($modules, fn($module) => $module['pipeline']));
+
+        $this->assertContains('switch-to-do', $pipelineModules);
+        $this->assertContains('image-migration', $pipelineModules);
+        $this->assertNotContains('switch-to-aws', $pipelineModules);
+
+        foreach ($pipelineModules as $id) {
+            $this->assertNotEmpty($modules[$id]['command'], "{$id} has no command");
+        }
+    }
+
+    public function testPreflightConfirmsTheModulesWithAConfirmation(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+        $modules = $provider->getWorkflowGraph()['modules'];
+
+        $confirmed = array_filter($modules, fn($module) => $module['confirmation'] !== null);
+
+        $this->assertSame(['switch-to-do', 'image-migration'], array_keys($confirmed));
+        $this->assertSame(array_column($confirmed, 'command'), $provider->getConfirmedCommands());
+        $this->assertSame(['filesystem-switch/to-do', 'image-migration/migrate'], (new PreflightService(null, $provider))->getConfirmedCommands());
+        $this->assertStringContainsString('DigitalOcean Spaces', $confirmed['switch-to-do']['confirmation']['message']);
+    }
+
+    public function testWordingFollowsTheConfiguredProviders(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeProviderConfig());
+        $graph = $provider->getWorkflowGraph();
+        $modules = $graph['modules'];
+
+        $this->assertSame('Wasabi', $graph['providers']['source']['name']);
+        $this->assertSame('Cloudflare R2', $graph['providers']['target']['name']);
+        $this->assertArrayNotHasKey('filesystem-fix', $modules);
+        $this->assertStringContainsString('Cloudflare R2', $modules['switch-to-do']['title']);
+        $this->assertStringContainsString('Wasabi', $modules['switch-to-aws']['title']);
+
+        foreach (['switch-to-do', 'image-migration'] as $id) {
+            $this->assertStringContainsString('Cloudflare R2', $modules[$id]['confirmation']['message']);
+        }
+
+        foreach ($provider->getModuleDefinitions() as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                $text = $module['title'] . ' ' . ($module['description'] ?? '') . ' ' . ($module['confirmation']['message'] ?? '');
+                $this->assertStringNotContainsString('DigitalOcean', $text, "{$module['id']} still names DigitalOcean");
+
+                if ($module['id'] === 'install-plugin') {
+                    $this->assertStringContainsString('craftcms/aws-s3', $module['description']);
+                }
+            }
+        }
+    }
+
+    public function testSettingsAndEndpointCopyComesFromTheProviderLabels(): void
+    {
+        $modules = [];
+        foreach ((new ModuleDefinitionProvider(new FakeConfig()))->getModuleDefinitions() as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                $modules[$module['id']] = $module;
+            }
+        }
+
+        $this->assertStringContainsString('Spaghetti Migrator → Plugin Settings', $modules['env-config']['description']);
+        $this->assertStringContainsString('• AWS Source Bucket<br>', $modules['env-config']['description']);
+        $this->assertStringContainsString('• DO Spaces Base Endpoint (e.g., tor1.digitaloceanspaces.com)', $modules['env-config']['description']);
+        $this->assertStringContainsString('Configure the DO Spaces remote:<br><code>rclone config create prod-medias', $modules['install-rclone']['description']);
+        $this->assertSame('Fix DO Spaces Endpoints', $modules['filesystem-fix']['title']);
+    }
+
+    public function testConfirmationMarkupEscapesProviderNames(): void
+    {
+        // The dashboard renders confirmation messages as trusted markup
+        $modules = (new ModuleDefinitionProvider(new FakeHostileProviderConfig()))->getWorkflowGraph()['modules'];
+
+        $this->assertStringContainsString('&lt;script&gt;', $modules['switch-to-do']['confirmation']['message']);
+
+        foreach (['switch-to-do', 'image-migration'] as $id) {
+            $confirmation = $modules[$id]['confirmation'];
+            $this->assertStringNotContainsString('<img', $confirmation['message']);
+            $this->assertStringNotContainsString('<script', $confirmation['message']);
+            $this->assertStringContainsString('&lt;img', $confirmation['message']);
+            $this->assertStringNotContainsString('&amp;lt;', $confirmation['message']);
+        }
+
+        // Titles are text, escaped once where they are rendered; descriptions are markup
+        $this->assertStringStartsWith('Switch to <img', $modules['switch-to-do']['title']);
+
+        foreach ((new ModuleDefinitionProvider(new FakeHostileProviderConfig()))->getModuleDefinitions() as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                $this->assertStringNotContainsString('<img', $module['description'] ?? '', $module['id']);
+                $this->assertStringNotContainsString('<script', $module['description'] ?? '', $module['id']);
+            }
+        }
+    }
+
+    public function testConfirmationMessagesOnlyCarryTheirOwnTags(): void
+    {
+        // Every value interpolated into a confirmation message must be escaped: the dashboard trusts the rest
+        $checked = 0;
+
+        foreach ((new ModuleDefinitionProvider(new FakeHostileProviderConfig()))->getModuleDefinitions() as $phase) {
+            foreach ($phase['modules'] ?? [] as $module) {
+                if (!isset($module['confirmation'])) {
+                    continue;
+                }
+
+                $text = str_replace(['<strong>', '</strong>', '<br/>'], '', $module['confirmation']['message']);
+                $this->assertStringNotContainsString('<', $text, $module['id']);
+                $this->assertStringNotContainsString('>', $text, $module['id']);
+                $checked++;
+            }
+        }
+
+        $this->assertGreaterThan(0, $checked);
+    }
+
+    public function testWorkflowGraphRejectsCycles(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+
+        $this->expectException(\LogicException::class);
+        $this->expectExceptionMessage('a → b → a');
+
+        $provider->getWorkflowGraph([
+            [
+                'id' => 'phase',
+                'phase' => 0,
+                'modules' => [
+                    ['id' => 'a', 'title' => 'A', 'requires' => ['b']],
+                    ['id' => 'b', 'title' => 'B', 'recommendedAfter' => ['a']],
+                ],
+            ],
+        ]);
+    }
+
+    public function testWorkflowGraphRejectsUnknownDependencies(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+
+        $this->expectException(\InvalidArgumentException::class);
+
+        $provider->getWorkflowGraph([
+            [
+                'id' => 'phase',
+                'phase' => 0,
+                'modules' => [
+                    ['id' => 'a', 'title' => 'A', 'requires' => ['missing']],
+                ],
+            ],
+        ]);
+    }
+
+    public function testFindDependencyCycleReturnsNullForDag(): void
+    {
+        $provider = new ModuleDefinitionProvider(new FakeConfig());
+
+        $this->assertNull($provider->findDependencyCycle(['a' => [], 'b' => ['a'], 'c' => ['a', 'b']]));
+        $this->assertSame(['c', 'c'], $provider->findDependencyCycle(['c' => ['c']]));
+    }
 }
 
 class FakeConfig
@@ -133,3 +316,29 @@ class FakeConfig
         return $default;
     }
 }
+
+class FakeProviderConfig extends FakeConfig
+{
+    public function getSourceProvider(): array
+    {
+        return ['type' => 'wasabi', 'config' => ['bucket' => 'wasabi-assets', 'region' => 'us-east-1']];
+    }
+
+    public function getTargetProvider(): array
+    {
+        return ['type' => 'cloudflare-r2', 'config' => ['bucket' => 'r2-assets', 'accountId' => 'abc123']];
+    }
+}
+
+class FakeHostileProviderConfig extends FakeConfig
+{
+    public function getSourceProvider(): array
+    {
+        return ['type' => '<script>alert(1)</script>', 'config' => ['bucket' => 'assets']];
+    }
+
+    public function getTargetProvider(): array
+    {
+        return ['type' => '<img src=x onerror=alert(1)>', 'config' => ['bucket' => 'assets']];
+    }
+}
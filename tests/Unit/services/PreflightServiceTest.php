@@ -0,0 +1,119 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\ConnectionDiagnostics;
+use csabourin\spaghettiMigrator\services\MigrationProgressService;
+use csabourin\spaghettiMigrator\services\ModuleDefinitionProvider;
+use csabourin\spaghettiMigrator\services\PreflightService;
+use PHPUnit\Framework\TestCase;
+
+class PreflightServiceTest extends TestCase
+{
+    private const NOW = 1700000000;
+
+    private string $backupDir;
+
+    protected function setUp(): void
+    {
+        $this->backupDir = sys_get_temp_dir() . '/preflight-backups-' . uniqid();
+        mkdir($this->backupDir);
+    }
+
+    protected function tearDown(): void
+    {
+        array_map('unlink', glob($this->backupDir . '/*'));
+        rmdir($this->backupDir);
+    }
+
+    public function testOnlyRealRunsOfModulesWithAConfirmationNeedOne(): void
+    {
+        $modules = new class(new \stdClass()) extends ModuleDefinitionProvider {
+            public function getModuleDefinitions(): array
+            {
+                return [[
+                    'id' => 'switch',
+                    'modules' => [
+                        ['id' => 'switch-to-do', 'command' => 'filesystem-switch/to-do', 'confirmation' => ['title' => 'Confirm', 'message' => 'Sure?']],
+                        ['id' => 'switch-to-aws', 'command' => 'filesystem-switch/to-aws', 'confirmation' => null],
+                    ],
+                ]];
+            }
+        };
+        $preflight = new PreflightService(new MigrationProgressService(sys_get_temp_dir()), $modules);
+
+        $this->assertSame(['filesystem-switch/to-do'], $preflight->getConfirmedCommands());
+        $this->assertTrue($preflight->requiresConfirmation('filesystem-switch/to-do', false));
+        $this->assertFalse($preflight->requiresConfirmation('filesystem-switch/to-do', true));
+        $this->assertFalse($preflight->requiresConfirmation('filesystem-switch/to-aws', false));
+    }
+
+    public function testMatchesPhrase(): void
+    {
+        $this->assertTrue(PreflightService::matchesPhrase('prod-assets', ' prod-assets '));
+        $this->assertFalse(PreflightService::matchesPhrase('prod-assets', 'PROD-ASSETS'));
+        $this->assertFalse(PreflightService::matchesPhrase('', ''));
+    }
+
+    public function testEvaluateModuleRun(): void
+    {
+        $completed = PreflightService::evaluateModuleRun('migration-check', 'Pre-flight checks', [
+            'status' => 'completed',
+            'completedAt' => '2023-11-14T20:00:00+00:00',
+        ], true);
+        $this->assertSame('ok', $completed['status']);
+        $this->assertSame('2023-11-14T20:00:00+00:00', $completed['at']);
+
+        $failed = PreflightService::evaluateModuleRun('migration-check', 'Pre-flight checks', ['status' => 'failed', 'error' => 'rclone missing'], false);
+        $this->assertSame('error', $failed['status']);
+        $this->assertStringContainsString('rclone missing', $failed['detail']);
+
+        // Completed modules without a module state (older state files) still count
+        $this->assertSame('ok', PreflightService::evaluateModuleRun('volume-config', 'Volume configuration', null, true)['status']);
+        $this->assertSame('warning', PreflightService::evaluateModuleRun('volume-config', 'Volume configuration', null, false)['status']);
+    }
+
+    public function testEvaluateConnectionReportsTheTargetProbes(): void
+    {
+        $listed = ConnectionDiagnostics::runProbes([
+            'list' => fn() => ['images/a.jpg'],
+            'read' => fn() => 'jpeg',
+        ], 'probe.txt', 'Write probes were not requested');
+
+        $ok = PreflightService::evaluateConnection(['status' => ConnectionDiagnostics::overallStatus($listed), 'probes' => $listed]);
+        $this->assertSame('ok', $ok['status']);
+        $this->assertSame('1 object(s) listed; Read images/a.jpg', $ok['detail']);
+
+        $empty = ConnectionDiagnostics::runProbes(['list' => fn() => [], 'read' => fn() => ''], 'probe.txt', 'Skipped');
+        $this->assertSame('warning', PreflightService::evaluateConnection(['status' => ConnectionDiagnostics::overallStatus($empty), 'probes' => $empty])['status']);
+
+        $denied = ConnectionDiagnostics::runProbes([
+            'list' => fn() => throw new \RuntimeException('AccessDenied'),
+            'read' => fn() => '',
+        ], 'probe.txt', 'Skipped');
+        $failed = PreflightService::evaluateConnection(['status' => 'failed', 'probes' => $denied]);
+        $this->assertSame('error', $failed['status']);
+        $this->assertStringStartsWith('AccessDenied (Check the access key', $failed['detail']);
+    }
+
+    public function testFindsAndEvaluatesTheLatestBackup(): void
+    {
+        $this->assertNull(PreflightService::findLatestBackup([$this->backupDir, $this->backupDir . '/missing']));
+        $this->assertSame('error', PreflightService::evaluateBackup(null, self::NOW)['status']);
+
+        touch($this->backupDir . '/old.sql', self::NOW - 3 * 86400);
+        touch($this->backupDir . '/site--2023-11-14.sql.zip', self::NOW - 3600);
+        touch($this->backupDir . '/notes.txt', self::NOW);
+
+        $latest = PreflightService::findLatestBackup([$this->backupDir]);
+        $this->assertSame($this->backupDir . '/site--2023-11-14.sql.zip', $latest['path']);
+
+        $fresh = PreflightService::evaluateBackup($latest, self::NOW);
+        $this->assertSame('ok', $fresh['status']);
+        $this->assertStringContainsString('1 h old', $fresh['detail']);
+
+        $stale = PreflightService::evaluateBackup(['path' => $this->backupDir . '/old.sql', 'modifiedAt' => self::NOW - 3 * 86400], self::NOW);
+        $this->assertSame('warning', $stale['status']);
+        $this->assertStringContainsString('3 days old', $stale['detail']);
+    }
+}
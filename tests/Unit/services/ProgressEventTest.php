@@ -0,0 +1,141 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\ProgressEvent;
+use csabourin\spaghettiMigrator\services\ProgressReporter;
+use PHPUnit\Framework\TestCase;
+
+class ProgressEventTest extends TestCase
+{
+    public function testLineRoundTripsThroughParser(): void
+    {
+        $line = ProgressEvent::toLine([
+            'phase' => 'Consolidating Files',
+            'processed' => 50,
+            'total' => 200,
+            'bytesProcessed' => 1048576,
+            'itemsPerSecond' => 12.5,
+            'etaSeconds' => 12,
+            'errors' => 2,
+        ]);
+
+        $this->assertStringStartsWith(ProgressEvent::MARKER, $line);
+        $this->assertStringEndsWith("\n", $line);
+
+        $event = ProgressEvent::parseLine($line);
+        $this->assertSame(ProgressEvent::VERSION, $event['v']);
+        $this->assertSame('Consolidating Files', $event['phase']);
+        $this->assertSame(50, $event['processed']);
+        $this->assertSame(200, $event['total']);
+        $this->assertSame(25.0, $event['percent']);
+        $this->assertSame(1048576, $event['bytesProcessed']);
+        $this->assertNull($event['bytesTotal']);
+        $this->assertSame(2, $event['errors']);
+    }
+
+    public function testOrdinaryAndForeignLinesAreNotEvents(): void
+    {
+        $this->assertNull(ProgressEvent::parseLine('Processed 2024/10 files (50%)'));
+        $this->assertNull(ProgressEvent::parseLine(ProgressEvent::MARKER . '{not json'));
+        $this->assertNull(ProgressEvent::parseLine(ProgressEvent::MARKER . '{"v":2,"processed":1}'));
+        $this->assertNull(ProgressEvent::parseLine(ProgressEvent::MARKER . '{"v":1,"phase":"missing count"}'));
+    }
+
+    public function testNormalizeClampsValuesAndCleansThePhase(): void
+    {
+        $event = ProgressEvent::normalize(['phase' => "Copy\n\x1b[32mfiles", 'processed' => 150, 'total' => 100, 'errors' => -3]);
+
+        $this->assertSame(100.0, $event['percent']);
+        $this->assertSame(0, $event['errors']);
+        $this->assertStringNotContainsString("\n", $event['phase']);
+        $this->assertSame("Copy files", $event['phase']);
+    }
+
+    public function testLatestEventIsFoundAndMarkersAreStripped(): void
+    {
+        $output = "Starting\n"
+            . ProgressEvent::toLine(['phase' => 'Copy', 'processed' => 10, 'total' => 100])
+            . "  ..........\n"
+            . ProgressEvent::toLine(['phase' => 'Copy', 'processed' => 20, 'total' => 100])
+            . ProgressEvent::MARKER . "{\"v\":1,\"processed\":\n"
+            . "Done\n";
+
+        $this->assertSame(20, ProgressEvent::findLatest($output)['processed']);
+        $this->assertSame("Starting\n  ..........\nDone\n", ProgressEvent::strip($output));
+        $this->assertNull(ProgressEvent::findLatest("No markers here\n"));
+        $this->assertTrue(ProgressEvent::isEventLine('  ' . ProgressEvent::MARKER . '{}'));
+    }
+
+    public function testSamplesKeepOnlyChartedValues(): void
+    {
+        $event = ProgressEvent::normalize(['phase' => 'Copy', 'processed' => 5, 'total' => 10, 'bytesProcessed' => 2048, 'at' => 100]);
+
+        $this->assertSame(
+            ['at' => 100.0, 'processed' => 5, 'total' => 10, 'bytesProcessed' => 2048, 'errors' => 0],
+            ProgressEvent::toSample($event)
+        );
+    }
+
+    public function testDownsampleSortsDeduplicatesAndKeepsTheEnds(): void
+    {
+        $samples = [];
+        for ($i = 99; $i >= 0; $i--) {
+            $samples[] = ['at' => (float)$i, 'processed' => $i];
+        }
+        $samples[] = ['at' => 50.0, 'processed' => 50];
+
+        $this->assertCount(100, ProgressEvent::downsample($samples));
+
+        $thinned = ProgressEvent::downsample($samples, 10);
+        $this->assertCount(10, $thinned);
+        $this->assertSame(0, $thinned[0]['processed']);
+        $this->assertSame(99, $thinned[9]['processed']);
+        $this->assertSame($thinned, ProgressEvent::downsample(array_reverse($thinned), 10));
+    }
+
+    public function testWriteSendsTheEventToStdoutAndTheProgressReporter(): void
+    {
+        $reporter = new class() extends ProgressReporter {
+            public array $events = [];
+
+            public function __construct()
+            {
+            }
+
+            public function reportEvent(array $event): void
+            {
+                $this->events[] = $event;
+            }
+        };
+        $controller = new class($reporter) {
+            public ?string $migrationId = 'queue-1';
+            public string $written = '';
+
+            public function __construct(private ProgressReporter $reporter)
+            {
+            }
+
+            public function stdout(string $text): void
+            {
+                $this->written .= $text;
+            }
+
+            public function getProgressReporter(): ?ProgressReporter
+            {
+                return $this->reporter;
+            }
+        };
+
+        $event = ['phase' => 'Copying', 'processed' => 5, 'total' => 10];
+        ProgressEvent::write($controller, $event);
+
+        $this->assertSame(ProgressEvent::toLine($event), $controller->written);
+        $this->assertSame([$event], $reporter->events);
+
+        // Terminal runs get neither
+        $controller->migrationId = null;
+        ProgressEvent::write($controller, $event);
+        $this->assertCount(1, $reporter->events);
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\MigrationStateService;
+use csabourin\spaghettiMigrator\services\ProgressReporter;
+use PHPUnit\Framework\TestCase;
+
+class ProgressReporterTest extends TestCase
+{
+    public function testFlushMergesIntoTheStatsTheOrchestratorWrote(): void
+    {
+        $states = new class() extends MigrationStateService {
+            public array $rows = [];
+
+            public function ensureTableExists(): bool
+            {
+                return true;
+            }
+
+            public function getMigrationState(string $migrationId): ?array
+            {
+                return $this->rows[$migrationId] ?? null;
+            }
+
+            // Like the real service, whatever is not given is reset
+            public function saveMigrationState(array $data): bool
+            {
+                $this->rows[$data['migrationId']] = $data + ['stats' => [], 'processedIds' => [], 'pid' => null];
+                return true;
+            }
+        };
+        $states->saveMigrationState([
+            'migrationId' => 'queue-1',
+            'pid' => 4242,
+            'processedIds' => [1, 2, 3],
+            'stats' => ['copied' => 3, 'errors' => 0],
+        ]);
+
+        $reporter = new ProgressReporter('queue-1', $states);
+        $reporter->reportEvent(['phase' => 'Copying', 'processed' => 3, 'total' => 10]);
+        $reporter->log('Copied images/a.jpg');
+        $reporter->flush();
+
+        $row = $states->rows['queue-1'];
+        $this->assertSame(3, $row['stats']['copied']);
+        $this->assertSame(0, $row['stats']['errors']);
+        $this->assertSame(3, $row['stats']['progress']['processed']);
+        $this->assertCount(1, $row['stats']['progressHistory']);
+        $this->assertSame([1, 2, 3], $row['processedIds']);
+        $this->assertSame(4242, $row['pid']);
+        $this->assertSame("Copied images/a.jpg\n", $row['output']);
+    }
+}
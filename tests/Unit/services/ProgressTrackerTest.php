@@ -128,6 +128,27 @@ class ProgressTrackerTest extends TestCase
         $this->assertGreaterThan(0, $report['eta_seconds'], 'ETA should be > 0 for incomplete work');
     }
 
+    public function testEventCarriesBytesAndErrors()
+    {
+        $tracker = new ProgressTracker('Copy', 4, 2);
+        $tracker->setTotalBytes(4096);
+        $tracker->increment(1, 1024);
+        $tracker->increment(1, 1024);
+        $tracker->recordError();
+
+        $event = $tracker->getEvent();
+
+        $this->assertEquals(1, $event['v']);
+        $this->assertEquals('Copy', $event['phase']);
+        $this->assertEquals(2, $event['processed']);
+        $this->assertEquals(4, $event['total']);
+        $this->assertEquals(50.0, $event['percent']);
+        $this->assertEquals(2048, $event['bytesProcessed']);
+        $this->assertEquals(4096, $event['bytesTotal']);
+        $this->assertEquals(1, $event['errors']);
+        $this->assertStringStartsWith('__SM_PROGRESS__{', $tracker->getEventLine());
+    }
+
     public function testTimeFormattingInSeconds()
     {
         $tracker = new ProgressTracker('Test', 100);
@@ -0,0 +1,90 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\QueueJobService;
+use PHPUnit\Framework\TestCase;
+
+class QueueJobServiceTest extends TestCase
+{
+    private const NOW = 1700000000;
+
+    private array $identity = [
+        'type' => 'command',
+        'command' => 'transform-pregeneration/generate',
+        'migrationId' => 'queue-1700000000-abc',
+    ];
+
+    public function testWaitingJobIsStalledAfterTheThreshold(): void
+    {
+        $job = QueueJobService::summarize($this->row(['timePushed' => self::NOW - 30]), $this->identity, self::NOW, 60);
+
+        $this->assertSame('waiting', $job['status']);
+        $this->assertSame(30, $job['waitingSeconds']);
+        $this->assertFalse($job['stalled']);
+        $this->assertSame('queue-1700000000-abc', $job['migrationId']);
+
+        $job = QueueJobService::summarize($this->row(['timePushed' => self::NOW - 90]), $this->identity, self::NOW, 60);
+        $this->assertTrue($job['stalled']);
+    }
+
+    public function testDelayedJobsAreNotStalled(): void
+    {
+        $job = QueueJobService::summarize($this->row(['timePushed' => self::NOW - 90, 'delay' => 300]), $this->identity, self::NOW, 60);
+
+        $this->assertSame('delayed', $job['status']);
+        $this->assertNull($job['waitingSeconds']);
+        $this->assertFalse($job['stalled']);
+    }
+
+    public function testReservedJobIsOverdueOnceItOutlivesItsTtr(): void
+    {
+        $reserved = gmdate('Y-m-d H:i:s', self::NOW - 120);
+
+        $job = QueueJobService::summarize($this->row(['dateReserved' => $reserved, 'ttr' => 300, 'progress' => 40]), $this->identity, self::NOW, 60);
+        $this->assertSame('reserved', $job['status']);
+        $this->assertSame(120, $job['runningSeconds']);
+        $this->assertSame(40, $job['progress']);
+        $this->assertFalse($job['overdue']);
+        $this->assertFalse($job['stalled']);
+
+        $job = QueueJobService::summarize($this->row(['dateReserved' => $reserved, 'ttr' => 60]), $this->identity, self::NOW, 60);
+        $this->assertTrue($job['overdue']);
+    }
+
+    public function testFailedJobKeepsItsError(): void
+    {
+        $job = QueueJobService::summarize($this->row([
+            'dateReserved' => gmdate('Y-m-d H:i:s', self::NOW - 600),
+            'fail' => 1,
+            'dateFailed' => gmdate('Y-m-d H:i:s', self::NOW - 10),
+            'attempt' => 3,
+            'error' => 'Command failed with exit code 1',
+        ]), $this->identity, self::NOW, 60);
+
+        $this->assertSame('failed', $job['status']);
+        $this->assertSame(3, $job['attempt']);
+        $this->assertSame(self::NOW - 10, $job['failedAt']);
+        $this->assertSame('Command failed with exit code 1', $job['error']);
+        $this->assertFalse($job['overdue']);
+    }
+
+    private function row(array $values): array
+    {
+        return array_merge([
+            'id' => '42',
+            'description' => 'Running: Transform-pregeneration Generate',
+            'timePushed' => self::NOW,
+            'ttr' => 300,
+            'delay' => 0,
+            'dateReserved' => null,
+            'timeUpdated' => null,
+            'progress' => 0,
+            'progressLabel' => null,
+            'attempt' => 0,
+            'fail' => 0,
+            'dateFailed' => null,
+            'error' => null,
+        ], $values);
+    }
+}
@@ -118,6 +118,141 @@ class RollbackEngineTest extends TestCase
         }
     }
 
+    public function testDescribeReversalMatchesWhatRollbackDoes()
+    {
+        $moved = RollbackEngine::describeReversal(['type' => 'moved_asset', 'assetId' => 7, 'fromVolume' => 1, 'fromFolder' => 4]);
+        $this->assertEquals('reverse', $moved['outcome']);
+        $this->assertStringContainsString('asset 7', $moved['description']);
+
+        $this->assertEquals('partial', RollbackEngine::describeReversal(['type' => 'fixed_broken_link', 'assetId' => 7])['outcome']);
+        $this->assertEquals('reverse', RollbackEngine::describeReversal([
+            'type' => 'fixed_broken_link',
+            'assetId' => 7,
+            'originalVolumeId' => 1,
+            'originalFolderId' => 2,
+        ])['outcome']);
+        $this->assertEquals('none', RollbackEngine::describeReversal(['type' => 'deleted_transform'])['outcome']);
+        $this->assertEquals('unsupported', RollbackEngine::describeReversal(['action' => 'delete_unused_duplicate_asset'])['outcome']);
+    }
+
+    public function testPreviewChangesCountsOutcomes()
+    {
+        $changes = [
+            ['type' => 'moved_asset', 'phase' => 'consolidate', 'assetId' => 1, 'fromVolume' => 1, 'fromFolder' => 1],
+            ['type' => 'updated_asset_path', 'phase' => 'fix_links', 'assetId' => 2],
+            ['action' => 'upgrade_asset_file', 'phase' => 'resolve_duplicates', 'assetId' => 3],
+        ];
+
+        $engine = new RollbackEngine(new FakeChangeLogManager());
+        $report = $engine->previewChanges($changes);
+
+        $this->assertTrue($report['dry_run']);
+        $this->assertEquals(3, $report['total_operations']);
+        $this->assertEquals(['reverse' => 1, 'partial' => 1, 'unsupported' => 1], $report['by_outcome']);
+        $this->assertEquals(['unsupported' => 1], $report['outcomes_by_type']['upgrade_asset_file']);
+    }
+
+    public function testPreviewReversesMovesOutOfTheOptimisedImagesVolume()
+    {
+        // As NestedFilesystemService logs it
+        $change = [
+            'type' => 'moved_from_optimised',
+            'phase' => 'optimised_root',
+            'assetId' => 12,
+            'filename' => 'hero.jpg',
+            'fromVolume' => 3,
+            'fromLocation' => 'root',
+            'fromPath' => 'hero.jpg',
+            'toVolume' => 1,
+            'toPath' => 'originals/hero.jpg',
+        ];
+
+        $engine = new RollbackEngine(new FakeChangeLogManager());
+        $report = $engine->previewChanges([$change]);
+
+        $this->assertEquals(['reverse' => 1], $report['by_outcome']);
+        $this->assertEquals(['moved_from_optimised' => ['reverse' => 1]], $report['outcomes_by_type']);
+        $this->assertEquals(
+            'Move asset 12 back to the root folder of volume 3',
+            RollbackEngine::describeReversal($change)['description']
+        );
+    }
+
+    public function testParseScopeValidatesInput()
+    {
+        $scope = RollbackEngine::parseScope(['phases' => 'fix_links', 'mode' => 'only', 'runId' => 'sse-1', 'entries' => '3, 1,3']);
+        $this->assertEquals(['phases' => ['fix_links'], 'mode' => 'only', 'runId' => 'sse-1', 'sequences' => [3, 1]], $scope);
+        $this->assertEquals(['phases' => [], 'mode' => 'from', 'runId' => null, 'sequences' => []], RollbackEngine::parseScope([]));
+
+        $invalid = [
+            ['mode' => 'all'],
+            ['phases' => 'unknown'],
+            ['phases' => 'discovery,bogus', 'mode' => 'only'],
+            ['runId' => '../etc'],
+            ['entries' => '1,abc'],
+            ['entries' => '0'],
+            ['entries' => implode(',', range(1, RollbackEngine::MAX_SELECTED_ENTRIES + 1))],
+        ];
+
+        foreach ($invalid as $input) {
+            try {
+                RollbackEngine::parseScope($input);
+                $this->fail('Expected ' . json_encode($input) . ' to be rejected');
+            } catch (\InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+
+    public function testFilterChangesNarrowsByPhaseRunAndEntries()
+    {
+        $changes = [
+            ['sequence' => 1, 'phase' => 'discovery', 'runId' => 'run-a'],
+            ['sequence' => 2, 'phase' => 'safe_duplicates', 'runId' => 'run-a'],
+            ['sequence' => 3, 'phase' => 'consolidate', 'runId' => 'run-b'],
+            ['sequence' => 4, 'phase' => 'cleanup'],
+        ];
+
+        $sequences = fn(array $scope) => array_column(RollbackEngine::filterChanges($changes, $scope), 'sequence');
+
+        $this->assertEquals([2, 3, 4], $sequences(['phases' => ['safe_duplicates'], 'mode' => 'from']));
+        $this->assertEquals([2], $sequences(['phases' => ['safe_duplicates'], 'mode' => 'only']));
+        $this->assertEquals([1, 2], $sequences(['runId' => 'run-a']));
+        $this->assertEquals([3], $sequences(['runId' => 'run-b', 'phases' => ['discovery'], 'mode' => 'from']));
+        $this->assertEquals([1, 4], $sequences(['sequences' => [4, 1]]));
+        $this->assertEquals([1, 2, 3, 4], $sequences([]));
+
+        $this->assertEquals('the whole migration', RollbackEngine::describeScope(['phases' => [], 'sequences' => []]));
+        $this->assertEquals(
+            'phase consolidate and every later phase; changes of run run-b',
+            RollbackEngine::describeScope(['phases' => ['consolidate'], 'mode' => 'from', 'runId' => 'run-b'])
+        );
+        $this->assertEquals('2 selected entries', RollbackEngine::describeScope(['sequences' => [1, 4]]));
+    }
+
+    public function testRollbackReportsEachChangeAndRejectsEmptyScope()
+    {
+        $engine = new RollbackEngine(new FakeChangeLogManager([
+            ['sequence' => 1, 'type' => 'deleted_transform', 'path' => 'img', 'phase' => 'cleanup', 'runId' => 'run-a'],
+            ['sequence' => 2, 'type' => 'inline_image_linked', 'table' => 'content', 'column' => 'body', 'rowId' => 5, 'originalContent' => '<img>', 'phase' => 'link_inline', 'runId' => 'run-b'],
+            ['sequence' => 3, 'type' => 'deleted_transform', 'path' => 'img', 'phase' => 'cleanup', 'runId' => 'run-b'],
+            ['sequence' => 4, 'type' => 'resized_image', 'phase' => 'cleanup', 'runId' => 'run-b'],
+        ]));
+
+        $reported = [];
+        $stats = $engine->rollback('mig', null, 'from', false, ['runId' => 'run-b'], function($change, $error, $skipped) use (&$reported) {
+            $reported[] = [$change['sequence'], $error, $skipped];
+        });
+
+        // Informational and unsupported entries are not counted as reversed
+        $this->assertEquals(['reversed' => 1, 'errors' => 0, 'skipped' => 2], $stats);
+        $this->assertEquals([[4, null, true], [3, null, true], [2, null, false]], $reported);
+
+        $this->expectException(\Exception::class);
+        $this->expectExceptionMessage('match the rollback scope');
+        $engine->rollback('mig', null, 'from', false, ['runId' => 'run-c']);
+    }
+
     private function removeDirectory($dir)
     {
         if (!is_dir($dir)) {
@@ -0,0 +1,112 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\services;
+
+use csabourin\spaghettiMigrator\services\RunCoordinator;
+use PHPUnit\Framework\TestCase;
+
+class RunCoordinatorTest extends TestCase
+{
+    private const NOW = 1700000000;
+
+    public function testCollectRunsKeepsLiveAndQueuedRuns(): void
+    {
+        $rows = [
+            $this->row(['migrationId' => 'sse-live', 'command' => 'image-migration/migrate', 'isProcessRunning' => true, 'processedCount' => 25, 'totalCount' => 100]),
+            $this->row(['migrationId' => 'sse-dead', 'command' => 'url-replacement/replace-s3-urls', 'isProcessRunning' => false]),
+            $this->row(['migrationId' => 'queue-new', 'command' => 'transform-cleanup/clean', 'status' => 'queued', 'startedAt' => gmdate('Y-m-d H:i:s', self::NOW - 60)]),
+            $this->row(['migrationId' => 'queue-lost', 'command' => 'transform-cleanup/clean', 'status' => 'queued', 'startedAt' => gmdate('Y-m-d H:i:s', self::NOW - 200000)]),
+        ];
+        $moduleStates = [
+            'image-migration' => ['status' => 'running', 'migrationId' => 'sse-live', 'command' => 'image-migration/migrate', 'startedBy' => 'alice'],
+        ];
+
+        $runs = RunCoordinator::collectRuns($rows, $moduleStates, self::NOW, fn() => false);
+
+        $this->assertSame(['queue-new', 'sse-live'], array_column($runs, 'migrationId'));
+        $this->assertSame('image-migration', $runs[1]['moduleId']);
+        $this->assertSame('alice', $runs[1]['startedBy']);
+        $this->assertEquals(25, $runs[1]['progressPercent']);
+        $this->assertSame('queued', $runs[0]['status']);
+    }
+
+    public function testCollectRunsAddsStreamedRunsOnlyKnownToTheModuleState(): void
+    {
+        $moduleStates = [
+            'switch-to-do' => ['status' => 'running', 'migrationId' => 'sse-switch', 'command' => 'filesystem-switch/to-do', 'startedBy' => 'bob', 'startedAt' => '2023-11-14T22:10:00+00:00'],
+            'switch-verify' => ['status' => 'running', 'migrationId' => 'sse-gone', 'command' => 'filesystem-switch/verify'],
+            'url-replacement' => ['status' => 'completed', 'migrationId' => 'sse-done', 'command' => 'url-replacement/replace-s3-urls'],
+        ];
+
+        $runs = RunCoordinator::collectRuns([], $moduleStates, self::NOW, fn(string $migrationId) => $migrationId !== 'sse-gone');
+
+        $this->assertCount(1, $runs);
+        $this->assertSame('filesystem-switch/to-do', $runs[0]['command']);
+        $this->assertSame('switch-to-do', $runs[0]['moduleId']);
+        $this->assertSame('bob', $runs[0]['startedBy']);
+    }
+
+    public function testDescribeLockMatchesTheHoldingRunAndDetectsStaleLocks(): void
+    {
+        $lock = ['migrationId' => '2023-11-14-221000-abcd1234', 'lockedAt' => '2023-11-14 22:10:00', 'lockedBy' => 'web-1:4242', 'expiresAt' => '2023-11-15 10:10:00'];
+        $rows = [$this->row(['migrationId' => 'sse-live', 'pid' => 4242, 'isProcessRunning' => true])];
+        $runs = [['migrationId' => 'sse-live', 'command' => 'image-migration/migrate', 'startedBy' => 'alice']];
+
+        $described = RunCoordinator::describeLock($lock, $rows, $runs, 'web-1', fn() => true);
+        $this->assertFalse($described['stale']);
+        $this->assertSame('sse-live', $described['runId']);
+        $this->assertSame('alice', $described['startedBy']);
+        $this->assertSame('web-1:4242', $described['lockedBy']);
+
+        $this->assertTrue(RunCoordinator::describeLock($lock, [], [], 'web-1', fn() => false)['stale']);
+
+        // A process on another host cannot be checked, so its lock is trusted
+        $remote = RunCoordinator::describeLock($lock, [], [], 'web-2', fn() => false);
+        $this->assertFalse($remote['stale']);
+        $this->assertSame(RunCoordinator::LOCK_COMMAND, $remote['command']);
+        $this->assertNull($remote['runId']);
+    }
+
+    public function testBlockedCommandsAndConflicts(): void
+    {
+        $runs = [
+            ['migrationId' => 'sse-switch', 'command' => 'filesystem-switch/to-do', 'status' => 'running', 'startedAt' => null, 'startedBy' => 'bob'],
+            ['migrationId' => 'cli-run', 'command' => null, 'status' => 'running', 'startedAt' => null, 'startedBy' => null],
+        ];
+        $lock = ['migrationId' => 'lock-id', 'lockedBy' => 'web-1:4242', 'lockedAt' => null, 'stale' => false, 'command' => 'image-migration/migrate', 'runId' => 'sse-live', 'startedBy' => 'alice'];
+
+        $blocked = RunCoordinator::blockedCommands($runs, $lock);
+
+        $this->assertSame('running', $blocked['filesystem-switch/to-do']['reason']);
+        $this->assertStringContainsString('started by bob', $blocked['filesystem-switch/to-do']['message']);
+        $this->assertSame('locked', $blocked['image-migration/rollback']['reason']);
+        $this->assertSame('sse-live', $blocked['image-migration/rollback']['migrationId']);
+        $this->assertArrayNotHasKey('filesystem-switch/verify', $blocked);
+
+        $snapshot = ['blocked' => $blocked];
+        $this->assertNotNull(RunCoordinator::findConflict($snapshot, 'image-migration/rollback', false));
+        $this->assertNull(RunCoordinator::findConflict($snapshot, 'image-migration/rollback', true));
+        $this->assertNotNull(RunCoordinator::findConflict($snapshot, 'filesystem-switch/to-do', true));
+        $this->assertNull(RunCoordinator::findConflict($snapshot, 'filesystem-switch/verify', false));
+
+        $lock['stale'] = true;
+        $this->assertArrayNotHasKey('image-migration/migrate', RunCoordinator::blockedCommands([], $lock));
+    }
+
+    private function row(array $overrides = []): array
+    {
+        return array_merge([
+            'migrationId' => 'sse-1',
+            'phase' => 'running',
+            'status' => 'running',
+            'pid' => null,
+            'command' => null,
+            'processedCount' => 0,
+            'totalCount' => 0,
+            'stats' => [],
+            'startedAt' => gmdate('Y-m-d H:i:s', self::NOW - 600),
+            'lastUpdatedAt' => gmdate('Y-m-d H:i:s', self::NOW - 5),
+            'isProcessRunning' => false,
+        ], $overrides);
+    }
+}
@@ -0,0 +1,74 @@
+<?php
+
+namespace csabourin\spaghettiMigrator\tests\Unit\templates;
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Static checks of the dashboard script's markup sinks: markup only reaches the
+ * page through Html.setContent(), which escapes everything that is not html`` or
+ * Html.trusted() markup. tests/js/DashboardMarkup.test.js runs the render paths.
+ */
+class DashboardMarkupTest extends TestCase
+{
+    private string $script;
+
+    protected function setUp(): void
+    {
+        $this->script = file_get_contents(__DIR__ . '/../../../modules/templates/spaghetti-migrator/js/dashboard.js');
+    }
+
+    public function testInnerHtmlIsOnlyWrittenByHtmlSetContent(): void
+    {
+        preg_match_all('/\.innerHTML\s*[+]?=.*$/m', $this->script, $matches);
+
+        $this->assertSame(['.innerHTML = this.render(content);'], $matches[0]);
+        $this->assertSame(0, preg_match('/insertAdjacentHTML|document\.write|\.outerHTML\s*=/', $this->script));
+    }
+
+    public function testSerializedMarkupIsExplicitlyTrusted(): void
+    {
+        preg_match_all('/^.*\.outerHTML.*$/m', $this->script, $matches);
+
+        $this->assertNotEmpty($matches[0]);
+        foreach ($matches[0] as $line) {
+            $this->assertStringContainsString('Html.trusted(', $line);
+        }
+    }
+
+    public function testEscapeCoversEveryHtmlSpecialCharacter(): void
+    {
+        $this->assertStringContainsString(
+            "entities: { '&': '&amp;', '<': '&lt;', '>': '&gt;', '\"': '&quot;', \"'\": '&#39;' }",
+            $this->script
+        );
+        $this->assertStringContainsString(".replace(/[&<>\"']/g, char => this.entities[char])", $this->script);
+    }
+
+    /**
+     * Plain template literals and strings must not carry tags: markup is built with html``
+     */
+    public function testMarkupIsOnlyBuiltWithTheHtmlTag(): void
+    {
+        // Drop comments and html`` templates, innermost first: a template matches once its ${} hold no other template
+        $source = preg_replace('#^\s*//.*$#m', '', $this->script);
+        do {
+            $source = preg_replace('/html`(?:[^`$]|\$(?!\{)|\$\{[^`{}]*(?:\{[^`{}]*\}[^`{}]*)*\})*`/', 'null', $source, -1, $count);
+        } while ($count > 0);
+
+        preg_match_all('/[`\'"][^`\'"\n]*<\/?[a-z][a-z0-9]*[\s>\/][^`\'"\n]*[`\'"]/', $source, $matches);
+
+        $this->assertSame([], $matches[0]);
+    }
+
+    public function testServerValuesInDialogsBannersAndLogTasksGoThroughTheHtmlTag(): void
+    {
+        foreach (['showConfirmationDialog', 'showWarningBanner', 'updateLogTasks'] as $method) {
+            $this->assertMatchesRegularExpression(
+                '/\n        ' . $method . '\([^)]*\) \{\n(?:(?!\n        \}).)*Html\.setContent\(\w+, html`/s',
+                $this->script,
+                "{$method} does not render through Html.setContent()"
+            );
+        }
+    }
+}
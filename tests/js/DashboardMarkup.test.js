@@ -0,0 +1,263 @@
+/**
+ * Dashboard markup tests
+ *
+ * Runs the dashboard script against a minimal DOM and feeds its render paths
+ * values that would execute if they reached the page as markup. Every such value
+ * must come out as text: no element is created from it.
+ *
+ * Run with: node --test tests/js/
+ */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { Document } = require('./Support/dom');
+
+const SCRIPT = path.join(__dirname, '../../modules/templates/spaghetti-migrator/js/dashboard.js');
+const HOSTILE = '<img src=x onerror=alert(1)>';
+const ATTRIBUTE_BREAKOUT = '"><img src=x onerror=alert(1)>';
+
+/**
+ * Loads the dashboard script with its modules exposed; DOMContentLoaded never fires, so nothing initialises itself
+ */
+function loadDashboard() {
+    const exported = 'window.MigrationDashboard = MigrationDashboard;';
+    const source = fs.readFileSync(SCRIPT, 'utf8');
+    assert.ok(source.includes(exported), 'dashboard.js no longer ends by exporting MigrationDashboard');
+
+    const document = new Document();
+    const window = { migrationDashboard: {} };
+    const storage = new Map();
+    const Craft = {
+        t: (category, message, params = {}) => message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder)),
+        cp: { displayNotice() {}, displayError() {} }
+    };
+
+    const run = new Function(
+        'window', 'document', 'Craft', 'CSS', 'localStorage', 'setTimeout', 'requestAnimationFrame',
+        source.replace(exported, `${exported}\nwindow.modules = { Html, html, UIManager, LiveMonitor, LogViewer, CommandExecutor, WorkflowManager, APIClient };`)
+    );
+    run(
+        window,
+        document,
+        Craft,
+        { escape: value => String(value).replace(/[^\w-]/g, char => `\\${char}`) },
+        { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, String(value)) },
+        // Focus and auto-dismiss timers are not needed by the assertions
+        () => 0,
+        callback => callback()
+    );
+
+    return { ...window.modules, document };
+}
+
+function assertNoInjectedElements(element) {
+    assert.equal(element.querySelectorAll('img').length, 0, `an element was built from a value: ${element.innerHTML}`);
+    assert.equal(element.querySelectorAll('script').length, 0);
+}
+
+test('html`` escapes interpolated values in text and attributes', () => {
+    const { Html, html, document } = loadDashboard();
+    const element = document.createElement('div');
+
+    Html.setContent(element, html`<p class="note ${ATTRIBUTE_BREAKOUT}" title="${HOSTILE}">${HOSTILE}</p>${[HOSTILE, html`<em>${HOSTILE}</em>`]}`);
+
+    assertNoInjectedElements(element);
+    const paragraph = element.querySelector('p');
+    assert.equal(paragraph.textContent, HOSTILE);
+    assert.equal(paragraph.getAttribute('title'), HOSTILE);
+    assert.equal(paragraph.className, `note ${ATTRIBUTE_BREAKOUT}`);
+    assert.equal(element.querySelector('em').textContent, HOSTILE);
+    assert.equal(element.textContent, HOSTILE.repeat(3));
+});
+
+test('Html.setContent renders plain strings as text and Html.translate escapes text parameters', () => {
+    const { Html, html, document } = loadDashboard();
+    const element = document.createElement('div');
+
+    Html.setContent(element, HOSTILE);
+    assertNoInjectedElements(element);
+    assert.equal(element.textContent, HOSTILE);
+
+    Html.setContent(element, Html.translate('Reset {title}?', { title: html`<strong>${HOSTILE}</strong>` }));
+    assertNoInjectedElements(element);
+    assert.equal(element.querySelector('strong').textContent, HOSTILE);
+
+    Html.setContent(element, Html.translate('Reset {title}?', { title: HOSTILE }));
+    assertNoInjectedElements(element);
+    assert.equal(element.textContent, `Reset ${HOSTILE}?`);
+});
+
+test('the confirmation dialog shows its title, message, labels and phrase as text', () => {
+    const { UIManager, html, document } = loadDashboard();
+    let confirmed = null;
+
+    UIManager.showConfirmationDialog(HOSTILE, html`<strong>${HOSTILE}</strong> ${HOSTILE}`, (reason, phrase) => {
+        confirmed = { reason, phrase };
+    }, {
+        requireReason: true,
+        reasonLabel: HOSTILE,
+        confirmPhrase: HOSTILE,
+        confirmPhraseLabel: HOSTILE,
+        confirmText: HOSTILE,
+        cancelText: HOSTILE,
+        icon: HOSTILE
+    });
+
+    const dialog = document.body.querySelector('.confirmation-dialog');
+    assertNoInjectedElements(dialog);
+    assert.equal(dialog.querySelector('.confirmation-dialog-title').textContent, HOSTILE);
+    assert.equal(dialog.querySelector('.confirmation-dialog-message strong').textContent, HOSTILE);
+    assert.equal(dialog.querySelector('.confirmation-dialog-message').textContent, `${HOSTILE} ${HOSTILE}`);
+    assert.equal(dialog.querySelector('.confirmation-dialog-icon').textContent, HOSTILE);
+    assert.equal(dialog.querySelector('.confirm-phrase').textContent, HOSTILE);
+    assert.equal(dialog.querySelector('.confirmation-dialog-phrase span').textContent, `Type ${HOSTILE} (${HOSTILE}) to confirm`);
+    assert.equal(dialog.querySelector('.confirmation-dialog-reason span').textContent, HOSTILE);
+    assert.equal(dialog.querySelector('.confirm-btn').textContent, HOSTILE);
+
+    // The phrase still has to be typed exactly
+    const confirm = dialog.querySelector('.confirm-btn');
+    dialog.querySelector('.reason-input').value = 'Planned switch';
+    dialog.querySelector('.phrase-input').value = HOSTILE;
+    dialog.querySelector('.phrase-input').dispatchEvent({ type: 'input' });
+    assert.equal(confirm.disabled, false);
+    confirm.click();
+    assert.deepEqual(confirmed, { reason: 'Planned switch', phrase: HOSTILE });
+});
+
+test('the critical-run confirmation escapes preflight checks and the phrase', async () => {
+    const { CommandExecutor, WorkflowManager, APIClient, document } = loadDashboard();
+
+    // As ModuleDefinitionProvider writes it: its own tags, provider names escaped
+    WorkflowManager.getConfirmation = () => ({
+        title: HOSTILE,
+        message: '<strong>CRITICAL OPERATION:</strong> This will switch all volumes to use &lt;img src=x onerror=alert(1)&gt;.'
+    });
+    APIClient.getPreflight = async () => ({
+        success: true,
+        phrase: HOSTILE,
+        phraseLabel: HOSTILE,
+        checks: [
+            { status: 'warning', label: HOSTILE, detail: HOSTILE },
+            { status: ATTRIBUTE_BREAKOUT, label: 'Backup', detail: HOSTILE, at: '2026-01-01T00:00:00Z' }
+        ]
+    });
+
+    await CommandExecutor.confirmCritical('switch-to-do', 'filesystem-switch/to-do', () => {});
+
+    const dialog = document.body.querySelector('.confirmation-dialog');
+    assertNoInjectedElements(dialog);
+    assert.equal(dialog.querySelector('.confirmation-dialog-message strong').textContent, 'CRITICAL OPERATION:');
+    assert.ok(dialog.querySelector('.confirmation-dialog-message').textContent.includes(`use ${HOSTILE}.`));
+
+    const checks = dialog.querySelectorAll('.preflight-check');
+    assert.equal(checks.length, 2);
+    assert.equal(checks[0].querySelector('strong').textContent, HOSTILE);
+    assert.equal(checks[0].textContent, `⚠${HOSTILE} ${HOSTILE}`);
+    assert.equal(checks[1].className, `preflight-check ${ATTRIBUTE_BREAKOUT}`);
+    assert.equal(dialog.querySelector('.confirm-phrase').textContent, HOSTILE);
+});
+
+test('the warning banner shows its title and message as text', () => {
+    const { UIManager, document } = loadDashboard();
+    const container = document.createElement('div');
+    container.className = 'migration-dashboard';
+    document.body.appendChild(container);
+
+    UIManager.showWarningBanner(HOSTILE, HOSTILE);
+
+    const banner = container.querySelector('.order-warning-banner');
+    assertNoInjectedElements(banner);
+    assert.equal(banner.querySelector('h4').textContent, HOSTILE);
+    assert.equal(banner.querySelector('p').textContent, HOSTILE);
+
+    banner.querySelector('.dismiss-btn').click();
+    assert.equal(container.querySelector('.order-warning-banner'), null);
+});
+
+test('module stats show reported values as text', () => {
+    const { UIManager, document } = loadDashboard();
+    const moduleCard = document.createElement('div');
+    moduleCard.innerHTML = '<div class="module-stats"></div>';
+
+    UIManager.updateModuleStats(moduleCard, { currentPhase: HOSTILE, errors: HOSTILE, [HOSTILE]: HOSTILE });
+
+    const stats = moduleCard.querySelector('.module-stats');
+    assertNoInjectedElements(stats);
+    const items = stats.querySelectorAll('li');
+    assert.equal(items.length, 2);
+    assert.equal(items[0].textContent, `Phase: ${HOSTILE}`);
+    assert.equal(items[1].textContent, `Errors: ${HOSTILE}`);
+});
+
+test('the live monitor shows stats and log tasks as text', () => {
+    const { LiveMonitor, document } = loadDashboard();
+    document.body.innerHTML = '<div id="monitor-stats-section"></div><div id="monitor-stats"></div><div id="monitor-log-tasks"></div>';
+
+    LiveMonitor.updateStats({ [HOSTILE]: HOSTILE, nested: { ignored: true } });
+
+    const stats = document.getElementById('monitor-stats');
+    assertNoInjectedElements(stats);
+    assert.equal(stats.querySelector('.monitor-stat-label').textContent, HOSTILE);
+    assert.equal(stats.querySelector('.monitor-stat-value').textContent, HOSTILE);
+    assert.equal(stats.querySelectorAll('.monitor-stat-item').length, 1);
+
+    const container = document.getElementById('monitor-log-tasks');
+    const task = {
+        migrationId: ATTRIBUTE_BREAKOUT,
+        command: HOSTILE,
+        status: ATTRIBUTE_BREAKOUT,
+        lines: [HOSTILE, `\u001b[31m${HOSTILE}\u001b[0m`]
+    };
+    LiveMonitor.updateLogTasks(container, [task]);
+    // Refreshing finds the same block through the escaped migration ID
+    LiveMonitor.updateLogTasks(container, [{ ...task, lines: [HOSTILE, HOSTILE, HOSTILE] }]);
+
+    assertNoInjectedElements(container);
+    const blocks = container.querySelectorAll('.monitor-log-task');
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].getAttribute('data-migration-id'), ATTRIBUTE_BREAKOUT);
+    assert.equal(blocks[0].querySelector('h4').textContent, HOSTILE);
+    assert.equal(blocks[0].querySelector('.badge').textContent, ATTRIBUTE_BREAKOUT.toUpperCase());
+    assert.equal(blocks[0].querySelector('.monitor-logs').textContent, [HOSTILE, HOSTILE, HOSTILE].join('\n'));
+});
+
+test('the log viewer shows output lines, coloured or highlighted, as text', () => {
+    const { LogViewer, document } = loadDashboard();
+    const moduleCard = document.createElement('div');
+    moduleCard.innerHTML = '<div class="log-viewport"><div class="log-spacer"></div><div class="log-lines"></div></div><span class="log-summary"></span>';
+
+    LogViewer.append(moduleCard, `${HOSTILE}\n\u001b[31m${HOSTILE}\u001b[0m\n${HOSTILE}`);
+
+    const lines = moduleCard.querySelector('.log-lines');
+    assertNoInjectedElements(lines);
+    assert.deepEqual(lines.querySelectorAll('.log-line').map(line => line.textContent), [HOSTILE, HOSTILE, HOSTILE]);
+
+    LogViewer.setQuery(moduleCard, 'onerror');
+    assertNoInjectedElements(lines);
+    assert.equal(lines.querySelectorAll('mark').length, 3);
+    assert.deepEqual(lines.querySelectorAll('.log-line').map(line => line.textContent), [HOSTILE, HOSTILE, HOSTILE]);
+});
+
+test('polled output lines keep their carriage-return updates and colours', () => {
+    const { LogViewer, LiveMonitor, document } = loadDashboard();
+    // As get-live-monitor returns them: split on "\n" only, "\r" and ANSI sequences left in
+    const polled = ['Uploading 10%\rUploading 50%\rUploading 100%', '\u001b[32m✓ Copied 3 files\u001b[0m'];
+
+    const moduleCard = document.createElement('div');
+    moduleCard.innerHTML = '<div class="log-viewport"><div class="log-spacer"></div><div class="log-lines"></div></div><span class="log-summary"></span>';
+    polled.forEach(line => LogViewer.append(moduleCard, line + '\n'));
+
+    const lines = moduleCard.querySelector('.log-lines').querySelectorAll('.log-line');
+    assert.deepEqual(lines.map(line => line.textContent), ['Uploading 100%', '✓ Copied 3 files']);
+    assert.equal(lines[1].querySelector('span').className, 'ansi-fg-2');
+
+    const container = document.createElement('div');
+    LiveMonitor.updateLogTasks(container, [{ migrationId: 'queue-1', command: 'image-migration/migrate', status: 'running', lines: polled }]);
+
+    const logs = container.querySelector('.monitor-logs');
+    assert.equal(logs.textContent, 'Uploading 100%\n✓ Copied 3 files');
+    assert.equal(logs.querySelector('span').className, 'ansi-fg-2');
+});
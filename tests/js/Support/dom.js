@@ -0,0 +1,410 @@
+/**
+ * Minimal DOM for the dashboard script tests
+ *
+ * Implements the part of the DOM the dashboard's render paths use: elements, text
+ * nodes and fragments, an innerHTML parser and serializer, and querySelector with
+ * tag, #id, .class, [attribute], [attribute="value"], :not() and descendant
+ * selectors. innerHTML is parsed the way a browser would build elements from it,
+ * so a value that escaped without being encoded shows up as an element.
+ */
+'use strict';
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+}
+
+class Node {
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get parentElement() {
+        return this.parentNode instanceof Element ? this.parentNode : null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node instanceof Element);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.replaceChildren();
+        if (text !== '' && text !== null && text !== undefined) {
+            this.appendChild(this.ownerDocument.createTextNode(String(text)));
+        }
+    }
+
+    // Nodes to insert: a fragment contributes its children, a string a text node
+    adopt(node) {
+        if (typeof node === 'string') {
+            return [this.ownerDocument.createTextNode(node)];
+        }
+        if (node instanceof DocumentFragment) {
+            const nodes = node.childNodes.slice();
+            node.childNodes = [];
+            nodes.forEach(child => {
+                child.parentNode = null;
+            });
+            return nodes;
+        }
+        node.remove();
+        return [node];
+    }
+
+    insertBefore(node, reference) {
+        const nodes = this.adopt(node);
+        const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+        this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, ...nodes);
+        nodes.forEach(child => {
+            child.parentNode = this;
+        });
+        return node;
+    }
+
+    appendChild(node) {
+        return this.insertBefore(node, null);
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(node));
+    }
+
+    replaceChildren(...nodes) {
+        this.childNodes.forEach(child => {
+            child.parentNode = null;
+        });
+        this.childNodes = [];
+        this.append(...nodes);
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+            this.parentNode = null;
+        }
+    }
+
+    querySelectorAll(selector) {
+        const matches = [];
+        const visit = (node) => {
+            node.children.forEach(child => {
+                if (child.matches(selector)) {
+                    matches.push(child);
+                }
+                visit(child);
+            });
+        };
+        visit(this);
+        return matches;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+class Text extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.data = data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = String(text);
+    }
+
+    get children() {
+        return [];
+    }
+
+    serialize() {
+        return escapeText(this.data);
+    }
+}
+
+class DocumentFragment extends Node {
+}
+
+class Element extends Node {
+    constructor(ownerDocument, tagName) {
+        super(ownerDocument);
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map();
+        this.style = {};
+        this.listeners = {};
+        this.scrollTop = 0;
+        this.scrollHeight = 0;
+        this.clientHeight = 0;
+    }
+
+    get localName() {
+        return this.tagName.toLowerCase();
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get classList() {
+        const names = () => this.className.split(/\s+/).filter(Boolean);
+        return {
+            contains: (name) => names().includes(name),
+            add: (...added) => {
+                this.className = [...new Set([...names(), ...added])].join(' ');
+            },
+            remove: (...removed) => {
+                this.className = names().filter(name => !removed.includes(name)).join(' ');
+            },
+            toggle: (name) => {
+                const present = names().includes(name);
+                this.className = present ? names().filter(other => other !== name).join(' ') : [...names(), name].join(' ');
+                return !present;
+            }
+        };
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name.toLowerCase(), String(value));
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name);
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(node => node.serialize()).join('');
+    }
+
+    set innerHTML(markup) {
+        this.replaceChildren(...parse(this.ownerDocument, String(markup)));
+    }
+
+    get outerHTML() {
+        return this.serialize();
+    }
+
+    serialize() {
+        const attributes = [...this.attributes].map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+        const open = `<${this.localName}${attributes}>`;
+        return VOID_ELEMENTS.has(this.localName) ? open : `${open}${this.innerHTML}</${this.localName}>`;
+    }
+
+    matches(selector) {
+        return splitSelector(selector, /,/).some(complex => matchesComplex(this, splitSelector(complex, /\s/)));
+    }
+
+    closest(selector) {
+        let element = this;
+        while (element && !element.matches(selector)) {
+            element = element.parentElement;
+        }
+        return element;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(other => other !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        (this.listeners[event.type] || []).forEach(listener => listener(event));
+        return true;
+    }
+
+    click() {
+        this.dispatchEvent({ type: 'click', preventDefault() {} });
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+}
+
+class Document extends Node {
+    constructor() {
+        super(null);
+        this.ownerDocument = this;
+        this.readyState = 'loading';
+        this.documentElement = this.createElement('html');
+        this.body = this.createElement('body');
+        this.documentElement.appendChild(this.body);
+        this.appendChild(this.documentElement);
+        this.activeElement = this.body;
+    }
+
+    createElement(tagName) {
+        return new Element(this, tagName);
+    }
+
+    createTextNode(data) {
+        return new Text(this, String(data));
+    }
+
+    createDocumentFragment() {
+        return new DocumentFragment(this);
+    }
+
+    getElementById(id) {
+        return this.querySelectorAll('[id]').find(element => element.id === id) || null;
+    }
+
+    // DOMContentLoaded never fires: the tests call the dashboard's modules directly
+    addEventListener() {}
+}
+
+// Splits a selector at the separators outside brackets, parentheses, quotes and escapes
+function splitSelector(selector, separator) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (let index = 0; index < selector.length; index++) {
+        const char = selector[index];
+        if (char === '\\') {
+            current += char + (selector[++index] ?? '');
+            continue;
+        }
+        if (quote) {
+            quote = char === quote ? null : quote;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (depth === 0 && separator.test(char)) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    return [...parts, current].filter(part => part.trim() !== '');
+}
+
+// The last compound selector matches the element, the earlier ones its ancestors in order
+function matchesComplex(element, compounds) {
+    if (!matchesCompound(element, compounds[compounds.length - 1])) {
+        return false;
+    }
+    let ancestor = element.parentElement;
+    for (let index = compounds.length - 2; index >= 0; index--) {
+        while (ancestor && !matchesCompound(ancestor, compounds[index])) {
+            ancestor = ancestor.parentElement;
+        }
+        if (!ancestor) {
+            return false;
+        }
+        ancestor = ancestor.parentElement;
+    }
+    return true;
+}
+
+function matchesCompound(element, compound) {
+    const pattern = /^(\*|[a-z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:="((?:[^"\\]|\\.)*)")?\]|:not\(([^)]*)\)/gi;
+    let matched = '';
+    let match;
+
+    while ((match = pattern.exec(compound)) !== null && match[0] !== '') {
+        matched += match[0];
+        const [, tag, id, className, attribute, value, negated] = match;
+
+        if (tag && tag !== '*' && element.localName !== tag.toLowerCase()) return false;
+        if (id && element.id !== id) return false;
+        if (className && !element.classList.contains(className)) return false;
+        if (attribute && !element.hasAttribute(attribute)) return false;
+        if (value !== undefined && element.getAttribute(attribute) !== value.replace(/\\(.)/g, '$1')) return false;
+        if (negated !== undefined && matchesCompound(element, negated)) return false;
+    }
+
+    if (matched !== compound) {
+        throw new Error(`Unsupported selector: ${compound}`);
+    }
+    return true;
+}
+
+// Builds nodes from markup: tags, quoted and unquoted attributes, void elements, comments and entities
+function parse(document, markup) {
+    const root = document.createDocumentFragment();
+    const stack = [root];
+    const token = /<!--[\s\S]*?-->|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</gi;
+    let match;
+
+    while ((match = token.exec(markup)) !== null) {
+        const [text, closing, opening, attributes, selfClosing] = match;
+        const parent = stack[stack.length - 1];
+
+        if (closing) {
+            const index = stack.findLastIndex(node => node instanceof Element && node.localName === closing.toLowerCase());
+            if (index > 0) {
+                stack.length = index;
+            }
+        } else if (opening) {
+            const element = document.createElement(opening);
+            const attribute = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+            let pair;
+            while ((pair = attribute.exec(attributes)) !== null) {
+                element.setAttribute(pair[1], decodeEntities(pair[2] ?? pair[3] ?? pair[4] ?? ''));
+            }
+            parent.appendChild(element);
+            if (!selfClosing && !VOID_ELEMENTS.has(element.localName)) {
+                stack.push(element);
+            }
+        } else if (!text.startsWith('<!--')) {
+            parent.appendChild(document.createTextNode(decodeEntities(text)));
+        }
+    }
+
+    return root.childNodes.slice();
+}
+
+module.exports = { Document, Element, Text, DocumentFragment };